@@ -1,5 +1,6 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { canonicalReport } from "./symbols.js";
 
 /**
  * AI Learning Tracker
@@ -665,9 +666,12 @@ async function saveLedger(reportsDir, ledger) {
  *
  * @param {string} reportsDir - Path to the reports directory
  * @param {string} currentDate - Today's date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {Function} [options.resolveSymbol] - Maps AI and report symbols to canonical ones (createSymbolResolver)
  * @returns {Object} Updated ledger
  */
-export async function updateLearningLedger(reportsDir, currentDate) {
+export async function updateLearningLedger(reportsDir, currentDate, options = {}) {
+  const resolveSymbol = options.resolveSymbol ?? null;
   const ledger = await loadLedger(reportsDir);
   const allFactualDates = await listReportDates(reportsDir);
   const allAiDates = await listAiDates(reportsDir);
@@ -704,14 +708,16 @@ export async function updateLearningLedger(reportsDir, currentDate) {
     // Don't resolve with future dates beyond current
     if (resolveDate > currentDate) continue;
 
-    const beforeReport = await loadJson(path.join(reportsDir, `${pred.date}.json`));
-    const afterReport = await loadJson(path.join(reportsDir, `${resolveDate}.json`));
+    const beforeReport = canonicalReport(await loadJson(path.join(reportsDir, `${pred.date}.json`)), resolveSymbol);
+    const afterReport = canonicalReport(await loadJson(path.join(reportsDir, `${resolveDate}.json`)), resolveSymbol);
     if (!beforeReport || !afterReport) continue;
 
     const beforePositions = buildPositionMap(beforeReport);
     const afterPositions = buildPositionMap(afterReport);
 
-    ledger.predictions[i] = resolvePrediction(pred, beforePositions, afterPositions, resolveDate);
+    // The AI may name a position by any alias ("Bitcoin", "COMI.CA")
+    const target = resolveSymbol && pred.action !== "SCENARIO" ? { ...pred, symbol: resolveSymbol(pred.symbol) || pred.symbol } : pred;
+    ledger.predictions[i] = resolvePrediction(target, beforePositions, afterPositions, resolveDate);
   }
 
   // 3. Recompute accuracy metrics
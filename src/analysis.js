@@ -13,27 +13,77 @@ function round(value, digits = 4) {
   return Math.round(value * p) / p;
 }
 
+/**
+ * Adjustment totals and a per-kind breakdown. Realised P&L is the P&L delta
+ * of the `realized` kinds (loss carry, realised gains, dividends, fees, taxes).
+ */
 function summarizeAdjustments(adjustments) {
   const list = Array.isArray(adjustments) ? adjustments : [];
   const spentDelta = list.reduce((sum, item) => sum + nvl(item.spentDelta), 0);
   const marketValueDelta = list.reduce((sum, item) => sum + nvl(item.marketValueDelta), 0);
   const pnlDelta = list.reduce((sum, item) => sum + nvl(item.pnlDelta), 0);
+  // Entries from before adjustment kinds carried `realized` were all loss carry
+  const isRealized = (item) => item.realized ?? item.kind === "loss_carry";
+  const realizedPnl = list.filter(isRealized).reduce((sum, item) => sum + nvl(item.pnlDelta), 0);
   const byKindMap = new Map();
   for (const item of list) {
     const key = String(item.kind ?? "other");
-    byKindMap.set(key, (byKindMap.get(key) ?? 0) + nvl(item.amount));
+    const entry = byKindMap.get(key) ?? {
+      kind: key,
+      count: 0,
+      amount: 0,
+      spentDelta: 0,
+      marketValueDelta: 0,
+      pnlDelta: 0,
+      realized: isRealized(item)
+    };
+    entry.count += 1;
+    entry.amount += nvl(item.amount);
+    entry.spentDelta += nvl(item.spentDelta);
+    entry.marketValueDelta += nvl(item.marketValueDelta);
+    entry.pnlDelta += nvl(item.pnlDelta);
+    byKindMap.set(key, entry);
   }
-  const byKind = [...byKindMap.entries()].map(([kind, amount]) => ({ kind, amount: round(amount) }));
+  const byKind = [...byKindMap.values()].map((item) => ({
+    ...item,
+    amount: round(item.amount),
+    spentDelta: round(item.spentDelta),
+    marketValueDelta: round(item.marketValueDelta),
+    pnlDelta: round(item.pnlDelta)
+  }));
   return {
     count: list.length,
     spentDelta: round(spentDelta),
     marketValueDelta: round(marketValueDelta),
     pnlDelta: round(pnlDelta),
+    realizedPnl: round(realizedPnl),
     byKind,
     entries: list
   };
 }
 
+/**
+ * Cash block of a snapshot: the counted cash rows (see parser.js), by kind.
+ * `included` says whether the balance is part of total market value.
+ */
+function summarizeCash(cash, included) {
+  const list = Array.isArray(cash) ? cash : [];
+  const counted = list.filter((item) => item.counted !== false);
+  const balance = counted.reduce((sum, item) => sum + nvl(item.amount), 0);
+  const byKindMap = new Map();
+  for (const item of list) {
+    const key = String(item.kind ?? "cash");
+    byKindMap.set(key, (byKindMap.get(key) ?? 0) + nvl(item.amount));
+  }
+  return {
+    count: list.length,
+    balance: round(balance),
+    included,
+    byKind: [...byKindMap.entries()].map(([kind, amount]) => ({ kind, amount: round(amount) })),
+    entries: list
+  };
+}
+
 function normalizeSymbol(symbol) {
   return String(symbol ?? "").trim().toUpperCase();
 }
@@ -44,10 +94,15 @@ function isActivePosition(position) {
   return Math.abs(qty) > 0 || market > 0;
 }
 
-export function aggregatePositions(positions) {
+/**
+ * Sum positions per symbol. `resolveSymbol` (createSymbolResolver) maps
+ * aliases onto one canonical symbol; the sheet spellings merged into each
+ * row are kept as `rawSymbols`.
+ */
+export function aggregatePositions(positions, resolveSymbol = null) {
   const map = new Map();
   for (const pos of positions) {
-    const key = normalizeSymbol(pos.symbol);
+    const key = resolveSymbol ? resolveSymbol(pos.symbol) : normalizeSymbol(pos.symbol);
     if (!key) continue;
     const existing = map.get(key) ?? {
       symbol: key,
@@ -57,7 +112,8 @@ export function aggregatePositions(positions) {
       pnl: 0,
       pnlPctSum: 0,
       pnlPctCount: 0,
-      sourceCount: 0
+      sourceCount: 0,
+      rawSymbols: new Set()
     };
     existing.quantity += nvl(pos.quantity);
     existing.spent += nvl(pos.spent);
@@ -68,6 +124,7 @@ export function aggregatePositions(positions) {
       existing.pnlPctCount += 1;
     }
     existing.sourceCount += 1;
+    for (const raw of pos.rawSymbols ?? [pos.rawSymbol ?? pos.symbol]) existing.rawSymbols.add(String(raw).trim());
     map.set(key, existing);
   }
 
@@ -87,21 +144,26 @@ export function aggregatePositions(positions) {
       marketValue: round(item.marketValue),
       pnl: round(item.pnl),
       pnlPct: round(pnlPct),
-      sourceCount: item.sourceCount
+      sourceCount: item.sourceCount,
+      rawSymbols: [...item.rawSymbols].sort()
     };
   });
 }
 
-function makeSnapshot(positions, adjustments = []) {
+function makeSnapshot(positions, adjustments = [], cash = [], includeCash = true) {
   const adjustmentsSummary = summarizeAdjustments(adjustments);
+  const cashSummary = summarizeCash(cash, includeCash);
   const baseSpent = positions.reduce((sum, p) => sum + nvl(p.spent), 0);
   const baseMarketValue = positions.reduce((sum, p) => sum + nvl(p.marketValue), 0);
   const basePnl = positions.reduce((sum, p) => sum + nvl(p.pnl), 0);
 
+  // Cash is value but neither cost nor P&L, so it only moves market value and weights
   const totalSpent = baseSpent + nvl(adjustmentsSummary.spentDelta);
-  const totalMarketValue = baseMarketValue + nvl(adjustmentsSummary.marketValueDelta);
+  const investedMarketValue = baseMarketValue + nvl(adjustmentsSummary.marketValueDelta);
+  const totalMarketValue = investedMarketValue + (includeCash ? nvl(cashSummary.balance) : 0);
   const totalPnl = basePnl + nvl(adjustmentsSummary.pnlDelta);
   const totalPnlPct = pct(totalPnl, totalSpent);
+  cashSummary.weight = round(pct(cashSummary.balance, investedMarketValue + nvl(cashSummary.balance)));
 
   const weighted = positions
     .map((p) => ({
@@ -114,11 +176,15 @@ function makeSnapshot(positions, adjustments = []) {
     baseSpent: round(baseSpent),
     baseMarketValue: round(baseMarketValue),
     basePnl: round(basePnl),
+    unrealizedPnl: round(basePnl),
+    realizedPnl: adjustmentsSummary.realizedPnl,
     totalSpent: round(totalSpent),
+    investedMarketValue: round(investedMarketValue),
     totalMarketValue: round(totalMarketValue),
     totalPnl: round(totalPnl),
     totalPnlPct: round(totalPnlPct),
     adjustments: adjustmentsSummary,
+    cash: cashSummary,
     topPositions: weighted.slice(0, 5).map((p) => ({
       symbol: p.symbol,
       marketValue: p.marketValue,
@@ -157,20 +223,48 @@ function makeRisk(positions, snapshot, weirdValues, risk) {
       pnl: position.pnl
     }));
 
+  const bigWinners = withWeight
+    .filter((position) => Number.isFinite(position.pnlPct) && position.pnlPct >= risk.takeProfitWarnPct)
+    .sort((a, b) => nvl(b.pnlPct) - nvl(a.pnlPct))
+    .map((position) => ({
+      symbol: position.symbol,
+      pnlPct: position.pnlPct,
+      pnl: position.pnl,
+      marketWeight: round(position.marketWeight),
+      marketValue: position.marketValue
+    }));
+
+  const underweight = rankedByWeight
+    .filter((position) => Number.isFinite(position.marketWeight) && position.marketWeight < risk.minPositionWeight)
+    .reverse()
+    .map((position) => ({
+      symbol: position.symbol,
+      marketWeight: round(position.marketWeight),
+      marketValue: position.marketValue,
+      pnl: position.pnl,
+      pnlPct: position.pnlPct
+    }));
+
   return {
     overweightPositions: overweight,
     top3Concentration: round(top3Concentration),
     top3ConcentrationBreached: top3Concentration > risk.top3ConcentrationWarn,
     bigLosers,
+    bigWinners,
+    underweightPositions: underweight,
     weirdValues: Array.isArray(weirdValues) ? weirdValues : []
   };
 }
 
-export function analyzePortfolio({ label, positions, weirdValues, risk, adjustments = [] }) {
+/**
+ * `cash` holds the parsed cash rows; `includeCash: false` keeps the balance
+ * out of total market value, weights and concentration.
+ */
+export function analyzePortfolio({ label, positions, weirdValues, risk, adjustments = [], cash = [], includeCash = true }) {
   const activePositions = positions.filter(isActivePosition);
   const inactivePositions = positions.filter((item) => !isActivePosition(item));
 
-  const snapshot = makeSnapshot(activePositions, adjustments);
+  const snapshot = makeSnapshot(activePositions, adjustments, cash, includeCash);
   const riskView = makeRisk(activePositions, snapshot, weirdValues, risk);
 
   return {
@@ -0,0 +1,329 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseCsv } from "./csv.js";
+import { parseDate } from "./parser.js";
+import { computeDailyReturns } from "./performance.js";
+
+/**
+ * Benchmark Comparison
+ *
+ * Compares each market view (and each wallet in that market) against the
+ * benchmark series configured for the market in `benchmarks` (e.g. US Equities
+ * -> S&P 500, EGX Equities -> EGX30). Series are local CSV/JSON files of dated
+ * index levels. Over `benchmarks.lookbackDays` (default: all stored reports) it
+ * reports:
+ *
+ *   - portfolio vs benchmark return and the excess return
+ *   - annualized tracking error
+ *   - beta against the benchmark
+ *   - up/down capture ratios
+ *
+ * Tracking error, beta and capture are noise on a handful of returns, so they
+ * stay null until `minObservations` aligned returns are available.
+ *
+ * Portfolio returns are the contribution-aware daily returns from
+ * performance.js; the benchmark return of a step uses the latest level on or
+ * before each report date.
+ */
+
+const TRADING_DAYS = 252;
+export const DEFAULT_MIN_OBSERVATIONS = 20;
+const VALUE_HEADERS = ["close", "adj close", "adjusted close", "value", "price", "level", "index"];
+
+function round4(v) {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  return Math.round(v * 10000) / 10000;
+}
+
+function toNumber(raw) {
+  if (typeof raw === "number") return raw;
+  const value = Number.parseFloat(String(raw ?? "").replace(/,/g, "").trim());
+  return Number.isFinite(value) ? value : null;
+}
+
+async function listReportDates(reportsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(reportsDir);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map((f) => f.replace(".json", ""))
+    .sort();
+}
+
+async function loadReport(reportsDir, date) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(reportsDir, `${date}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function seriesFromRows(rows) {
+  const header = rows.findIndex((row) => row.some((cell) => String(cell).trim().toLowerCase() === "date"));
+  if (header === -1) throw new Error("CSV needs a date column");
+  const names = rows[header].map((cell) => String(cell).trim().toLowerCase());
+  const dateCol = names.indexOf("date");
+  const valueCol = VALUE_HEADERS.map((name) => names.indexOf(name)).find((index) => index !== -1);
+  if (valueCol === undefined) throw new Error(`CSV needs one of: ${VALUE_HEADERS.join(", ")}`);
+  return rows.slice(header + 1).map((row) => ({ date: parseDate(row[dateCol]), value: toNumber(row[valueCol]) }));
+}
+
+function seriesFromJson(data) {
+  const raw = data?.series ?? data;
+  if (Array.isArray(raw)) {
+    return raw.map((item) => ({ date: parseDate(item?.date), value: toNumber(item?.value ?? item?.close ?? item?.price) }));
+  }
+  if (raw && typeof raw === "object") {
+    return Object.entries(raw).map(([date, value]) => ({ date: parseDate(date), value: toNumber(value) }));
+  }
+  throw new Error("JSON must be an array of { date, value }, an object of date -> value, or { series }");
+}
+
+/**
+ * Load a benchmark file into a date-sorted `[{ date, value }]` series.
+ */
+export async function loadBenchmarkSeries(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read benchmark file ${filePath}: ${error.message}`);
+  }
+  let series;
+  try {
+    series = /\.json$/i.test(filePath) ? seriesFromJson(JSON.parse(text)) : seriesFromRows(parseCsv(text));
+  } catch (error) {
+    throw new Error(`Invalid benchmark file ${filePath}: ${error.message}`);
+  }
+  return series
+    .filter((item) => item.date && Number.isFinite(item.value) && item.value > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function levelOn(series, date) {
+  let found = null;
+  for (const item of series) {
+    if (item.date > date) break;
+    found = item;
+  }
+  return found;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function capture(pairs, predicate) {
+  const matched = pairs.filter((item) => predicate(item.benchmark));
+  if (!matched.length) return null;
+  const benchmarkMean = mean(matched.map((item) => item.benchmark));
+  return benchmarkMean ? mean(matched.map((item) => item.portfolio)) / benchmarkMean : null;
+}
+
+/**
+ * Relative metrics for aligned daily returns (`[{ date, portfolio, benchmark }]`).
+ * Below `minObservations` pairs only the returns are reported.
+ */
+export function compareReturns(pairs, minObservations = DEFAULT_MIN_OBSERVATIONS) {
+  if (!pairs.length) return { available: false, reason: "no overlapping returns", observations: 0 };
+  const n = pairs.length;
+  const chain = (key) => pairs.reduce((acc, item) => acc * (1 + item[key]), 1) - 1;
+  const portfolioReturn = chain("portfolio");
+  const benchmarkReturn = chain("benchmark");
+
+  const active = pairs.map((item) => item.portfolio - item.benchmark);
+  const activeMean = mean(active);
+  const trackingError = n > 1 ? Math.sqrt(active.reduce((sum, v) => sum + (v - activeMean) ** 2, 0) / (n - 1)) : null;
+
+  const pMean = mean(pairs.map((item) => item.portfolio));
+  const bMean = mean(pairs.map((item) => item.benchmark));
+  const covariance = pairs.reduce((sum, item) => sum + (item.portfolio - pMean) * (item.benchmark - bMean), 0);
+  const variance = pairs.reduce((sum, item) => sum + (item.benchmark - bMean) ** 2, 0);
+
+  const enough = n >= minObservations;
+  return {
+    available: true,
+    observations: n,
+    statisticsAvailable: enough,
+    portfolioReturn: round4(portfolioReturn),
+    benchmarkReturn: round4(benchmarkReturn),
+    excessReturn: round4(portfolioReturn - benchmarkReturn),
+    trackingError: enough && trackingError !== null ? round4(trackingError * Math.sqrt(TRADING_DAYS)) : null,
+    beta: enough && variance > 0 ? round4(covariance / variance) : null,
+    upCapture: enough ? round4(capture(pairs, (b) => b > 0)) : null,
+    downCapture: enough ? round4(capture(pairs, (b) => b < 0)) : null
+  };
+}
+
+function compareSeries(points, benchmarkSeries, minObservations) {
+  const returns = computeDailyReturns(points);
+  const pairs = [];
+  for (const [i, item] of returns.entries()) {
+    const prevLevel = levelOn(benchmarkSeries, points[i].date);
+    const currLevel = levelOn(benchmarkSeries, item.date);
+    if (!prevLevel || !currLevel || !Number.isFinite(item.return)) continue;
+    pairs.push({ date: item.date, portfolio: item.return, benchmark: currLevel.value / prevLevel.value - 1 });
+  }
+
+  let portfolioIndex = 1;
+  let benchmarkIndex = 1;
+  const dates = [points[0].date];
+  const portfolioIndexHistory = [1];
+  const benchmarkIndexHistory = [1];
+  for (const pair of pairs) {
+    portfolioIndex *= 1 + pair.portfolio;
+    benchmarkIndex *= 1 + pair.benchmark;
+    dates.push(pair.date);
+    portfolioIndexHistory.push(round4(portfolioIndex));
+    benchmarkIndexHistory.push(round4(benchmarkIndex));
+  }
+
+  return { ...compareReturns(pairs, minObservations), dates, portfolioIndexHistory, benchmarkIndexHistory };
+}
+
+function pointFromAnalysis(date, analysis) {
+  const snap = analysis?.snapshot;
+  if (!snap) return null;
+  const marketValue = snap.baseMarketValue ?? snap.totalMarketValue;
+  const spent = snap.baseSpent ?? snap.totalSpent;
+  if (!Number.isFinite(marketValue) || !Number.isFinite(spent)) return null;
+  return { date, marketValue, spent, positions: analysis.positions };
+}
+
+function pushPoint(map, key, meta, point) {
+  if (!point) return;
+  if (!map.has(key)) map.set(key, { meta, series: [] });
+  map.get(key).series.push(point);
+}
+
+/**
+ * @param benchmarks market -> `{ name, file }`
+ * @param options    `{ lookbackDays, minObservations }`; a null lookback uses
+ *                   every stored report up to `currentDate`
+ */
+export async function buildBenchmarkComparison(reportsDir, currentDate, benchmarks, options = {}) {
+  const lookbackDays = options.lookbackDays ?? null;
+  const minObservations = options.minObservations ?? DEFAULT_MIN_OBSERVATIONS;
+  const configured = Object.entries(benchmarks ?? {});
+  if (!configured.length) return { available: false, reason: "no benchmarks configured" };
+
+  const loaded = new Map();
+  const errors = [];
+  for (const [market, benchmark] of configured) {
+    try {
+      loaded.set(market, { ...benchmark, series: await loadBenchmarkSeries(benchmark.file) });
+    } catch (error) {
+      errors.push({ market, file: benchmark.file, message: error.message });
+    }
+  }
+
+  const stored = (await listReportDates(reportsDir)).filter((d) => d <= currentDate);
+  const dates = lookbackDays ? stored.slice(-lookbackDays) : stored;
+  const marketSeries = new Map();
+  const walletSeries = new Map();
+  for (const date of dates) {
+    const report = await loadReport(reportsDir, date);
+    if (!report) continue;
+    for (const item of report.markets ?? []) {
+      if (!loaded.has(item.market)) continue;
+      pushPoint(marketSeries, `${item.market}::${item.currency}`, { market: item.market, currency: item.currency }, pointFromAnalysis(date, item.analysis));
+    }
+    for (const ws of report.worksheets ?? []) {
+      if (!ws.walletId || !loaded.has(ws.market)) continue;
+      pushPoint(
+        walletSeries,
+        ws.walletId,
+        { walletId: ws.walletId, walletName: ws.walletName, market: ws.market, currency: ws.currency },
+        pointFromAnalysis(date, ws.analysis)
+      );
+    }
+  }
+
+  const describe = (market) => {
+    const benchmark = loaded.get(market);
+    return { name: benchmark.name, file: benchmark.file, lastDate: benchmark.series[benchmark.series.length - 1]?.date ?? null };
+  };
+  const compare = ({ meta, series }) => ({
+    ...meta,
+    benchmark: describe(meta.market),
+    ...(series.length >= 2
+      ? compareSeries(series, loaded.get(meta.market).series, minObservations)
+      : { available: false, reason: "fewer than 2 data points", observations: 0 })
+  });
+
+  return {
+    available: loaded.size > 0,
+    lookbackDays,
+    minObservations,
+    datesUsed: dates,
+    markets: [...marketSeries.values()].map(compare),
+    wallets: [...walletSeries.values()].map(compare),
+    errors
+  };
+}
+
+/**
+ * Add relative index histories to the market and wallet trend blocks.
+ */
+export function attachBenchmarksToTrends(trends, comparison) {
+  if (!trends?.available || !comparison?.available) return trends;
+  const block = (item) =>
+    item?.available
+      ? {
+          name: item.benchmark.name,
+          dates: item.dates,
+          portfolioIndexHistory: item.portfolioIndexHistory,
+          benchmarkIndexHistory: item.benchmarkIndexHistory,
+          excessReturn: item.excessReturn
+        }
+      : null;
+  for (const market of trends.markets ?? []) {
+    const match = comparison.markets.find((item) => item.market === market.market && item.currency === market.currency);
+    if (match) market.benchmark = block(match);
+  }
+  for (const wallet of trends.wallets ?? []) {
+    const match = comparison.wallets.find((item) => item.walletId === wallet.walletId);
+    if (match) wallet.benchmark = block(match);
+  }
+  return trends;
+}
+
+export function benchmarksToMarkdown(comparison) {
+  if (!comparison?.available && !comparison?.errors?.length) return "";
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmtNum = (v) => (Number.isFinite(v) ? v.toFixed(2) : "n/a");
+  const sign = (v) => (v > 0 ? "+" : "");
+
+  const row = (label, item) =>
+    item.available
+      ? `| ${label} | ${item.benchmark.name} | ${item.observations} | ${fmtPct(item.portfolioReturn)} | ${fmtPct(item.benchmarkReturn)} | ${sign(
+          item.excessReturn
+        )}${fmtPct(item.excessReturn)} | ${fmtPct(item.trackingError)} | ${fmtNum(item.beta)} | ${fmtNum(item.upCapture)} | ${fmtNum(item.downCapture)} |`
+      : `| ${label} | ${item.benchmark.name} | 0 | n/a | n/a | n/a | n/a | n/a | n/a | n/a |`;
+
+  const lines = [];
+  lines.push("## Benchmark Comparison");
+  lines.push("");
+  if (comparison.datesUsed?.length) {
+    lines.push(
+      `> Lookback: ${comparison.datesUsed[0]} -> ${comparison.datesUsed[comparison.datesUsed.length - 1]}. Tracking error is annualized; tracking error, beta and capture need ${comparison.minObservations} returns.`
+    );
+    lines.push("");
+  }
+  if (comparison.markets?.length || comparison.wallets?.length) {
+    lines.push("| Scope | Benchmark | Obs | Return | Benchmark | Excess | Tracking Error | Beta | Up Capture | Down Capture |");
+    lines.push("|---|---|---|---|---|---|---|---|---|---|");
+    for (const item of comparison.markets) lines.push(row(`${item.market} (${item.currency})`, item));
+    for (const item of comparison.wallets) lines.push(row(item.walletName, item));
+    lines.push("");
+  }
+  for (const error of comparison.errors ?? []) {
+    lines.push(`- ${error.market}: ${error.message}`);
+  }
+  if (comparison.errors?.length) lines.push("");
+  return lines.join("\n") + "\n";
+}
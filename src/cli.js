@@ -2,17 +2,35 @@
 import path from "node:path";
 import { loadConfig } from "./config.js";
 import { createSheetsApi, fetchSpreadsheetDocument } from "./googleSheets.js";
-import { parseWorksheet } from "./parser.js";
+import { fetchLocalDocument } from "./localFiles.js";
+import { DEFAULT_ADJUSTMENT_KINDS, buildFieldAliases, parsePriceTable, parseWorksheet } from "./parser.js";
+import { buildRebalanceReport, rebalanceToMarkdown } from "./rebalance.js";
+import { buildWatchlistReport, isWatchlistWorksheet, loadPriceFile } from "./watchlist.js";
+import { listRawSnapshotDates, loadRawSnapshot, rawSnapshotDir, writeRawSnapshot } from "./rawSnapshots.js";
 import { aggregatePositions, analyzePortfolio } from "./analysis.js";
 import { printConsoleSummary, writeReports } from "./reporting.js";
-import { buildWalletMetadata, classifyMarket } from "./wallets.js";
+import { compileWalletPattern, resolveWallet } from "./wallets.js";
+import { filterLoadedWorksheets, rangeOrigin } from "./worksheetSelection.js";
+import { buildDataQualityReport } from "./dataQuality.js";
 import { computeHealthScore, healthScoreToMarkdown } from "./healthScore.js";
 import { buildHistoricalTrends } from "./history.js";
 import { buildDiffReport, diffToMarkdown } from "./diff.js";
+import { updateTradeJournal } from "./trades.js";
+import { buildLotReport, lotRowsFor, lotsToMarkdown } from "./lots.js";
+import { createSymbolResolver } from "./symbols.js";
+import { loadHypotheticalTrades, simulateTrades, writeSimulation } from "./simulate.js";
+import { buildExposureReport, exposureToMarkdown, loadSecurityMaster } from "./exposure.js";
+import { buildOverlapReport, loadFundHoldings, overlapToMarkdown } from "./overlap.js";
+import { buildStressReport, stressToMarkdown } from "./stress.js";
+import { buildIncomeReport, isIncomeWorksheet, loadIncomeFile, parseIncomeLedger } from "./income.js";
+import { buildRiskHistory, riskHistoryToMarkdown } from "./riskHistory.js";
+import { attachBenchmarksToTrends, benchmarksToMarkdown, buildBenchmarkComparison } from "./benchmarks.js";
+import { attachPerformanceToTrends, buildPerformanceReport, performanceToMarkdown } from "./performance.js";
 import { renderSparklineTable, renderPortfolioSparkline, sparklineToMarkdown } from "./sparklines.js";
 import { writeHtmlReport } from "./htmlReport.js";
 import { updateLearningLedger, generateLearningContext, learningStatusSummary } from "./aiLearning.js";
 import { writeScorecard } from "./aiScorecard.js";
+import { convertAdjustments, convertCash, convertPositions, loadFxTable, rateFor, resolveFxRates } from "./fx.js";
 
 function parseArgs(argv) {
   const out = {
@@ -22,10 +40,19 @@ function parseArgs(argv) {
     noHtml: false,
     diff: null,
     lookback: 7,
-    scoreAi: false
+    scoreAi: false,
+    replay: null,
+    rawCache: true,
+    command: "daily",
+    trades: null
   };
 
-  for (let i = 2; i < argv.length; i += 1) {
+  let start = 2;
+  if (argv[2] === "simulate") {
+    out.command = "simulate";
+    start = 3;
+  }
+  for (let i = start; i < argv.length; i += 1) {
     const token = argv[i];
     if (token === "--config" && argv[i + 1]) {
       out.config = argv[i + 1];
@@ -46,10 +73,19 @@ function parseArgs(argv) {
       i += 1;
     } else if (token === "--score-ai") {
       out.scoreAi = true;
+    } else if (token === "--replay" && argv[i + 1]) {
+      out.replay = argv[i + 1];
+      i += 1;
+    } else if (token === "--no-raw-cache") {
+      out.rawCache = false;
+    } else if (token === "--trades" && argv[i + 1]) {
+      out.trades = argv[i + 1];
+      i += 1;
     } else if (token === "--help" || token === "-h") {
       console.log(
         [
           "Usage: npm run daily -- [options]",
+          "       npm run simulate -- --trades <path> [--date <YYYY-MM-DD>] [options]",
           "",
           "Options:",
           "  --config <path>       Config file (default: inputs.json)",
@@ -59,6 +95,9 @@ function parseArgs(argv) {
           "  --diff <YYYY-MM-DD>   Compare against a specific date",
           "  --lookback <days>     Historical trend lookback (default: 7)",
           "  --score-ai            Score AI predictions and update learning ledger",
+          "  --replay <YYYY-MM-DD> Rebuild that date's reports from reports/raw (no network)",
+          "  --no-raw-cache        Do not save raw worksheet snapshots",
+          "  --trades <path>       simulate: hypothetical trades (JSON or CSV) applied to that date's report",
           "  --help, -h            Show this help"
         ].join("\n")
       );
@@ -76,31 +115,172 @@ function sanitizeErrorMessage(message) {
   return String(message ?? "").replace(/([?&]key=)[^&\s]+/gi, "$1***");
 }
 
+/**
+ * `.catch` handler for an optional report section: log the error and leave the
+ * section out.
+ */
+function reportSectionError(label) {
+  return (error) => {
+    console.error(`${label}: ${error.message}`);
+    return null;
+  };
+}
+
+/**
+ * The document `columns` map with any per-tab override from `worksheets.columns` on top.
+ */
+function worksheetColumns(doc, worksheetTitle) {
+  const override = doc.worksheets?.columns?.[worksheetTitle] ?? null;
+  if (!doc.columns && !override) return null;
+  return {
+    headerRow: override?.headerRow ?? doc.columns?.headerRow ?? null,
+    fields: { ...(doc.columns?.fields ?? {}), ...(override?.fields ?? {}) }
+  };
+}
+
+/**
+ * `simulate`: apply hypothetical trades to a stored daily report and write the
+ * before/after comparison next to it. No sheets are fetched.
+ */
+async function runSimulation(args) {
+  if (!args.trades) throw new Error("simulate needs --trades <path> (JSON or CSV).");
+  const reportDate = args.date ?? todayString();
+  const outputDir = path.resolve(args.outputDir);
+  const config = await loadConfig(args.config);
+  const fs = await import("node:fs/promises");
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(path.join(outputDir, `${reportDate}.json`), "utf8"));
+  } catch {
+    throw new Error(`No daily report for ${reportDate} in ${outputDir}. Run the daily report first.`);
+  }
+  const trades = await loadHypotheticalTrades(args.trades);
+  const simulation = simulateTrades(report, trades, {
+    risk: config.risk,
+    targets: config.targets,
+    resolveSymbol: createSymbolResolver(config.symbols)
+  });
+  const { jsonPath, markdownPath } = await writeSimulation(simulation, outputDir);
+  const { before, after } = simulation.health;
+  console.log(`Simulated ${simulation.trades.length} trade(s) on ${reportDate}`);
+  console.log(`Health score: ${before.score} -> ${after.score}`);
+  console.log(
+    `Breaches: ${simulation.breaches.before} -> ${simulation.breaches.after} (${simulation.breaches.added.length} new, ${simulation.breaches.cleared.length} cleared)`
+  );
+  console.log(`JSON: ${jsonPath}`);
+  console.log(`Markdown: ${markdownPath}`);
+}
+
 async function main() {
   const args = parseArgs(process.argv);
-  const reportDate = args.date ?? todayString();
+  if (args.command === "simulate") {
+    await runSimulation(args);
+    return;
+  }
+  if (args.replay && !/^\d{4}-\d{2}-\d{2}$/.test(args.replay)) {
+    throw new Error(`--replay expects a YYYY-MM-DD date. Received: ${args.replay}`);
+  }
+  const reportDate = args.replay ?? args.date ?? todayString();
+  const outputDir = path.resolve(args.outputDir);
+
+  if (args.replay && !(await listRawSnapshotDates(outputDir)).includes(args.replay)) {
+    throw new Error(`No raw snapshots found for ${args.replay} in ${rawSnapshotDir(outputDir, args.replay)}`);
+  }
 
   const config = await loadConfig(args.config);
-  const authMode = config.googleApiKey ? "api_key" : "oauth_or_adc";
-  const sheetsApi = await createSheetsApi({ apiKey: config.googleApiKey });
+  const usesGoogleSheets = !args.replay && config.documents.some((doc) => !doc.source);
+  let authMode = "local_files";
+  if (args.replay) authMode = "replay";
+  else if (usesGoogleSheets) authMode = config.googleApiKey ? "api_key" : "oauth_or_adc";
+  const sheetsApi = usesGoogleSheets ? await createSheetsApi({ apiKey: config.googleApiKey }) : null;
 
   const worksheetReports = [];
   const positionsByCurrency = new Map();
   const weirdByCurrency = new Map();
   const adjustmentsByCurrency = new Map();
+  const cashByCurrency = new Map();
   const positionsByMarketCurrency = new Map();
   const weirdByMarketCurrency = new Map();
   const adjustmentsByMarketCurrency = new Map();
+  const cashByMarketCurrency = new Map();
+  const cashLabels = config.cash.labels.map((item) => ({ pattern: compileWalletPattern(item.match), kind: item.kind }));
+  const includeCash = config.cash.includeInMarketValue;
+  const adjustmentKinds = [
+    ...config.adjustments.kinds.map(({ labels, ...item }) => ({ ...item, patterns: labels.map(compileWalletPattern) })),
+    ...(config.adjustments.useDefaults ? DEFAULT_ADJUSTMENT_KINDS : [])
+  ];
+  const resolveSymbol = createSymbolResolver(config.symbols);
   const failures = [];
+  const watchlistQuotes = new Map();
+  const incomeEntries = [];
+  const walletClassification = [];
+  const skippedWorksheets = [];
+  const diagnostics = [];
 
   for (const doc of config.documents) {
     try {
-      const documentData = await fetchSpreadsheetDocument(sheetsApi, doc);
+      let documentData;
+      if (args.replay) {
+        documentData = await loadRawSnapshot(outputDir, reportDate, doc);
+        // Snapshots already hold the configured ranges; only re-apply include/exclude
+        const filtered = filterLoadedWorksheets(documentData.worksheets, doc.worksheets, { applyRanges: false });
+        documentData = { ...documentData, worksheets: filtered.worksheets, skippedWorksheets: filtered.skipped };
+      } else {
+        documentData = doc.source
+          ? await fetchLocalDocument(doc)
+          : await fetchSpreadsheetDocument(sheetsApi, doc);
+        if (args.rawCache) await writeRawSnapshot(outputDir, reportDate, doc, documentData);
+      }
+      for (const title of documentData.skippedWorksheets ?? []) {
+        skippedWorksheets.push({ documentName: doc.name, worksheetTitle: title });
+      }
+      const fieldAliases = buildFieldAliases(config.columnAliases, doc.columnAliases);
       for (const worksheet of documentData.worksheets) {
-        const parsed = parseWorksheet(worksheet.values, doc.name, worksheet.title);
-        const currency = doc.currency || config.baseCurrency;
-        const market = classifyMarket(doc.name, worksheet.title);
-        const wallet = buildWalletMetadata(doc.name, worksheet.title, market);
+        if (isWatchlistWorksheet(config.watchlistPrices, doc.name, worksheet.title)) {
+          for (const [symbol, price] of parsePriceTable(worksheet.values, { locale: doc.locale })) {
+            watchlistQuotes.set(symbol, { price, source: `sheet:${doc.name}/${worksheet.title}` });
+          }
+          continue;
+        }
+        if (isIncomeWorksheet(config.income, doc.name, worksheet.title)) {
+          incomeEntries.push(
+            ...parseIncomeLedger(worksheet.values, { locale: doc.locale, source: `sheet:${doc.name}/${worksheet.title}` })
+          );
+          continue;
+        }
+        const resolved = resolveWallet(config.wallets, {
+          documentName: doc.name,
+          worksheetTitle: worksheet.title,
+          spreadsheetId: documentData.spreadsheetId
+        });
+        const currency = resolved.currency || doc.currency || config.baseCurrency;
+        walletClassification.push({
+          documentName: doc.name,
+          worksheetTitle: worksheet.title,
+          spreadsheetId: documentData.spreadsheetId ?? null,
+          walletId: resolved.walletId,
+          walletName: resolved.walletName,
+          market: resolved.market,
+          walletType: resolved.walletType,
+          currency,
+          excluded: resolved.excluded,
+          rule: resolved.rule,
+          defaultRule: resolved.defaultRule
+        });
+        if (resolved.excluded) continue;
+
+        const parsed = parseWorksheet(worksheet.values, doc.name, worksheet.title, {
+          columns: worksheetColumns(doc, worksheet.title),
+          aliases: fieldAliases,
+          origin: rangeOrigin(worksheet.range),
+          locale: doc.locale,
+          cashLabels,
+          adjustmentKinds,
+          resolveSymbol
+        });
+        diagnostics.push(...parsed.diagnostics);
+        const { market } = resolved;
+        const wallet = { walletId: resolved.walletId, walletName: resolved.walletName, walletType: resolved.walletType };
         positionsByCurrency.set(currency, [
           ...(positionsByCurrency.get(currency) ?? []),
           ...parsed.positions
@@ -110,6 +290,7 @@ async function main() {
           ...(adjustmentsByCurrency.get(currency) ?? []),
           ...(parsed.adjustments ?? [])
         ]);
+        cashByCurrency.set(currency, [...(cashByCurrency.get(currency) ?? []), ...parsed.cash]);
         const marketCurrencyKey = `${market}::${currency}`;
         positionsByMarketCurrency.set(marketCurrencyKey, [
           ...(positionsByMarketCurrency.get(marketCurrencyKey) ?? []),
@@ -123,24 +304,33 @@ async function main() {
           ...(adjustmentsByMarketCurrency.get(marketCurrencyKey) ?? []),
           ...(parsed.adjustments ?? [])
         ]);
+        cashByMarketCurrency.set(marketCurrencyKey, [
+          ...(cashByMarketCurrency.get(marketCurrencyKey) ?? []),
+          ...parsed.cash
+        ]);
 
-        const aggregated = aggregatePositions(parsed.positions);
+        const aggregated = aggregatePositions(parsed.positions, resolveSymbol);
         const analysis = analyzePortfolio({
           label: wallet.walletName,
           positions: aggregated,
           weirdValues: parsed.weirdValues,
           risk: config.risk,
-          adjustments: parsed.adjustments ?? []
+          adjustments: parsed.adjustments ?? [],
+          cash: parsed.cash,
+          includeCash
         });
         worksheetReports.push({
           ...wallet,
           documentName: doc.name,
           documentTitle: documentData.documentTitle,
+          sourceType: doc.source?.type ?? "google_sheets",
           worksheetTitle: worksheet.title,
           market,
           currency,
+          classificationRule: resolved.rule,
           headerRows: parsed.headerRows,
-          analysis
+          analysis,
+          lotRows: lotRowsFor(parsed.positions, resolveSymbol)
         });
       }
     } catch (error) {
@@ -149,7 +339,7 @@ async function main() {
   }
 
   const combinedByCurrency = [...positionsByCurrency.entries()].map(([currency, rawPositions]) => {
-    const aggregated = aggregatePositions(rawPositions);
+    const aggregated = aggregatePositions(rawPositions, resolveSymbol);
     return {
       currency,
         analysis: analyzePortfolio({
@@ -157,14 +347,55 @@ async function main() {
           positions: aggregated,
           weirdValues: weirdByCurrency.get(currency) ?? [],
           risk: config.risk,
-          adjustments: adjustmentsByCurrency.get(currency) ?? []
+          adjustments: adjustmentsByCurrency.get(currency) ?? [],
+          cash: cashByCurrency.get(currency) ?? [],
+          includeCash
         })
       };
   });
   const singleCurrency = combinedByCurrency.length === 1 ? combinedByCurrency[0] : null;
+
+  // Convert every currency bucket into the base currency for a cross-currency combined view
+  // Rates only matter with several currency buckets; a missing rates file is a failure, not an abort
+  let fxTable = { baseCurrency: config.baseCurrency, rates: {}, history: {} };
+  if (combinedByCurrency.length > 1) {
+    try {
+      fxTable = await loadFxTable(config.fx, config.baseCurrency);
+    } catch (error) {
+      failures.push(`fx rates: ${sanitizeErrorMessage(error.message)}`);
+    }
+  }
+  const fx = resolveFxRates(fxTable, reportDate, [...positionsByCurrency.keys()]);
+  let combined = singleCurrency ? singleCurrency.analysis : null;
+  let combinedCurrency = singleCurrency ? singleCurrency.currency : null;
+  fx.applied = false;
+  if (!singleCurrency && combinedByCurrency.length > 1 && fx.complete) {
+    const convertedPositions = [];
+    const convertedAdjustments = [];
+    const convertedCash = [];
+    const allWeird = [];
+    for (const [bucketCurrency, rawPositions] of positionsByCurrency.entries()) {
+      const rate = rateFor(fx, bucketCurrency);
+      convertedPositions.push(...convertPositions(rawPositions, rate));
+      convertedAdjustments.push(...convertAdjustments(adjustmentsByCurrency.get(bucketCurrency), rate));
+      convertedCash.push(...convertCash(cashByCurrency.get(bucketCurrency), rate));
+      allWeird.push(...(weirdByCurrency.get(bucketCurrency) ?? []));
+    }
+    combined = analyzePortfolio({
+      label: `Combined (${config.baseCurrency})`,
+      positions: aggregatePositions(convertedPositions, resolveSymbol),
+      weirdValues: allWeird,
+      risk: config.risk,
+      adjustments: convertedAdjustments,
+      cash: convertedCash,
+      includeCash
+    });
+    combinedCurrency = config.baseCurrency;
+    fx.applied = true;
+  }
   const markets = [...positionsByMarketCurrency.entries()].map(([key, rawPositions]) => {
     const [market, currency] = key.split("::");
-    const aggregated = aggregatePositions(rawPositions);
+    const aggregated = aggregatePositions(rawPositions, resolveSymbol);
     return {
       market,
       currency,
@@ -173,11 +404,55 @@ async function main() {
           positions: aggregated,
           weirdValues: weirdByMarketCurrency.get(key) ?? [],
           risk: config.risk,
-          adjustments: adjustmentsByMarketCurrency.get(key) ?? []
+          adjustments: adjustmentsByMarketCurrency.get(key) ?? [],
+          cash: cashByMarketCurrency.get(key) ?? [],
+          includeCash
         })
       };
   });
 
+  if (config.watchlistPrices.file) {
+    try {
+      for (const [symbol, price] of await loadPriceFile(config.watchlistPrices.file)) {
+        watchlistQuotes.set(symbol, { price, source: "file" });
+      }
+    } catch (error) {
+      failures.push(`watchlist prices: ${sanitizeErrorMessage(error.message)}`);
+    }
+  }
+  const watchlist = buildWatchlistReport(config.watchlist, worksheetReports, watchlistQuotes, config.baseCurrency, { resolveSymbol });
+
+  if (config.income.file) {
+    try {
+      incomeEntries.push(...(await loadIncomeFile(config.income.file)));
+    } catch (error) {
+      failures.push(`income ledger: ${sanitizeErrorMessage(error.message)}`);
+    }
+  }
+  const income = buildIncomeReport(
+    incomeEntries.map((entry) => ({ ...entry, symbol: resolveSymbol(entry.symbol) || entry.symbol })),
+    worksheetReports,
+    reportDate,
+    config.income
+  );
+
+  let securityMaster = null;
+  if (config.exposure.file) {
+    try {
+      securityMaster = await loadSecurityMaster(config.exposure.file);
+    } catch (error) {
+      failures.push(`security master: ${sanitizeErrorMessage(error.message)}`);
+    }
+  }
+  let fundHoldings = null;
+  if (config.overlap.file) {
+    try {
+      fundHoldings = await loadFundHoldings(config.overlap.file, { resolveSymbol, weightScale: config.overlap.weightScale });
+    } catch (error) {
+      failures.push(`fund holdings: ${sanitizeErrorMessage(error.message)}`);
+    }
+  }
+
   const dailyReport = {
     date: reportDate,
     baseCurrency: config.baseCurrency,
@@ -188,33 +463,76 @@ async function main() {
       authMode,
       risk: config.risk
     },
+    replay: Boolean(args.replay),
+    rawSnapshotDir: args.replay || args.rawCache ? rawSnapshotDir(outputDir, reportDate) : null,
     failures,
     worksheets: worksheetReports,
+    walletClassification,
+    skippedWorksheets,
+    dataQuality: buildDataQualityReport(diagnostics),
     markets,
-    combined: singleCurrency ? singleCurrency.analysis : null,
-    combinedCurrency: singleCurrency ? singleCurrency.currency : null,
+    watchlist,
+    income,
+    combined,
+    combinedCurrency,
     combinedByCurrency,
-    mixedCurrency: combinedByCurrency.length > 1
+    mixedCurrency: combinedByCurrency.length > 1,
+    fx
   };
 
-  const outputDir = path.resolve(args.outputDir);
+  // Target allocation drift (facts only, no trade prescriptions)
+  dailyReport.rebalance = buildRebalanceReport(dailyReport, config.targets, { resolveSymbol });
+
+  // Asset class / sector / industry / country weights and caps
+  dailyReport.exposure = buildExposureReport(dailyReport, securityMaster, config.exposure);
+
+  // Symbols held in several wallets, and ETF constituents when a holdings file is set
+  dailyReport.overlap = buildOverlapReport(dailyReport, fundHoldings, config.overlap);
+
+  // Named shock scenarios re-run through the wallet and combined analyses
+  dailyReport.stress = buildStressReport(dailyReport, config.stress.scenarios, {
+    master: securityMaster,
+    risk: config.risk,
+    resolveSymbol
+  });
 
   // Write core reports (markdown + JSON)
   const { markdownPath, jsonPath } = await writeReports(dailyReport, outputDir);
 
+  // Realised risk from stored reports (feeds the health score's risk dimension)
+  const riskHistory = await buildRiskHistory(outputDir, reportDate, config.risk, { resolveSymbol }).catch(reportSectionError("Risk history"));
+  if (riskHistory) dailyReport.riskHistory = riskHistory;
+
   // Compute health score
   const healthScore = computeHealthScore(dailyReport);
   dailyReport.healthScore = healthScore;
 
   // Build historical trends and diff (non-blocking — uses previously written reports)
   const currency = dailyReport.combinedCurrency || dailyReport.baseCurrency;
-  const [trends, diff] = await Promise.all([
-    buildHistoricalTrends(outputDir, reportDate, args.lookback).catch(() => null),
-    buildDiffReport(outputDir, reportDate, args.diff).catch(() => null)
+  const [trends, diff, performance, benchmarks, lots] = await Promise.all([
+    buildHistoricalTrends(outputDir, reportDate, args.lookback, { resolveSymbol }).catch(reportSectionError("Trends")),
+    buildDiffReport(outputDir, reportDate, args.diff, { resolveSymbol }).catch(reportSectionError("Diff")),
+    buildPerformanceReport(outputDir, reportDate).catch(reportSectionError("Performance")),
+    buildBenchmarkComparison(outputDir, reportDate, config.benchmarks.markets, config.benchmarks).catch(reportSectionError("Benchmarks")),
+    buildLotReport(outputDir, reportDate, { ...config.lots, resolveSymbol }).catch(reportSectionError("Tax lots"))
   ]);
 
-  if (trends) dailyReport.trends = trends;
+  if (performance) dailyReport.performance = performance;
+  if (benchmarks) dailyReport.benchmarks = benchmarks;
+  if (lots) dailyReport.lots = lots;
+  if (trends) {
+    attachPerformanceToTrends(trends, performance);
+    dailyReport.trends = attachBenchmarksToTrends(trends, benchmarks);
+  }
   if (diff) dailyReport.diff = diff;
+  if (diff?.available) {
+    try {
+      const journal = await updateTradeJournal(outputDir, diff);
+      diff.tradeJournal = journal;
+    } catch (err) {
+      console.error(`Trade journal: ${err.message}`);
+    }
+  }
 
   // Re-write JSON with enriched data
   const fs = await import("node:fs/promises");
@@ -223,7 +541,15 @@ async function main() {
   // Append enrichments to markdown
   let enrichedMd = "";
   enrichedMd += healthScoreToMarkdown(healthScore);
+  if (dailyReport.rebalance.available) enrichedMd += rebalanceToMarkdown(dailyReport.rebalance);
+  enrichedMd += exposureToMarkdown(dailyReport.exposure);
+  enrichedMd += overlapToMarkdown(dailyReport.overlap);
+  enrichedMd += stressToMarkdown(dailyReport.stress);
   if (diff?.available) enrichedMd += diffToMarkdown(diff, currency);
+  if (performance?.available) enrichedMd += performanceToMarkdown(performance);
+  if (riskHistory?.available) enrichedMd += riskHistoryToMarkdown(riskHistory);
+  enrichedMd += benchmarksToMarkdown(benchmarks);
+  enrichedMd += lotsToMarkdown(lots);
   if (trends?.available) enrichedMd += sparklineToMarkdown(trends);
   if (enrichedMd) {
     const existingMd = await fs.readFile(markdownPath, "utf8");
@@ -240,7 +566,7 @@ async function main() {
   let learningResult = null;
   if (args.scoreAi) {
     try {
-      learningResult = await updateLearningLedger(outputDir, reportDate);
+      learningResult = await updateLearningLedger(outputDir, reportDate, { resolveSymbol });
       const { ledger, ledgerPath } = learningResult;
 
       // Write scorecard
@@ -278,6 +604,18 @@ async function main() {
     console.log(renderSparklineTable(trends, currency));
   }
 
+  if (diff?.tradeJournal?.skipped) {
+    console.log(`Trade journal not updated: ${diff.tradeJournal.skipped}`);
+  } else if (diff?.tradeJournal) {
+    console.log(`Inferred trades: ${diff.tradeJournal.added} (journal: ${diff.tradeJournal.journalPath})`);
+  }
+
+  if (performance?.available && performance.combined.available) {
+    const pct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+    const c = performance.combined;
+    console.log(`Performance: TWR MTD ${pct(c.mtd)}, YTD ${pct(c.ytd)}, since ${c.startDate} ${pct(c.sinceInception)}; XIRR ${pct(c.xirr)}`);
+  }
+
   if (htmlPath) console.log(`HTML: ${htmlPath}`);
 
   // Print AI learning status
@@ -1,13 +1,28 @@
 import fs from "node:fs/promises";
+import path from "node:path";
+import { DEFAULT_MIN_OBSERVATIONS } from "./benchmarks.js";
+import { normalizeRateTable } from "./fx.js";
+import { LOT_METHODS } from "./lots.js";
+import { EXPOSURE_DIMENSIONS } from "./exposure.js";
+import { WEIGHT_SCALES } from "./overlap.js";
+import { LOCAL_SOURCE_TYPES } from "./sourceTypes.js";
+import { SHOCK_KEYS } from "./stress.js";
+import { normalizeSymbolText } from "./symbols.js";
+import { CASH_KINDS, DEFAULT_ADJUSTMENT_KINDS, PARSER_FIELDS, normalizeColumnMap } from "./parser.js";
+import { WALLET_MATCH_FIELDS, compileWalletPattern } from "./wallets.js";
 
 const DEFAULT_RISK = {
   maxPositionWeight: 0.2,
   top3ConcentrationWarn: 0.55,
   drawdownWarnPct: -0.15,
   takeProfitWarnPct: 0.25,
-  minPositionWeight: 0.02
+  minPositionWeight: 0.02,
+  riskFreeRate: 0,
+  rollingDrawdownWindow: 20
 };
 
+const DEFAULT_TARGET_TOLERANCE = 0.05;
+
 function toNumber(raw, fallback) {
   if (raw === null || raw === undefined) return fallback;
   if (typeof raw === "number" && Number.isFinite(raw)) return raw;
@@ -41,12 +56,163 @@ function ensureInRange(name, value, min, max) {
   }
 }
 
-function normalizeDocument(item, index, baseCurrency) {
+/**
+ * A file path from inputs.json, resolved against the config's directory so
+ * the same config works from any cwd; null when blank.
+ */
+function resolveConfigFile(configDir, raw) {
+  const file = String(raw ?? "").trim();
+  return file ? path.resolve(configDir, file) : null;
+}
+
+function sourceTypeFromPath(filePath) {
+  const ext = filePath.toLowerCase().match(/\.([a-z0-9]+)$/)?.[1];
+  if (ext === "csv") return "csv";
+  if (ext === "xlsx" || ext === "xlsm" || ext === "xls") return "xlsx";
+  if (ext === "ods") return "ods";
+  return null;
+}
+
+function normalizeSource(raw, index, configDir) {
+  const data = typeof raw === "string" ? { path: raw } : raw;
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`documents[${index}].source must be a file path or an object with type and path.`);
+  }
+  const paths = (Array.isArray(data.paths) ? data.paths : [data.path])
+    .map((item) => String(item ?? "").trim())
+    .filter(Boolean);
+  if (!paths.length) {
+    throw new Error(`documents[${index}].source.path is required.`);
+  }
+  const type = String(data.type ?? sourceTypeFromPath(paths[0]) ?? "").trim().toLowerCase();
+  if (!LOCAL_SOURCE_TYPES.includes(type)) {
+    throw new Error(
+      `documents[${index}].source.type must be one of ${LOCAL_SOURCE_TYPES.join(", ")}. Received: ${type || "(none)"}`
+    );
+  }
+  const delimiter = String(data.delimiter ?? ",");
+  if (delimiter.length !== 1) {
+    throw new Error(`documents[${index}].source.delimiter must be a single character.`);
+  }
+  return { type, paths: paths.map((item) => resolveConfigFile(configDir, item)), delimiter };
+}
+
+function normalizePatternList(raw, label) {
+  if (raw === undefined || raw === null) return [];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map((pattern, i) => {
+    if (typeof pattern === "number" && Number.isInteger(pattern)) return pattern;
+    const text = String(pattern ?? "").trim();
+    if (!text) throw new Error(`${label}[${i}] must be a title pattern or sheet gid.`);
+    try {
+      compileWalletPattern(text);
+    } catch (error) {
+      throw new Error(`${label}[${i}] is not a valid pattern: ${error.message}`);
+    }
+    return text;
+  });
+}
+
+/**
+ * `columnAliases`: extra header aliases per parser field, e.g.
+ * `{ "symbol": ["الرمز"], "marketValue": ["Valuation"] }`.
+ */
+function normalizeColumnAliases(raw, label) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object of field -> alias list.`);
+  }
+  const aliases = {};
+  for (const [field, list] of Object.entries(raw)) {
+    if (!PARSER_FIELDS.includes(field)) {
+      throw new Error(`${label}.${field} is not a known field (${PARSER_FIELDS.join(", ")}).`);
+    }
+    aliases[field] = (Array.isArray(list) ? list : [list])
+      .map((alias) => String(alias ?? "").trim().toLowerCase())
+      .filter(Boolean);
+  }
+  return aliases;
+}
+
+/**
+ * Per-document `worksheets`: include/exclude by title pattern or gid, an
+ * optional A1 or named range per tab title, and per-tab `columns` maps.
+ */
+function normalizeWorksheetSelection(raw, index) {
+  const label = `documents[${index}].worksheets`;
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object with include, exclude and/or ranges.`);
+  }
+  const ranges = {};
+  if (raw.ranges !== undefined && raw.ranges !== null) {
+    if (typeof raw.ranges !== "object" || Array.isArray(raw.ranges)) {
+      throw new Error(`${label}.ranges must be an object of worksheet title -> A1 or named range.`);
+    }
+    for (const [title, range] of Object.entries(raw.ranges)) {
+      const text = String(range ?? "").trim();
+      if (!text) throw new Error(`${label}.ranges.${title} must be a non-empty range.`);
+      ranges[title] = text;
+    }
+  }
+  const columns = {};
+  if (raw.columns !== undefined && raw.columns !== null) {
+    if (typeof raw.columns !== "object" || Array.isArray(raw.columns)) {
+      throw new Error(`${label}.columns must be an object of worksheet title -> column map.`);
+    }
+    for (const [title, map] of Object.entries(raw.columns)) {
+      columns[title] = normalizeColumnMap(map, `${label}.columns.${title}`);
+    }
+  }
+  return {
+    include: normalizePatternList(raw.include, `${label}.include`),
+    exclude: normalizePatternList(raw.exclude, `${label}.exclude`),
+    ranges,
+    columns
+  };
+}
+
+/**
+ * Per-document number `locale` (BCP 47, e.g. "ar-EG", "de-DE"); null keeps
+ * the decimal-separator heuristics.
+ */
+function normalizeLocale(raw, index) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const locale = String(raw).trim();
+  let supported = [];
+  try {
+    supported = Intl.NumberFormat.supportedLocalesOf(locale);
+  } catch {
+    supported = [];
+  }
+  if (!supported.length) {
+    throw new Error(`documents[${index}].locale must be a supported locale such as "ar-EG" or "de-DE". Received: ${locale}`);
+  }
+  return locale;
+}
+
+function normalizeDocument(item, index, baseCurrency, configDir) {
   const row = index + 1;
   const name = String(item.name ?? `Document ${row}`).trim() || `Document ${row}`;
   const url = String(item.url ?? "").trim();
   const currency = String(item.currency ?? baseCurrency).trim().toUpperCase();
 
+  if (item.source !== undefined && item.source !== null) {
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`documents[${index}].currency must be a 3-letter code. Received: ${currency}`);
+    }
+    return {
+      name,
+      url: null,
+      currency,
+      source: normalizeSource(item.source, index, configDir),
+      worksheets: normalizeWorksheetSelection(item.worksheets, index),
+      columns: normalizeColumnMap(item.columns, `documents[${index}].columns`),
+      columnAliases: normalizeColumnAliases(item.columnAliases, `documents[${index}].columnAliases`),
+      locale: normalizeLocale(item.locale, index)
+    };
+  }
+
   if (!url) {
     throw new Error(`documents[${index}].url is required.`);
   }
@@ -59,23 +225,525 @@ function normalizeDocument(item, index, baseCurrency) {
     throw new Error(`documents[${index}].currency must be a 3-letter code. Received: ${currency}`);
   }
 
-  return { name, url, currency };
+  return {
+    name,
+    url,
+    currency,
+    source: null,
+    worksheets: normalizeWorksheetSelection(item.worksheets, index),
+    columns: normalizeColumnMap(item.columns, `documents[${index}].columns`),
+    columnAliases: normalizeColumnAliases(item.columnAliases, `documents[${index}].columnAliases`),
+    locale: normalizeLocale(item.locale, index)
+  };
+}
+
+function normalizeFx(raw, configDir) {
+  if (raw === undefined || raw === null) return { ratesFile: null, rates: {}, history: {} };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("fx must be an object with ratesFile, rates and/or history.");
+  }
+  return { ratesFile: resolveConfigFile(configDir, raw.ratesFile), ...normalizeRateTable(raw, "fx") };
+}
+
+const BENCHMARK_SETTINGS = ["lookbackDays", "minObservations"];
+
+/**
+ * `benchmarks` maps a market (as classified for wallets, e.g. "US Equities")
+ * to a local CSV/JSON index series: either a path or `{ name, file }`.
+ * `lookbackDays` (default: all stored reports) and `minObservations` (returns
+ * needed before tracking error, beta and capture are reported) sit alongside.
+ */
+function normalizeBenchmarks(raw, configDir) {
+  const settings = { lookbackDays: null, minObservations: DEFAULT_MIN_OBSERVATIONS, markets: {} };
+  if (raw === undefined || raw === null) return settings;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("benchmarks must be an object of market -> { name, file }.");
+  }
+  for (const key of BENCHMARK_SETTINGS) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    const value = toNumber(raw[key], Number.NaN);
+    if (!Number.isInteger(value) || value < 2) {
+      throw new Error(`benchmarks.${key} must be a whole number of at least 2. Received: ${raw[key]}`);
+    }
+    settings[key] = value;
+  }
+  const out = settings.markets;
+  for (const [key, value] of Object.entries(raw)) {
+    if (BENCHMARK_SETTINGS.includes(key)) continue;
+    const market = String(key).trim();
+    const entry = typeof value === "string" ? { file: value } : value ?? {};
+    const file = String(entry.file ?? "").trim();
+    if (!market || !file) {
+      throw new Error(`benchmarks.${key} must include a file path.`);
+    }
+    out[market] = { name: String(entry.name ?? "").trim() || market, file: resolveConfigFile(configDir, file) };
+  }
+  return settings;
+}
+
+/**
+ * `cash`: extra cash row labels (title pattern or `{ match, kind }`) on top
+ * of the built-in ones, and whether balances count towards market value.
+ */
+function normalizeCash(raw) {
+  if (raw === undefined || raw === null) return { includeInMarketValue: true, labels: [] };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("cash must be an object with includeInMarketValue and/or labels.");
+  }
+  const labels = (Array.isArray(raw.labels) ? raw.labels : raw.labels ? [raw.labels] : []).map((item, i) => {
+    const entry = typeof item === "object" && item !== null ? item : { match: item };
+    const match = String(entry.match ?? "").trim();
+    const kind = String(entry.kind ?? "cash").trim();
+    if (!match) throw new Error(`cash.labels[${i}] must be a label pattern or { match, kind }.`);
+    try {
+      compileWalletPattern(match);
+    } catch (error) {
+      throw new Error(`cash.labels[${i}] is not a valid pattern: ${error.message}`);
+    }
+    if (!CASH_KINDS.includes(kind)) {
+      throw new Error(`cash.labels[${i}].kind must be one of: ${CASH_KINDS.join(", ")}. Received: ${kind}`);
+    }
+    return { match, kind };
+  });
+  return { includeInMarketValue: raw.includeInMarketValue !== false, labels };
+}
+
+/**
+ * `adjustments`: extra or overriding adjustment kinds, checked before the
+ * built-ins (dropped with `useDefaults: false`). A kind named like a built-in
+ * inherits its sign convention unless `spent`, `marketValue` or `pnl` is set.
+ */
+function normalizeAdjustments(raw) {
+  if (raw === undefined || raw === null) return { useDefaults: true, kinds: [] };
+  const spec = Array.isArray(raw) ? { kinds: raw } : raw;
+  if (typeof spec !== "object" || !Array.isArray(spec.kinds ?? [])) {
+    throw new Error("adjustments must be an object with kinds[] and optional useDefaults.");
+  }
+  const kinds = (spec.kinds ?? []).map((item, index) => {
+    const label = `adjustments.kinds[${index}]`;
+    const kind = String(item?.kind ?? "").trim();
+    if (!/^[a-z][a-z0-9_]*$/.test(kind)) throw new Error(`${label}.kind must be a snake_case name. Received: ${item?.kind}`);
+    const labels = (Array.isArray(item.labels) ? item.labels : [item.labels]).map((pattern) => String(pattern ?? "").trim()).filter(Boolean);
+    if (!labels.length) throw new Error(`${label}.labels must list at least one label pattern.`);
+    labels.forEach((pattern, i) => {
+      try {
+        compileWalletPattern(pattern);
+      } catch (error) {
+        throw new Error(`${label}.labels[${i}] is not a valid pattern: ${error.message}`);
+      }
+    });
+    const base = DEFAULT_ADJUSTMENT_KINDS.find((entry) => entry.kind === kind) ?? {
+      spent: 0,
+      marketValue: 0,
+      pnl: 0,
+      absolute: true,
+      realized: false
+    };
+    const sign = (field) => {
+      const value = item[field] === undefined ? base[field] : Number(item[field]);
+      if (![-1, 0, 1].includes(value)) throw new Error(`${label}.${field} must be -1, 0 or 1. Received: ${item[field]}`);
+      return value;
+    };
+    return {
+      kind,
+      labels,
+      spent: sign("spent"),
+      marketValue: sign("marketValue"),
+      pnl: sign("pnl"),
+      absolute: item.absolute === undefined ? base.absolute : item.absolute !== false,
+      realized: item.realized === undefined ? base.realized : item.realized === true
+    };
+  });
+  return { useDefaults: spec.useDefaults !== false, kinds };
+}
+
+function normalizeWalletRule(raw, index) {
+  const label = `wallets.rules[${index}]`;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object with match and the fields to assign.`);
+  }
+  const match = {};
+  for (const field of WALLET_MATCH_FIELDS) {
+    const pattern = raw.match?.[field];
+    if (pattern === undefined || pattern === null || String(pattern).trim() === "") continue;
+    try {
+      compileWalletPattern(String(pattern).trim());
+    } catch (error) {
+      throw new Error(`${label}.match.${field} is not a valid pattern: ${error.message}`);
+    }
+    match[field] = String(pattern).trim();
+  }
+  if (Object.keys(match).length === 0) {
+    throw new Error(`${label}.match needs at least one of: ${WALLET_MATCH_FIELDS.join(", ")}.`);
+  }
+
+  const text = (value) => String(value ?? "").trim() || null;
+  const currency = text(raw.currency)?.toUpperCase() ?? null;
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`${label}.currency must be a 3-letter code. Received: ${raw.currency}`);
+  }
+  return {
+    id: text(raw.name) ?? label,
+    match,
+    market: text(raw.market),
+    walletType: text(raw.walletType),
+    walletName: text(raw.walletName),
+    currency,
+    exclude: raw.exclude === true
+  };
+}
+
+/**
+ * `wallets` is either a rules array or `{ useDefaults, rules }`. The default
+ * keyword rules stay active after the user rules unless `useDefaults` is false.
+ */
+function normalizeWalletRules(raw) {
+  if (raw === undefined || raw === null) return { useDefaults: true, rules: [] };
+  const data = Array.isArray(raw) ? { rules: raw } : raw;
+  if (typeof data !== "object" || (data.rules !== undefined && !Array.isArray(data.rules))) {
+    throw new Error("wallets must be an array of rules or an object with a rules array.");
+  }
+  return {
+    useDefaults: data.useDefaults !== false,
+    rules: (data.rules ?? []).map((item, index) => normalizeWalletRule(item, index))
+  };
+}
+
+function normalizeWeightMap(raw, name, normalizeKey = (key) => key) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${name} must be an object of key -> target weight.`);
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const weight = normalizeWeight(value, Number.NaN);
+    ensureInRange(`${name}.${key}`, weight, 0, 1);
+    out[normalizeKey(String(key).trim())] = weight;
+  }
+  const sum = Object.values(out).reduce((total, weight) => total + weight, 0);
+  if (sum > 1.0001) {
+    throw new Error(`${name} target weights sum to more than 100%. Received: ${sum}`);
+  }
+  return out;
+}
+
+function normalizeWatchlistEntry(item, index) {
+  if (typeof item === "string" || typeof item === "number") {
+    const symbol = String(item).trim().toUpperCase();
+    return symbol ? { symbol, targetEntryPrice: null, notes: null, wallet: null, currency: null } : null;
+  }
+  if (!item || typeof item !== "object") {
+    throw new Error(`watchlist[${index}] must be a symbol or an object with a symbol.`);
+  }
+  const symbol = String(item.symbol ?? "").trim().toUpperCase();
+  if (!symbol) throw new Error(`watchlist[${index}].symbol is required.`);
+
+  const targetEntryPrice = toNumber(item.targetEntryPrice ?? item.targetEntry, null);
+  if (targetEntryPrice !== null && !(targetEntryPrice > 0)) {
+    throw new Error(`watchlist[${index}].targetEntryPrice must be a positive number. Received: ${targetEntryPrice}`);
+  }
+  const currency = item.currency ? String(item.currency).trim().toUpperCase() : null;
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`watchlist[${index}].currency must be a 3-letter code. Received: ${currency}`);
+  }
+  return {
+    symbol,
+    targetEntryPrice,
+    notes: String(item.notes ?? "").trim() || null,
+    wallet: String(item.wallet ?? "").trim() || null,
+    currency
+  };
+}
+
+function normalizeWatchlistPrices(raw, configDir) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("watchlistPrices must be an object with worksheet and/or file.");
+  }
+  return {
+    worksheet: String(data.worksheet ?? "").trim() || null,
+    document: String(data.document ?? "").trim() || null,
+    file: resolveConfigFile(configDir, data.file)
+  };
+}
+
+/**
+ * `income` points at the dividend/coupon ledger: a sheet tab (`worksheet`,
+ * optionally limited to one `document`) and/or a local CSV/JSON `file`.
+ * `horizonDays` bounds the upcoming ex-date/payment calendar.
+ */
+function normalizeIncome(raw, configDir) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("income must be an object with worksheet and/or file.");
+  }
+  const horizonDays = Math.round(toNumber(data.horizonDays, 90));
+  ensureInRange("income.horizonDays", horizonDays, 1, 3660);
+  return {
+    worksheet: String(data.worksheet ?? "").trim() || null,
+    document: String(data.document ?? "").trim() || null,
+    file: resolveConfigFile(configDir, data.file),
+    horizonDays
+  };
+}
+
+/**
+ * `lots.method` (fifo, lifo or average) decides which lots an inferred sell
+ * consumes; `lots.wallets` overrides it per walletId. Lots held longer than
+ * `longTermDays` count as long-term.
+ */
+function normalizeLots(raw) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("lots must be an object with method, longTermDays and wallets.");
+  }
+  const readMethod = (value, label) => {
+    const method = String(value ?? "fifo").trim().toLowerCase();
+    if (!LOT_METHODS.includes(method)) {
+      throw new Error(`${label} must be one of ${LOT_METHODS.join(", ")}. Received: ${value}`);
+    }
+    return method;
+  };
+  const longTermDays = Math.round(toNumber(data.longTermDays, 365));
+  ensureInRange("lots.longTermDays", longTermDays, 1, 3660);
+  const walletMethods = {};
+  for (const [walletId, method] of Object.entries(data.wallets ?? {})) {
+    walletMethods[walletId] = readMethod(method, `lots.wallets.${walletId}`);
+  }
+  return { method: readMethod(data.method, "lots.method"), longTermDays, walletMethods };
+}
+
+/**
+ * `symbols.aliases` maps a canonical symbol to the spellings brokers use for
+ * it (a string or a list); `stripSuffixes` / `stripPrefixes` add to the
+ * built-in exchange and quote-pair rules, which `useDefaults: false` turns off.
+ */
+function normalizeSymbols(raw) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("symbols must be an object with aliases, stripSuffixes and stripPrefixes.");
+  }
+  const aliasesRaw = data.aliases ?? {};
+  if (typeof aliasesRaw !== "object" || Array.isArray(aliasesRaw)) {
+    throw new Error("symbols.aliases must be an object of canonical symbol -> [aliases].");
+  }
+  const aliases = {};
+  const owners = new Map();
+  for (const [canonical, list] of Object.entries(aliasesRaw)) {
+    const symbol = normalizeSymbolText(canonical);
+    if (!symbol) throw new Error("symbols.aliases keys must be non-empty symbols.");
+    const items = (Array.isArray(list) ? list : [list]).map((item) => String(item ?? "").trim()).filter(Boolean);
+    for (const alias of items) {
+      const key = normalizeSymbolText(alias);
+      if (owners.has(key) && owners.get(key) !== symbol) {
+        throw new Error(`symbols.aliases: "${alias}" is listed for both ${owners.get(key)} and ${symbol}.`);
+      }
+      owners.set(key, symbol);
+    }
+    aliases[symbol] = [...(aliases[symbol] ?? []), ...items];
+  }
+  const readList = (value, label) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) throw new Error(`${label} must be an array of strings.`);
+    return value.map((item) => String(item ?? "").trim()).filter(Boolean);
+  };
+  return {
+    useDefaults: data.useDefaults !== false,
+    aliases,
+    stripSuffixes: readList(data.stripSuffixes, "symbols.stripSuffixes"),
+    stripPrefixes: readList(data.stripPrefixes, "symbols.stripPrefixes")
+  };
+}
+
+/**
+ * `exposure.file` is the security master; `exposure.caps` maps a dimension
+ * (assetClass, sector, industry, country) to bucket -> max weight, with "*"
+ * for any bucket. `risk.maxSectorWeight` / `risk.maxAssetClassWeight` fill
+ * the "*" cap of their dimension when it is not set.
+ */
+function normalizeExposure(raw, riskRaw, configDir) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("exposure must be an object with file and caps.");
+  }
+  const capsRaw = data.caps ?? {};
+  if (typeof capsRaw !== "object" || Array.isArray(capsRaw)) {
+    throw new Error("exposure.caps must be an object of dimension -> { bucket: max weight }.");
+  }
+  const caps = {};
+  for (const [dimension, limits] of Object.entries(capsRaw)) {
+    if (!EXPOSURE_DIMENSIONS.includes(dimension)) {
+      throw new Error(`exposure.caps.${dimension} is not a known dimension (${EXPOSURE_DIMENSIONS.join(", ")}).`);
+    }
+    if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+      throw new Error(`exposure.caps.${dimension} must be an object of bucket -> max weight.`);
+    }
+    caps[dimension] = {};
+    for (const [key, value] of Object.entries(limits)) {
+      const weight = normalizeWeight(value, Number.NaN);
+      ensureInRange(`exposure.caps.${dimension}.${key}`, weight, 0, 1);
+      caps[dimension][String(key).trim()] = weight;
+    }
+  }
+  for (const [field, dimension] of [["maxSectorWeight", "sector"], ["maxAssetClassWeight", "assetClass"]]) {
+    if (riskRaw?.[field] === undefined || riskRaw[field] === null) continue;
+    const weight = normalizeWeight(riskRaw[field], Number.NaN);
+    ensureInRange(`risk.${field}`, weight, 0, 1);
+    caps[dimension] = { "*": weight, ...(caps[dimension] ?? {}) };
+  }
+  return { file: resolveConfigFile(configDir, data.file), caps };
 }
 
-export async function loadConfig(path) {
-  const text = await fs.readFile(path, "utf8");
+/**
+ * `overlap.file` holds fund constituent weights for ETF look-through;
+ * `maxUnderlyingWeight` caps one underlying symbol across wallets and funds
+ * (default: risk.maxPositionWeight). `weightScale` fixes whether the file's
+ * weights are percentages or fractions instead of detecting it.
+ */
+function normalizeOverlap(raw, risk, configDir) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("overlap must be an object with file and maxUnderlyingWeight.");
+  }
+  const maxUnderlyingWeight = normalizeWeight(data.maxUnderlyingWeight, risk.maxPositionWeight);
+  ensureInRange("overlap.maxUnderlyingWeight", maxUnderlyingWeight, 0, 1);
+  const weightScale = String(data.weightScale ?? "auto").trim().toLowerCase();
+  if (!WEIGHT_SCALES.includes(weightScale)) {
+    throw new Error(`overlap.weightScale must be one of ${WEIGHT_SCALES.join(", ")}. Received: ${data.weightScale}`);
+  }
+  return { file: resolveConfigFile(configDir, data.file), maxUnderlyingWeight, weightScale };
+}
+
+const SHOCK_SHORTHANDS = {
+  symbols: "symbol",
+  wallets: "wallet",
+  markets: "market",
+  currencies: "currency",
+  assetClasses: "assetClass",
+  sectors: "sector",
+  industries: "industry",
+  countries: "country"
+};
+
+/**
+ * `stress.scenarios` is a list of `{ name, shocks, fx }` plus shorthand maps
+ * (`symbols`, `markets`, `sectors`, ... of key -> change). A shock rule matches
+ * on every key it sets (symbol, wallet, market, walletType, currency,
+ * assetClass, sector, industry, country; a string or a list) and moves price
+ * by `change` (-0.15, "-15%" or -15). `fx` moves a currency's rate into the
+ * combined currency; the base currency itself cannot fall by 100%.
+ */
+function normalizeStress(raw, baseCurrency) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("stress must be an object with scenarios.");
+  }
+  if (data.scenarios !== undefined && !Array.isArray(data.scenarios)) {
+    throw new Error("stress.scenarios must be an array of { name, shocks, fx }.");
+  }
+  const readChange = (value, label) => {
+    const change = normalizeWeight(value, Number.NaN);
+    ensureInRange(label, change, -1, 10);
+    return change;
+  };
+  const names = new Set();
+  const scenarios = (data.scenarios ?? []).map((item, index) => {
+    const label = `stress.scenarios[${index}]`;
+    if (!item || typeof item !== "object" || Array.isArray(item)) throw new Error(`${label} must be an object.`);
+    const name = String(item.name ?? "").trim();
+    if (!name) throw new Error(`${label}.name is required.`);
+    if (names.has(name)) throw new Error(`${label}.name "${name}" is used twice.`);
+    names.add(name);
+
+    const shocks = [];
+    for (const [field, key] of Object.entries(SHOCK_SHORTHANDS)) {
+      if (field === "currencies" || item[field] === undefined) continue;
+      if (typeof item[field] !== "object" || Array.isArray(item[field])) {
+        throw new Error(`${label}.${field} must be an object of ${key} -> change.`);
+      }
+      for (const [value, change] of Object.entries(item[field])) {
+        shocks.push({ [key]: [key === "symbol" ? normalizeSymbolText(value) : value.trim()], change: readChange(change, `${label}.${field}.${value}`) });
+      }
+    }
+    for (const [ruleIndex, rule] of (item.shocks ?? []).entries()) {
+      const ruleLabel = `${label}.shocks[${ruleIndex}]`;
+      if (!rule || typeof rule !== "object") throw new Error(`${ruleLabel} must be an object.`);
+      const out = { change: readChange(rule.change, `${ruleLabel}.change`) };
+      for (const key of Object.keys(rule)) {
+        if (key !== "change" && !SHOCK_KEYS.includes(key)) {
+          throw new Error(`${ruleLabel}.${key} is not a shock key (${SHOCK_KEYS.join(", ")}).`);
+        }
+      }
+      for (const key of SHOCK_KEYS) {
+        if (rule[key] === undefined) continue;
+        const values = (Array.isArray(rule[key]) ? rule[key] : [rule[key]]).map((value) =>
+          key === "symbol" ? normalizeSymbolText(value) : String(value ?? "").trim()
+        );
+        out[key] = key === "currency" ? values.map((value) => value.toUpperCase()) : values;
+      }
+      if (Object.keys(out).length === 1) throw new Error(`${ruleLabel} needs at least one of ${SHOCK_KEYS.join(", ")}.`);
+      shocks.push(out);
+    }
+    const fx = {};
+    for (const [currency, change] of Object.entries(item.fx ?? item.currencies ?? {})) {
+      const code = currency.trim().toUpperCase();
+      fx[code] = readChange(change, `${label}.fx.${currency}`);
+      if (code === baseCurrency && fx[code] <= -1) {
+        throw new Error(`${label}.fx.${currency} must be above -100% for the base currency ${baseCurrency}.`);
+      }
+    }
+    if (!shocks.length && !Object.keys(fx).length) throw new Error(`${label} ("${name}") has no shocks.`);
+    return { name, shocks, fx };
+  });
+  return { scenarios };
+}
+
+function normalizeTargets(raw) {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("targets must be an object.");
+  }
+  const tolerance = normalizeWeight(data.tolerance, DEFAULT_TARGET_TOLERANCE);
+  ensureInRange("targets.tolerance", tolerance, 0, 1);
+
+  const walletSymbols = {};
+  for (const [walletKey, symbols] of Object.entries(data.walletSymbols ?? {})) {
+    walletSymbols[walletKey] = normalizeWeightMap(symbols, `targets.walletSymbols.${walletKey}`, (key) =>
+      key.toUpperCase()
+    );
+  }
+
+  return {
+    tolerance,
+    wallets: normalizeWeightMap(data.wallets, "targets.wallets"),
+    markets: normalizeWeightMap(data.markets, "targets.markets"),
+    symbols: normalizeWeightMap(data.symbols, "targets.symbols", (key) => key.toUpperCase()),
+    walletSymbols
+  };
+}
+
+export async function loadConfig(configPath) {
+  const text = await fs.readFile(configPath, "utf8");
   const data = JSON.parse(text);
 
   const baseCurrency = String(data.baseCurrency ?? "USD").toUpperCase();
+  const configDir = path.dirname(path.resolve(configPath));
   const documents = Array.isArray(data.documents)
     ? data.documents
         .filter(Boolean)
-        .map((item, index) => normalizeDocument(item, index, baseCurrency))
+        .map((item, index) => normalizeDocument(item, index, baseCurrency, configDir))
     : [];
 
   if (documents.length === 0) {
-    throw new Error("inputs.json must include at least one document URL in documents[].");
+    throw new Error("inputs.json must include at least one document URL or local source in documents[].");
   }
+  // Names key raw snapshots and report labels, so two documents may not share one
+  documents.forEach((doc, index) => {
+    const first = documents.findIndex((item) => item.name === doc.name);
+    if (first !== index) {
+      throw new Error(`documents[${index}].name "${doc.name}" is already used by documents[${first}].`);
+    }
+  });
 
   const riskRaw = data.risk ?? {};
   const risk = {
@@ -86,13 +754,17 @@ export async function loadConfig(path) {
     ),
     drawdownWarnPct: normalizeDrawdown(riskRaw.drawdownWarnPct, DEFAULT_RISK.drawdownWarnPct),
     takeProfitWarnPct: normalizeWeight(riskRaw.takeProfitWarnPct, DEFAULT_RISK.takeProfitWarnPct),
-    minPositionWeight: normalizeWeight(riskRaw.minPositionWeight, DEFAULT_RISK.minPositionWeight)
+    minPositionWeight: normalizeWeight(riskRaw.minPositionWeight, DEFAULT_RISK.minPositionWeight),
+    riskFreeRate: normalizeWeight(riskRaw.riskFreeRate, DEFAULT_RISK.riskFreeRate),
+    rollingDrawdownWindow: Math.round(toNumber(riskRaw.rollingDrawdownWindow, DEFAULT_RISK.rollingDrawdownWindow))
   };
   ensureInRange("risk.maxPositionWeight", risk.maxPositionWeight, 0, 1);
   ensureInRange("risk.top3ConcentrationWarn", risk.top3ConcentrationWarn, 0, 1);
   ensureInRange("risk.minPositionWeight", risk.minPositionWeight, 0, 1);
   ensureInRange("risk.takeProfitWarnPct", risk.takeProfitWarnPct, -1, 10);
   ensureInRange("risk.drawdownWarnPct", risk.drawdownWarnPct, -1, 0);
+  ensureInRange("risk.riskFreeRate", risk.riskFreeRate, 0, 1);
+  ensureInRange("risk.rollingDrawdownWindow", risk.rollingDrawdownWindow, 2, 1000);
 
   const inlineApiKey = String(data.googleApiKey ?? "").trim();
   const envApiKey = String(process.env.GOOGLE_API_KEY ?? "").trim();
@@ -100,9 +772,23 @@ export async function loadConfig(path) {
     baseCurrency,
     googleApiKey: envApiKey || inlineApiKey || null,
     watchlist: Array.isArray(data.watchlist)
-      ? data.watchlist.map((item) => String(item).trim()).filter(Boolean)
+      ? data.watchlist.map((item, index) => normalizeWatchlistEntry(item, index)).filter(Boolean)
       : [],
+    watchlistPrices: normalizeWatchlistPrices(data.watchlistPrices, configDir),
+    income: normalizeIncome(data.income, configDir),
+    lots: normalizeLots(data.lots),
+    symbols: normalizeSymbols(data.symbols),
+    exposure: normalizeExposure(data.exposure, riskRaw, configDir),
+    overlap: normalizeOverlap(data.overlap, risk, configDir),
+    stress: normalizeStress(data.stress, baseCurrency),
     documents,
-    risk
+    risk,
+    fx: normalizeFx(data.fx, configDir),
+    targets: normalizeTargets(data.targets),
+    benchmarks: normalizeBenchmarks(data.benchmarks, configDir),
+    wallets: normalizeWalletRules(data.wallets),
+    columnAliases: normalizeColumnAliases(data.columnAliases, "columnAliases"),
+    cash: normalizeCash(data.cash),
+    adjustments: normalizeAdjustments(data.adjustments)
   };
 }
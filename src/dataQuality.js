@@ -0,0 +1,85 @@
+/**
+ * Data Quality
+ *
+ * Collects the parser's cell-level diagnostics for a run into one report:
+ *
+ *   - every diagnostic (`severity`, `code`, `document`, `worksheet`, A1
+ *     `cell`, `raw` text and interpreted `value`), errors first
+ *   - counts by severity, by code and by worksheet
+ *
+ * Severities: `error` (the position's value is unusable), `warning`
+ * (unreadable or inconsistent cells), `info` (nothing to parse).
+ */
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+const MARKDOWN_LIMIT = 25;
+
+export function buildDataQualityReport(diagnostics = []) {
+  const sorted = [...diagnostics].sort(
+    (a, b) =>
+      (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3) ||
+      `${a.document}/${a.worksheet}`.localeCompare(`${b.document}/${b.worksheet}`)
+  );
+  const counts = { error: 0, warning: 0, info: 0 };
+  const byCode = new Map();
+  const byWorksheet = new Map();
+  for (const item of sorted) {
+    counts[item.severity] = (counts[item.severity] ?? 0) + 1;
+    byCode.set(item.code, (byCode.get(item.code) ?? 0) + 1);
+    const key = `${item.document}::${item.worksheet}`;
+    if (!byWorksheet.has(key)) {
+      byWorksheet.set(key, { document: item.document, worksheet: item.worksheet, error: 0, warning: 0, info: 0 });
+    }
+    byWorksheet.get(key)[item.severity] += 1;
+  }
+  return {
+    available: true,
+    total: sorted.length,
+    counts,
+    byCode: [...byCode.entries()].map(([code, count]) => ({ code, count })).sort((a, b) => b.count - a.count),
+    byWorksheet: [...byWorksheet.values()],
+    diagnostics: sorted
+  };
+}
+
+/**
+ * Health-score deduction for data quality: 2 per error and 1 per warning.
+ */
+export function dataQualityPenalty(dataQuality) {
+  if (!dataQuality?.available) return 0;
+  return (dataQuality.counts.error ?? 0) * 2 + (dataQuality.counts.warning ?? 0);
+}
+
+function fmtValue(value) {
+  if (value === null || value === undefined) return "n/a";
+  return Number.isFinite(value) ? String(Math.round(value * 10000) / 10000) : String(value);
+}
+
+function escapeCell(text) {
+  return String(text ?? "").replace(/\|/g, "\\|");
+}
+
+export function dataQualityToMarkdown(dataQuality, limit = MARKDOWN_LIMIT) {
+  if (!dataQuality?.available) return "";
+  const lines = [];
+  lines.push("## Data Quality");
+  lines.push("");
+  if (!dataQuality.total) {
+    lines.push("- No cell-level issues found.");
+    return `${lines.join("\n")}\n`;
+  }
+  const { counts } = dataQuality;
+  lines.push(`- Errors: ${counts.error} | Warnings: ${counts.warning} | Info: ${counts.info}`);
+  lines.push(`- By code: ${dataQuality.byCode.map((item) => `${item.code} (${item.count})`).join(", ")}`);
+  lines.push("");
+  lines.push("| Severity | Code | Location | Raw | Interpreted | Detail |");
+  lines.push("|---|---|---|---|---|---|");
+  for (const item of dataQuality.diagnostics.slice(0, limit)) {
+    const location = `${item.document} / ${item.worksheet}${item.cell ? `!${item.cell}` : ""}`;
+    lines.push(
+      `| ${item.severity} | ${item.code} | ${escapeCell(location)} | ${escapeCell(item.raw ?? "")} | ${fmtValue(item.value)} | ${escapeCell(item.message)} |`
+    );
+  }
+  if (dataQuality.total > limit) lines.push(`\n- ...${dataQuality.total - limit} more in JSON.`);
+  return `${lines.join("\n")}\n`;
+}
@@ -1,5 +1,7 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { canonicalReport } from "./symbols.js";
+import { classifyPositionChange, inferTrade } from "./trades.js";
 
 /**
  * Day-over-Day Diff Report
@@ -10,6 +12,15 @@ import path from "node:path";
  * - Weight shifts (largest movers)
  * - P&L swings
  * - Portfolio-level delta
+ * - Inferred trades (buy / sell / new / exit) from quantity and spent deltas
+ *
+ * The top-level blocks describe the combined portfolio; `wallets[]` (by
+ * walletId) and `markets[]` (by market + currency) carry the same blocks per
+ * scope, so mixed-currency setups still get a diff when combined is null.
+ * With `options.resolveSymbol` both reports are re-keyed by canonical symbol
+ * first, so a newly added alias does not show up as an exit plus an entry.
+ * `consecutive` is true when the compared date is the stored report right
+ * before the current one (only such diffs feed the trade journal).
  */
 
 async function loadReport(reportsDir, date) {
@@ -37,11 +48,11 @@ async function findPreviousDate(reportsDir, currentDate) {
   return dates.length > 0 ? dates[dates.length - 1] : null;
 }
 
-function positionMap(report) {
+function positionMap(analysis) {
   const map = new Map();
-  if (!report?.combined?.positions) return map;
-  const totalMV = report.combined.snapshot?.totalMarketValue ?? 1;
-  for (const pos of report.combined.positions) {
+  if (!analysis?.positions) return map;
+  const totalMV = analysis.snapshot?.totalMarketValue ?? 1;
+  for (const pos of analysis.positions) {
     const weight = totalMV > 0 ? (pos.marketValue ?? 0) / totalMV : 0;
     map.set(pos.symbol, {
       symbol: pos.symbol,
@@ -56,37 +67,84 @@ function positionMap(report) {
   return map;
 }
 
+function fxRateChanges(currentReport, previousReport) {
+  const currRates = currentReport.fx?.rates ?? [];
+  const prevRates = new Map((previousReport.fx?.rates ?? []).map((item) => [item.currency, item.rate]));
+  return currRates
+    .filter((item) => item.source !== "base" && prevRates.has(item.currency))
+    .map((item) => {
+      const rateBefore = prevRates.get(item.currency);
+      return {
+        currency: item.currency,
+        rateBefore,
+        rateAfter: item.rate,
+        rateDeltaPct: rateBefore ? round4((item.rate - rateBefore) / rateBefore) : null
+      };
+    })
+    .filter((item) => item.rateBefore !== item.rateAfter);
+}
+
 function round4(v) {
   if (!Number.isFinite(v)) return null;
   return Math.round(v * 10000) / 10000;
 }
 
-export async function buildDiffReport(reportsDir, currentDate, compareDate = null) {
-  const prevDate = compareDate ?? (await findPreviousDate(reportsDir, currentDate));
+export async function buildDiffReport(reportsDir, currentDate, compareDate = null, options = {}) {
+  const storedPrevDate = await findPreviousDate(reportsDir, currentDate);
+  const prevDate = compareDate ?? storedPrevDate;
   if (!prevDate) {
     return { available: false, reason: "no previous report found" };
   }
 
-  const [currentReport, previousReport] = await Promise.all([
-    loadReport(reportsDir, currentDate),
-    loadReport(reportsDir, prevDate)
-  ]);
+  const [currentReport, previousReport] = (
+    await Promise.all([loadReport(reportsDir, currentDate), loadReport(reportsDir, prevDate)])
+  ).map((report) => canonicalReport(report, options.resolveSymbol));
 
   if (!currentReport || !previousReport) {
     return { available: false, reason: "could not load one or both reports" };
   }
 
-  const currMap = positionMap(currentReport);
-  const prevMap = positionMap(previousReport);
+  return {
+    available: true,
+    currentDate,
+    previousDate: prevDate,
+    consecutive: prevDate === storedPrevDate,
+    ...diffAnalyses(currentReport.combined, previousReport.combined),
+    fxChanges: fxRateChanges(currentReport, previousReport),
+    wallets: diffScoped(
+      currentReport.worksheets,
+      previousReport.worksheets,
+      (ws) => ws.walletId,
+      (ws) => ({ walletId: ws.walletId, walletName: ws.walletName, market: ws.market, currency: ws.currency })
+    ),
+    markets: diffScoped(
+      currentReport.markets,
+      previousReport.markets,
+      (item) => `${item.market}::${item.currency}`,
+      (item) => ({ market: item.market, currency: item.currency })
+    )
+  };
+}
+
+/**
+ * Diff two analyses (combined, one wallet or one market). Either side may be
+ * null, e.g. a wallet that did not exist on the previous date.
+ */
+function diffAnalyses(currentAnalysis, previousAnalysis) {
+  const currMap = positionMap(currentAnalysis);
+  const prevMap = positionMap(previousAnalysis);
   const allSymbols = new Set([...currMap.keys(), ...prevMap.keys()]);
 
   const newPositions = [];
   const closedPositions = [];
   const changes = [];
+  const trades = [];
 
   for (const symbol of allSymbols) {
     const curr = currMap.get(symbol);
     const prev = prevMap.get(symbol);
+    const trade = inferTrade(symbol, curr, prev);
+    if (trade) trades.push(trade);
 
     if (curr && !prev) {
       newPositions.push({
@@ -110,6 +168,9 @@ export async function buildDiffReport(reportsDir, currentDate, compareDate = nul
 
       changes.push({
         symbol,
+        changeType: classifyPositionChange(curr, prev),
+        quantityDelta: round4((curr.quantity ?? 0) - (prev.quantity ?? 0)),
+        spentDelta: round4((curr.spent ?? 0) - (prev.spent ?? 0)),
         weightBefore: prev.weight,
         weightAfter: curr.weight,
         weightDelta,
@@ -126,8 +187,8 @@ export async function buildDiffReport(reportsDir, currentDate, compareDate = nul
   changes.sort((a, b) => Math.abs(b.weightDelta ?? 0) - Math.abs(a.weightDelta ?? 0));
 
   // Portfolio-level delta
-  const currSnap = currentReport.combined?.snapshot ?? {};
-  const prevSnap = previousReport.combined?.snapshot ?? {};
+  const currSnap = currentAnalysis?.snapshot ?? {};
+  const prevSnap = previousAnalysis?.snapshot ?? {};
 
   const portfolioDelta = {
     marketValueBefore: prevSnap.totalMarketValue ?? 0,
@@ -136,20 +197,22 @@ export async function buildDiffReport(reportsDir, currentDate, compareDate = nul
     pnlBefore: prevSnap.totalPnl ?? 0,
     pnlAfter: currSnap.totalPnl ?? 0,
     pnlDelta: round4((currSnap.totalPnl ?? 0) - (prevSnap.totalPnl ?? 0)),
+    realizedPnlBefore: prevSnap.realizedPnl ?? 0,
+    realizedPnlAfter: currSnap.realizedPnl ?? 0,
+    realizedPnlDelta: round4((currSnap.realizedPnl ?? 0) - (prevSnap.realizedPnl ?? 0)),
     pnlPctBefore: prevSnap.totalPnlPct ?? 0,
     pnlPctAfter: currSnap.totalPnlPct ?? 0,
     pnlPctDelta: round4((currSnap.totalPnlPct ?? 0) - (prevSnap.totalPnlPct ?? 0)),
-    positionCountBefore: previousReport.combined?.positionCount ?? 0,
-    positionCountAfter: currentReport.combined?.positionCount ?? 0
+    positionCountBefore: previousAnalysis?.positionCount ?? 0,
+    positionCountAfter: currentAnalysis?.positionCount ?? 0,
+    ...cashDelta(currSnap, prevSnap)
   };
 
   return {
-    available: true,
-    currentDate,
-    previousDate: prevDate,
     portfolioDelta,
     newPositions,
     closedPositions,
+    trades: trades.sort((a, b) => (b.notional ?? 0) - (a.notional ?? 0)),
     changes: changes.slice(0, 20),
     biggestWeightGainers: changes.filter((c) => (c.weightDelta ?? 0) > 0).slice(0, 5),
     biggestWeightLosers: changes.filter((c) => (c.weightDelta ?? 0) < 0).slice(0, 5),
@@ -158,13 +221,61 @@ export async function buildDiffReport(reportsDir, currentDate, compareDate = nul
   };
 }
 
+/**
+ * Cash movement between two snapshots. Cash that went down while invested
+ * cost went up was deployed; cash that went up while cost went down was
+ * raised from sales. The rest is deposits, withdrawals or income.
+ */
+function cashDelta(currSnap, prevSnap) {
+  const before = prevSnap.cash?.balance ?? 0;
+  const after = currSnap.cash?.balance ?? 0;
+  const change = after - before;
+  const spentDelta = (currSnap.baseSpent ?? 0) - (prevSnap.baseSpent ?? 0);
+  return {
+    cashBefore: before,
+    cashAfter: after,
+    cashDelta: round4(change),
+    cashWeightBefore: prevSnap.cash?.weight ?? 0,
+    cashWeightAfter: currSnap.cash?.weight ?? 0,
+    cashDeployed: round4(change < 0 && spentDelta > 0 ? Math.min(-change, spentDelta) : 0),
+    cashRaised: round4(change > 0 && spentDelta < 0 ? Math.min(change, -spentDelta) : 0)
+  };
+}
+
+function diffScoped(currentItems, previousItems, keyOf, metaOf) {
+  const usable = (item) => item?.analysis && keyOf(item);
+  const curr = new Map((currentItems ?? []).filter(usable).map((item) => [keyOf(item), item]));
+  const prev = new Map((previousItems ?? []).filter(usable).map((item) => [keyOf(item), item]));
+  const keys = [...new Set([...curr.keys(), ...prev.keys()])];
+  return keys.map((key) => {
+    const c = curr.get(key);
+    const p = prev.get(key);
+    return {
+      ...metaOf(c ?? p),
+      status: c && p ? "both" : c ? "new" : "removed",
+      ...diffAnalyses(c?.analysis ?? null, p?.analysis ?? null)
+    };
+  });
+}
+
+function cashLine(delta, fmt, fmtPct, sign) {
+  const moves = [
+    delta.cashDeployed ? `deployed ${fmt(delta.cashDeployed)}` : "",
+    delta.cashRaised ? `raised ${fmt(delta.cashRaised)}` : ""
+  ].filter(Boolean);
+  return `- Cash: ${fmt(delta.cashBefore)} -> ${fmt(delta.cashAfter)} (${sign(delta.cashDelta)}${fmt(delta.cashDelta)}) | weight ${fmtPct(
+    delta.cashWeightBefore
+  )} -> ${fmtPct(delta.cashWeightAfter)}${moves.length ? ` | ${moves.join(", ")}` : ""}`;
+}
+
 export function diffToMarkdown(diff, currency = "USD") {
   if (!diff.available) return `> Diff unavailable: ${diff.reason}\n`;
 
-  const fmt = (v) => {
+  const fmtIn = (v, cur) => {
     if (!Number.isFinite(v)) return "n/a";
-    return new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 2 }).format(v);
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: cur, maximumFractionDigits: 2 }).format(v);
   };
+  const fmt = (v) => fmtIn(v, currency);
   const fmtPct = (v) => {
     if (!Number.isFinite(v)) return "n/a";
     return `${(v * 100).toFixed(2)}%`;
@@ -180,10 +291,22 @@ export function diffToMarkdown(diff, currency = "USD") {
   lines.push("### Portfolio Delta");
   lines.push(`- Market Value: ${fmt(pd.marketValueBefore)} -> ${fmt(pd.marketValueAfter)} (${sign(pd.marketValueDelta)}${fmt(pd.marketValueDelta)})`);
   lines.push(`- P&L: ${fmt(pd.pnlBefore)} -> ${fmt(pd.pnlAfter)} (${sign(pd.pnlDelta)}${fmt(pd.pnlDelta)})`);
+  if (pd.realizedPnlDelta) {
+    lines.push(`- Realised P&L: ${fmt(pd.realizedPnlBefore)} -> ${fmt(pd.realizedPnlAfter)} (${sign(pd.realizedPnlDelta)}${fmt(pd.realizedPnlDelta)})`);
+  }
   lines.push(`- P&L %: ${fmtPct(pd.pnlPctBefore)} -> ${fmtPct(pd.pnlPctAfter)} (${sign(pd.pnlPctDelta)}${fmtPct(pd.pnlPctDelta)})`);
   lines.push(`- Positions: ${pd.positionCountBefore} -> ${pd.positionCountAfter}`);
+  if (pd.cashBefore || pd.cashAfter) lines.push(cashLine(pd, fmt, fmtPct, sign));
   lines.push("");
 
+  if (diff.fxChanges?.length) {
+    lines.push("### FX Rate Changes");
+    for (const c of diff.fxChanges) {
+      lines.push(`- ${c.currency}: ${c.rateBefore} -> ${c.rateAfter} (${sign(c.rateDeltaPct)}${fmtPct(c.rateDeltaPct)})`);
+    }
+    lines.push("");
+  }
+
   // New positions
   if (diff.newPositions.length) {
     lines.push("### New Positions");
@@ -219,5 +342,45 @@ export function diffToMarkdown(diff, currency = "USD") {
     lines.push("");
   }
 
+  const wallets = (diff.wallets ?? []).filter(
+    (w) =>
+      w.status !== "both" ||
+      w.portfolioDelta.marketValueDelta ||
+      w.portfolioDelta.cashDelta ||
+      w.newPositions.length ||
+      w.closedPositions.length ||
+      w.trades?.length
+  );
+  if (wallets.length) {
+    lines.push("### Per Wallet");
+    for (const w of wallets) {
+      const wd = w.portfolioDelta;
+      const cur = w.currency || currency;
+      lines.push("");
+      lines.push(`#### ${w.walletName} (${cur})${w.status === "both" ? "" : ` - ${w.status} wallet`}`);
+      lines.push(`- Market Value: ${fmtIn(wd.marketValueBefore, cur)} -> ${fmtIn(wd.marketValueAfter, cur)} (${sign(wd.marketValueDelta)}${fmtIn(wd.marketValueDelta, cur)})`);
+      lines.push(`- P&L: ${fmtIn(wd.pnlBefore, cur)} -> ${fmtIn(wd.pnlAfter, cur)} (${sign(wd.pnlDelta)}${fmtIn(wd.pnlDelta, cur)})`);
+      lines.push(`- Positions: ${wd.positionCountBefore} -> ${wd.positionCountAfter}`);
+      if (wd.cashBefore || wd.cashAfter) lines.push(cashLine(wd, (v) => fmtIn(v, cur), fmtPct, sign));
+      if (w.newPositions.length) lines.push(`- New: ${w.newPositions.map((p) => p.symbol).join(", ")}`);
+      if (w.closedPositions.length) lines.push(`- Closed: ${w.closedPositions.map((p) => p.symbol).join(", ")}`);
+      const topMover = w.biggestPnlGainers[0];
+      const worstMover = w.biggestPnlLosers[0];
+      if (topMover && topMover.pnlDelta > 0) lines.push(`- Top P&L gainer: ${topMover.symbol} ${sign(topMover.pnlDelta)}${fmtIn(topMover.pnlDelta, cur)}`);
+      if (worstMover && worstMover.pnlDelta < 0) lines.push(`- Top P&L loser: ${worstMover.symbol} ${fmtIn(worstMover.pnlDelta, cur)}`);
+      if (w.trades?.length) {
+        lines.push("");
+        lines.push("| Inferred Trade | Symbol | Qty Change | Est. Price | Notional |");
+        lines.push("|---|---|---|---|---|");
+        for (const t of w.trades) {
+          lines.push(
+            `| ${t.type} | ${t.symbol} | ${t.quantityBefore} -> ${t.quantityAfter} | ${fmtIn(t.estimatedPrice, cur)} | ${fmtIn(t.notional, cur)} |`
+          );
+        }
+      }
+    }
+    lines.push("");
+  }
+
   return lines.join("\n") + "\n";
 }
@@ -0,0 +1,296 @@
+import fs from "node:fs/promises";
+import { parseCsv } from "./csv.js";
+import { rateFor } from "./fx.js";
+
+/**
+ * Exposure Breakdown
+ *
+ * Rolls position weights up by asset class, sector, industry and country for
+ * each wallet and for the combined portfolio, using a local security master
+ * (`exposure.file`: symbol -> name, assetClass, sector, industry, country,
+ * exchange, isin) and checks the configured caps per dimension.
+ *
+ *   - symbols missing from the master are "Unclassified" (positions in a
+ *     Crypto wallet default to the "Crypto" asset class)
+ *   - included cash balances are a "Cash" bucket in every dimension, so each
+ *     breakdown sums to the wallet's market value
+ *   - the combined view converts wallets to the combined currency with the
+ *     day's FX rates, like the rebalance report
+ */
+
+export const EXPOSURE_DIMENSIONS = ["assetClass", "sector", "industry", "country"];
+
+const MASTER_FIELDS = ["name", "assetClass", "sector", "industry", "country", "exchange", "isin"];
+const MASTER_HEADERS = {
+  symbol: ["symbol", "ticker"],
+  name: ["name", "security name", "company"],
+  assetClass: ["asset class", "assetclass", "class", "type"],
+  sector: ["sector"],
+  industry: ["industry", "sub industry"],
+  country: ["country", "domicile"],
+  exchange: ["exchange", "venue", "listing"],
+  isin: ["isin"]
+};
+const UNCLASSIFIED = "Unclassified";
+const CASH_BUCKET = "Cash";
+const WILDCARD = "*";
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function normalizeHeaderText(text) {
+  return String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[-_]/g, " ")
+    .replace(/\s+/g, " ");
+}
+
+function makeRecord(raw) {
+  const record = {};
+  for (const field of MASTER_FIELDS) {
+    const value = String(raw?.[field] ?? "").trim();
+    record[field] = value || null;
+  }
+  return record;
+}
+
+function masterFromRows(rows) {
+  const headerIndex = rows.findIndex((row) =>
+    row.some((cell) => MASTER_HEADERS.symbol.includes(normalizeHeaderText(cell)))
+  );
+  if (headerIndex === -1) throw new Error("CSV needs a symbol or ticker column");
+  const names = rows[headerIndex].map(normalizeHeaderText);
+  const columns = Object.fromEntries(
+    Object.entries(MASTER_HEADERS)
+      .map(([field, headers]) => [field, headers.map((name) => names.indexOf(name)).find((index) => index !== -1)])
+      .filter(([, index]) => index !== undefined)
+  );
+  return rows.slice(headerIndex + 1).map((row) =>
+    Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, row[index]]))
+  );
+}
+
+function masterFromJson(data) {
+  const raw = data?.securities ?? data;
+  if (Array.isArray(raw)) return raw;
+  if (raw && typeof raw === "object") return Object.entries(raw).map(([symbol, item]) => ({ ...item, symbol }));
+  throw new Error("JSON must be an array of securities, an object of symbol -> security, or { securities }");
+}
+
+/**
+ * Load the security master into a Map of symbol -> `{ name, assetClass,
+ * sector, industry, country, exchange, isin }`.
+ */
+export async function loadSecurityMaster(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read security master ${filePath}: ${error.message}`);
+  }
+  let entries;
+  try {
+    entries = /\.json$/i.test(filePath) ? masterFromJson(JSON.parse(text)) : masterFromRows(parseCsv(text));
+  } catch (error) {
+    throw new Error(`Invalid security master ${filePath}: ${error.message}`);
+  }
+  const master = new Map();
+  for (const item of entries) {
+    const symbol = String(item?.symbol ?? "").trim().toUpperCase();
+    if (symbol) master.set(symbol, makeRecord(item));
+  }
+  return master;
+}
+
+/**
+ * Dimension values for one position: the master record, else "Unclassified"
+ * (with the wallet market as the asset class for crypto wallets).
+ */
+export function classifySecurity(symbol, master, market = null) {
+  const record = master?.get(String(symbol ?? "").trim().toUpperCase()) ?? null;
+  const values = Object.fromEntries(EXPOSURE_DIMENSIONS.map((dimension) => [dimension, record?.[dimension] ?? UNCLASSIFIED]));
+  if (values.assetClass === UNCLASSIFIED && market === "Crypto") values.assetClass = "Crypto";
+  return { classified: Boolean(record), values };
+}
+
+function includedCash(analysis) {
+  const cash = analysis?.snapshot?.cash;
+  return cash?.included ? nvl(cash.balance) : 0;
+}
+
+/**
+ * Weighted rows per dimension for `[{ symbol, marketValue, market }]` items
+ * plus a cash amount.
+ */
+export function rollUpExposure(items, master, cash = 0) {
+  const total = items.reduce((sum, item) => sum + Math.max(0, nvl(item.marketValue)), 0) + Math.max(0, nvl(cash));
+  const dimensions = {};
+  const unclassified = new Set();
+  for (const dimension of EXPOSURE_DIMENSIONS) {
+    const buckets = new Map();
+    for (const item of items) {
+      const { classified, values } = classifySecurity(item.symbol, master, item.market);
+      if (!classified) unclassified.add(item.symbol);
+      const key = values[dimension];
+      const bucket = buckets.get(key) ?? { key, marketValue: 0, symbols: new Set() };
+      bucket.marketValue += Math.max(0, nvl(item.marketValue));
+      bucket.symbols.add(item.symbol);
+      buckets.set(key, bucket);
+    }
+    if (cash > 0) buckets.set(CASH_BUCKET, { key: CASH_BUCKET, marketValue: cash, symbols: new Set() });
+    dimensions[dimension] = [...buckets.values()]
+      .map((bucket) => ({
+        key: bucket.key,
+        marketValue: round(bucket.marketValue, 2),
+        weight: round(total > 0 ? bucket.marketValue / total : 0),
+        symbols: [...bucket.symbols].sort()
+      }))
+      .sort((a, b) => b.marketValue - a.marketValue);
+  }
+  return { totalMarketValue: round(total, 2), dimensions, unclassified: [...unclassified].sort() };
+}
+
+/**
+ * Cap for one bucket. `caps` is dimension -> key -> weight; a "*" key caps
+ * every bucket without its own entry (Unclassified and Cash only when named).
+ */
+function capFor(caps, dimension, key) {
+  const limits = caps?.[dimension] ?? {};
+  if (key in limits) return limits[key];
+  return key === UNCLASSIFIED || key === CASH_BUCKET ? undefined : limits[WILDCARD];
+}
+
+export function checkExposureCaps(view, caps) {
+  const breaches = [];
+  for (const dimension of EXPOSURE_DIMENSIONS) {
+    for (const row of view.dimensions[dimension] ?? []) {
+      const cap = capFor(caps, dimension, row.key);
+      if (cap === undefined || row.weight <= cap + 1e-9) continue;
+      breaches.push({ dimension, key: row.key, weight: row.weight, cap, excess: round(row.weight - cap) });
+    }
+  }
+  return breaches.sort((a, b) => b.excess - a.excess);
+}
+
+function positionItems(ws) {
+  return (ws.analysis?.positions ?? []).map((pos) => ({ symbol: pos.symbol, marketValue: pos.marketValue, market: ws.market }));
+}
+
+export function buildExposureReport(dailyReport, master, options = {}) {
+  if (!master?.size) return { available: false, reason: "no security master loaded" };
+  const caps = options.caps ?? {};
+  const worksheets = dailyReport.worksheets ?? [];
+
+  const wallets = worksheets.map((ws) => {
+    const view = rollUpExposure(positionItems(ws), master, includedCash(ws.analysis));
+    return {
+      walletId: ws.walletId,
+      walletName: ws.walletName,
+      currency: ws.currency,
+      ...view,
+      breaches: checkExposureCaps(view, caps)
+    };
+  });
+
+  let combined = null;
+  const currency = dailyReport.combinedCurrency || dailyReport.baseCurrency;
+  if (dailyReport.combined) {
+    const items = [];
+    let cash = 0;
+    let convertible = true;
+    for (const ws of worksheets) {
+      const rate = ws.currency === currency ? 1 : rateFor(dailyReport.fx, ws.currency);
+      if (!Number.isFinite(rate)) {
+        convertible = false;
+        break;
+      }
+      items.push(...positionItems(ws).map((item) => ({ ...item, marketValue: nvl(item.marketValue) * rate })));
+      cash += includedCash(ws.analysis) * rate;
+    }
+    if (convertible) {
+      const view = rollUpExposure(items, master, cash);
+      combined = { currency, ...view, breaches: checkExposureCaps(view, caps) };
+    }
+  }
+
+  const breaches = [
+    ...(combined?.breaches ?? []).map((item) => ({ scope: "combined", ...item })),
+    ...wallets.flatMap((wallet) => wallet.breaches.map((item) => ({ scope: wallet.walletName, ...item })))
+  ];
+  return {
+    available: true,
+    securityCount: master.size,
+    caps,
+    combined,
+    wallets,
+    breaches,
+    unclassified: [...new Set(wallets.flatMap((wallet) => wallet.unclassified))].sort()
+  };
+}
+
+const DIMENSION_LABELS = { assetClass: "Asset Class", sector: "Sector", industry: "Industry", country: "Country" };
+
+export function exposureToMarkdown(exposure, topN = 8) {
+  if (!exposure?.available) return "";
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmt = (v, currency) => {
+    if (!Number.isFinite(v)) return "n/a";
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 2 }).format(v);
+  };
+
+  const lines = [];
+  lines.push("## Exposure");
+  lines.push("");
+  lines.push(`- Security master: ${exposure.securityCount} securities`);
+  if (exposure.unclassified.length) lines.push(`- Unclassified symbols: ${exposure.unclassified.join(", ")}`);
+  if (exposure.breaches.length) {
+    for (const item of exposure.breaches) {
+      lines.push(
+        `- Cap breached: ${item.scope} ${DIMENSION_LABELS[item.dimension]} ${item.key} ${fmtPct(item.weight)} (cap ${fmtPct(item.cap)})`
+      );
+    }
+  } else {
+    lines.push("- No exposure caps breached.");
+  }
+  lines.push("");
+
+  const { combined } = exposure;
+  if (combined) {
+    for (const dimension of EXPOSURE_DIMENSIONS) {
+      const rows = combined.dimensions[dimension];
+      lines.push(`### ${DIMENSION_LABELS[dimension]} (${combined.currency})`);
+      lines.push("");
+      lines.push("| Bucket | Market Value | Weight | Cap | Symbols |");
+      lines.push("|---|---|---|---|---|");
+      for (const row of rows.slice(0, topN)) {
+        const cap = capFor(exposure.caps, dimension, row.key);
+        lines.push(
+          `| ${row.key} | ${fmt(row.marketValue, combined.currency)} | ${fmtPct(row.weight)} | ${cap === undefined ? "-" : fmtPct(cap)} | ${row.symbols.join(", ")} |`
+        );
+      }
+      if (rows.length > topN) lines.push(`\n- ...${rows.length - topN} more in JSON.`);
+      lines.push("");
+    }
+  }
+
+  lines.push("### By Wallet");
+  lines.push("");
+  for (const wallet of exposure.wallets) {
+    const summary = (dimension) =>
+      wallet.dimensions[dimension]
+        .slice(0, 4)
+        .map((row) => `${row.key} ${fmtPct(row.weight)}`)
+        .join(", ");
+    lines.push(`- ${wallet.walletName}: asset class ${summary("assetClass")}; sector ${summary("sector")}`);
+  }
+  lines.push("");
+  return lines.join("\n") + "\n";
+}
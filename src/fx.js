@@ -0,0 +1,189 @@
+import fs from "node:fs/promises";
+
+/**
+ * FX Conversion Layer
+ *
+ * Converts wallet figures into the configured base currency so mixed-currency
+ * setups (e.g. a USD wallet and an EGP wallet) still produce one combined
+ * analysis. Rates are quoted as "1 unit of currency = rate units of base
+ * currency" and come from the `fx` block in inputs.json and/or a local rates
+ * file, each with optional per-date history.
+ */
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function scale(value, rate) {
+  return Number.isFinite(value) ? round(value * rate, 6) : value;
+}
+
+function normalizeRateMap(raw, label) {
+  const rates = {};
+  if (raw === null || raw === undefined) return rates;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object of currency -> rate.`);
+  }
+  for (const [key, value] of Object.entries(raw)) {
+    const currency = String(key).trim().toUpperCase();
+    const rate = typeof value === "string" ? Number.parseFloat(value) : value;
+    if (!CURRENCY_RE.test(currency)) {
+      throw new Error(`${label} has an invalid currency code: ${key}`);
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`${label}.${currency} must be a positive number. Received: ${value}`);
+    }
+    rates[currency] = rate;
+  }
+  return rates;
+}
+
+/**
+ * Validate a `{ rates, history }` rate table from config or a rates file.
+ * History is keyed by YYYY-MM-DD.
+ */
+export function normalizeRateTable(raw, label = "fx") {
+  const data = raw ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${label} must be an object.`);
+  }
+  const rates = normalizeRateMap(data.rates, `${label}.rates`);
+  const history = {};
+  if (data.history !== undefined && data.history !== null) {
+    if (typeof data.history !== "object" || Array.isArray(data.history)) {
+      throw new Error(`${label}.history must be an object keyed by YYYY-MM-DD.`);
+    }
+    for (const [date, entry] of Object.entries(data.history)) {
+      if (!DATE_RE.test(date)) {
+        throw new Error(`${label}.history has an invalid date key: ${date}`);
+      }
+      history[date] = normalizeRateMap(entry, `${label}.history.${date}`);
+    }
+  }
+  return { rates, history };
+}
+
+/**
+ * Merge the rates file (if any) with the inline config block.
+ * Inline values win over file values for the same currency/date.
+ */
+export async function loadFxTable(fxConfig, baseCurrency) {
+  const table = { baseCurrency, rates: {}, history: {} };
+  if (!fxConfig) return table;
+
+  if (fxConfig.ratesFile) {
+    const filePath = fxConfig.ratesFile;
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read fx rates file ${filePath}: ${error.message}`);
+    }
+    const fileBase = parsed.baseCurrency ? String(parsed.baseCurrency).toUpperCase() : baseCurrency;
+    if (fileBase !== baseCurrency) {
+      throw new Error(
+        `fx rates file ${filePath} is quoted in ${fileBase} but baseCurrency is ${baseCurrency}.`
+      );
+    }
+    const fromFile = normalizeRateTable(parsed, "fx rates file");
+    Object.assign(table.rates, fromFile.rates);
+    for (const [date, entry] of Object.entries(fromFile.history)) {
+      table.history[date] = { ...entry };
+    }
+  }
+
+  Object.assign(table.rates, fxConfig.rates ?? {});
+  for (const [date, entry] of Object.entries(fxConfig.history ?? {})) {
+    table.history[date] = { ...(table.history[date] ?? {}), ...entry };
+  }
+  return table;
+}
+
+/**
+ * Pick the rate for each currency on a report date: the latest history entry
+ * on or before the date, else the static rate. The base currency is always 1.
+ */
+export function resolveFxRates(table, date, currencies) {
+  const baseCurrency = table.baseCurrency;
+  const historyDates = Object.keys(table.history ?? {})
+    .filter((item) => item <= date)
+    .sort()
+    .reverse();
+
+  const rates = [];
+  const missing = [];
+  for (const currency of [...new Set(currencies)].sort()) {
+    if (currency === baseCurrency) {
+      rates.push({ currency, rate: 1, asOf: date, source: "base" });
+      continue;
+    }
+    const asOf = historyDates.find((item) => Number.isFinite(table.history[item][currency]));
+    if (asOf) {
+      rates.push({ currency, rate: table.history[asOf][currency], asOf, source: "history" });
+    } else if (Number.isFinite(table.rates?.[currency])) {
+      rates.push({ currency, rate: table.rates[currency], asOf: null, source: "static" });
+    } else {
+      missing.push(currency);
+    }
+  }
+
+  return {
+    baseCurrency,
+    date,
+    rates,
+    missing,
+    complete: missing.length === 0
+  };
+}
+
+export function rateFor(fx, currency) {
+  return fx?.rates?.find((item) => item.currency === currency)?.rate ?? null;
+}
+
+export function convertPositions(positions, rate) {
+  return (positions ?? []).map((position) => ({
+    ...position,
+    avgCost: scale(position.avgCost, rate),
+    spent: scale(position.spent, rate),
+    price: scale(position.price, rate),
+    marketValue: scale(position.marketValue, rate),
+    pnl: scale(position.pnl, rate)
+  }));
+}
+
+export function convertAdjustments(adjustments, rate) {
+  return (adjustments ?? []).map((item) => ({
+    ...item,
+    amount: scale(item.amount, rate),
+    spentDelta: scale(item.spentDelta, rate),
+    marketValueDelta: scale(item.marketValueDelta, rate),
+    pnlDelta: scale(item.pnlDelta, rate)
+  }));
+}
+
+export function convertCash(cash, rate) {
+  return (cash ?? []).map((item) => ({ ...item, amount: scale(item.amount, rate) }));
+}
+
+export function fxToMarkdown(fx) {
+  if (!fx) return "";
+  const lines = [];
+  lines.push("## FX Rates");
+  lines.push(`- Base currency: ${fx.baseCurrency}`);
+  fx.rates
+    .filter((item) => item.source !== "base")
+    .forEach((item) => {
+      const asOf = item.asOf ? ` as of ${item.asOf}` : "";
+      lines.push(`- 1 ${item.currency} = ${item.rate} ${fx.baseCurrency} (${item.source}${asOf})`);
+    });
+  if (fx.missing.length) {
+    lines.push(`- Missing rates: ${fx.missing.join(", ")} (combined totals not converted)`);
+  }
+  lines.push("");
+  return lines.join("\n") + "\n";
+}
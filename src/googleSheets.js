@@ -1,6 +1,7 @@
 import fs from "node:fs/promises";
 import { authenticate } from "@google-cloud/local-auth";
 import { google } from "googleapis";
+import { selectWorksheets, sheetsRange } from "./worksheetSelection.js";
 
 const SHEET_SCOPE = ["https://www.googleapis.com/auth/spreadsheets.readonly"];
 const SHEET_ID_RE = /\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/;
@@ -72,10 +73,6 @@ export async function createSheetsApi(options = {}) {
   return google.sheets({ version: "v4", auth });
 }
 
-function escapeSheetTitle(title) {
-  return `'${String(title).replace(/'/g, "''")}'`;
-}
-
 function unescapeRangeTitle(rangeValue) {
   const raw = String(rangeValue ?? "").trim();
   if (!raw) return "";
@@ -92,33 +89,39 @@ export async function fetchSpreadsheetDocument(sheetsApi, documentConfig) {
   });
 
   const documentTitle = meta.data.properties?.title ?? documentConfig.name;
-  const sheetTitles = (meta.data.sheets ?? [])
-    .map((item) => item.properties?.title)
-    .filter((item) => typeof item === "string");
+  const tabs = (meta.data.sheets ?? [])
+    .map((item) => ({ title: item.properties?.title, gid: item.properties?.sheetId ?? null }))
+    .filter((item) => typeof item.title === "string");
+  const { selected, skipped } = selectWorksheets(tabs, documentConfig.worksheets);
 
-  if (sheetTitles.length === 0) {
+  if (selected.length === 0) {
     return {
       spreadsheetId,
       documentName: documentConfig.name,
       documentTitle,
-      worksheets: []
+      worksheets: [],
+      skippedWorksheets: skipped
     };
   }
 
   const valuesResponse = await sheetsApi.spreadsheets.values.batchGet({
     spreadsheetId,
     majorDimension: "ROWS",
-    ranges: sheetTitles.map(escapeSheetTitle)
+    ranges: selected.map(sheetsRange)
   });
 
   const valueRanges = valuesResponse.data.valueRanges ?? [];
   const byTitle = new Map(
     valueRanges.map((item) => [unescapeRangeTitle(item.range), item.values ?? []])
   );
-  const worksheets = sheetTitles.map((title, index) => ({
-    title,
-    values: (byTitle.get(title) ?? valueRanges[index]?.values ?? []).map((row) =>
-      row.map((cell) => String(cell))
+  // Ranged entries come back in request order; a named range reports its own sheet title.
+  // The response range is the A1 block actually read, so named ranges keep their origin too.
+  const worksheets = selected.map((tab, index) => ({
+    title: tab.title,
+    gid: tab.gid,
+    range: tab.range ? valueRanges[index]?.range ?? tab.range : null,
+    values: ((tab.range ? valueRanges[index]?.values : byTitle.get(tab.title) ?? valueRanges[index]?.values) ?? []).map(
+      (row) => row.map((cell) => String(cell))
     )
   }));
 
@@ -126,6 +129,7 @@ export async function fetchSpreadsheetDocument(sheetsApi, documentConfig) {
     spreadsheetId,
     documentName: documentConfig.name,
     documentTitle,
-    worksheets
+    worksheets,
+    skippedWorksheets: skipped
   };
 }
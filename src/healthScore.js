@@ -1,3 +1,5 @@
+import { dataQualityPenalty } from "./dataQuality.js";
+
 /**
  * Portfolio Health Score
  *
@@ -5,9 +7,10 @@
  * across four dimensions:
  *
  *   1. Diversification (25pts) - How well-spread are position weights?
- *   2. Risk Exposure   (25pts) - Overweight positions, concentration breaches
+ *   2. Risk Exposure   (25pts) - Overweight positions, concentration breaches,
+ *                                 realised drawdown/volatility/VaR when history exists
  *   3. Performance     (25pts) - Overall P&L and drawdown severity
- *   4. Data Quality    (25pts) - Missing/weird values, parse failures
+ *   4. Data Quality    (25pts) - Cell diagnostics (errors, warnings), parse failures
  *
  * Each dimension scores 0-25. The sum gives the final health score.
  */
@@ -45,7 +48,9 @@ function scoreDiversification(analysis, risk) {
   return Math.round(clamp(raw, 0, 25));
 }
 
-function scoreRiskExposure(analysis, risk) {
+const MIN_HISTORY_OBSERVATIONS = 5;
+
+function scoreRiskExposure(analysis, risk, riskHistory = null) {
   let score = 25;
 
   // Overweight positions: -3 each
@@ -65,6 +70,21 @@ function scoreRiskExposure(analysis, risk) {
   const bigLosers = analysis.risk?.bigLosers?.length ?? 0;
   score -= bigLosers * 2;
 
+  // Realised risk from stored reports (only once there is enough history)
+  const realised = riskHistory?.available ? riskHistory.combined : null;
+  if (realised?.available && realised.observations >= MIN_HISTORY_OBSERVATIONS) {
+    // Max drawdown past the warn threshold: -4, past half of it: -2
+    if (realised.maxDrawdown <= risk.drawdownWarnPct) score -= 4;
+    else if (realised.maxDrawdown <= risk.drawdownWarnPct / 2) score -= 2;
+
+    // Annualized volatility above 35%: -3, above 25%: -1
+    if (realised.volatilityAnnualized > 0.35) score -= 3;
+    else if (realised.volatilityAnnualized > 0.25) score -= 1;
+
+    // 1-day 95% VaR above 3% of value: -2
+    if (realised.var95 > 0.03) score -= 2;
+  }
+
   return Math.round(clamp(score, 0, 25));
 }
 
@@ -89,12 +109,14 @@ function scorePerformance(analysis) {
   return Math.round(clamp(score, 0, 25));
 }
 
-function scoreDataQuality(analysis, failures = []) {
+function scoreDataQuality(analysis, failures = [], dataQuality = null) {
   let score = 25;
 
-  // Weird values: -1 each, capped
-  const weirdCount = analysis.risk?.weirdValues?.length ?? 0;
-  score -= Math.min(weirdCount * 1, 10);
+  // Cell diagnostics: -2 per error, -1 per warning, capped (weird values when absent)
+  const issuePenalty = dataQuality?.available
+    ? dataQualityPenalty(dataQuality)
+    : analysis.risk?.weirdValues?.length ?? 0;
+  score -= Math.min(issuePenalty, 10);
 
   // Failures: -5 each
   score -= failures.length * 5;
@@ -141,9 +163,9 @@ export function computeHealthScore(dailyReport) {
   };
 
   const diversification = scoreDiversification(analysis, risk);
-  const riskExposure = scoreRiskExposure(analysis, risk);
+  const riskExposure = scoreRiskExposure(analysis, risk, dailyReport.riskHistory);
   const performance = scorePerformance(analysis);
-  const dataQuality = scoreDataQuality(analysis, dailyReport.failures ?? []);
+  const dataQuality = scoreDataQuality(analysis, dailyReport.failures ?? [], dailyReport.dataQuality);
 
   const score = diversification + riskExposure + performance + dataQuality;
 
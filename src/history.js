@@ -1,11 +1,15 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { canonicalReport } from "./symbols.js";
 
 /**
  * Historical Trend Engine
  *
  * Reads past JSON reports from the reports directory and computes
- * multi-day trends, moving averages, and momentum per position.
+ * multi-day trends, moving averages, and momentum per position for the
+ * combined portfolio, each wallet (walletId) and each market view.
+ * `options.resolveSymbol` re-keys older reports by canonical symbol so a
+ * position keeps one series across an alias change.
  */
 
 async function listReportDates(reportsDir) {
@@ -31,10 +35,10 @@ async function loadReport(reportsDir, date) {
   }
 }
 
-function extractPositionMap(report) {
+function extractPositionMap(analysis) {
   const map = new Map();
-  if (!report?.combined?.positions) return map;
-  for (const pos of report.combined.positions) {
+  if (!analysis?.positions) return map;
+  for (const pos of analysis.positions) {
     map.set(pos.symbol, {
       symbol: pos.symbol,
       marketValue: pos.marketValue ?? 0,
@@ -46,6 +50,47 @@ function extractPositionMap(report) {
   return map;
 }
 
+/**
+ * Group the per-wallet and per-market analyses of each report by a stable key
+ * (walletId, or market + currency) so each gets its own trend series.
+ */
+function collectScopedSeries(reports) {
+  const wallets = new Map();
+  const markets = new Map();
+  for (const { date, report } of reports) {
+    for (const ws of report.worksheets ?? []) {
+      if (!ws.walletId || !ws.analysis) continue;
+      if (!wallets.has(ws.walletId)) {
+        wallets.set(ws.walletId, {
+          meta: { walletId: ws.walletId, walletName: ws.walletName, market: ws.market, currency: ws.currency },
+          series: []
+        });
+      }
+      wallets.get(ws.walletId).series.push({ date, analysis: ws.analysis });
+    }
+    for (const item of report.markets ?? []) {
+      if (!item.analysis) continue;
+      const key = `${item.market}::${item.currency}`;
+      if (!markets.has(key)) markets.set(key, { meta: { market: item.market, currency: item.currency }, series: [] });
+      markets.get(key).series.push({ date, analysis: item.analysis });
+    }
+  }
+  return { wallets, markets };
+}
+
+function extractWatchlistMap(report) {
+  const map = new Map();
+  for (const entry of report?.watchlist?.entries ?? []) {
+    if (!Number.isFinite(entry.price)) continue;
+    map.set(entry.symbol, {
+      price: entry.price,
+      distanceToTarget: entry.distanceToTarget ?? null,
+      held: Boolean(entry.held)
+    });
+  }
+  return map;
+}
+
 function computeMovingAverage(values, window) {
   if (values.length < window) return null;
   const slice = values.slice(-window);
@@ -70,43 +115,101 @@ function classifyTrend(values) {
   return "sideways";
 }
 
-export async function buildHistoricalTrends(reportsDir, currentDate, lookbackDays = 7) {
+export async function buildHistoricalTrends(reportsDir, currentDate, lookbackDays = 7, options = {}) {
   const allDates = await listReportDates(reportsDir);
   const cutoff = allDates.filter((d) => d <= currentDate).slice(-lookbackDays);
 
   if (cutoff.length < 2) {
-    return { available: false, reason: "fewer than 2 historical reports", dates: cutoff, positions: [], portfolio: [] };
+    return { available: false, reason: "fewer than 2 historical reports", dates: cutoff, positions: [], portfolio: [], wallets: [], markets: [], watchlist: [] };
   }
 
   const reports = [];
   for (const date of cutoff) {
-    const report = await loadReport(reportsDir, date);
+    const report = canonicalReport(await loadReport(reportsDir, date), options.resolveSymbol);
     if (report) reports.push({ date, report });
   }
 
   if (reports.length < 2) {
-    return { available: false, reason: "could not load enough reports", dates: cutoff, positions: [], portfolio: [] };
+    return { available: false, reason: "could not load enough reports", dates: cutoff, positions: [], portfolio: [], wallets: [], markets: [], watchlist: [] };
+  }
+
+  const watchlistHistory = new Map();
+  for (const { date, report } of reports) {
+    for (const [symbol, data] of extractWatchlistMap(report)) {
+      if (!watchlistHistory.has(symbol)) watchlistHistory.set(symbol, []);
+      watchlistHistory.get(symbol).push({ date, ...data });
+    }
   }
 
-  // Track per-position history
+  const combined = buildTrendBlock(reports.map(({ date, report }) => ({ date, analysis: report.combined })));
+
+  // Per-wallet and per-market blocks work even when combined is null (missing FX rates)
+  const scoped = collectScopedSeries(reports);
+  const walletTrends = [...scoped.wallets.values()]
+    .filter((item) => item.series.length >= 2)
+    .map((item) => ({ ...item.meta, ...buildTrendBlock(item.series) }));
+  const marketTrends = [...scoped.markets.values()]
+    .filter((item) => item.series.length >= 2)
+    .map((item) => ({ ...item.meta, ...buildTrendBlock(item.series) }));
+
+  // Watchlist names are trended on price so non-held symbols get sparklines too
+  const watchlistTrends = [];
+  for (const [symbol, history] of watchlistHistory) {
+    const priceValues = history.map((h) => h.price);
+    const latest = history[history.length - 1];
+    watchlistTrends.push({
+      symbol,
+      dataPoints: history.length,
+      dates: history.map((h) => h.date),
+      priceHistory: priceValues,
+      distanceHistory: history.map((h) => h.distanceToTarget),
+      trend: classifyTrend(priceValues),
+      momentum: round4(computeMomentum(priceValues)),
+      latestPrice: latest?.price ?? null,
+      latestDistance: latest?.distanceToTarget ?? null,
+      held: latest?.held ?? false
+    });
+  }
+
+  return {
+    available: true,
+    lookbackDays,
+    datesUsed: reports.map((r) => r.date),
+    positions: combined.positions,
+    portfolio: combined.portfolio,
+    wallets: walletTrends,
+    markets: marketTrends,
+    watchlist: watchlistTrends
+  };
+}
+
+/**
+ * Per-position and portfolio-level trends for one series of analyses
+ * (combined, a single wallet, or a single market).
+ */
+function buildTrendBlock(series) {
   const symbolHistory = new Map();
   const portfolioHistory = [];
 
-  for (const { date, report } of reports) {
-    const posMap = extractPositionMap(report);
-    for (const [symbol, data] of posMap) {
+  for (const { date, analysis } of series) {
+    for (const [symbol, data] of extractPositionMap(analysis)) {
       if (!symbolHistory.has(symbol)) symbolHistory.set(symbol, []);
       symbolHistory.get(symbol).push({ date, ...data });
     }
 
-    const combined = report.combined?.snapshot;
-    if (combined) {
+    const snapshot = analysis?.snapshot;
+    if (snapshot) {
       portfolioHistory.push({
         date,
-        totalMarketValue: combined.totalMarketValue ?? 0,
-        totalPnl: combined.totalPnl ?? 0,
-        totalPnlPct: combined.totalPnlPct ?? 0,
-        positionCount: report.combined.positionCount ?? 0
+        totalMarketValue: snapshot.totalMarketValue ?? 0,
+        totalPnl: snapshot.totalPnl ?? 0,
+        totalPnlPct: snapshot.totalPnlPct ?? 0,
+        realizedPnl: snapshot.realizedPnl ?? 0,
+        unrealizedPnl: snapshot.unrealizedPnl ?? snapshot.basePnl ?? 0,
+        adjustmentsByKind: Object.fromEntries((snapshot.adjustments?.byKind ?? []).map((item) => [item.kind, item.amount])),
+        cash: snapshot.cash?.balance ?? 0,
+        cashWeight: snapshot.cash?.weight ?? 0,
+        positionCount: analysis.positionCount ?? 0
       });
     }
   }
@@ -142,6 +245,16 @@ export async function buildHistoricalTrends(reportsDir, currentDate, lookbackDay
     dates: portfolioHistory.map((h) => h.date),
     marketValueHistory: mvValues,
     pnlHistory: pnlValues,
+    realizedPnlHistory: portfolioHistory.map((h) => h.realizedPnl),
+    unrealizedPnlHistory: portfolioHistory.map((h) => h.unrealizedPnl),
+    adjustmentHistory: Object.fromEntries(
+      [...new Set(portfolioHistory.flatMap((h) => Object.keys(h.adjustmentsByKind)))].map((kind) => [
+        kind,
+        portfolioHistory.map((h) => h.adjustmentsByKind[kind] ?? 0)
+      ])
+    ),
+    cashHistory: portfolioHistory.map((h) => h.cash),
+    cashWeightHistory: portfolioHistory.map((h) => h.cashWeight),
     trend: classifyTrend(mvValues),
     momentum: round4(computeMomentum(mvValues)),
     movingAvgMV3: round4(computeMovingAverage(mvValues, 3)),
@@ -149,9 +262,6 @@ export async function buildHistoricalTrends(reportsDir, currentDate, lookbackDay
   };
 
   return {
-    available: true,
-    lookbackDays,
-    datesUsed: reports.map((r) => r.date),
     positions: positionTrends.sort((a, b) => Math.abs(b.momentum) - Math.abs(a.momentum)),
     portfolio: portfolioTrend
   };
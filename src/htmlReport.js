@@ -1,5 +1,6 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { sparkline, trendArrow } from "./sparklines.js";
 
 /**
  * Self-Contained HTML Report
@@ -125,11 +126,489 @@ function buildWalletCards(worksheets, currency) {
           <div class="stat">
             <span class="stat-label">Top 3 Concentration</span>
             <span class="stat-value">${fmtPct(a?.risk?.top3Concentration)}</span>
-          </div>
+          </div>${
+            snap.cash?.count
+              ? `
+          <div class="stat">
+            <span class="stat-label">Cash</span>
+            <span class="stat-value">${fmtCurrency(snap.cash.balance, ws.currency)} (${fmtPct(snap.cash.weight)})</span>
+          </div>`
+              : ""
+          }
+        </div>
+      </div>`;
+    })
+    .join("\n");
+}
+
+function buildRiskReview(risk, currency) {
+  if (!risk) return "";
+  const list = (title, items, describe) => `<div class="risk-block">
+      <h3>${title} <span class="risk-count">${items.length}</span></h3>
+      ${
+        items.length
+          ? `<ul>${items.map((item) => `<li><span class="sym">${escapeHtml(item.symbol)}</span> ${describe(item)}</li>`).join("")}</ul>`
+          : `<div class="risk-empty">None</div>`
+      }
+    </div>`;
+
+  return `<h2>Risk Review</h2>
+  <div class="risk-grid">
+    ${list("Above Max Weight", risk.overweightPositions ?? [], (p) => `${fmtPct(p.marketWeight)} (${fmtCurrency(p.marketValue, currency)})`)}
+    ${list("Below Drawdown Threshold", risk.bigLosers ?? [], (p) => `${fmtPct(p.pnlPct)} (${fmtCurrency(p.pnl, currency)})`)}
+    ${list("Above Take-Profit Threshold", risk.bigWinners ?? [], (p) => `${fmtPct(p.pnlPct)} (${fmtCurrency(p.pnl, currency)}) &middot; weight ${fmtPct(p.marketWeight)}`)}
+    ${list("Below Min Weight", risk.underweightPositions ?? [], (p) => `${fmtPct(p.marketWeight)} (${fmtCurrency(p.marketValue, currency)}) &middot; P&amp;L ${fmtPct(p.pnlPct)}`)}
+  </div>`;
+}
+
+function buildRebalanceSection(rebalance) {
+  if (!rebalance?.available) return "";
+  const table = (title, dimension, currency) => {
+    if (!dimension?.rows?.length) return "";
+    const rows = dimension.rows
+      .map(
+        (row) => `<tr>
+        <td class="sym">${escapeHtml(row.key)}</td>
+        <td class="num">${fmtPct(row.currentWeight)}</td>
+        <td class="num">${fmtPct(row.targetWeight)}</td>
+        <td class="num" style="color:${row.withinBand ? "inherit" : "#ff9800"}">${fmtPct(row.drift)}</td>
+        <td class="num">${fmtCurrency(row.notionalToBand, currency)}</td>
+        <td class="num">${fmtCurrency(row.notionalToTarget, currency)}</td>
+      </tr>`
+      )
+      .join("\n");
+    return `<h3>${escapeHtml(title)}</h3>
+    <table class="pos-table">
+      <thead><tr><th>Target</th><th class="num">Current</th><th class="num">Target Wt</th><th class="num">Drift</th><th class="num">To Band</th><th class="num">To Target</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  };
+
+  const combined = rebalance.combined;
+  const parts = [];
+  if (combined) {
+    parts.push(table(`Wallets (${combined.currency})`, combined.wallets, combined.currency));
+    parts.push(table(`Markets (${combined.currency})`, combined.markets, combined.currency));
+    parts.push(table(`Symbols (${combined.currency})`, combined.symbols, combined.currency));
+  }
+  for (const wallet of rebalance.wallets ?? []) {
+    parts.push(table(`${wallet.walletName} (${wallet.currency})`, wallet.symbols, wallet.currency));
+  }
+
+  return `<h2>Rebalance Drift</h2>
+  <div class="rebalance-section">
+    <div class="diff-meta">Tolerance &plusmn;${fmtPct(rebalance.tolerance)} &middot; Rebalance needed: <strong>${
+      rebalance.rebalanceNeeded ? "yes" : "no"
+    }</strong> &middot; amounts: + buy / &minus; sell at constant total value</div>
+    ${parts.join("\n")}
+  </div>`;
+}
+
+function buildWatchlistSection(watchlist) {
+  if (!watchlist?.count) return "";
+  const rows = watchlist.entries
+    .map(
+      (item) => `<tr>
+        <td class="sym">${escapeHtml(item.symbol)}</td>
+        <td class="num">${fmtCurrency(item.price, item.currency)}</td>
+        <td class="num">${fmtCurrency(item.targetEntryPrice, item.currency)}</td>
+        <td class="num" style="color:${item.atOrBelowTarget ? "#4caf50" : "inherit"}">${fmtPct(item.distanceToTarget)}</td>
+        <td>${item.held ? escapeHtml(item.heldIn.map((h) => h.walletName).join(", ")) : "&mdash;"}</td>
+        <td>${escapeHtml(item.notes ?? "")}</td>
+      </tr>`
+    )
+    .join("\n");
+  return `<h2>Watchlist</h2>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Symbol</th><th class="num">Price</th><th class="num">Target Entry</th><th class="num">Distance</th><th>Held In</th><th>Notes</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+function buildIncomeSection(income) {
+  if (!income?.available) return "";
+  const rows = income.positions
+    .map(
+      (item) => `<tr>
+        <td>${escapeHtml(item.walletName)}</td>
+        <td class="sym">${escapeHtml(item.symbol)}</td>
+        <td class="num">${fmtCurrency(item.incomeTtm, item.currency)}</td>
+        <td class="num">${fmtPct(item.yieldOnCost)}</td>
+        <td class="num">${fmtPct(item.yieldOnMarketValue)}</td>
+        <td class="num">${item.held ? fmtCurrency(item.totalReturn, item.currency) : "closed"}</td>
+        <td class="num">${fmtPct(item.totalReturnPct)}</td>
+      </tr>`
+    )
+    .join("\n");
+  const upcoming = income.calendar
+    .slice(0, 10)
+    .map((item) => `${escapeHtml(item.date)} ${escapeHtml(item.symbol)} ${item.event === "ex_date" ? "ex-date" : "payment"}`)
+    .join(" &middot; ");
+  return `<h2>Income</h2>
+  <div class="diff-meta">${income.byCurrency
+    .map((item) => `TTM ${fmtCurrency(item.incomeTtm, item.currency)}`)
+    .join(" &middot; ")}${upcoming ? ` &middot; upcoming: ${upcoming}` : ""}</div>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Wallet</th><th>Symbol</th><th class="num">TTM Income</th><th class="num">Yield on Cost</th><th class="num">Yield on MV</th><th class="num">Total Return</th><th class="num">Total Return %</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+const EXPOSURE_COLORS = ["#58a6ff", "#3fb950", "#d29922", "#bc8cff", "#f778ba", "#39c5cf", "#ff7b72", "#a5d6ff", "#7ee787", "#e3b341"];
+const EXPOSURE_LABELS = { assetClass: "Asset Class", sector: "Sector", industry: "Industry", country: "Country" };
+
+function stackedBar(label, rows) {
+  const segments = rows
+    .filter((row) => row.weight > 0)
+    .map((row, index) => {
+      const color = row.key === "Unclassified" ? "#484f58" : EXPOSURE_COLORS[index % EXPOSURE_COLORS.length];
+      const title = `${row.key}: ${fmtPct(row.weight)}`;
+      return `<div class="stack-seg" style="width:${(row.weight * 100).toFixed(2)}%;background:${color}" title="${escapeHtml(title)}">${
+        row.weight >= 0.08 ? escapeHtml(row.key) : ""
+      }</div>`;
+    })
+    .join("");
+  return `<div class="stack-row"><span class="stack-label">${escapeHtml(label)}</span><div class="stack-bar">${segments}</div></div>`;
+}
+
+function buildExposureSection(exposure) {
+  if (!exposure?.available) return "";
+  const combined = exposure.combined
+    ? Object.entries(EXPOSURE_LABELS)
+        .map(([dimension, label]) => stackedBar(`${label} (${exposure.combined.currency})`, exposure.combined.dimensions[dimension]))
+        .join("\n")
+    : "";
+  const wallets = exposure.wallets
+    .map((wallet) => stackedBar(`${wallet.walletName} · asset class`, wallet.dimensions.assetClass) + stackedBar(`${wallet.walletName} · sector`, wallet.dimensions.sector))
+    .join("\n");
+  const breaches = exposure.breaches.length
+    ? exposure.breaches
+        .map((item) => `${escapeHtml(item.scope)} ${escapeHtml(EXPOSURE_LABELS[item.dimension])} <strong>${escapeHtml(item.key)}</strong> ${fmtPct(item.weight)} &gt; ${fmtPct(item.cap)}`)
+        .join(" &middot; ")
+    : "No exposure caps breached";
+  return `<h2>Exposure</h2>
+  <div class="diff-meta">${breaches}${exposure.unclassified.length ? ` &middot; unclassified: ${escapeHtml(exposure.unclassified.join(", "))}` : ""}</div>
+  ${combined}
+  ${wallets}`;
+}
+
+function buildStressSection(stress) {
+  if (!stress?.available) return "";
+  const newBreaches = (items) => {
+    const fresh = items.filter((item) => item.new);
+    if (!fresh.length) return '<span class="risk-empty">none new</span>';
+    return fresh
+      .map((item) => {
+        if (item.type === "top3_concentration") return `top-3 ${fmtPct(item.value)}`;
+        if (item.type === "portfolio_drawdown") return `portfolio P&amp;L ${fmtPct(item.value)}`;
+        return `<strong>${escapeHtml(item.symbol)}</strong> ${item.type === "overweight" ? "overweight " : ""}${fmtPct(item.value)}`;
+      })
+      .join(", ");
+  };
+  const rows = stress.scenarios
+    .flatMap((item) => [
+      ...(item.combined ? [{ name: item.name, scope: "Combined", row: item.combined, currency: item.combined.currency }] : []),
+      ...item.wallets
+        .filter((wallet) => wallet.marketValueChange !== 0)
+        .map((wallet) => ({ name: item.name, scope: wallet.walletName, row: wallet, currency: wallet.currency }))
+    ])
+    .map(
+      ({ name, scope, row, currency }) => `<tr>
+        <td>${escapeHtml(name)}</td>
+        <td>${escapeHtml(scope)}</td>
+        <td class="num">${fmtCurrency(row.marketValueAfter, currency)}</td>
+        <td class="num" style="color:${row.marketValueChange < 0 ? "#f44336" : "inherit"}">${fmtCurrency(row.marketValueChange, currency)} (${fmtPct(row.marketValueChangePct)})</td>
+        <td class="num">${fmtCurrency(row.pnlAfter, currency)}</td>
+        <td>${newBreaches(row.breaches)}</td>
+      </tr>`
+    )
+    .join("\n");
+  return `<h2>Stress Tests</h2>
+  <div class="diff-meta">${stress.scenarios.length} scenario${stress.scenarios.length === 1 ? "" : "s"}${stress.worstScenario ? ` &middot; worst: <strong>${escapeHtml(stress.worstScenario)}</strong>` : ""}</div>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Scenario</th><th>Scope</th><th class="num">Value After</th><th class="num">Change</th><th class="num">P&amp;L After</th><th>New Breaches</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+function buildOverlapSection(overlap) {
+  if (!overlap?.available || (!overlap.overlaps.length && !overlap.lookThrough)) return "";
+  const rows = (overlap.lookThrough ? overlap.underlying : overlap.overlaps)
+    .slice(0, 15)
+    .map(
+      (row) => `<tr>
+        <td class="sym">${escapeHtml(row.symbol)}</td>
+        <td class="num">${row.walletCount}</td>
+        <td class="num">${fmtCurrency(row.combinedMarketValue, overlap.currency)}</td>
+        <td class="num">${fmtPct(row.combinedWeight)}</td>
+        <td>${row.wallets
+          .map((item) => {
+            const via = item.viaFunds.map((entry) => entry.fund);
+            return `${escapeHtml(item.walletName)}${via.length ? ` <span class="risk-empty">(via ${escapeHtml(via.join(", "))})</span>` : ""}`;
+          })
+          .join(", ")}</td>
+      </tr>`
+    )
+    .join("\n");
+  const breaches = overlap.breaches.length
+    ? overlap.breaches.map((item) => `<strong>${escapeHtml(item.symbol)}</strong> ${fmtPct(item.weight)} &gt; ${fmtPct(item.cap)}`).join(" &middot; ")
+    : "No underlying cap breached";
+  return `<h2>${overlap.lookThrough ? "Look-Through Exposure" : "Cross-Wallet Overlap"}</h2>
+  <div class="diff-meta">${overlap.overlaps.length} symbol${overlap.overlaps.length === 1 ? "" : "s"} in several wallets &middot; ${breaches}</div>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Symbol</th><th class="num">Wallets</th><th class="num">Value</th><th class="num">Weight</th><th>Held In</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+function buildLotsSection(lots) {
+  if (!lots?.available) return "";
+  const wallets = lots.wallets
+    .filter((wallet) => wallet.symbols.length)
+    .map((wallet) => {
+      const symbols = wallet.symbols
+        .map((item) => {
+          const lotRows = item.lots
+            .map(
+              (lot) => `<tr>
+                <td>${escapeHtml(lot.acquiredDate)}${lot.acquiredSource === "sheet" ? "" : ` <span class="risk-empty">(${escapeHtml(lot.acquiredSource.replace(/_/g, " "))})</span>`}</td>
+                <td class="num">${lot.quantity}</td>
+                <td class="num">${fmtCurrency(lot.cost, wallet.currency)}</td>
+                <td class="num">${fmtCurrency(lot.unitCost, wallet.currency)}</td>
+                <td class="num" style="color:${(lot.unrealizedPnl ?? 0) >= 0 ? "#4caf50" : "#f44336"}">${fmtCurrency(lot.unrealizedPnl, wallet.currency)}</td>
+                <td class="num">${lot.holdingDays}</td>
+                <td>${escapeHtml(lot.term)}</td>
+              </tr>`
+            )
+            .join("\n");
+          return `<details class="lot-group">
+            <summary><span class="sym">${escapeHtml(item.symbol)}</span> &middot; ${item.lots.length} lot${item.lots.length === 1 ? "" : "s"} &middot; ${fmtCurrency(item.cost, wallet.currency)}</summary>
+            <table class="pos-table">
+              <thead><tr><th>Acquired</th><th class="num">Qty</th><th class="num">Cost</th><th class="num">Unit Cost</th><th class="num">Unrealised</th><th class="num">Days</th><th>Term</th></tr></thead>
+              <tbody>${lotRows}</tbody>
+            </table>
+          </details>`;
+        })
+        .join("\n");
+      return `<h3>${escapeHtml(wallet.walletName)}</h3>
+      <div class="diff-meta">${escapeHtml(wallet.method.toUpperCase())} &middot; realised YTD ${fmtCurrency(wallet.realized.ytd, wallet.currency)} (short ${fmtCurrency(
+        wallet.realized.ytdShortTerm,
+        wallet.currency
+      )}, long ${fmtCurrency(wallet.realized.ytdLongTerm, wallet.currency)})</div>
+      ${symbols}`;
+    })
+    .join("\n");
+  return `<h2>Tax Lots</h2>
+  ${wallets}`;
+}
+
+function buildWalletDiffRows(diff) {
+  const wallets = diff?.wallets ?? [];
+  if (!wallets.length) return "";
+  const rows = wallets
+    .map((w) => {
+      const wd = w.portfolioDelta;
+      const color = wd.marketValueDelta >= 0 ? "#4caf50" : "#f44336";
+      const moves = [
+        w.newPositions.length ? `new: ${w.newPositions.map((p) => escapeHtml(p.symbol)).join(", ")}` : "",
+        w.closedPositions.length ? `closed: ${w.closedPositions.map((p) => escapeHtml(p.symbol)).join(", ")}` : ""
+      ]
+        .filter(Boolean)
+        .join(" &middot; ");
+      return `<tr>
+        <td class="sym">${escapeHtml(w.walletName)}${w.status === "both" ? "" : ` <span class="risk-count">(${escapeHtml(w.status)})</span>`}</td>
+        <td class="num" style="color:${color}">${fmtCurrency(wd.marketValueDelta, w.currency)}</td>
+        <td class="num">${fmtCurrency(wd.pnlDelta, w.currency)}</td>
+        <td class="num">${wd.positionCountBefore} &rarr; ${wd.positionCountAfter}</td>
+        <td>${moves}</td>
+      </tr>`;
+    })
+    .join("\n");
+  return `<table class="pos-table" style="margin-top:12px">
+      <thead><tr><th>Wallet</th><th class="num">MV Delta</th><th class="num">P&amp;L Delta</th><th class="num">Positions</th><th>Changes</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function buildTradeBlotter(diff) {
+  const trades = (diff?.wallets ?? []).flatMap((w) => (w.trades ?? []).map((t) => ({ ...t, wallet: w })));
+  if (!trades.length) return "";
+  const rows = trades
+    .map(
+      (t) => `<tr>
+        <td>${escapeHtml(t.wallet.walletName)}</td>
+        <td class="sym">${escapeHtml(t.symbol)}</td>
+        <td>${escapeHtml(t.type.replace(/_/g, " "))}</td>
+        <td class="num">${t.quantityBefore} &rarr; ${t.quantityAfter}</td>
+        <td class="num">${fmtCurrency(t.estimatedPrice, t.wallet.currency)}</td>
+        <td class="num">${fmtCurrency(t.notional, t.wallet.currency)}</td>
+      </tr>`
+    )
+    .join("\n");
+  return `<h3 style="margin-top:16px">Inferred Trades</h3>
+    <table class="pos-table">
+      <thead><tr><th>Wallet</th><th>Symbol</th><th>Type</th><th class="num">Quantity</th><th class="num">Est. Price</th><th class="num">Notional</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function buildWalletTrendsSection(trends) {
+  const wallets = trends?.available ? trends.wallets ?? [] : [];
+  if (!wallets.length) return "";
+  const cards = wallets
+    .map((w) => {
+      const mv = w.portfolio?.marketValueHistory ?? [];
+      const top = (w.positions ?? [])
+        .slice(0, 5)
+        .map(
+          (p) =>
+            `<div class="stat"><span class="stat-label">${escapeHtml(p.symbol)}</span><span class="spark">${sparkline(p.pnlHistory)} ${trendArrow(p.pnlHistory)}</span></div>`
+        )
+        .join("");
+      return `<div class="wallet-card">
+        <h3>${escapeHtml(w.walletName)}</h3>
+        <div class="wallet-meta">${escapeHtml(w.currency)} &middot; ${escapeHtml((w.portfolio?.trend ?? "n/a").replace("_", " "))}</div>
+        <div class="wallet-stats">
+          <div class="stat"><span class="stat-label">Market Value</span><span class="spark">${sparkline(mv)} ${trendArrow(mv)}</span></div>
+          ${top}
         </div>
       </div>`;
     })
     .join("\n");
+  return `<h2>Wallet Trends (${trends.datesUsed.length}d)</h2>
+  <div class="wallet-grid">
+    ${cards}
+  </div>`;
+}
+
+function buildPerformanceSection(performance) {
+  if (!performance?.available) return "";
+  const scopes = [
+    { label: "Combined", currency: performance.combined.currency, ...performance.combined },
+    ...(performance.wallets ?? []).map((w) => ({ label: w.walletName, ...w }))
+  ];
+  const cell = (v) => `<td class="num" style="color:${Number.isFinite(v) ? (v >= 0 ? "#4caf50" : "#f44336") : "inherit"}">${fmtPct(v)}</td>`;
+  const rows = scopes
+    .map((s) =>
+      s.available
+        ? `<tr>
+        <td class="sym">${escapeHtml(s.label)}</td>
+        ${cell(s.daily)}${cell(s.mtd)}${cell(s.ytd)}${cell(s.sinceInception)}${cell(s.xirr)}
+        <td class="num">${s.currency ? fmtCurrency(s.netContributions, s.currency) : "n/a"}</td>
+        <td>${escapeHtml(s.startDate)}</td>
+      </tr>`
+        : `<tr><td class="sym">${escapeHtml(s.label)}</td><td colspan="7" class="risk-empty">${escapeHtml(s.reason ?? "n/a")}</td></tr>`
+    )
+    .join("\n");
+  return `<h2>Performance</h2>
+  <div class="diff-meta">Time-weighted (Modified Dietz, chained) and money-weighted (XIRR, annualized) returns; flows = change in spent.</div>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Scope</th><th class="num">Daily</th><th class="num">MTD</th><th class="num">YTD</th><th class="num">Since Inception</th><th class="num">XIRR</th><th class="num">Net Contributions</th><th>Since</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+function buildRiskHistorySection(riskHistory) {
+  if (!riskHistory?.available) return "";
+  const scopes = [
+    { label: "Combined", ...riskHistory.combined },
+    ...(riskHistory.wallets ?? []).map((w) => ({ label: w.walletName, ...w })),
+    ...(riskHistory.positions ?? []).slice(0, 10).map((p) => ({ label: p.symbol, ...p }))
+  ];
+  const ratio = (v) => (Number.isFinite(v) ? v.toFixed(2) : "n/a");
+  const rows = scopes
+    .map((s) =>
+      s.available
+        ? `<tr>
+        <td class="sym">${escapeHtml(s.label)}</td>
+        <td class="num">${s.observations}</td>
+        <td class="num">${fmtPct(s.volatilityAnnualized)}</td>
+        <td class="num" style="color:${s.maxDrawdown < 0 ? "#f44336" : "inherit"}">${fmtPct(s.maxDrawdown)}</td>
+        <td>${s.peakDate ? `${escapeHtml(s.peakDate)} &rarr; ${escapeHtml(s.troughDate)}` : "&mdash;"}</td>
+        <td class="num">${ratio(s.sharpe)}</td>
+        <td class="num">${ratio(s.sortino)}</td>
+        <td class="num">${fmtPct(s.var95)}</td>
+        <td class="num">${fmtPct(s.cvar95)}</td>
+      </tr>`
+        : `<tr><td class="sym">${escapeHtml(s.label)}</td><td colspan="8" class="risk-empty">${escapeHtml(s.reason ?? "n/a")}</td></tr>`
+    )
+    .join("\n");
+  return `<h2>Historical Risk</h2>
+  <div class="diff-meta">Risk-free ${fmtPct(riskHistory.riskFreeRate)} &middot; 1-day historical VaR/CVaR at ${Math.round(riskHistory.confidence * 100)}%</div>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Scope</th><th class="num">Obs</th><th class="num">Vol (ann.)</th><th class="num">Max DD</th><th>Peak &rarr; Trough</th><th class="num">Sharpe</th><th class="num">Sortino</th><th class="num">VaR 95%</th><th class="num">CVaR 95%</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+function buildBenchmarkSection(benchmarks) {
+  const items = benchmarks?.available ? [...(benchmarks.markets ?? []), ...(benchmarks.wallets ?? [])] : [];
+  if (!items.length) return "";
+  const ratio = (v) => (Number.isFinite(v) ? v.toFixed(2) : "n/a");
+  const rows = items
+    .map((item) =>
+      item.available
+        ? `<tr>
+        <td class="sym">${escapeHtml(item.walletName ?? `${item.market} (${item.currency})`)}</td>
+        <td>${escapeHtml(item.benchmark.name)}</td>
+        <td class="num">${fmtPct(item.portfolioReturn)} <span class="spark">${sparkline(item.portfolioIndexHistory)}</span></td>
+        <td class="num">${fmtPct(item.benchmarkReturn)} <span class="spark">${sparkline(item.benchmarkIndexHistory)}</span></td>
+        <td class="num" style="color:${item.excessReturn >= 0 ? "#4caf50" : "#f44336"}">${fmtPct(item.excessReturn)}</td>
+        <td class="num">${fmtPct(item.trackingError)}</td>
+        <td class="num">${ratio(item.beta)}</td>
+        <td class="num">${ratio(item.upCapture)} / ${ratio(item.downCapture)}</td>
+      </tr>`
+        : `<tr><td class="sym">${escapeHtml(item.walletName ?? item.market)}</td><td>${escapeHtml(item.benchmark.name)}</td><td colspan="6" class="risk-empty">${escapeHtml(item.reason ?? "n/a")}</td></tr>`
+    )
+    .join("\n");
+  return `<h2>Benchmark Comparison</h2>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Scope</th><th>Benchmark</th><th class="num">Return</th><th class="num">Benchmark</th><th class="num">Excess</th><th class="num">Tracking Error</th><th class="num">Beta</th><th class="num">Up / Down Capture</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
+}
+
+function buildDataQualitySection(dataQuality) {
+  if (!dataQuality?.available || !dataQuality.total) return "";
+  const colors = { error: "#f44336", warning: "#ff9800", info: "#9e9e9e" };
+  const rows = dataQuality.diagnostics
+    .slice(0, 50)
+    .map(
+      (item) => `<tr>
+        <td style="color:${colors[item.severity] ?? "inherit"}">${escapeHtml(item.severity)}</td>
+        <td>${escapeHtml(item.code)}</td>
+        <td>${escapeHtml(`${item.document} / ${item.worksheet}`)}${item.cell ? ` <span class="sym">${escapeHtml(item.cell)}</span>` : ""}</td>
+        <td>${escapeHtml(item.raw ?? "")}</td>
+        <td class="num">${escapeHtml(item.value ?? "n/a")}</td>
+        <td>${escapeHtml(item.message)}</td>
+      </tr>`
+    )
+    .join("\n");
+  const { counts } = dataQuality;
+  return `<h2>Data Quality</h2>
+  <div class="diff-meta">${counts.error} errors &middot; ${counts.warning} warnings &middot; ${counts.info} info${
+    dataQuality.total > 50 ? ` &middot; first 50 shown, full list in JSON` : ""
+  }</div>
+  <div style="overflow-x:auto">
+    <table class="pos-table">
+      <thead><tr><th>Severity</th><th>Code</th><th>Location</th><th>Raw</th><th class="num">Interpreted</th><th>Detail</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>`;
 }
 
 export function toHtml(dailyReport, healthScore = null, diff = null, trends = null) {
@@ -142,6 +621,32 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
   const treemapData = buildTreemapData(positions, totalMV);
   const positionRows = buildPositionTableRows(positions, currency, totalMV);
   const walletCards = buildWalletCards(dailyReport.worksheets, currency);
+  const riskReviewHtml = buildRiskReview(combined?.risk, currency);
+  const rebalanceHtml = buildRebalanceSection(dailyReport.rebalance);
+  const watchlistHtml = buildWatchlistSection(dailyReport.watchlist);
+  const incomeHtml = buildIncomeSection(dailyReport.income);
+  const walletTrendsHtml = buildWalletTrendsSection(trends);
+  const performanceHtml = buildPerformanceSection(dailyReport.performance);
+  const riskHistoryHtml = buildRiskHistorySection(dailyReport.riskHistory);
+  const benchmarkHtml = buildBenchmarkSection(dailyReport.benchmarks);
+  const lotsHtml = buildLotsSection(dailyReport.lots);
+  const exposureHtml = buildExposureSection(dailyReport.exposure);
+  const overlapHtml = buildOverlapSection(dailyReport.overlap);
+  const stressHtml = buildStressSection(dailyReport.stress);
+  const dataQualityHtml = buildDataQualitySection(dailyReport.dataQuality);
+
+  // FX note (only when mixed currencies were converted into the base currency)
+  const fxHtml = dailyReport.fx?.applied
+    ? `<div class="fx-note">FX: ${dailyReport.fx.rates
+        .filter((item) => item.source !== "base")
+        .map(
+          (item) =>
+            `1 ${escapeHtml(item.currency)} = ${escapeHtml(item.rate)} ${escapeHtml(dailyReport.fx.baseCurrency)}${
+              item.asOf ? ` (${escapeHtml(item.asOf)})` : ""
+            }`
+        )
+        .join(" &middot; ")}</div>`
+    : "";
 
   // Health score section
   const healthHtml = healthScore
@@ -183,6 +688,8 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
       </div>
       ${diff.newPositions.length ? `<div class="diff-list"><strong>New:</strong> ${diff.newPositions.map((p) => escapeHtml(p.symbol)).join(", ")}</div>` : ""}
       ${diff.closedPositions.length ? `<div class="diff-list"><strong>Closed:</strong> ${diff.closedPositions.map((p) => escapeHtml(p.symbol)).join(", ")}</div>` : ""}
+      ${buildWalletDiffRows(diff)}
+      ${buildTradeBlotter(diff)}
     </div>`;
   }
 
@@ -205,6 +712,7 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
   h2 { font-size: 1.3em; margin: 24px 0 12px; color: var(--accent); border-bottom: 1px solid var(--border); padding-bottom: 8px; }
   h3 { font-size: 1.1em; margin-bottom: 8px; }
   .subtitle { color: var(--text-dim); margin-bottom: 24px; }
+  .fx-note { color: var(--text-dim); font-size: 0.85em; margin: -16px 0 24px; }
   .top-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; margin-bottom: 24px; }
   .metric-card { background: var(--surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px; }
   .metric-label { font-size: 0.8em; color: var(--text-dim); text-transform: uppercase; letter-spacing: 0.05em; }
@@ -249,10 +757,30 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
   .stat { display: flex; justify-content: space-between; }
   .stat-label { color: var(--text-dim); font-size: 0.9em; }
   .stat-value { font-weight: 600; }
+  .spark { font-family: monospace; letter-spacing: 1px; }
+
+  /* Risk Review */
+  .risk-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 16px; margin-bottom: 24px; }
+  .risk-block { background: var(--surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px; }
+  .risk-block ul { list-style: none; font-size: 0.9em; }
+  .risk-block li { padding: 2px 0; }
+  .risk-block .sym { font-weight: 600; margin-right: 6px; }
+  .risk-count { color: var(--text-dim); font-weight: 400; }
+  .risk-empty { color: var(--text-dim); font-size: 0.9em; }
+
+  /* Rebalance */
+  .rebalance-section { background: var(--surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px; margin-bottom: 24px; overflow-x: auto; }
+  .rebalance-section h3 { margin-top: 12px; }
 
   /* Diff Section */
   .diff-section { background: var(--surface); border: 1px solid var(--border); border-radius: 8px; padding: 16px; margin-bottom: 24px; }
   .diff-meta { color: var(--text-dim); font-size: 0.9em; margin-bottom: 12px; }
+  .stack-row { display: flex; align-items: center; gap: 12px; margin-bottom: 8px; }
+  .stack-label { flex: 0 0 260px; color: var(--text-dim); font-size: 0.85em; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .stack-bar { flex: 1; display: flex; height: 22px; border-radius: 4px; overflow: hidden; background: var(--surface); }
+  .stack-seg { color: #0d1117; font-size: 0.75em; font-weight: 600; padding: 3px 4px; overflow: hidden; white-space: nowrap; }
+  .lot-group { margin-bottom: 8px; }
+  .lot-group summary { cursor: pointer; padding: 4px 0; }
   .diff-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; margin-bottom: 12px; }
   .diff-stat { display: flex; flex-direction: column; }
   .diff-label { font-size: 0.8em; color: var(--text-dim); }
@@ -273,6 +801,7 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
 <div class="container">
   <h1>Portfolio Report</h1>
   <div class="subtitle">${escapeHtml(dailyReport.date)} &middot; ${escapeHtml(currency)} &middot; ${combined?.positionCount ?? 0} positions</div>
+  ${fxHtml}
 
   <div class="top-grid">
     <div class="metric-card">
@@ -295,6 +824,13 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
 
   ${healthHtml}
   ${diffHtml}
+  ${performanceHtml}
+  ${riskHistoryHtml}
+  ${benchmarkHtml}
+  ${exposureHtml}
+  ${overlapHtml}
+  ${stressHtml}
+  ${lotsHtml}
 
   <h2>Position Treemap</h2>
   <div class="treemap-container">
@@ -321,11 +857,19 @@ export function toHtml(dailyReport, healthScore = null, diff = null, trends = nu
     </table>
   </div>
 
+  ${riskReviewHtml}
+  ${rebalanceHtml}
+  ${watchlistHtml}
+  ${incomeHtml}
+
   <h2>Wallets</h2>
   <div class="wallet-grid">
     ${walletCards}
   </div>
 
+  ${walletTrendsHtml}
+  ${dataQualityHtml}
+
   <div class="footer">
     Generated by portfolio-daily &middot; ${escapeHtml(dailyReport.date)}
   </div>
@@ -0,0 +1,414 @@
+import fs from "node:fs/promises";
+import { parseCsv } from "./csv.js";
+import { parseDate, parseNumber } from "./parser.js";
+
+/**
+ * Income Ledger
+ *
+ * Tracks dividends, coupons, staking rewards and interest from a dedicated
+ * ledger (a sheet tab named in `income.worksheet` or a local CSV/JSON file):
+ *
+ *   - attributes each payment to a wallet and symbol (the ledger's wallet
+ *     column, else the wallets holding the symbol, split by market value)
+ *   - trailing-12-month income, yield on cost and yield on market value per
+ *     position and per wallet
+ *   - an upcoming ex-date / payment calendar from entries dated after the
+ *     report date
+ *   - total return per position: unrealised price P&L plus income received
+ *
+ * Amounts are in the wallet's currency. Entries whose `currency` differs from
+ * the wallet they land in are listed but left out of the yields.
+ */
+
+export const INCOME_TYPES = ["dividend", "coupon", "staking", "interest", "other"];
+
+const TTM_DAYS = 365;
+const MARKDOWN_LIMIT = 20;
+
+const COLUMN_HEADERS = {
+  symbol: ["symbol", "ticker", "coin", "asset", "stock", "security", "code"],
+  wallet: ["wallet", "account", "portfolio"],
+  type: ["type", "kind", "income type", "category"],
+  amount: ["net amount", "amount", "net", "income", "gross amount", "value", "total"],
+  currency: ["currency", "ccy"],
+  payDate: ["pay date", "payment date", "paid date", "paid on", "received date", "date"],
+  exDate: ["ex date", "ex dividend date", "ex div date", "exdate"]
+};
+
+const TYPE_PATTERNS = [
+  ["dividend", /^(div|divs|dividends?|distribution|توزيعات?)$/u],
+  ["coupon", /^(coupons?|bond interest)$/],
+  ["staking", /^(staking|staking rewards?|rewards?|earn)$/],
+  ["interest", /^(interest|savings interest)$/]
+];
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function normalizeHeaderText(text) {
+  return String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[-_.]/g, " ")
+    .replace(/\s+/g, " ");
+}
+
+function shiftDate(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+export function normalizeIncomeType(raw) {
+  const text = normalizeHeaderText(raw);
+  if (!text) return "dividend";
+  if (INCOME_TYPES.includes(text)) return text;
+  return TYPE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? "other";
+}
+
+function detectLedgerColumns(cells) {
+  const names = cells.map(normalizeHeaderText);
+  const columns = {};
+  for (const [field, headers] of Object.entries(COLUMN_HEADERS)) {
+    const index = headers.map((name) => names.indexOf(name)).find((item) => item !== -1);
+    if (index !== undefined) columns[field] = index;
+  }
+  return columns;
+}
+
+function makeEntry(raw, source, locale = null) {
+  const symbol = String(raw.symbol ?? "").trim().toUpperCase();
+  if (!symbol) return null;
+  const amount = typeof raw.amount === "number" ? raw.amount : parseNumber(raw.amount, false, locale);
+  const payDate = parseDate(raw.payDate ?? raw.date, locale);
+  const exDate = parseDate(raw.exDate, locale);
+  if (!payDate && !exDate) return null;
+  const currency = String(raw.currency ?? "").trim().toUpperCase();
+  return {
+    symbol,
+    wallet: String(raw.wallet ?? "").trim() || null,
+    type: normalizeIncomeType(raw.type),
+    amount: Number.isFinite(amount) ? amount : null,
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : null,
+    exDate,
+    payDate,
+    source
+  };
+}
+
+/**
+ * Read ledger rows from a values grid. The first row with a symbol column and
+ * an amount or date column is the header; rows without a symbol or any date
+ * are skipped. An amount is optional for announced (future) entries.
+ */
+export function parseIncomeLedger(values, { locale = null, source = null } = {}) {
+  const entries = [];
+  let columns = null;
+  for (const row of values ?? []) {
+    const cells = Array.isArray(row) ? row : [];
+    if (!columns) {
+      const candidate = detectLedgerColumns(cells);
+      const hasDate = candidate.payDate !== undefined || candidate.exDate !== undefined;
+      if (candidate.symbol !== undefined && (candidate.amount !== undefined || hasDate)) columns = candidate;
+      continue;
+    }
+    const raw = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, cells[index]]));
+    const entry = makeEntry(raw, source, locale);
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Load a local ledger: CSV with the ledger columns, or JSON as an array of
+ * `{ symbol, amount, payDate, exDate, wallet, type, currency }` (optionally
+ * under `entries`).
+ */
+export async function loadIncomeFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read income file ${filePath}: ${error.message}`);
+  }
+  if (/\.json$/i.test(filePath)) {
+    const data = JSON.parse(text);
+    const raw = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(raw)) throw new Error(`Income file ${filePath} must be an array of entries or { entries }.`);
+    return raw.filter((item) => item && typeof item === "object").map((item) => makeEntry(item, "file")).filter(Boolean);
+  }
+  return parseIncomeLedger(parseCsv(text), { source: "file" });
+}
+
+export function isIncomeWorksheet(income, documentName, worksheetTitle) {
+  const wanted = income?.worksheet;
+  if (!wanted) return false;
+  if (income.document && income.document.toLowerCase() !== String(documentName).toLowerCase()) return false;
+  return wanted.toLowerCase() === String(worksheetTitle).trim().toLowerCase();
+}
+
+function matchesWallet(wallet, worksheet) {
+  return wallet === worksheet.walletId || wallet === worksheet.walletName;
+}
+
+function heldIn(worksheet, symbol) {
+  return (worksheet.analysis?.positions ?? []).find((pos) => pos.symbol === symbol) ?? null;
+}
+
+/**
+ * Split one entry over wallets: `[{ worksheet, share }]`. A ledger wallet wins;
+ * otherwise every wallet holding the symbol gets a market-value share.
+ */
+function attribute(entry, worksheets) {
+  if (entry.wallet) {
+    const candidates = worksheets.filter((ws) => matchesWallet(entry.wallet, ws));
+    const target = candidates.find((ws) => heldIn(ws, entry.symbol)) ?? candidates[0];
+    return target ? [{ worksheet: target, share: 1 }] : [];
+  }
+  const holders = worksheets.filter((ws) => heldIn(ws, entry.symbol));
+  const total = holders.reduce((sum, ws) => sum + Math.max(0, nvl(heldIn(ws, entry.symbol).marketValue)), 0);
+  return holders.map((ws) => ({
+    worksheet: ws,
+    share: total > 0 ? Math.max(0, nvl(heldIn(ws, entry.symbol).marketValue)) / total : 1 / holders.length
+  }));
+}
+
+function nextEvent(entry, reportDate) {
+  if (entry.exDate && entry.exDate > reportDate) return { event: "ex_date", date: entry.exDate };
+  if (entry.payDate && entry.payDate > reportDate) return { event: "payment", date: entry.payDate };
+  return null;
+}
+
+/**
+ * @param entries    ledger entries (parseIncomeLedger / loadIncomeFile)
+ * @param worksheets worksheet reports (walletId, walletName, currency, analysis)
+ * @param reportDate YYYY-MM-DD; payments on or before it count as received
+ */
+export function buildIncomeReport(entries, worksheets, reportDate, { horizonDays = 90 } = {}) {
+  const list = entries ?? [];
+  if (!list.length) return { available: false, reason: "no income ledger entries" };
+  const wallets = worksheets ?? [];
+  const ttmStart = shiftDate(reportDate, -TTM_DAYS);
+  const horizonEnd = shiftDate(reportDate, horizonDays);
+
+  const positions = new Map();
+  const walletTotals = new Map();
+  const unattributed = [];
+  const currencyMismatches = [];
+  const byType = {};
+
+  const positionRow = (ws, symbol) => {
+    const key = `${ws.walletId}::${symbol}`;
+    if (!positions.has(key)) {
+      const held = heldIn(ws, symbol);
+      positions.set(key, {
+        walletId: ws.walletId,
+        walletName: ws.walletName,
+        currency: ws.currency,
+        symbol,
+        held: Boolean(held),
+        spent: held ? nvl(held.spent) : null,
+        marketValue: held ? nvl(held.marketValue) : null,
+        pnl: held ? nvl(held.pnl) : null,
+        incomeTtm: 0,
+        incomeTotal: 0,
+        payments: 0
+      });
+    }
+    return positions.get(key);
+  };
+  const walletRow = (ws) => {
+    if (!walletTotals.has(ws.walletId)) {
+      walletTotals.set(ws.walletId, {
+        walletId: ws.walletId,
+        walletName: ws.walletName,
+        currency: ws.currency,
+        spent: nvl(ws.analysis?.snapshot?.baseSpent),
+        marketValue: nvl(ws.analysis?.snapshot?.baseMarketValue),
+        incomeTtm: 0,
+        incomeTotal: 0,
+        byType: {}
+      });
+    }
+    return walletTotals.get(ws.walletId);
+  };
+
+  const received = list.filter((entry) => Number.isFinite(entry.amount) && (entry.payDate ?? entry.exDate) <= reportDate);
+  for (const entry of received) {
+    const paidOn = entry.payDate ?? entry.exDate;
+    const shares = attribute(entry, wallets);
+    if (!shares.length) {
+      unattributed.push(entry);
+      continue;
+    }
+    for (const { worksheet, share } of shares) {
+      if (entry.currency && entry.currency !== worksheet.currency) {
+        currencyMismatches.push({ ...entry, walletId: worksheet.walletId, walletCurrency: worksheet.currency });
+        continue;
+      }
+      const amount = entry.amount * share;
+      const inTtm = paidOn > ttmStart;
+      const row = positionRow(worksheet, entry.symbol);
+      const wallet = walletRow(worksheet);
+      row.incomeTotal += amount;
+      row.payments += 1;
+      wallet.incomeTotal += amount;
+      wallet.byType[entry.type] = nvl(wallet.byType[entry.type]) + amount;
+      if (inTtm) {
+        row.incomeTtm += amount;
+        wallet.incomeTtm += amount;
+        byType[entry.type] = nvl(byType[entry.type]) + amount;
+      }
+    }
+  }
+
+  const positionRows = [...positions.values()]
+    .map((row) => {
+      const totalReturn = row.held ? row.pnl + row.incomeTotal : null;
+      return {
+        ...row,
+        spent: round(row.spent, 2),
+        marketValue: round(row.marketValue, 2),
+        pnl: round(row.pnl, 2),
+        incomeTtm: round(row.incomeTtm, 2),
+        incomeTotal: round(row.incomeTotal, 2),
+        yieldOnCost: round(ratio(row.incomeTtm, row.spent)),
+        yieldOnMarketValue: round(ratio(row.incomeTtm, row.marketValue)),
+        priceReturnPct: row.held ? round(ratio(row.pnl, row.spent)) : null,
+        totalReturn: round(totalReturn, 2),
+        totalReturnPct: row.held ? round(ratio(totalReturn, row.spent)) : null
+      };
+    })
+    .sort((a, b) => b.incomeTtm - a.incomeTtm || a.symbol.localeCompare(b.symbol));
+
+  const walletRows = [...walletTotals.values()].map((row) => ({
+    ...row,
+    incomeTtm: round(row.incomeTtm, 2),
+    incomeTotal: round(row.incomeTotal, 2),
+    byType: Object.fromEntries(Object.entries(row.byType).map(([type, amount]) => [type, round(amount, 2)])),
+    yieldOnCost: round(ratio(row.incomeTtm, row.spent)),
+    yieldOnMarketValue: round(ratio(row.incomeTtm, row.marketValue))
+  }));
+
+  const byCurrency = new Map();
+  for (const row of walletRows) {
+    const item = byCurrency.get(row.currency) ?? { currency: row.currency, incomeTtm: 0, incomeTotal: 0 };
+    item.incomeTtm = round(item.incomeTtm + row.incomeTtm, 2);
+    item.incomeTotal = round(item.incomeTotal + row.incomeTotal, 2);
+    byCurrency.set(row.currency, item);
+  }
+
+  const calendar = list
+    .map((entry) => ({ entry, next: nextEvent(entry, reportDate) }))
+    .filter(({ next }) => next && next.date <= horizonEnd)
+    .map(({ entry, next }) => ({
+      symbol: entry.symbol,
+      wallet: entry.wallet,
+      walletIds: attribute(entry, wallets).map((item) => item.worksheet.walletId),
+      type: entry.type,
+      event: next.event,
+      date: next.date,
+      daysUntil: daysBetween(reportDate, next.date),
+      exDate: entry.exDate,
+      payDate: entry.payDate,
+      amount: entry.amount,
+      currency: entry.currency
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+
+  return {
+    available: true,
+    ttmStart,
+    horizonDays,
+    entryCount: list.length,
+    receivedCount: received.length,
+    byCurrency: [...byCurrency.values()],
+    byType: Object.fromEntries(Object.entries(byType).map(([type, amount]) => [type, round(amount, 2)])),
+    wallets: walletRows,
+    positions: positionRows,
+    calendar,
+    unattributed,
+    currencyMismatches
+  };
+}
+
+function fmtMoney(value, currency) {
+  if (!Number.isFinite(value)) return "n/a";
+  return `${currency ? `${currency} ` : ""}${value.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function fmtPct(value) {
+  return Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : "n/a";
+}
+
+export function incomeToMarkdown(income, limit = MARKDOWN_LIMIT) {
+  if (!income?.available) return "";
+  const lines = [];
+  lines.push("## Income");
+  lines.push("");
+  lines.push(`- Ledger entries: ${income.entryCount} | received: ${income.receivedCount} | TTM since ${income.ttmStart}`);
+  for (const item of income.byCurrency) {
+    lines.push(`- ${item.currency}: TTM ${fmtMoney(item.incomeTtm, item.currency)} | all-time ${fmtMoney(item.incomeTotal, item.currency)}`);
+  }
+  if (income.unattributed.length) {
+    lines.push(`- Unattributed (no matching wallet or holding): ${[...new Set(income.unattributed.map((item) => item.symbol))].join(", ")}`);
+  }
+  if (income.currencyMismatches.length) {
+    lines.push(`- Currency mismatches left out of yields: ${income.currencyMismatches.length}`);
+  }
+
+  if (income.wallets.length) {
+    lines.push("");
+    lines.push("| Wallet | TTM Income | Yield on Cost | Yield on MV |");
+    lines.push("|---|---|---|---|");
+    for (const row of income.wallets) {
+      lines.push(`| ${row.walletName} | ${fmtMoney(row.incomeTtm, row.currency)} | ${fmtPct(row.yieldOnCost)} | ${fmtPct(row.yieldOnMarketValue)} |`);
+    }
+  }
+
+  if (income.positions.length) {
+    lines.push("");
+    lines.push("### Total Return by Position");
+    lines.push("");
+    lines.push("| Wallet | Symbol | TTM Income | Yield on Cost | Yield on MV | Price Return | Total Return |");
+    lines.push("|---|---|---|---|---|---|---|");
+    for (const row of income.positions.slice(0, limit)) {
+      const total = row.held ? `${fmtMoney(row.totalReturn, row.currency)} (${fmtPct(row.totalReturnPct)})` : "closed";
+      lines.push(
+        `| ${row.walletName} | ${row.symbol} | ${fmtMoney(row.incomeTtm, row.currency)} | ${fmtPct(row.yieldOnCost)} | ${fmtPct(row.yieldOnMarketValue)} | ${fmtPct(row.priceReturnPct)} | ${total} |`
+      );
+    }
+    if (income.positions.length > limit) lines.push(`\n- ...${income.positions.length - limit} more in JSON.`);
+  }
+
+  lines.push("");
+  lines.push(`### Income Calendar (next ${income.horizonDays} days)`);
+  lines.push("");
+  if (!income.calendar.length) {
+    lines.push("- No upcoming ex-dates or payments in the ledger.");
+  } else {
+    lines.push("| Date | In | Symbol | Event | Type | Amount |");
+    lines.push("|---|---|---|---|---|---|");
+    for (const item of income.calendar.slice(0, limit)) {
+      const event = item.event === "ex_date" ? "ex-date" : "payment";
+      const amount = Number.isFinite(item.amount) ? fmtMoney(item.amount, item.currency) : "tbd";
+      lines.push(`| ${item.date} | ${item.daysUntil}d | ${item.symbol} | ${event} | ${item.type} | ${amount} |`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
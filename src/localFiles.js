@@ -0,0 +1,92 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import XLSX from "xlsx";
+import { parseCsv } from "./csv.js";
+import { LOCAL_SOURCE_TYPES } from "./sourceTypes.js";
+import { filterLoadedWorksheets } from "./worksheetSelection.js";
+
+/**
+ * Local File Source
+ *
+ * Reads broker exports from disk instead of Google Sheets and returns the same
+ * `{ documentTitle, worksheets: [{ title, values }] }` shape as
+ * fetchSpreadsheetDocument, so the parse/analyze pipeline runs offline.
+ *
+ * - csv:       one worksheet per file (title = file name without extension)
+ * - xlsx, ods: one worksheet per tab in the workbook
+ */
+
+function trimTrailingEmpty(values) {
+  const rows = values.map((row) => {
+    const cells = row.map((cell) => String(cell ?? ""));
+    while (cells.length && !cells[cells.length - 1].trim()) cells.pop();
+    return cells;
+  });
+  while (rows.length && !rows[rows.length - 1].length) rows.pop();
+  return rows;
+}
+
+async function listCsvFiles(sourcePath) {
+  const stat = await fs.stat(sourcePath);
+  if (!stat.isDirectory()) return [sourcePath];
+  const entries = await fs.readdir(sourcePath);
+  return entries
+    .filter((name) => /\.csv$/i.test(name))
+    .sort()
+    .map((name) => path.join(sourcePath, name));
+}
+
+async function readCsvWorksheets(source) {
+  const files = [];
+  for (const item of source.paths) {
+    files.push(...(await listCsvFiles(item)));
+  }
+  const worksheets = [];
+  for (const filePath of files) {
+    const text = await fs.readFile(filePath, "utf8");
+    worksheets.push({
+      title: path.basename(filePath, path.extname(filePath)),
+      values: trimTrailingEmpty(parseCsv(text, source.delimiter))
+    });
+  }
+  return worksheets;
+}
+
+async function readWorkbookWorksheets(source) {
+  const worksheets = [];
+  for (const item of source.paths) {
+    const buffer = await fs.readFile(item);
+    const workbook = XLSX.read(buffer, { type: "buffer" });
+    for (const title of workbook.SheetNames) {
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[title], {
+        header: 1,
+        raw: false,
+        defval: "",
+        blankrows: true
+      });
+      const prefix = source.paths.length > 1 ? `${path.basename(item, path.extname(item))} / ` : "";
+      worksheets.push({ title: `${prefix}${title}`, values: trimTrailingEmpty(rows) });
+    }
+  }
+  return worksheets;
+}
+
+export async function fetchLocalDocument(documentConfig) {
+  const source = documentConfig.source;
+  if (!source || !LOCAL_SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`Unsupported local source type: ${source?.type}`);
+  }
+
+  const loaded =
+    source.type === "csv" ? await readCsvWorksheets(source) : await readWorkbookWorksheets(source);
+  const { worksheets, skipped } = filterLoadedWorksheets(loaded, documentConfig.worksheets);
+
+  return {
+    spreadsheetId: null,
+    documentName: documentConfig.name,
+    documentTitle: documentConfig.name,
+    sourcePaths: source.paths,
+    worksheets,
+    skippedWorksheets: skipped
+  };
+}
@@ -0,0 +1,440 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { canonicalReport } from "./symbols.js";
+import { classifyPositionChange } from "./trades.js";
+
+/**
+ * Tax Lots
+ *
+ * Keeps lot-level detail that aggregatePositions averages away. Replays the
+ * stored daily reports in date order, per wallet and symbol:
+ *
+ *   - first sighting: every sheet row is a lot (`lotRows`, with the row's
+ *     acquisition date when the sheet has one, else the report date)
+ *   - inferred buy: a new lot of the added quantity at the spent delta
+ *   - bonus / transfer in: a zero-cost lot
+ *   - inferred sell / exit: lots are consumed FIFO, LIFO or at average cost
+ *     and the realised gain uses the observed market price
+ *
+ * Replaying from history keeps re-runs of a date idempotent. A wallet whose
+ * sheet parsed no positions or lost rows that day keeps its lots unchanged
+ * (`skippedDates`) rather than realising them. Lots held longer than
+ * `longTermDays` are long-term. `costDrift` is the sheet's spent minus the lot
+ * cost, e.g. when the broker reports average cost after a sell.
+ */
+
+export const LOT_METHODS = ["fifo", "lifo", "average"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MARKDOWN_LIMIT = 20;
+// Parser diagnostics after which a sheet's rows may be missing or misread
+const PARSE_ISSUE_CODES = new Set(["no_header", "no_positions", "column_out_of_range", "unparseable_row"]);
+const LOT_FIELDS = new Set(["symbol", "quantity", "spent"]);
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+async function listReportDates(reportsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(reportsDir);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map((f) => f.replace(".json", ""))
+    .sort();
+}
+
+async function loadReport(reportsDir, date) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(reportsDir, `${date}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol ?? "").trim().toUpperCase();
+}
+
+function unitPrice(position) {
+  const qty = nvl(position?.quantity);
+  return qty ? nvl(position.marketValue) / qty : null;
+}
+
+function worksheetsWithParseIssues(report) {
+  const keys = new Set();
+  for (const item of report?.dataQuality?.diagnostics ?? []) {
+    const numeric = ["unparseable_number", "partial_number"].includes(item.code) && LOT_FIELDS.has(item.field);
+    if (PARSE_ISSUE_CODES.has(item.code) || numeric) keys.add(`${item.document}::${item.worksheet}`);
+  }
+  return keys;
+}
+
+/**
+ * Per-wallet positions (summed by symbol) and sheet rows of one daily report.
+ * `parsed` is false when a worksheet of the wallet had no positions or a
+ * parse issue in its symbol, quantity or spent cells.
+ */
+function walletViews(report) {
+  const views = new Map();
+  const issues = worksheetsWithParseIssues(report);
+  for (const ws of report?.worksheets ?? []) {
+    if (!ws.walletId) continue;
+    const view = views.get(ws.walletId) ?? {
+      walletId: ws.walletId,
+      walletName: ws.walletName,
+      currency: ws.currency,
+      parsed: true,
+      positions: new Map(),
+      rows: new Map()
+    };
+    if (!ws.analysis?.positions?.length || issues.has(`${ws.documentName}::${ws.worksheetTitle}`)) view.parsed = false;
+    for (const pos of ws.analysis?.positions ?? []) {
+      const symbol = normalizeSymbol(pos.symbol);
+      const item = view.positions.get(symbol) ?? { quantity: 0, spent: 0, marketValue: 0 };
+      item.quantity += nvl(pos.quantity);
+      item.spent += nvl(pos.spent);
+      item.marketValue += nvl(pos.marketValue);
+      view.positions.set(symbol, item);
+    }
+    for (const row of ws.lotRows ?? []) {
+      const symbol = normalizeSymbol(row.symbol);
+      view.rows.set(symbol, [...(view.rows.get(symbol) ?? []), row]);
+    }
+    views.set(ws.walletId, view);
+  }
+  return views;
+}
+
+/**
+ * Sheet rows to store as `lotRows`: only rows of symbols held in several rows
+ * or with an acquisition date. A single undated row seeds the same lot as the
+ * aggregated position, so it is not repeated in every daily report.
+ */
+export function lotRowsFor(positions, resolveSymbol = null) {
+  const key = (symbol) => normalizeSymbol(resolveSymbol?.(symbol) || symbol);
+  const counts = new Map();
+  for (const pos of positions ?? []) counts.set(key(pos.symbol), (counts.get(key(pos.symbol)) ?? 0) + 1);
+  return (positions ?? [])
+    .filter((pos) => pos.acquiredDate || counts.get(key(pos.symbol)) > 1)
+    .map(({ symbol, quantity, spent, acquiredDate }) => ({ symbol, quantity, spent, acquiredDate: acquiredDate ?? null }));
+}
+
+function makeLot(entry, { acquiredDate, acquiredSource, quantity, cost }) {
+  entry.nextId += 1;
+  return { id: `${entry.walletId}:${entry.symbol}:${entry.nextId}`, acquiredDate, acquiredSource, quantity, cost };
+}
+
+function seedLots(entry, date, rows, position) {
+  const usable = (rows ?? []).filter((row) => nvl(row.quantity) > 0);
+  const seeds = usable.length
+    ? usable.map((row) => ({
+        acquiredDate: row.acquiredDate ?? date,
+        acquiredSource: row.acquiredDate ? "sheet" : "first_seen",
+        quantity: row.quantity,
+        cost: nvl(row.spent)
+      }))
+    : [{ acquiredDate: date, acquiredSource: "first_seen", quantity: position.quantity, cost: position.spent }];
+  return seeds
+    .sort((a, b) => a.acquiredDate.localeCompare(b.acquiredDate))
+    .map((seed) => makeLot(entry, seed));
+}
+
+/**
+ * Take `quantity` out of `lots` (kept in acquisition order). FIFO consumes
+ * the oldest lots first, LIFO the newest, and average takes the same share of
+ * every lot. Returns the remaining and consumed lots (each with its cost share).
+ */
+export function consumeLots(lots, quantity, method = "fifo") {
+  const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  let left = Math.min(quantity, held);
+  if (!(left > 0)) return { remaining: lots, consumed: [] };
+
+  if (method === "average") {
+    const share = left / held;
+    const consumed = lots.map((lot) => ({ ...lot, quantity: lot.quantity * share, cost: lot.cost * share }));
+    const remaining = lots
+      .map((lot) => ({ ...lot, quantity: lot.quantity * (1 - share), cost: lot.cost * (1 - share) }))
+      .filter((lot) => lot.quantity > 1e-9);
+    return { remaining, consumed };
+  }
+
+  const ordered = method === "lifo" ? [...lots].reverse() : [...lots];
+  const consumed = [];
+  const kept = [];
+  for (const lot of ordered) {
+    if (left <= 1e-9) {
+      kept.push(lot);
+      continue;
+    }
+    const take = Math.min(lot.quantity, left);
+    const costShare = lot.quantity ? (lot.cost * take) / lot.quantity : 0;
+    consumed.push({ ...lot, quantity: take, cost: costShare });
+    if (lot.quantity - take > 1e-9) kept.push({ ...lot, quantity: lot.quantity - take, cost: lot.cost - costShare });
+    left -= take;
+  }
+  const remaining = method === "lifo" ? kept.reverse() : kept;
+  return { remaining, consumed };
+}
+
+function realize(entry, date, quantity, price, method, longTermDays) {
+  const { remaining, consumed } = consumeLots(entry.lots, quantity, method);
+  entry.lots = remaining;
+  if (!consumed.length) return null;
+  const lots = consumed.map((lot) => {
+    const proceeds = price === null ? null : lot.quantity * price;
+    const holdingDays = daysBetween(lot.acquiredDate, date);
+    return {
+      lotId: lot.id,
+      acquiredDate: lot.acquiredDate,
+      quantity: lot.quantity,
+      cost: lot.cost,
+      proceeds,
+      gain: proceeds === null ? null : proceeds - lot.cost,
+      holdingDays,
+      term: holdingDays > longTermDays ? "long" : "short"
+    };
+  });
+  const sum = (items, key) => items.reduce((acc, item) => acc + nvl(item[key]), 0);
+  const soldQuantity = sum(lots, "quantity");
+  const priced = price !== null;
+  return {
+    date,
+    symbol: entry.symbol,
+    method,
+    quantity: round(soldQuantity),
+    price: round(price),
+    proceeds: priced ? round(sum(lots, "proceeds"), 2) : null,
+    cost: round(sum(lots, "cost"), 2),
+    gain: priced ? round(sum(lots, "gain"), 2) : null,
+    shortTermGain: priced ? round(sum(lots.filter((lot) => lot.term === "short"), "gain"), 2) : null,
+    longTermGain: priced ? round(sum(lots.filter((lot) => lot.term === "long"), "gain"), 2) : null,
+    holdingDays: soldQuantity ? Math.round(lots.reduce((acc, lot) => acc + lot.holdingDays * lot.quantity, 0) / soldQuantity) : null,
+    lots: lots.map((lot) => ({
+      ...lot,
+      quantity: round(lot.quantity),
+      cost: round(lot.cost, 2),
+      proceeds: round(lot.proceeds, 2),
+      gain: round(lot.gain, 2)
+    }))
+  };
+}
+
+/**
+ * Replay `history` (`[{ date, report }]`, oldest first) into lot state per
+ * wallet: `Map(walletId -> { walletId, walletName, currency, method,
+ * symbols: Map(symbol -> { lots }), positions, realizations, skippedDates })`.
+ */
+export function replayLots(history, { method = "fifo", longTermDays = 365, walletMethods = {} } = {}) {
+  const wallets = new Map();
+  for (const { date, report } of history) {
+    for (const view of walletViews(report).values()) {
+      const state = wallets.get(view.walletId) ?? {
+        walletId: view.walletId,
+        symbols: new Map(),
+        positions: new Map(),
+        realizations: [],
+        skippedDates: []
+      };
+      state.walletName = view.walletName;
+      state.currency = view.currency;
+      state.method = walletMethods[view.walletId] ?? method;
+      wallets.set(view.walletId, state);
+      if (!view.parsed) {
+        state.skippedDates.push(date);
+        continue;
+      }
+
+      const symbols = new Set([...state.positions.keys(), ...view.positions.keys()]);
+      for (const symbol of symbols) {
+        const curr = view.positions.get(symbol);
+        const prev = state.positions.get(symbol);
+        const entry = state.symbols.get(symbol) ?? { walletId: view.walletId, symbol, lots: [], nextId: 0 };
+        state.symbols.set(symbol, entry);
+        const type = classifyPositionChange(curr, prev);
+        const quantityDelta = nvl(curr?.quantity) - nvl(prev?.quantity);
+
+        if (type === "new") {
+          if (nvl(curr.quantity) > 0) entry.lots = seedLots(entry, date, view.rows.get(symbol), curr);
+        } else if (type === "exit" || (type === "sell" && quantityDelta < 0)) {
+          const price = type === "exit" ? unitPrice(prev) : unitPrice(curr);
+          const realization = realize(entry, date, -quantityDelta, price, state.method, longTermDays);
+          if (realization) state.realizations.push(realization);
+        } else if ((type === "buy" || type === "bonus_or_transfer") && quantityDelta > 0) {
+          const cost = type === "buy" ? nvl(curr.spent) - nvl(prev.spent) : 0;
+          entry.lots.push(
+            makeLot(entry, { acquiredDate: date, acquiredSource: type === "buy" ? "inferred_buy" : "bonus_or_transfer", quantity: quantityDelta, cost })
+          );
+        }
+      }
+      state.positions = view.positions;
+    }
+  }
+  return wallets;
+}
+
+function walletLotReport(state, reportDate, longTermDays) {
+  const year = reportDate.slice(0, 4);
+  const symbols = [...state.symbols.values()]
+    .filter((entry) => entry.lots.length)
+    .map((entry) => {
+      const position = state.positions.get(entry.symbol);
+      const price = unitPrice(position);
+      const quantity = entry.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const cost = entry.lots.reduce((sum, lot) => sum + lot.cost, 0);
+      return {
+        symbol: entry.symbol,
+        quantity: round(quantity),
+        cost: round(cost, 2),
+        sheetSpent: position ? round(position.spent, 2) : null,
+        costDrift: position ? round(position.spent - cost, 2) : null,
+        lots: entry.lots.map((lot) => {
+          const marketValue = price === null ? null : lot.quantity * price;
+          const holdingDays = daysBetween(lot.acquiredDate, reportDate);
+          return {
+            id: lot.id,
+            acquiredDate: lot.acquiredDate,
+            acquiredSource: lot.acquiredSource,
+            quantity: round(lot.quantity),
+            cost: round(lot.cost, 2),
+            unitCost: round(lot.quantity ? lot.cost / lot.quantity : null),
+            marketValue: round(marketValue, 2),
+            unrealizedPnl: round(marketValue === null ? null : marketValue - lot.cost, 2),
+            holdingDays,
+            term: holdingDays > longTermDays ? "long" : "short"
+          };
+        })
+      };
+    })
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  const total = (items, key) => round(items.reduce((sum, item) => sum + nvl(item[key]), 0), 2);
+  const ytd = state.realizations.filter((item) => item.date.startsWith(year));
+  return {
+    walletId: state.walletId,
+    walletName: state.walletName,
+    currency: state.currency,
+    method: state.method,
+    openLotCount: symbols.reduce((sum, item) => sum + item.lots.length, 0),
+    realized: {
+      ytd: total(ytd, "gain"),
+      ytdShortTerm: total(ytd, "shortTermGain"),
+      ytdLongTerm: total(ytd, "longTermGain"),
+      total: total(state.realizations, "gain")
+    },
+    realizedToday: state.realizations.filter((item) => item.date === reportDate),
+    skippedDays: state.skippedDates.length,
+    lastSkippedDate: state.skippedDates.at(-1) ?? null,
+    symbols
+  };
+}
+
+/**
+ * Lot report for the wallets of `reportDate`, replaying every stored report
+ * up to and including that date. `options.resolveSymbol` re-keys the stored
+ * reports by canonical symbol.
+ */
+export async function buildLotReport(reportsDir, reportDate, options = {}) {
+  const dates = (await listReportDates(reportsDir)).filter((date) => date <= reportDate);
+  const history = [];
+  for (const date of dates) {
+    const report = canonicalReport(await loadReport(reportsDir, date), options.resolveSymbol);
+    if (report) history.push({ date, report });
+  }
+  const current = history.find((item) => item.date === reportDate);
+  if (!current) return { available: false, reason: "no report for the requested date" };
+
+  const longTermDays = options.longTermDays ?? 365;
+  const states = replayLots(history, options);
+  const currentWallets = walletViews(current.report);
+  const wallets = [...currentWallets.keys()].map((walletId) => walletLotReport(states.get(walletId), reportDate, longTermDays));
+
+  const byCurrency = new Map();
+  for (const wallet of wallets) {
+    const item = byCurrency.get(wallet.currency) ?? { currency: wallet.currency, ytd: 0, total: 0 };
+    item.ytd = round(item.ytd + wallet.realized.ytd, 2);
+    item.total = round(item.total + wallet.realized.total, 2);
+    byCurrency.set(wallet.currency, item);
+  }
+  return {
+    available: true,
+    method: options.method ?? "fifo",
+    longTermDays,
+    startDate: history[0].date,
+    reportDate,
+    realizedByCurrency: [...byCurrency.values()],
+    wallets
+  };
+}
+
+function fmtMoney(value, currency) {
+  if (!Number.isFinite(value)) return "n/a";
+  return `${currency ? `${currency} ` : ""}${value.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+export function lotsToMarkdown(lots, limit = MARKDOWN_LIMIT) {
+  if (!lots?.available) return "";
+  const lines = [];
+  lines.push("## Tax Lots");
+  lines.push("");
+  lines.push(`- Method: ${lots.method.toUpperCase()} | long-term after ${lots.longTermDays} days | replayed since ${lots.startDate}`);
+  for (const item of lots.realizedByCurrency) {
+    lines.push(`- ${item.currency}: realised YTD ${fmtMoney(item.ytd, item.currency)} | since ${lots.startDate} ${fmtMoney(item.total, item.currency)}`);
+  }
+  lines.push("");
+  lines.push("| Wallet | Method | Open Lots | Realised YTD | Short-term | Long-term |");
+  lines.push("|---|---|---|---|---|---|");
+  for (const wallet of lots.wallets) {
+    lines.push(
+      `| ${wallet.walletName} | ${wallet.method} | ${wallet.openLotCount} | ${fmtMoney(wallet.realized.ytd, wallet.currency)} | ${fmtMoney(wallet.realized.ytdShortTerm, wallet.currency)} | ${fmtMoney(wallet.realized.ytdLongTerm, wallet.currency)} |`
+    );
+  }
+
+  const today = lots.wallets.flatMap((wallet) => wallet.realizedToday.map((item) => ({ ...item, wallet })));
+  if (today.length) {
+    lines.push("");
+    lines.push("### Realised Today");
+    lines.push("");
+    lines.push("| Wallet | Symbol | Qty | Proceeds | Cost | Gain | Held (days) |");
+    lines.push("|---|---|---|---|---|---|---|");
+    for (const item of today) {
+      const { currency } = item.wallet;
+      lines.push(
+        `| ${item.wallet.walletName} | ${item.symbol} | ${item.quantity} | ${fmtMoney(item.proceeds, currency)} | ${fmtMoney(item.cost, currency)} | ${fmtMoney(item.gain, currency)} | ${item.holdingDays ?? "n/a"} |`
+      );
+    }
+  }
+
+  const drift = lots.wallets.flatMap((wallet) =>
+    wallet.symbols.filter((item) => Math.abs(nvl(item.costDrift)) >= 0.01).map((item) => `${wallet.walletName} ${item.symbol} (${fmtMoney(item.costDrift, wallet.currency)})`)
+  );
+  if (drift.length) {
+    lines.push("");
+    lines.push(`- Sheet cost differs from lot cost: ${drift.slice(0, limit).join(", ")}`);
+  }
+  const skipped = lots.wallets.filter((wallet) => wallet.skippedDays);
+  if (skipped.length) {
+    lines.push("");
+    lines.push(
+      `- Lots held unchanged on days the sheet did not parse cleanly: ${skipped
+        .map((wallet) => `${wallet.walletName} (${wallet.skippedDays} day${wallet.skippedDays === 1 ? "" : "s"}, last ${wallet.lastSkippedDate})`)
+        .join(", ")}`
+    );
+  }
+  lines.push("");
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,326 @@
+import fs from "node:fs/promises";
+import { parseCsv } from "./csv.js";
+import { rateFor } from "./fx.js";
+
+/**
+ * Cross-Wallet Overlap and Look-Through
+ *
+ * aggregatePositions only merges within one currency bucket, so a symbol held
+ * in a USD wallet and an EGP wallet (or directly and inside an ETF) never
+ * shows as one exposure. This module:
+ *
+ *   - lists symbols present in more than one wallet, with each wallet's share
+ *     and the combined weight (converted with the day's FX rates)
+ *   - with a local fund holdings file (`overlap.file`: fund -> constituent
+ *     weights), splits each fund position into its constituents, so "AAPL"
+ *     held directly and via QQQ is one underlying exposure
+ *   - with look-through, checks every underlying against
+ *     `overlap.maxUnderlyingWeight` (direct positions alone are already
+ *     covered by risk.maxPositionWeight)
+ *
+ * The part of a fund not covered by the file stays an exposure to the fund
+ * symbol itself. Weights are read on one scale per file (percent or fraction),
+ * so a 0.5% holding written as "0.5" is not taken for 50%.
+ */
+
+export const WEIGHT_SCALES = ["auto", "percent", "fraction"];
+
+const HOLDINGS_HEADERS = {
+  fund: ["fund", "etf", "parent", "fund symbol"],
+  symbol: ["symbol", "ticker", "holding", "constituent"],
+  weight: ["weight", "weight %", "% weight", "allocation", "percent"]
+};
+const PERCENT_HEADERS = new Set(["weight %", "% weight", "percent"]);
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function normalizeHeaderText(text) {
+  return String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[-_]/g, " ")
+    .replace(/\s+/g, " ");
+}
+
+/** Weight cell as written ("9.5%" -> 9.5, with `percent` set), or null. */
+function readWeight(raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return null;
+  const value = Number.parseFloat(text.replace(/[%,\s]/g, ""));
+  if (!Number.isFinite(value)) return null;
+  return { value, percent: text.endsWith("%") };
+}
+
+/**
+ * Whether a file's weights are percentages: `scale` "percent" or "fraction"
+ * decides; "auto" picks percent when the weight header says so, any weight
+ * carries "%", or any weight is above 1.
+ */
+function isPercentFile(weights, weightHeader, scale) {
+  if (scale !== "auto") return scale === "percent";
+  if (PERCENT_HEADERS.has(weightHeader)) return true;
+  return weights.some((weight) => weight && (weight.percent || Math.abs(weight.value) > 1));
+}
+
+function rowsFromCsv(rows) {
+  const headerIndex = rows.findIndex((row) => {
+    const names = new Set(row.map(normalizeHeaderText));
+    return Object.values(HOLDINGS_HEADERS).every((headers) => headers.some((name) => names.has(name)));
+  });
+  if (headerIndex === -1) throw new Error("CSV needs fund, symbol and weight columns");
+  const names = rows[headerIndex].map(normalizeHeaderText);
+  const index = Object.fromEntries(
+    Object.entries(HOLDINGS_HEADERS).map(([field, headers]) => [field, headers.map((name) => names.indexOf(name)).find((i) => i !== -1)])
+  );
+  return {
+    weightHeader: names[index.weight],
+    rows: rows.slice(headerIndex + 1).map((row) => ({ fund: row[index.fund], symbol: row[index.symbol], weight: row[index.weight] }))
+  };
+}
+
+function rowsFromJson(data) {
+  const raw = data?.funds ?? data;
+  if (Array.isArray(raw)) return { weightHeader: null, rows: raw };
+  if (raw && typeof raw === "object") {
+    const rows = Object.entries(raw).flatMap(([fund, holdings]) =>
+      Object.entries(holdings ?? {}).map(([symbol, weight]) => ({ fund, symbol, weight }))
+    );
+    return { weightHeader: null, rows };
+  }
+  throw new Error("JSON must be { fund: { symbol: weight } }, { funds } or an array of { fund, symbol, weight }");
+}
+
+/**
+ * Load fund constituents into a Map of fund -> `[{ symbol, weight }]`, with
+ * both symbols passed through `resolveSymbol` when given. `weightScale`
+ * ("auto", "percent" or "fraction") applies to every weight in the file.
+ */
+export async function loadFundHoldings(filePath, { resolveSymbol = null, weightScale = "auto" } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read fund holdings ${filePath}: ${error.message}`);
+  }
+  let parsed;
+  try {
+    parsed = /\.json$/i.test(filePath) ? rowsFromJson(JSON.parse(text)) : rowsFromCsv(parseCsv(text));
+  } catch (error) {
+    throw new Error(`Invalid fund holdings ${filePath}: ${error.message}`);
+  }
+  const canonical = (raw) => {
+    const text = String(raw ?? "").trim();
+    return resolveSymbol ? resolveSymbol(text) : text.toUpperCase();
+  };
+  const weights = parsed.rows.map((row) => readWeight(row?.weight));
+  const divisor = isPercentFile(weights, parsed.weightHeader, weightScale) ? 100 : 1;
+  const funds = new Map();
+  for (const [i, row] of parsed.rows.entries()) {
+    const fund = canonical(row?.fund);
+    const symbol = canonical(row?.symbol);
+    const weight = weights[i] ? weights[i].value / divisor : null;
+    if (!fund || !symbol || !Number.isFinite(weight) || weight <= 0) continue;
+    const holdings = funds.get(fund) ?? new Map();
+    holdings.set(symbol, (holdings.get(symbol) ?? 0) + weight);
+    funds.set(fund, holdings);
+  }
+  for (const [fund, holdings] of funds) {
+    const total = [...holdings.values()].reduce((sum, weight) => sum + weight, 0);
+    if (total > 1.0001) throw new Error(`Invalid fund holdings ${filePath}: ${fund} weights sum to ${round(total * 100, 2)}%`);
+  }
+  return new Map(
+    [...funds.entries()].map(([fund, holdings]) => [fund, [...holdings.entries()].map(([symbol, weight]) => ({ symbol, weight }))])
+  );
+}
+
+/**
+ * Underlying exposures of one wallet: symbol -> `{ direct, funds: Map(fund ->
+ * value) }` in the wallet's currency.
+ */
+function walletExposures(positions, funds) {
+  const exposures = new Map();
+  const add = (symbol, value, fund = null) => {
+    const item = exposures.get(symbol) ?? { direct: 0, funds: new Map() };
+    if (fund) item.funds.set(fund, (item.funds.get(fund) ?? 0) + value);
+    else item.direct += value;
+    exposures.set(symbol, item);
+  };
+  for (const pos of positions) {
+    const value = Math.max(0, nvl(pos.marketValue));
+    const holdings = funds?.get(pos.symbol);
+    if (!holdings) {
+      add(pos.symbol, value);
+      continue;
+    }
+    let covered = 0;
+    for (const { symbol, weight } of holdings) {
+      add(symbol, value * weight, pos.symbol);
+      covered += weight;
+    }
+    if (covered < 1) add(pos.symbol, value * (1 - covered));
+  }
+  return exposures;
+}
+
+function exposureTotal(item) {
+  return item.direct + [...item.funds.values()].reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * @param dailyReport daily report with worksheets, combinedCurrency and fx
+ * @param funds       loadFundHoldings result, or null for same-symbol overlap only
+ * @param options     `{ maxUnderlyingWeight }`
+ */
+export function buildOverlapReport(dailyReport, funds = null, options = {}) {
+  const worksheets = (dailyReport.worksheets ?? []).filter((ws) => ws.analysis);
+  const currency = dailyReport.combinedCurrency || dailyReport.baseCurrency;
+  const lookThrough = Boolean(funds?.size);
+  const maxUnderlyingWeight = options.maxUnderlyingWeight ?? null;
+
+  const wallets = worksheets.map((ws) => {
+    const rate = ws.currency === currency ? 1 : rateFor(dailyReport.fx, ws.currency);
+    return {
+      ws,
+      rate: Number.isFinite(rate) ? rate : null,
+      total: nvl(ws.analysis.snapshot?.totalMarketValue),
+      exposures: walletExposures(ws.analysis.positions ?? [], lookThrough ? funds : null)
+    };
+  });
+  const convertible = wallets.every((wallet) => wallet.rate !== null);
+  const combinedTotal = convertible ? wallets.reduce((sum, wallet) => sum + wallet.total * wallet.rate, 0) : null;
+
+  const bySymbol = new Map();
+  for (const wallet of wallets) {
+    for (const [symbol, item] of wallet.exposures) {
+      const list = bySymbol.get(symbol) ?? [];
+      list.push({ wallet, item });
+      bySymbol.set(symbol, list);
+    }
+  }
+
+  const underlying = [];
+  const overlaps = [];
+  for (const [symbol, holders] of bySymbol) {
+    const combined = convertible
+      ? holders.reduce((sum, { wallet, item }) => sum + exposureTotal(item) * wallet.rate, 0)
+      : null;
+    const row = {
+      symbol,
+      walletCount: holders.length,
+      wallets: holders.map(({ wallet, item }) => ({
+        walletId: wallet.ws.walletId,
+        walletName: wallet.ws.walletName,
+        currency: wallet.ws.currency,
+        marketValue: round(exposureTotal(item), 2),
+        direct: round(item.direct, 2),
+        viaFunds: [...item.funds.entries()].map(([fund, value]) => ({ fund, marketValue: round(value, 2) })),
+        weight: round(wallet.total > 0 ? exposureTotal(item) / wallet.total : null)
+      })),
+      combinedMarketValue: round(combined, 2),
+      combinedWeight: convertible && combinedTotal > 0 ? round(combined / combinedTotal) : null
+    };
+    underlying.push(row);
+    if (holders.length > 1) overlaps.push(row);
+  }
+  const byWeight = (a, b) => nvl(b.combinedWeight) - nvl(a.combinedWeight) || a.symbol.localeCompare(b.symbol);
+  overlaps.sort(byWeight);
+  underlying.sort(byWeight);
+
+  const breaches =
+    lookThrough && convertible && Number.isFinite(maxUnderlyingWeight)
+      ? underlying
+          .filter((row) => row.combinedWeight > maxUnderlyingWeight + 1e-9)
+          .map((row) => ({
+            symbol: row.symbol,
+            weight: row.combinedWeight,
+            cap: maxUnderlyingWeight,
+            excess: round(row.combinedWeight - maxUnderlyingWeight),
+            viaFunds: [...new Set(row.wallets.flatMap((item) => item.viaFunds.map((via) => via.fund)))].sort()
+          }))
+      : [];
+
+  const heldFunds = lookThrough
+    ? [...new Set(worksheets.flatMap((ws) => (ws.analysis.positions ?? []).map((pos) => pos.symbol)))]
+        .filter((symbol) => funds.has(symbol))
+        .sort()
+        .map((fund) => ({
+          fund,
+          constituents: funds.get(fund).length,
+          coveredWeight: round(funds.get(fund).reduce((sum, item) => sum + item.weight, 0))
+        }))
+    : [];
+
+  return {
+    available: worksheets.length > 0,
+    currency: convertible ? currency : null,
+    lookThrough,
+    funds: heldFunds,
+    maxUnderlyingWeight,
+    overlaps,
+    underlying: lookThrough ? underlying : [],
+    breaches
+  };
+}
+
+export function overlapToMarkdown(overlap, topN = 10) {
+  if (!overlap?.available) return "";
+  if (!overlap.overlaps.length && !overlap.lookThrough) return "";
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmt = (v, currency) => {
+    if (!Number.isFinite(v) || !currency) return "n/a";
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 2 }).format(v);
+  };
+  const heldIn = (row) =>
+    row.wallets
+      .map((item) => {
+        const via = item.viaFunds.map((entry) => entry.fund);
+        return via.length ? `${item.walletName} (via ${via.join(", ")})` : item.walletName;
+      })
+      .join(", ");
+
+  const lines = [];
+  lines.push("## Overlap");
+  lines.push("");
+  if (overlap.lookThrough) {
+    const funds = overlap.funds.map((item) => `${item.fund} ${fmtPct(item.coveredWeight)}`).join(", ");
+    lines.push(`- Look-through: ${funds || "no held funds in the holdings file"}`);
+  }
+  for (const item of overlap.breaches) {
+    const via = item.viaFunds.length ? ` incl. via ${item.viaFunds.join(", ")}` : "";
+    lines.push(`- Underlying cap breached: ${item.symbol} ${fmtPct(item.weight)}${via} (cap ${fmtPct(item.cap)})`);
+  }
+  if (!overlap.overlaps.length) lines.push("- No symbol is held in more than one wallet.");
+  lines.push("");
+
+  if (overlap.overlaps.length) {
+    lines.push("| Symbol | Wallets | Combined Value | Combined Weight | Held In |");
+    lines.push("|---|---|---|---|---|");
+    for (const row of overlap.overlaps.slice(0, topN)) {
+      lines.push(
+        `| ${row.symbol} | ${row.walletCount} | ${fmt(row.combinedMarketValue, overlap.currency)} | ${fmtPct(row.combinedWeight)} | ${heldIn(row)} |`
+      );
+    }
+    if (overlap.overlaps.length > topN) lines.push(`\n- ...${overlap.overlaps.length - topN} more in JSON.`);
+    lines.push("");
+  }
+
+  if (overlap.underlying.length) {
+    lines.push(`### Top Underlying Exposures`);
+    lines.push("");
+    lines.push("| Symbol | Value | Weight | Held In |");
+    lines.push("|---|---|---|---|");
+    for (const row of overlap.underlying.slice(0, topN)) {
+      lines.push(`| ${row.symbol} | ${fmt(row.combinedMarketValue, overlap.currency)} | ${fmtPct(row.combinedWeight)} | ${heldIn(row)} |`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n") + "\n";
+}
@@ -31,30 +31,144 @@ const FIELD_ALIASES = {
     "gain %",
     "profit %",
     "change %"
-  ]
+  ],
+  acquiredDate: ["purchase date", "buy date", "acquired", "acquisition date", "open date", "trade date"]
 };
 
+export const PARSER_FIELDS = Object.keys(FIELD_ALIASES);
+
+const COLUMN_LETTER_RE = /^[A-Z]{1,3}$/;
+
 function normalizeHeader(text) {
   return String(text ?? "")
     .trim()
     .toLowerCase()
     .replace(/[\s_-]+/g, " ")
-    .replace(/[^a-z0-9%/&. ]/g, "")
+    .replace(/[^\p{L}\p{N}%/&. ]/gu, "")
     .trim();
 }
 
-function normalizeNumericText(rawValue) {
+function columnLetter(index) {
+  let letters = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function columnIndex(letters) {
+  return [...letters].reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Validate an explicit `columns` map: field -> header text or column letter
+ * ("Ticker", "C", { header: "QTY" }, { column: "D" }), plus an optional
+ * 1-based `headerRow`. A bare upper-case string of 1-3 letters ("C", "QTY")
+ * keeps both readings: a header cell with that text wins, else it is a letter.
+ */
+export function normalizeColumnMap(raw, label = "columns") {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object of field -> header or column letter.`);
+  }
+  const fields = {};
+  let headerRow = null;
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "headerRow") {
+      headerRow = Number(value);
+      if (!Number.isInteger(headerRow) || headerRow < 1) {
+        throw new Error(`${label}.headerRow must be a 1-based row number. Received: ${value}`);
+      }
+      continue;
+    }
+    if (!PARSER_FIELDS.includes(key)) {
+      throw new Error(`${label}.${key} is not a known field (${PARSER_FIELDS.join(", ")}).`);
+    }
+    if (typeof value !== "object" || value === null) {
+      const text = String(value ?? "").trim();
+      if (!text) throw new Error(`${label}.${key} must name a header or a column letter.`);
+      fields[key] = COLUMN_LETTER_RE.test(text) ? { header: text, column: text } : { header: text };
+      continue;
+    }
+    const column = String(value.column ?? "").trim();
+    const header = String(value.header ?? "").trim();
+    if (column && !COLUMN_LETTER_RE.test(column.toUpperCase())) {
+      throw new Error(`${label}.${key}.column must be a column letter. Received: ${column}`);
+    }
+    if (!column && !header) throw new Error(`${label}.${key} must name a header or a column letter.`);
+    fields[key] = column ? { column: column.toUpperCase() } : { header };
+  }
+  return { headerRow, fields };
+}
+
+/**
+ * Merge user alias lists (`{ field: ["alias", ...] }`) into the built-in ones.
+ */
+export function buildFieldAliases(...extras) {
+  const aliases = Object.fromEntries(PARSER_FIELDS.map((field) => [field, [...FIELD_ALIASES[field]]]));
+  for (const extra of extras) {
+    for (const [field, list] of Object.entries(extra ?? {})) {
+      if (!aliases[field]) continue;
+      aliases[field].push(...list);
+    }
+  }
+  return aliases;
+}
+
+// Eastern Arabic (U+0660-0669) and Persian (U+06F0-06F9) digits
+const ARABIC_DIGIT_RE = /[\u0660-\u0669\u06F0-\u06F9]/g;
+// Direction marks that RTL sheets wrap around numbers
+const BIDI_MARK_RE = /[\u200E\u200F\u061C\u202A-\u202E\u2066-\u2069]/g;
+const CURRENCY_MARK_RE = /E£|L\.E\.?|ج\.\s?م\.?|جنيه|[A-Z]{0,2}\$|[€£¥₿₹₽₺₩₫₦₪฿]/gi;
+
+const decimalSeparators = new Map();
+
+/**
+ * Decimal separator ("." or ",") for a document locale such as "ar-EG" or
+ * "de-DE"; null (no locale) keeps the separator heuristics.
+ */
+function decimalSeparatorFor(locale) {
+  if (!locale) return null;
+  if (!decimalSeparators.has(locale)) {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find((item) => item.type === "decimal");
+    // Arabic locales format with U+066B, which is read as "."
+    decimalSeparators.set(locale, part?.value === "," ? "," : ".");
+  }
+  return decimalSeparators.get(locale);
+}
+
+/**
+ * Latin digits and separators for Arabic-locale text: ٠-٩ / ۰-۹ -> 0-9,
+ * ٫ -> ".", ٬ (thousands) dropped, ٪ -> "%", direction marks removed.
+ */
+function latinizeNumericText(rawValue) {
+  return String(rawValue ?? "")
+    .replace(BIDI_MARK_RE, "")
+    .replace(ARABIC_DIGIT_RE, (ch) => String(ch.charCodeAt(0) - (ch >= "\u06F0" ? 0x06f0 : 0x0660)))
+    .replace(/\u066B/g, ".")
+    .replace(/\u066C/g, "")
+    .replace(/\u066A/g, "%")
+    .trim();
+}
+
+function normalizeNumericText(rawValue, decimal = null) {
   let text = String(rawValue ?? "").trim();
   if (!text) return text;
 
   text = text.replace(/[−–—]/g, "-");
+  text = text.replace(CURRENCY_MARK_RE, "");
   text = text.replace(/\b[A-Z]{3}\b/gi, "");
-  text = text.replace(/[$€£¥]/g, "");
   text = text.replace(/\s+/g, "");
 
   const hasDot = text.includes(".");
   const hasComma = text.includes(",");
-  if (hasDot && hasComma) {
+  if (decimal === ",") {
+    // Dots are thousands separators unless the value is a plain "1.5"
+    if (hasComma || /^-?\d{1,3}(\.\d{3})+$/.test(text)) text = text.replace(/\./g, "");
+    text = text.replace(/,/g, ".");
+  } else if (decimal === ".") {
+    text = text.replace(/,/g, "");
+  } else if (hasDot && hasComma) {
     if (text.lastIndexOf(",") > text.lastIndexOf(".")) {
       text = text.replace(/\./g, "").replace(/,/g, ".");
     } else {
@@ -74,9 +188,14 @@ function normalizeNumericText(rawValue) {
   return text;
 }
 
-function parseNumber(value, forcePercent = false) {
-  const raw = String(value ?? "").trim();
-  if (!raw || raw === "-" || raw === "--") return null;
+/**
+ * Parse a numeric cell. `exact` is false when only a leading number could be
+ * read (e.g. "12 shares", "1.2.3"), so callers can flag the cell. `locale`
+ * (e.g. "de-DE") fixes the decimal separator instead of guessing it.
+ */
+function readNumber(value, forcePercent = false, locale = null) {
+  const raw = latinizeNumericText(value);
+  if (!raw || raw === "-" || raw === "--") return { value: null, exact: true };
 
   let text = raw;
   let negative = false;
@@ -89,17 +208,22 @@ function parseNumber(value, forcePercent = false) {
     text = text.slice(0, -1);
   }
 
-  const hasPercent = text.endsWith("%");
-  text = normalizeNumericText(text.replace(/%$/g, ""));
+  // RTL sheets often show the percent sign first
+  const hasPercent = text.endsWith("%") || text.startsWith("%");
+  text = normalizeNumericText(text.replace(/^%|%$/g, ""), decimalSeparatorFor(locale));
 
   const parsed = Number.parseFloat(text);
-  if (!Number.isFinite(parsed)) return null;
+  if (!Number.isFinite(parsed)) return { value: null, exact: false };
 
   let number = negative ? parsed * -1 : parsed;
   if (hasPercent || forcePercent) {
     if (Math.abs(number) > 1) number /= 100;
   }
-  return number;
+  return { value: number, exact: Number.isFinite(Number(text)) };
+}
+
+export function parseNumber(value, forcePercent = false, locale = null) {
+  return readNumber(value, forcePercent, locale).value;
 }
 
 function isBlankRow(row) {
@@ -126,7 +250,7 @@ function isTotalRow(row) {
   return /^(grand total|subtotal|sub total|total|net total)\b/.test(merged);
 }
 
-function detectHeaderMapping(row) {
+function detectHeaderMapping(row, fieldAliases = FIELD_ALIASES) {
   const usedFields = new Set();
   const mapping = new Map();
 
@@ -137,7 +261,7 @@ function detectHeaderMapping(row) {
 
     let bestMatch = null;
     let bestLength = -1;
-    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    for (const [field, aliases] of Object.entries(fieldAliases)) {
       if (usedFields.has(field)) continue;
       for (const alias of aliases) {
         const aliasNorm = normalizeHeader(alias);
@@ -166,6 +290,86 @@ function isHeaderCandidate(mapping) {
   return fields.has("symbol") && fields.size >= 2;
 }
 
+function findHeaderCell(row, header) {
+  const wanted = normalizeHeader(header);
+  return row.findIndex((cell) => normalizeHeader(cell) === wanted);
+}
+
+function explicitColumnIndex(row, spec) {
+  const index = spec.header ? findHeaderCell(row, spec.header) : -1;
+  return index < 0 && spec.column ? columnIndex(spec.column) : index;
+}
+
+/**
+ * Overlay an explicit column map on the inferred mapping of a header row.
+ * Returns null when a header named in the map is not in the row, or a column
+ * letter is past the sheet's `width`.
+ */
+function applyExplicitColumns(row, inferred, columns, width) {
+  const explicit = new Map();
+  for (const [field, spec] of Object.entries(columns.fields)) {
+    const index = explicitColumnIndex(row, spec);
+    if (index < 0 || index >= width) return null;
+    explicit.set(index, field);
+  }
+  const explicitFields = new Set(explicit.values());
+  const mapping = new Map();
+  const sources = new Map();
+  for (const [index, field] of inferred.entries()) {
+    if (explicit.has(index) || explicitFields.has(field)) continue;
+    mapping.set(index, field);
+    sources.set(field, "inferred");
+  }
+  for (const [index, field] of explicit.entries()) {
+    mapping.set(index, field);
+    sources.set(field, "explicit");
+  }
+  return { mapping, sources };
+}
+
+function describeHeader(row, rowIndex, mapping, sources) {
+  const columns = {};
+  for (const [index, field] of [...mapping.entries()].sort((a, b) => a[0] - b[0])) {
+    columns[field] = {
+      column: columnLetter(index),
+      header: String(row[index] ?? "").trim(),
+      source: sources.get(field) ?? "inferred"
+    };
+  }
+  const kinds = new Set(Object.values(columns).map((item) => item.source));
+  const mappingKind = kinds.size > 1 ? "mixed" : kinds.has("explicit") ? "explicit" : "inferred";
+  return { rowIndex, mapping: mappingKind, columns };
+}
+
+/**
+ * Header rows of a worksheet: rows matching the explicit column map when one
+ * is configured (a fixed `headerRow`, or every named header present), else
+ * rows whose inferred mapping looks like a holdings table.
+ */
+function detectHeaders(values, options) {
+  const aliases = options.aliases ?? FIELD_ALIASES;
+  const columns = options.columns?.fields && Object.keys(options.columns.fields).length ? options.columns : null;
+  const namesHeaders = columns && Object.values(columns.fields).some((spec) => spec.header && !spec.column);
+  const width = values.reduce((max, row) => Math.max(max, Array.isArray(row) ? row.length : 0), 0);
+  const headers = [];
+  values.forEach((raw, index) => {
+    const row = Array.isArray(raw) ? raw : [];
+    const inferred = detectHeaderMapping(row, aliases);
+    if (options.columns?.headerRow && index !== options.columns.headerRow - 1) return;
+    if (!columns) {
+      if (options.columns?.headerRow || isHeaderCandidate(inferred)) {
+        headers.push({ index, mapping: inferred, sources: new Map() });
+      }
+      return;
+    }
+    if (!options.columns.headerRow && !namesHeaders && !isHeaderCandidate(inferred)) return;
+    const applied = applyExplicitColumns(row, inferred, columns, width);
+    if (!applied || !isHeaderCandidate(applied.mapping)) return;
+    headers.push({ index, ...applied });
+  });
+  return headers;
+}
+
 function rowFieldValue(row, mapping, field) {
   for (const [index, mappedField] of mapping.entries()) {
     if (mappedField === field) return String(row[index] ?? "").trim();
@@ -173,39 +377,209 @@ function rowFieldValue(row, mapping, field) {
   return "";
 }
 
-function parsePositionRow(row, mapping, documentName, worksheetTitle) {
+function fieldColumn(mapping, field) {
+  for (const [index, mappedField] of mapping.entries()) {
+    if (mappedField === field) return index;
+  }
+  return null;
+}
+
+// A null origin (unresolved named range) has no known sheet position, so no A1 reference either
+function cellRef(rowIndex, columnIdx, origin) {
+  if (columnIdx === null || columnIdx === undefined || !origin) return null;
+  return `${columnLetter(columnIdx + origin.column)}${rowIndex + origin.row + 1}`;
+}
+
+// Cells that mean "no value" rather than a typo
+const PLACEHOLDER_RE = /^(-+|—|n\/?a|none|null|#n\/a)$/i;
+
+const NUMERIC_DATE_RE = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})$/;
+const dateOrders = new Map();
+
+/**
+ * Order of the numeric date parts ("dmy", "mdy" or "ymd") in a document
+ * locale; null (no locale) accepts only dates whose order is unambiguous.
+ */
+function dateOrderFor(locale) {
+  if (!locale) return null;
+  if (!dateOrders.has(locale)) {
+    const parts = new Intl.DateTimeFormat(locale, { year: "numeric", month: "2-digit", day: "2-digit" }).formatToParts(new Date(2026, 10, 23));
+    dateOrders.set(locale, parts.filter((part) => part.type !== "literal").map((part) => part.type[0]).join(""));
+  }
+  return dateOrders.get(locale);
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Read a date cell as YYYY-MM-DD, or null. Year-first dates and month names
+ * ("14 Feb 2026") read the same everywhere; "03/04/2026" follows the document
+ * `locale` (day-first for "ar-EG", month-first for "en-US"). Without a locale
+ * it is only read when one part is above 12 or both match.
+ */
+export function parseDate(raw, locale = null) {
+  const text = latinizeNumericText(raw);
+  if (!text) return null;
+  const match = text.match(NUMERIC_DATE_RE);
+  if (!match) {
+    if (!/[a-z]/i.test(text)) return null;
+    const parsed = new Date(text);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return isoDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+  const [first, second, third] = match.slice(1).map(Number);
+  if (match[1].length === 4) return isoDate(first, second, third);
+  if (match[1].length > 2 || ![2, 4].includes(match[3].length)) return null;
+  const year = match[3].length === 2 ? 2000 + third : third;
+  let order = dateOrderFor(locale);
+  if (order === null) {
+    if (first === second || first > 12) order = "dmy";
+    else if (second > 12) order = "mdy";
+  }
+  if (order === "dmy") return isoDate(year, second, first);
+  if (order === "mdy") return isoDate(year, first, second);
+  return null;
+}
+
+const NUMERIC_FIELDS = ["quantity", "avgCost", "spent", "price", "marketValue", "pnl", "pnlPct"];
+const MISMATCH_TOLERANCE = 0.01;
+const PNL_PCT_TOLERANCE = 0.005;
+
+function mismatch(actual, expected, scale = Math.max(Math.abs(actual), Math.abs(expected))) {
+  return Math.abs(actual - expected) > Math.max(0.01, scale * MISMATCH_TOLERANCE);
+}
+
+/**
+ * Cell-level diagnostics for one position row: unreadable numbers, values
+ * that disagree with each other (only when every input came from the sheet)
+ * and suspicious values.
+ */
+function diagnosePositionRow(context, row, rowIndex, mapping, symbol, cells) {
+  const diagnostics = [];
+  const add = (severity, code, field, value, message, extra = {}) => {
+    const column = fieldColumn(mapping, field);
+    diagnostics.push({
+      severity,
+      code,
+      document: context.documentName,
+      worksheet: context.worksheetTitle,
+      cell: cellRef(rowIndex, column, context.origin),
+      field,
+      symbol,
+      raw: column === null ? null : String(row[column] ?? "").trim(),
+      value,
+      ...extra,
+      message
+    });
+  };
+
+  for (const field of NUMERIC_FIELDS) {
+    const { raw, value, exact } = cells[field];
+    if (!raw || PLACEHOLDER_RE.test(raw)) continue;
+    if (value === null) {
+      add("warning", "unparseable_number", field, null, `Could not read ${field} "${raw}" for '${symbol}'.`);
+    } else if (!exact) {
+      add("warning", "partial_number", field, value, `Only part of ${field} "${raw}" for '${symbol}' was read as ${value}.`);
+    }
+  }
+
+  const v = Object.fromEntries(NUMERIC_FIELDS.map((field) => [field, cells[field].value]));
+  if (v.quantity !== null && v.price !== null && v.marketValue !== null) {
+    const expected = v.quantity * v.price;
+    if (mismatch(v.marketValue, expected)) {
+      add("warning", "market_value_mismatch", "marketValue", v.marketValue, `Market value for '${symbol}' is not quantity x price (${expected}).`, { expected });
+    }
+  }
+  if (v.quantity !== null && v.avgCost !== null && v.spent !== null) {
+    const expected = v.quantity * v.avgCost;
+    if (mismatch(v.spent, expected)) {
+      add("warning", "cost_mismatch", "spent", v.spent, `Spent for '${symbol}' is not quantity x avg cost (${expected}).`, { expected });
+    }
+  }
+  if (v.marketValue !== null && v.spent !== null && v.pnl !== null) {
+    const expected = v.marketValue - v.spent;
+    if (mismatch(v.pnl, expected, Math.max(Math.abs(v.marketValue), Math.abs(v.spent)))) {
+      add("warning", "pnl_mismatch", "pnl", v.pnl, `P&L for '${symbol}' is not market value - spent (${expected}).`, { expected });
+    }
+  }
+  if (v.pnl !== null && v.spent !== null && v.spent !== 0 && v.pnlPct !== null) {
+    const expected = v.pnl / v.spent;
+    if (Math.abs(v.pnlPct - expected) > PNL_PCT_TOLERANCE) {
+      add("warning", "pnl_pct_mismatch", "pnlPct", v.pnlPct, `P&L % for '${symbol}' is not P&L / spent (${expected}).`, { expected });
+    }
+  }
+  if (v.pnlPct !== null && v.pnlPct < -1) {
+    add("warning", "pnl_pct_below_total_loss", "pnlPct", v.pnlPct, `P&L % for '${symbol}' is below -100%.`);
+  }
+  if (v.quantity === 0 && v.marketValue !== null && v.marketValue > 0) {
+    add("warning", "zero_quantity_with_value", "quantity", 0, `Quantity for '${symbol}' is 0 but it has a market value.`);
+  }
+  return { diagnostics, add };
+}
+
+function parsePositionRow(row, mapping, context, rowIndex) {
+  const { documentName, worksheetTitle } = context;
   const symbol = rowFieldValue(row, mapping, "symbol");
-  if (!symbol) return { position: null, weird: null };
+  if (!symbol) return { position: null, weird: null, diagnostics: [] };
 
-  const quantity = parseNumber(rowFieldValue(row, mapping, "quantity"));
-  const avgCost = parseNumber(rowFieldValue(row, mapping, "avgCost"));
-  let spent = parseNumber(rowFieldValue(row, mapping, "spent"));
-  const price = parseNumber(rowFieldValue(row, mapping, "price"));
-  let marketValue = parseNumber(rowFieldValue(row, mapping, "marketValue"));
-  let pnl = parseNumber(rowFieldValue(row, mapping, "pnl"));
-  let pnlPct = parseNumber(rowFieldValue(row, mapping, "pnlPct"), true);
+  const cells = {};
+  for (const field of NUMERIC_FIELDS) {
+    const raw = rowFieldValue(row, mapping, field);
+    cells[field] = { raw, ...readNumber(raw, field === "pnlPct", context.locale) };
+  }
+  const quantity = cells.quantity.value;
+  const avgCost = cells.avgCost.value;
+  let spent = cells.spent.value;
+  const price = cells.price.value;
+  let marketValue = cells.marketValue.value;
+  let pnl = cells.pnl.value;
+  let pnlPct = cells.pnlPct.value;
 
   if (spent === null && quantity !== null && avgCost !== null) spent = quantity * avgCost;
   if (marketValue === null && quantity !== null && price !== null) marketValue = quantity * price;
   if (pnl === null && marketValue !== null && spent !== null) pnl = marketValue - spent;
   if (pnlPct === null && pnl !== null && spent !== null && spent !== 0) pnlPct = pnl / spent;
 
+  const { diagnostics, add } = diagnosePositionRow(context, row, rowIndex, mapping, symbol, cells);
   if ([quantity, spent, marketValue, pnl, pnlPct].every((value) => value === null)) {
-    return { position: null, weird: null };
+    // Blank / placeholder cells make a label row; unreadable ones would lose a holding silently
+    const unreadable = NUMERIC_FIELDS.some((field) => cells[field].value === null && cells[field].raw && !PLACEHOLDER_RE.test(cells[field].raw));
+    if (!unreadable) return { position: null, weird: null, diagnostics: [] };
+    add("error", "unparseable_row", "symbol", null, `No quantity or value could be read for '${symbol}'; the row was skipped.`);
+    return {
+      position: null,
+      weird: `${documentName}/${worksheetTitle}: No quantity or value could be read for '${symbol}'.`,
+      diagnostics
+    };
   }
 
+  const acquiredRaw = rowFieldValue(row, mapping, "acquiredDate");
+  const acquiredDate = parseDate(acquiredRaw, context.locale);
+  if (acquiredRaw && !acquiredDate && !PLACEHOLDER_RE.test(acquiredRaw)) {
+    const hint = context.locale ? "" : " Use YYYY-MM-DD or set the document locale.";
+    add("warning", "unparseable_date", "acquiredDate", null, `Could not read acquisition date "${acquiredRaw}" for '${symbol}'.${hint}`);
+  }
   let weird = null;
   if (marketValue === null) {
     weird = `${documentName}/${worksheetTitle}: Missing market value for '${symbol}'.`;
+    add("error", "missing_market_value", fieldColumn(mapping, "marketValue") === null ? "symbol" : "marketValue", null, `Missing market value for '${symbol}'.`);
   } else if (marketValue < 0) {
     weird = `${documentName}/${worksheetTitle}: Negative market value for '${symbol}'.`;
+    add("error", "negative_market_value", "marketValue", marketValue, `Negative market value for '${symbol}'.`);
   } else if (quantity !== null && quantity < 0) {
     weird = `${documentName}/${worksheetTitle}: Negative quantity for '${symbol}'.`;
+    add("warning", "negative_quantity", "quantity", quantity, `Negative quantity for '${symbol}'.`);
   }
 
   return {
     position: {
-      symbol,
+      symbol: context.resolveSymbol ? context.resolveSymbol(symbol) || symbol : symbol,
+      rawSymbol: symbol,
       quantity,
       avgCost,
       spent,
@@ -213,88 +587,335 @@ function parsePositionRow(row, mapping, documentName, worksheetTitle) {
       marketValue,
       pnl,
       pnlPct,
+      acquiredDate,
       sourceDocument: documentName,
       sourceWorksheet: worksheetTitle
     },
-    weird
+    weird,
+    diagnostics
   };
 }
 
-function parseAdjustmentRow(row, documentName, worksheetTitle, rowIndex) {
-  const cells = row.map((cell) => String(cell ?? "").trim());
-  const normalized = cells.map((cell) => normalizeHeader(cell));
-  const labelIndex = normalized.findIndex((cell) =>
-    /(old loss|realized loss|carry loss|loss carry|prior loss|accumulated loss)/.test(cell)
-  );
-  if (labelIndex < 0) return null;
-
-  let amount = null;
+/**
+ * First number to the right of a label cell, else the first to its left,
+ * as `{ amount, index }`.
+ */
+function findRowAmount(cells, labelIndex, locale) {
   for (let idx = labelIndex + 1; idx < cells.length; idx += 1) {
-    const parsed = parseNumber(cells[idx]);
-    if (Number.isFinite(parsed)) {
-      amount = parsed;
-      break;
-    }
+    const parsed = parseNumber(cells[idx], false, locale);
+    if (Number.isFinite(parsed)) return { amount: parsed, index: idx };
   }
-  if (amount === null) {
-    for (let idx = labelIndex - 1; idx >= 0; idx -= 1) {
-      const parsed = parseNumber(cells[idx]);
-      if (Number.isFinite(parsed)) {
-        amount = parsed;
-        break;
-      }
+  for (let idx = labelIndex - 1; idx >= 0; idx -= 1) {
+    const parsed = parseNumber(cells[idx], false, locale);
+    if (Number.isFinite(parsed)) return { amount: parsed, index: idx };
+  }
+  return null;
+}
+
+/**
+ * Built-in accounting adjustment kinds. A row whose cell matches one of the
+ * `patterns` (tested on the cell text and its normalized form) becomes an
+ * adjustment; each delta is `sign * amount`, with `absolute` kinds taking the
+ * magnitude of the row's number. `realized` kinds make up realised P&L.
+ *
+ *   loss_carry / fee / tax        cost with nothing left to show: spent +, P&L -
+ *   realized_gain / dividend      profit already taken out:       spent -, P&L +
+ *   deposit / withdrawal          money moved in or out: recorded, totals untouched
+ */
+export const DEFAULT_ADJUSTMENT_KINDS = [
+  {
+    kind: "loss_carry",
+    patterns: [/(old loss|realized loss|carry loss|loss carry|prior loss|accumulated loss)/],
+    spent: 1,
+    marketValue: 0,
+    pnl: -1,
+    absolute: true,
+    realized: true
+  },
+  {
+    kind: "realized_gain",
+    patterns: [/^(realized|realised) (gain|gains|profit|p&l|pnl)$/, /^(closed|booked) (p&l|pnl|profit)$/],
+    spent: -1,
+    marketValue: 0,
+    pnl: 1,
+    absolute: false,
+    realized: true
+  },
+  {
+    kind: "dividend",
+    patterns: [/^(dividends?|dividends? received|dividend income|income received|coupons?|توزيعات|توزيعات الأرباح)$/u],
+    spent: -1,
+    marketValue: 0,
+    pnl: 1,
+    absolute: true,
+    realized: true
+  },
+  {
+    kind: "fee",
+    patterns: [/^(fees?|commissions?|brokerage fees?|trading fees?|custody fees?|عمولات|مصاريف)$/u],
+    spent: 1,
+    marketValue: 0,
+    pnl: -1,
+    absolute: true,
+    realized: true
+  },
+  {
+    kind: "tax",
+    patterns: [/^(tax|taxes|tax withheld|taxes withheld|withholding tax|ضرائب|ضريبة)$/u],
+    spent: 1,
+    marketValue: 0,
+    pnl: -1,
+    absolute: true,
+    realized: true
+  },
+  {
+    kind: "deposit",
+    patterns: [/^(deposit|deposits|total deposits|cash in|funding|top up|إيداع|إيداعات)$/u],
+    spent: 0,
+    marketValue: 0,
+    pnl: 0,
+    absolute: true,
+    realized: false
+  },
+  {
+    kind: "withdrawal",
+    patterns: [/^(withdrawal|withdrawals|total withdrawals|cash out|سحب|سحوبات)$/u],
+    spent: 0,
+    marketValue: 0,
+    pnl: 0,
+    absolute: true,
+    realized: false
+  }
+];
+
+function adjustmentKindOf(cell, registry) {
+  const text = String(cell ?? "").trim();
+  if (!text) return null;
+  const label = normalizeHeader(text);
+  return registry.find((item) => item.patterns.some((pattern) => pattern.test(text) || pattern.test(label))) ?? null;
+}
+
+/**
+ * An adjustment row carries a registry label as its first non-empty cell or in
+ * the symbol column of the table it sits in (`symbolColumn`, null outside a
+ * table). Labels elsewhere on a row (a notes column) do not count.
+ */
+function parseAdjustmentRow(row, rowIndex, context, registry, symbolColumn = null) {
+  const cells = row.map((cell) => String(cell ?? "").trim());
+  const first = cells.findIndex(Boolean);
+  if (first < 0) return null;
+  let labelIndex = -1;
+  let definition = null;
+  for (const idx of symbolColumn === null ? [first] : [symbolColumn, first]) {
+    definition = adjustmentKindOf(cells[idx], registry);
+    if (definition) {
+      labelIndex = idx;
+      break;
     }
   }
-  if (amount === null) return null;
+  if (!definition) return null;
+  // Under a header, a row with a symbol of its own is a holding, never an adjustment
+  if (symbolColumn !== null && cells[symbolColumn] && labelIndex !== symbolColumn) return null;
+
+  const found = findRowAmount(cells, labelIndex, context.locale);
+  if (!found) return null;
 
-  const lossAmount = Math.abs(amount);
+  const amount = definition.absolute ? Math.abs(found.amount) : found.amount;
   return {
-    kind: "loss_carry",
-    label: cells[labelIndex] || "OLD LOSS",
-    amount: lossAmount,
-    spentDelta: lossAmount,
-    marketValueDelta: 0,
-    pnlDelta: -lossAmount,
-    sourceDocument: documentName,
-    sourceWorksheet: worksheetTitle,
+    kind: definition.kind,
+    label: cells[labelIndex],
+    amount,
+    spentDelta: definition.spent * amount,
+    marketValueDelta: definition.marketValue * amount,
+    pnlDelta: definition.pnl * amount,
+    realized: definition.realized,
+    sourceDocument: context.documentName,
+    sourceWorksheet: context.worksheetTitle,
     rowIndex
   };
 }
 
-export function parseWorksheet(values, documentName, worksheetTitle) {
+export const CASH_KINDS = ["cash", "pending_settlement", "buying_power"];
+
+// Matched against the normalized label (see normalizeHeader)
+const CASH_LABELS = [
+  {
+    kind: "pending_settlement",
+    pattern: /^(pending settlement|settlement pending|unsettled|unsettled cash|unsettled funds|pending cash|pending funds|قيد التسوية)$/u
+  },
+  { kind: "buying_power", pattern: /^(buying power|purchasing power|available to trade|القوة الشرائية)$/u },
+  {
+    kind: "cash",
+    pattern:
+      /^(cash|cash balance|available cash|cash available|uninvested cash|free cash|settled cash|cash sweep|money market sweep|نقدية|نقدي|رصيد نقدي|الرصيد النقدي)$/u
+  }
+];
+
+function cashLabelKind(cell, cashLabels) {
+  const text = String(cell ?? "").trim();
+  if (!text) return null;
+  const configured = cashLabels.find((item) => item.pattern.test(text));
+  if (configured) return configured.kind;
+  const label = normalizeHeader(text);
+  return CASH_LABELS.find((item) => item.pattern.test(label))?.kind ?? null;
+}
+
+/**
+ * A cash row starts with a cash label (built-in or `options.cashLabels`).
+ * The amount is the market value column of the table it sits in, else the
+ * nearest number on the row. A ticker such as CASH with a quantity and a
+ * price stays a position.
+ */
+function parseCashRow(row, rowIndex, mapping, context, cashLabels) {
+  const cells = row.map((cell) => String(cell ?? "").trim());
+  const labelIndex = cells.findIndex(Boolean);
+  const kind = labelIndex < 0 ? null : cashLabelKind(cells[labelIndex], cashLabels);
+  if (!kind) return null;
+  if (mapping && ["quantity", "price"].every((field) => parseNumber(rowFieldValue(row, mapping, field), false, context.locale) !== null)) {
+    return null;
+  }
+
+  const mvColumn = mapping ? fieldColumn(mapping, "marketValue") : null;
+  const mvAmount = mvColumn !== null && mvColumn !== labelIndex ? parseNumber(cells[mvColumn], false, context.locale) : null;
+  const found = mvAmount !== null ? { amount: mvAmount, index: mvColumn } : findRowAmount(cells, labelIndex, context.locale);
+  if (!found) return null;
+  return {
+    kind,
+    label: cells[labelIndex],
+    amount: found.amount,
+    counted: true,
+    sourceDocument: context.documentName,
+    sourceWorksheet: context.worksheetTitle,
+    rowIndex,
+    cell: cellRef(rowIndex, found.index, context.origin)
+  };
+}
+
+/**
+ * Cash rows of a worksheet. Buying power usually restates the cash balance,
+ * so it only counts towards the balance when the tab has no other cash rows.
+ */
+function parseCashRows(values, headers, context, cashLabels) {
+  const cash = [];
+  values.forEach((raw, rowIndex) => {
+    const row = Array.isArray(raw) ? raw : [];
+    const header = [...headers].reverse().find((item) => item.index < rowIndex);
+    const parsed = parseCashRow(row, rowIndex, header?.mapping ?? null, context, cashLabels);
+    if (parsed) cash.push(parsed);
+  });
+  const hasBalance = cash.some((item) => item.kind !== "buying_power");
+  for (const item of cash) {
+    if (item.kind === "buying_power") item.counted = !hasBalance;
+  }
+  return cash;
+}
+
+function worksheetDiagnostic(documentName, worksheetTitle, severity, code, message) {
+  return {
+    severity,
+    code,
+    document: documentName,
+    worksheet: worksheetTitle,
+    cell: null,
+    field: null,
+    symbol: null,
+    raw: null,
+    value: null,
+    message
+  };
+}
+
+/**
+ * Explicit column letters past the widest row of the sheet (and, for a bare
+ * "QTY"-style entry, with no header cell of that text) would read empty cells
+ * and parse nothing, so they are reported as errors.
+ */
+function columnRangeDiagnostics(values, columns, documentName, worksheetTitle) {
+  const rows = values.filter(Array.isArray);
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const diagnostics = [];
+  for (const [field, spec] of Object.entries(columns?.fields ?? {})) {
+    if (!spec.column || columnIndex(spec.column) < width) continue;
+    if (spec.header && rows.some((row) => findHeaderCell(row, spec.header) >= 0)) continue;
+    const message = `columns.${field}: column ${spec.column} is beyond the last column (${columnLetter(Math.max(width - 1, 0))}) of the worksheet.`;
+    diagnostics.push({ ...worksheetDiagnostic(documentName, worksheetTitle, "error", "column_out_of_range", message), field });
+  }
+  return diagnostics;
+}
+
+/**
+ * `options.columns` is a normalized explicit column map (normalizeColumnMap);
+ * `options.aliases` extends the header aliases (buildFieldAliases);
+ * `options.origin` (`{ row, column }`, 0-based) offsets cell references when
+ * `values` is a range that does not start at A1, and is null for a named range
+ * (diagnostics then carry `cell: null`); `options.locale` is the
+ * document's number locale (parseNumber); `options.cashLabels` adds
+ * `[{ pattern: RegExp, kind }]` cash row labels; `options.adjustmentKinds`
+ * replaces the adjustment registry (DEFAULT_ADJUSTMENT_KINDS shape);
+ * `options.resolveSymbol` maps sheet symbols to canonical ones
+ * (createSymbolResolver), keeping the sheet text as `rawSymbol`.
+ */
+export function parseWorksheet(values, documentName, worksheetTitle, options = {}) {
+  const locale = options.locale ?? null;
+  const context = {
+    documentName,
+    worksheetTitle,
+    origin: options.origin === undefined ? { row: 0, column: 0 } : options.origin,
+    locale,
+    resolveSymbol: options.resolveSymbol ?? null
+  };
+  const registry = options.adjustmentKinds ?? DEFAULT_ADJUSTMENT_KINDS;
+  const headers = values?.length ? detectHeaders(values, options) : [];
+  const headerIndexes = new Set(headers.map((item) => item.index));
   const adjustments = [];
   values?.forEach((row, rowIndex) => {
-    const parsed = parseAdjustmentRow(Array.isArray(row) ? row : [], documentName, worksheetTitle, rowIndex);
+    if (headerIndexes.has(rowIndex)) return;
+    const table = headers.filter((item) => item.index < rowIndex).pop();
+    const symbolColumn = table ? fieldColumn(table.mapping, "symbol") : null;
+    const parsed = parseAdjustmentRow(Array.isArray(row) ? row : [], rowIndex, context, registry, symbolColumn);
     if (parsed) adjustments.push(parsed);
   });
+  const adjustmentRows = new Set(adjustments.map((item) => item.rowIndex));
 
   if (!values?.length) {
     return {
       positions: [],
       weirdValues: ["Worksheet is empty."],
+      diagnostics: [worksheetDiagnostic(documentName, worksheetTitle, "info", "empty_worksheet", "Worksheet is empty.")],
       headerRows: [],
-      adjustments
+      adjustments,
+      cash: []
     };
   }
 
-  const headers = [];
-  values.forEach((row, index) => {
-    const mapping = detectHeaderMapping(Array.isArray(row) ? row : []);
-    if (isHeaderCandidate(mapping)) headers.push({ index, mapping });
-  });
+  const columnErrors = columnRangeDiagnostics(values, options.columns, documentName, worksheetTitle);
+  const cash = parseCashRows(values, headers, context, options.cashLabels ?? []).filter(
+    (item) => !adjustmentRows.has(item.rowIndex)
+  );
+  const cashRows = new Set(cash.map((item) => item.rowIndex));
 
   if (!headers.length) {
     return {
       positions: [],
-      weirdValues: ["No holdings-like header detected."],
+      weirdValues: [...columnErrors.map((item) => item.message), ...(cash.length ? [] : ["No holdings-like header detected."])],
+      diagnostics: [
+        ...columnErrors,
+        ...(cash.length
+          ? []
+          : [worksheetDiagnostic(documentName, worksheetTitle, "warning", "no_header", "No holdings-like header detected.")])
+      ],
       headerRows: [],
-      adjustments
+      adjustments,
+      cash
     };
   }
 
   const positions = [];
-  const weirdValues = [];
-  const headerRows = headers.map((item) => item.index);
+  const weirdValues = columnErrors.map((item) => item.message);
+  const diagnostics = [...columnErrors];
+  const headerRows = headers.map((item) =>
+    describeHeader(Array.isArray(values[item.index]) ? values[item.index] : [], item.index, item.mapping, item.sources)
+  );
 
   headers.forEach((header, headerIndex) => {
     const endRow = headers[headerIndex + 1]?.index ?? values.length;
@@ -308,19 +929,43 @@ export function parseWorksheet(values, documentName, worksheetTitle) {
         continue;
       }
       blankCount = 0;
-      if (isTotalRow(row)) continue;
-
-      const { position, weird } = parsePositionRow(
-        row,
-        header.mapping,
-        documentName,
-        worksheetTitle
-      );
-      if (position) positions.push(position);
-      if (weird) weirdValues.push(weird);
+      if (isTotalRow(row) || cashRows.has(rowIndex) || adjustmentRows.has(rowIndex)) continue;
+
+      const parsed = parsePositionRow(row, header.mapping, context, rowIndex);
+      if (parsed.position) positions.push(parsed.position);
+      if (parsed.weird) weirdValues.push(parsed.weird);
+      diagnostics.push(...parsed.diagnostics);
     }
   });
 
-  if (!positions.length) weirdValues.push("No position rows parsed under detected headers.");
-  return { positions, weirdValues, headerRows, adjustments };
+  if (!positions.length && !cash.length) {
+    weirdValues.push("No position rows parsed under detected headers.");
+    diagnostics.push(
+      worksheetDiagnostic(documentName, worksheetTitle, "warning", "no_positions", "No position rows parsed under detected headers.")
+    );
+  }
+  return { positions, weirdValues, diagnostics, headerRows, adjustments, cash };
+}
+
+/**
+ * Read a simple symbol -> price table (e.g. a watchlist tab): the first row with
+ * both a symbol-like and a price-like header starts the table.
+ */
+export function parsePriceTable(values, { locale = null } = {}) {
+  const prices = new Map();
+  let mapping = null;
+  for (const row of values ?? []) {
+    const cells = Array.isArray(row) ? row : [];
+    if (!mapping) {
+      const candidate = detectHeaderMapping(cells);
+      const fields = new Set(candidate.values());
+      if (fields.has("symbol") && fields.has("price")) mapping = candidate;
+      continue;
+    }
+    if (isBlankRow(cells) || isTotalRow(cells)) continue;
+    const symbol = rowFieldValue(cells, mapping, "symbol").toUpperCase();
+    const price = parseNumber(rowFieldValue(cells, mapping, "price"), false, locale);
+    if (symbol && Number.isFinite(price)) prices.set(symbol, price);
+  }
+  return prices;
 }
@@ -0,0 +1,310 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { classifyPositionChange } from "./trades.js";
+
+/**
+ * Contribution-Aware Performance
+ *
+ * Rebuilds a value/contribution series from the stored daily JSON reports and
+ * computes, for the combined portfolio and each wallet:
+ *
+ *   - time-weighted return (TWR): daily, MTD, YTD and since inception
+ *   - money-weighted return (XIRR, annualized) since inception
+ *
+ * Values use the position-only snapshot (`baseMarketValue` / `baseSpent`) so
+ * accounting adjustments such as OLD LOSS do not register as flows. The cash
+ * flow of a day is the change in spent less the P&L realised by sells, so a
+ * sale leaves at its market value rather than its cost; daily returns use
+ * Modified Dietz with flows weighted at mid-day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round4(v) {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  return Math.round(v * 10000) / 10000;
+}
+
+async function listReportDates(reportsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(reportsDir);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map((f) => f.replace(".json", ""))
+    .sort();
+}
+
+async function loadReport(reportsDir, date) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(reportsDir, `${date}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function pointFromAnalysis(date, analysis) {
+  const snap = analysis?.snapshot;
+  if (!snap) return null;
+  const marketValue = snap.baseMarketValue ?? snap.totalMarketValue;
+  const spent = snap.baseSpent ?? snap.totalSpent;
+  if (!Number.isFinite(marketValue) || !Number.isFinite(spent)) return null;
+  return { date, marketValue, spent, positions: analysis.positions };
+}
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function unitPrice(position) {
+  const qty = nvl(position?.quantity);
+  return qty ? nvl(position.marketValue) / qty : null;
+}
+
+/** Market value of the share of `holding` whose cost `costOut` was sold. */
+function soldValue(holding, costOut) {
+  if (!(costOut > 0) || !(holding.spent > 0)) return 0;
+  return nvl(holding.marketValue) * Math.min(1, costOut / holding.spent);
+}
+
+/**
+ * P&L realised between two points: sale proceeds minus the cost taken out of
+ * spent. With positions, each sell or exit is priced like the trade blotter
+ * (observed market price); without them, a fall in spent sells that share of
+ * the previous value.
+ */
+function realizedBetween(prev, curr) {
+  if (!prev.positions || !curr.positions) {
+    const costOut = prev.spent - curr.spent;
+    return costOut > 0 ? soldValue(prev, costOut) - costOut : 0;
+  }
+  const key = (pos) => String(pos.symbol ?? "").trim().toUpperCase();
+  const after = new Map(curr.positions.map((pos) => [key(pos), pos]));
+  let realized = 0;
+  for (const pos of prev.positions) {
+    const next = after.get(key(pos));
+    const type = classifyPositionChange(next, pos);
+    if (type !== "sell" && type !== "exit") continue;
+    const sold = nvl(pos.quantity) - nvl(next?.quantity);
+    const costOut = nvl(pos.spent) - nvl(next?.spent);
+    const price = (type === "exit" ? null : unitPrice(next)) ?? unitPrice(pos);
+    const proceeds = sold > 0 && price !== null ? sold * price : soldValue(pos, costOut);
+    realized += proceeds - costOut;
+  }
+  return realized;
+}
+
+/**
+ * Turn a value series into daily returns: `[{ date, marketValue, spent,
+ * positions? }]` -> `[{ date, cashFlow, return }]` (the first point has no
+ * return). A sale is an outflow of its proceeds.
+ */
+export function computeDailyReturns(series) {
+  const out = [];
+  for (let i = 1; i < series.length; i += 1) {
+    const prev = series[i - 1];
+    const curr = series[i];
+    const cashFlow = curr.spent - prev.spent - realizedBetween(prev, curr);
+    const denominator = prev.marketValue + cashFlow * 0.5;
+    const value = denominator > 0 ? (curr.marketValue - prev.marketValue - cashFlow) / denominator : null;
+    out.push({ date: curr.date, cashFlow, return: value });
+  }
+  return out;
+}
+
+function chainReturns(returns) {
+  const usable = returns.filter((item) => Number.isFinite(item.return));
+  if (!usable.length) return null;
+  return usable.reduce((acc, item) => acc * (1 + item.return), 1) - 1;
+}
+
+/**
+ * TWR over the returns dated after the anchor: the last observation before
+ * `periodStart`, or the first observation inside the period when none exists.
+ */
+function periodTwr(series, returns, periodStart) {
+  const before = series.filter((item) => item.date < periodStart);
+  const anchor = before.length ? before[before.length - 1].date : series.find((item) => item.date >= periodStart)?.date;
+  if (!anchor) return null;
+  return chainReturns(returns.filter((item) => item.date > anchor));
+}
+
+function yearFraction(fromDate, toDate) {
+  return (Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / (365 * DAY_MS);
+}
+
+/**
+ * Annualized money-weighted return for dated flows (`[{ date, amount }]`,
+ * negative = paid in, positive = value received). Newton's method with a
+ * bisection fallback; null when the flows never change sign.
+ */
+export function xirr(flows) {
+  const list = flows.filter((item) => Number.isFinite(item.amount) && item.amount !== 0);
+  if (!list.some((item) => item.amount > 0) || !list.some((item) => item.amount < 0)) return null;
+  const start = list[0].date;
+  const times = list.map((item) => yearFraction(start, item.date));
+  if (times[times.length - 1] <= 0) return null;
+
+  const npv = (rate) => list.reduce((sum, item, i) => sum + item.amount / (1 + rate) ** times[i], 0);
+  const dnpv = (rate) => list.reduce((sum, item, i) => sum - (times[i] * item.amount) / (1 + rate) ** (times[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 100; i += 1) {
+    const value = npv(rate);
+    const slope = dnpv(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e6) high *= 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i += 1) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+  }
+  return (low + high) / 2;
+}
+
+export function computeScopePerformance(series, asOfDate) {
+  if (series.length < 2) {
+    return { available: false, reason: "fewer than 2 data points", dataPoints: series.length };
+  }
+  const returns = computeDailyReturns(series);
+  const first = series[0];
+  const last = series[series.length - 1];
+  const netContributions = returns.reduce((sum, item) => sum + item.cashFlow, 0);
+
+  const flows = [
+    { date: first.date, amount: -first.marketValue },
+    ...returns.map((item) => ({ date: item.date, amount: -item.cashFlow })),
+    { date: last.date, amount: last.marketValue }
+  ];
+
+  let index = 1;
+  const twrIndex = [{ date: first.date, value: 1 }];
+  for (const item of returns) {
+    if (Number.isFinite(item.return)) index *= 1 + item.return;
+    twrIndex.push({ date: item.date, value: round4(index) });
+  }
+
+  const lastReturn = returns[returns.length - 1];
+  return {
+    available: true,
+    dataPoints: series.length,
+    startDate: first.date,
+    endDate: last.date,
+    netContributions: round4(netContributions),
+    daily: lastReturn.date === asOfDate ? round4(lastReturn.return) : null,
+    mtd: round4(periodTwr(series, returns, `${asOfDate.slice(0, 7)}-01`)),
+    ytd: round4(periodTwr(series, returns, `${asOfDate.slice(0, 4)}-01-01`)),
+    sinceInception: round4(chainReturns(returns)),
+    xirr: round4(xirr(flows)),
+    twrIndex
+  };
+}
+
+export async function buildPerformanceReport(reportsDir, currentDate) {
+  const dates = (await listReportDates(reportsDir)).filter((d) => d <= currentDate);
+  const combinedSeries = [];
+  const walletSeries = new Map();
+
+  for (const date of dates) {
+    const report = await loadReport(reportsDir, date);
+    if (!report) continue;
+    if (report.combined) {
+      const point = pointFromAnalysis(date, report.combined);
+      if (point) combinedSeries.push({ ...point, currency: report.combinedCurrency ?? report.baseCurrency });
+    }
+    for (const ws of report.worksheets ?? []) {
+      if (!ws.walletId) continue;
+      const point = pointFromAnalysis(date, ws.analysis);
+      if (!point) continue;
+      if (!walletSeries.has(ws.walletId)) {
+        walletSeries.set(ws.walletId, {
+          meta: { walletId: ws.walletId, walletName: ws.walletName, currency: ws.currency },
+          series: []
+        });
+      }
+      walletSeries.get(ws.walletId).series.push(point);
+    }
+  }
+
+  // Combined values are only comparable across days in the same currency
+  const combinedCurrency = combinedSeries[combinedSeries.length - 1]?.currency ?? null;
+  const comparable = combinedSeries.filter((item) => item.currency === combinedCurrency);
+
+  if (comparable.length < 2 && ![...walletSeries.values()].some((item) => item.series.length >= 2)) {
+    return { available: false, reason: "fewer than 2 historical reports" };
+  }
+
+  return {
+    available: true,
+    asOf: currentDate,
+    method: "modified_dietz_twr+xirr",
+    combined: {
+      currency: combinedCurrency,
+      ...computeScopePerformance(comparable, currentDate)
+    },
+    wallets: [...walletSeries.values()].map((item) => ({
+      ...item.meta,
+      ...computeScopePerformance(item.series, currentDate)
+    }))
+  };
+}
+
+/**
+ * Add the cumulative TWR index to the trend blocks for the dates they cover.
+ */
+export function attachPerformanceToTrends(trends, performance) {
+  if (!trends?.available || !performance?.available) return trends;
+  const pick = (scope, dates) => {
+    const byDate = new Map((scope?.twrIndex ?? []).map((item) => [item.date, item.value]));
+    return dates.map((date) => byDate.get(date) ?? null);
+  };
+  if (trends.portfolio?.dates) trends.portfolio.twrIndexHistory = pick(performance.combined, trends.portfolio.dates);
+  for (const wallet of trends.wallets ?? []) {
+    const scope = performance.wallets.find((item) => item.walletId === wallet.walletId);
+    if (wallet.portfolio?.dates) wallet.portfolio.twrIndexHistory = pick(scope, wallet.portfolio.dates);
+  }
+  return trends;
+}
+
+export function performanceToMarkdown(performance) {
+  if (!performance?.available) return "";
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmtAmount = (v, currency) => {
+    if (!Number.isFinite(v)) return "n/a";
+    if (!currency) return v.toFixed(2);
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 2 }).format(v);
+  };
+
+  const row = (label, scope) =>
+    scope.available
+      ? `| ${label} | ${fmtPct(scope.daily)} | ${fmtPct(scope.mtd)} | ${fmtPct(scope.ytd)} | ${fmtPct(scope.sinceInception)} | ${fmtPct(
+          scope.xirr
+        )} | ${fmtAmount(scope.netContributions, scope.currency)} | ${scope.startDate} |`
+      : `| ${label} | n/a | n/a | n/a | n/a | n/a | n/a | ${scope.reason ?? "n/a"} |`;
+
+  const lines = [];
+  lines.push("## Performance (Contribution-Aware)");
+  lines.push("");
+  lines.push("> TWR chains Modified Dietz daily returns; XIRR is annualized. Flows = change in spent, with sales at market value.");
+  lines.push("");
+  lines.push("| Scope | Daily TWR | MTD TWR | YTD TWR | Since Inception TWR | XIRR | Net Contributions | Since |");
+  lines.push("|---|---|---|---|---|---|---|---|");
+  lines.push(row(`Combined${performance.combined.currency ? ` (${performance.combined.currency})` : ""}`, performance.combined));
+  for (const wallet of performance.wallets) {
+    lines.push(row(`${wallet.walletName} (${wallet.currency})`, wallet));
+  }
+  lines.push("");
+  return lines.join("\n") + "\n";
+}
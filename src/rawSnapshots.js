@@ -0,0 +1,88 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { slugify } from "./wallets.js";
+
+/**
+ * Raw Worksheet Snapshots
+ *
+ * Persists the unparsed `worksheets[].values` of every document per report
+ * date under `reports/raw/YYYY-MM-DD/<document>-<hash>.json`, so a past report
+ * can be reproduced (or rebuilt with a fixed parser) via `--replay` without
+ * touching the network.
+ */
+
+const RAW_DIRNAME = "raw";
+
+export function rawSnapshotDir(reportsDir, date) {
+  return path.join(reportsDir, RAW_DIRNAME, date);
+}
+
+/**
+ * `<slug>-<hash>.json`: the hash of the exact document name keeps names that
+ * slug alike ("Thndr US" / "Thndr-US") apart and does not depend on config order.
+ */
+function snapshotFileName(documentName) {
+  const hash = createHash("sha1").update(String(documentName)).digest("hex").slice(0, 8);
+  return `${slugify(documentName) || "document"}-${hash}.json`;
+}
+
+export async function writeRawSnapshot(reportsDir, date, documentConfig, documentData) {
+  const dir = rawSnapshotDir(reportsDir, date);
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, snapshotFileName(documentConfig.name));
+  const payload = {
+    date,
+    capturedAt: new Date().toISOString(),
+    documentName: documentConfig.name,
+    documentTitle: documentData.documentTitle,
+    spreadsheetId: documentData.spreadsheetId ?? null,
+    sourceType: documentConfig.source?.type ?? "google_sheets",
+    skippedWorksheets: documentData.skippedWorksheets ?? [],
+    // gid and range are kept when known so worksheet filters and cell positions survive a replay
+    worksheets: documentData.worksheets.map((item) => ({
+      title: item.title,
+      ...(item.gid !== null && item.gid !== undefined ? { gid: item.gid } : {}),
+      ...(item.range ? { range: item.range } : {}),
+      values: item.values
+    }))
+  };
+  await fs.writeFile(filePath, JSON.stringify(payload, null, 2), "utf8");
+  return filePath;
+}
+
+async function readSnapshotFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read raw snapshot ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a cached document in the same shape fetchSpreadsheetDocument returns.
+ * Throws when the snapshot for that document/date does not exist.
+ */
+export async function loadRawSnapshot(reportsDir, date, documentConfig) {
+  const filePath = path.join(rawSnapshotDir(reportsDir, date), snapshotFileName(documentConfig.name));
+  const data = await readSnapshotFile(filePath);
+  if (!data) throw new Error(`No raw snapshot for ${date} at ${filePath}`);
+  return {
+    spreadsheetId: data.spreadsheetId ?? null,
+    documentName: data.documentName ?? documentConfig.name,
+    documentTitle: data.documentTitle ?? documentConfig.name,
+    capturedAt: data.capturedAt ?? null,
+    worksheets: Array.isArray(data.worksheets) ? data.worksheets : []
+  };
+}
+
+export async function listRawSnapshotDates(reportsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(reportsDir, RAW_DIRNAME));
+  } catch {
+    return [];
+  }
+  return entries.filter((item) => /^\d{4}-\d{2}-\d{2}$/.test(item)).sort();
+}
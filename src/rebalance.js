@@ -0,0 +1,238 @@
+import { rateFor } from "./fx.js";
+
+/**
+ * Rebalance Drift Report
+ *
+ * Compares current weights against the configured target allocation
+ * (`targets` in inputs.json) and reports, per dimension:
+ *
+ *   - drift (current weight - target weight)
+ *   - whether the drift is inside the tolerance band
+ *   - notional amounts to get back to the band edge and to the exact target
+ *
+ * Dimensions: wallet, market and symbol weights of the combined portfolio,
+ * plus symbol weights inside each wallet. Amounts are facts, not trade advice;
+ * they assume the total market value stays constant.
+ */
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function hasTargets(map) {
+  return Boolean(map) && Object.keys(map).length > 0;
+}
+
+/**
+ * Compute drift rows for one dimension.
+ * `holdings` is a Map of key -> market value; `targets` is key -> weight.
+ */
+export function computeDrift(holdings, targets, totalMarketValue, tolerance) {
+  const total = nvl(totalMarketValue);
+  const rows = [];
+  for (const [key, targetWeight] of Object.entries(targets ?? {})) {
+    const marketValue = nvl(holdings.get(key));
+    const currentWeight = total > 0 ? marketValue / total : 0;
+    const drift = currentWeight - targetWeight;
+    const withinBand = Math.abs(drift) <= tolerance + 1e-9;
+
+    let toBand = 0;
+    if (drift > tolerance) toBand = (targetWeight + tolerance - currentWeight) * total;
+    else if (drift < -tolerance) toBand = (targetWeight - tolerance - currentWeight) * total;
+    const toTarget = (targetWeight - currentWeight) * total;
+
+    rows.push({
+      key,
+      marketValue: round(marketValue),
+      currentWeight: round(currentWeight),
+      targetWeight: round(targetWeight),
+      drift: round(drift),
+      withinBand,
+      direction: withinBand ? "hold" : drift > 0 ? "sell" : "buy",
+      notionalToBand: round(toBand, 2),
+      notionalToTarget: round(toTarget, 2)
+    });
+  }
+  rows.sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+
+  const untargeted = [...holdings.entries()]
+    .filter(([key, value]) => !(key in (targets ?? {})) && nvl(value) > 0)
+    .map(([key, value]) => ({
+      key,
+      marketValue: round(value),
+      currentWeight: round(total > 0 ? value / total : 0)
+    }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+
+  return {
+    rows,
+    untargeted,
+    targetWeightSum: round(Object.values(targets ?? {}).reduce((sum, w) => sum + w, 0)),
+    rebalanceNeeded: rows.some((row) => !row.withinBand)
+  };
+}
+
+function sumInto(map, key, value) {
+  map.set(key, nvl(map.get(key)) + nvl(value));
+}
+
+function walletTargets(map, wallet) {
+  if (!map) return null;
+  return map[wallet.walletId] ?? map[wallet.walletName] ?? null;
+}
+
+// Symbol targets keyed like positions; weights of two spellings of one symbol add up
+function canonicalTargets(map, resolveSymbol) {
+  if (!map || !resolveSymbol) return map;
+  const merged = {};
+  for (const [symbol, weight] of Object.entries(map)) {
+    const key = resolveSymbol(symbol) || symbol;
+    merged[key] = nvl(merged[key]) + weight;
+  }
+  return merged;
+}
+
+/**
+ * `options.resolveSymbol` (createSymbolResolver) maps `targets.symbols` and
+ * `targets.walletSymbols` keys to the canonical symbols positions carry.
+ */
+export function buildRebalanceReport(dailyReport, targets, { resolveSymbol = null } = {}) {
+  const config = targets ?? {};
+  const configured =
+    hasTargets(config.wallets) ||
+    hasTargets(config.markets) ||
+    hasTargets(config.symbols) ||
+    hasTargets(config.walletSymbols);
+  if (!configured) return { available: false, reason: "no targets configured" };
+
+  const tolerance = config.tolerance ?? 0.05;
+  const combined = dailyReport.combined;
+  const currency = dailyReport.combinedCurrency || dailyReport.baseCurrency;
+  const worksheets = dailyReport.worksheets ?? [];
+
+  let combinedView = null;
+  if (combined) {
+    const totalMarketValue = nvl(combined.snapshot?.totalMarketValue);
+    const byWallet = new Map();
+    const byMarket = new Map();
+    let convertible = true;
+    for (const ws of worksheets) {
+      const rate = ws.currency === currency ? 1 : rateFor(dailyReport.fx, ws.currency);
+      if (!Number.isFinite(rate)) {
+        convertible = false;
+        continue;
+      }
+      const value = nvl(ws.analysis?.snapshot?.totalMarketValue) * rate;
+      sumInto(byWallet, ws.walletId, value);
+      sumInto(byMarket, ws.market, value);
+    }
+    const walletKeyed = Object.fromEntries(
+      Object.entries(config.wallets ?? {}).map(([key, weight]) => {
+        const match = worksheets.find((ws) => ws.walletId === key || ws.walletName === key);
+        return [match?.walletId ?? key, weight];
+      })
+    );
+    const bySymbol = new Map();
+    for (const pos of combined.positions ?? []) sumInto(bySymbol, pos.symbol, pos.marketValue);
+
+    combinedView = {
+      currency,
+      totalMarketValue: round(totalMarketValue),
+      wallets: hasTargets(config.wallets) && convertible ? computeDrift(byWallet, walletKeyed, totalMarketValue, tolerance) : null,
+      markets: hasTargets(config.markets) && convertible ? computeDrift(byMarket, config.markets, totalMarketValue, tolerance) : null,
+      symbols: hasTargets(config.symbols)
+        ? computeDrift(bySymbol, canonicalTargets(config.symbols, resolveSymbol), totalMarketValue, tolerance)
+        : null
+    };
+    combinedView.rebalanceNeeded = [combinedView.wallets, combinedView.markets, combinedView.symbols].some(
+      (item) => item?.rebalanceNeeded
+    );
+  }
+
+  const wallets = [];
+  for (const ws of worksheets) {
+    const symbolTargets = walletTargets(config.walletSymbols, ws);
+    if (!hasTargets(symbolTargets)) continue;
+    const totalMarketValue = nvl(ws.analysis?.snapshot?.totalMarketValue);
+    const bySymbol = new Map();
+    for (const pos of ws.analysis?.positions ?? []) sumInto(bySymbol, pos.symbol, pos.marketValue);
+    const symbols = computeDrift(bySymbol, canonicalTargets(symbolTargets, resolveSymbol), totalMarketValue, tolerance);
+    wallets.push({
+      walletId: ws.walletId,
+      walletName: ws.walletName,
+      currency: ws.currency,
+      totalMarketValue: round(totalMarketValue),
+      symbols,
+      rebalanceNeeded: symbols.rebalanceNeeded
+    });
+  }
+
+  return {
+    available: true,
+    tolerance,
+    combined: combinedView,
+    wallets,
+    rebalanceNeeded: Boolean(combinedView?.rebalanceNeeded) || wallets.some((item) => item.rebalanceNeeded)
+  };
+}
+
+export function rebalanceToMarkdown(rebalance) {
+  if (!rebalance?.available) return "";
+
+  const fmt = (v, currency) => {
+    if (!Number.isFinite(v)) return "n/a";
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 2 }).format(v);
+  };
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const sign = (v) => (v > 0 ? "+" : "");
+
+  const table = (title, dimension, currency) => {
+    if (!dimension) return [];
+    const out = [];
+    out.push(`### ${title}`);
+    out.push("");
+    out.push("| Target | Current | Target Wt | Drift | In Band | To Band | To Target |");
+    out.push("|---|---|---|---|---|---|---|");
+    for (const row of dimension.rows) {
+      out.push(
+        `| ${row.key} | ${fmtPct(row.currentWeight)} | ${fmtPct(row.targetWeight)} | ${sign(row.drift)}${fmtPct(row.drift)} | ${
+          row.withinBand ? "yes" : "no"
+        } | ${sign(row.notionalToBand)}${fmt(row.notionalToBand, currency)} | ${sign(row.notionalToTarget)}${fmt(row.notionalToTarget, currency)} |`
+      );
+    }
+    if (dimension.untargeted.length) {
+      out.push("");
+      out.push(
+        `- Held without target: ${dimension.untargeted.map((item) => `${item.key} ${fmtPct(item.currentWeight)}`).join(", ")}`
+      );
+    }
+    out.push("");
+    return out;
+  };
+
+  const lines = [];
+  lines.push("## Rebalance Drift");
+  lines.push("");
+  lines.push(`- Tolerance band: +/-${fmtPct(rebalance.tolerance)}`);
+  lines.push(`- Rebalance needed: ${rebalance.rebalanceNeeded ? "yes" : "no"}`);
+  lines.push("- Notional amounts are positive to buy, negative to sell, at constant total value.");
+  lines.push("");
+
+  const combined = rebalance.combined;
+  if (combined) {
+    lines.push(...table(`Combined Wallets (${combined.currency})`, combined.wallets, combined.currency));
+    lines.push(...table(`Combined Markets (${combined.currency})`, combined.markets, combined.currency));
+    lines.push(...table(`Combined Symbols (${combined.currency})`, combined.symbols, combined.currency));
+  }
+  for (const wallet of rebalance.wallets) {
+    lines.push(...table(`${wallet.walletName} (${wallet.currency})`, wallet.symbols, wallet.currency));
+  }
+
+  return lines.join("\n") + "\n";
+}
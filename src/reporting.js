@@ -1,5 +1,8 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { dataQualityToMarkdown } from "./dataQuality.js";
+import { incomeToMarkdown } from "./income.js";
+import { fxToMarkdown } from "./fx.js";
 
 function fmtCurrency(value, currency) {
   if (!Number.isFinite(value)) return "n/a";
@@ -15,8 +18,10 @@ function fmtPct(value) {
   return `${(value * 100).toFixed(2)}%`;
 }
 
-function sectionRiskFacts(report) {
+function sectionRiskFacts(report, currency) {
   const lines = [];
+  const bigWinners = report.risk.bigWinners ?? [];
+  const underweight = report.risk.underweightPositions ?? [];
   lines.push("### Concentration & Data Quality");
   lines.push(`- Positions above max weight: ${report.risk.overweightPositions.length}`);
   lines.push(
@@ -25,6 +30,18 @@ function sectionRiskFacts(report) {
     })`
   );
   lines.push(`- Big losers below drawdown threshold: ${report.risk.bigLosers.length}`);
+  lines.push(`- Big winners above take-profit threshold: ${bigWinners.length}`);
+  bigWinners.forEach((item) =>
+    lines.push(
+      `  - ${item.symbol}: ${fmtPct(item.pnlPct)} (${fmtCurrency(item.pnl, currency)}) | weight ${fmtPct(item.marketWeight)}`
+    )
+  );
+  lines.push(`- Positions below min weight: ${underweight.length}`);
+  underweight.forEach((item) =>
+    lines.push(
+      `  - ${item.symbol}: weight ${fmtPct(item.marketWeight)} (${fmtCurrency(item.marketValue, currency)}) | P&L ${fmtPct(item.pnlPct)}`
+    )
+  );
   lines.push(`- Weird/missing values: ${report.risk.weirdValues.length}`);
   report.risk.weirdValues.slice(0, 10).forEach((item) => lines.push(`- ${item}`));
   if (report.risk.weirdValues.length > 10) lines.push("- ...truncated in markdown; full list in JSON.");
@@ -38,6 +55,13 @@ function sectionSnapshot(report, currency) {
   lines.push("### Portfolio Snapshot");
   lines.push(`- Total spent: ${fmtCurrency(report.snapshot.totalSpent, currency)}`);
   lines.push(`- Total market value: ${fmtCurrency(report.snapshot.totalMarketValue, currency)}`);
+  const cash = report.snapshot.cash;
+  if ((cash?.count ?? 0) > 0) {
+    const kinds = cash.byKind.map((item) => `${item.kind} ${fmtCurrency(item.amount, currency)}`).join(", ");
+    lines.push(
+      `- Cash: ${fmtCurrency(cash.balance, currency)} (${fmtPct(cash.weight)} of value${cash.included ? "" : ", excluded from market value"}) | ${kinds}`
+    );
+  }
   lines.push(`- Total P&L: ${fmtCurrency(report.snapshot.totalPnl, currency)}`);
   lines.push(`- Total %P&L: ${fmtPct(report.snapshot.totalPnlPct)}`);
   if ((adj.count ?? 0) > 0) {
@@ -47,6 +71,9 @@ function sectionSnapshot(report, currency) {
     lines.push(
       `- Accounting adjustments: ${adj.count} rows | spent delta ${fmtCurrency(adj.spentDelta, currency)} | P&L delta ${fmtCurrency(adj.pnlDelta, currency)}${kinds ? ` | ${kinds}` : ""}`
     );
+    lines.push(
+      `- Realised P&L: ${fmtCurrency(report.snapshot.realizedPnl, currency)} | Unrealised P&L: ${fmtCurrency(report.snapshot.unrealizedPnl, currency)}`
+    );
   }
   lines.push(`- Positions parsed: ${report.positionCount}`);
   lines.push("- Top positions by market weight:");
@@ -59,6 +86,44 @@ function sectionSnapshot(report, currency) {
   return lines;
 }
 
+function sectionWatchlist(watchlist) {
+  const lines = [];
+  lines.push("## Watchlist");
+  lines.push(
+    `- Tracked: ${watchlist.count} | held: ${watchlist.heldCount} | priced: ${watchlist.pricedCount} | at/below target entry: ${watchlist.atOrBelowTargetCount}`
+  );
+  if (watchlist.missingPrices.length) lines.push(`- Missing prices: ${watchlist.missingPrices.join(", ")}`);
+  lines.push("");
+  lines.push("| Symbol | Price | Target Entry | Distance | Held | Notes |");
+  lines.push("|---|---|---|---|---|---|");
+  watchlist.entries.forEach((item) => {
+    const held = item.held ? `yes (${item.heldIn.map((h) => h.walletName).join(", ")})` : "no";
+    lines.push(
+      `| ${item.symbol} | ${fmtCurrency(item.price, item.currency)} | ${fmtCurrency(item.targetEntryPrice, item.currency)} | ${fmtPct(
+        item.distanceToTarget
+      )} | ${held} | ${item.notes ?? ""} |`
+    );
+  });
+  return lines;
+}
+
+function sectionWalletClassification(items, skipped) {
+  const lines = [];
+  lines.push("## Wallet Classification");
+  if (skipped.length) {
+    lines.push(`- Skipped by worksheet filters: ${skipped.map((item) => `${item.documentName} / ${item.worksheetTitle}`).join(", ")}`);
+  }
+  lines.push("");
+  lines.push("| Document | Worksheet | Wallet | Market | Type | Currency | Rule |");
+  lines.push("|---|---|---|---|---|---|---|");
+  for (const item of items) {
+    lines.push(
+      `| ${item.documentName} | ${item.worksheetTitle} | ${item.excluded ? "excluded" : item.walletName} | ${item.market} | ${item.walletType} | ${item.currency} | ${item.rule} |`
+    );
+  }
+  return lines;
+}
+
 export function toMarkdown(dailyReport) {
   const lines = [];
   lines.push(`# Daily Portfolio Report - ${dailyReport.date}`);
@@ -67,20 +132,30 @@ export function toMarkdown(dailyReport) {
   lines.push("");
   if (dailyReport.mixedCurrency) {
     lines.push("## Combined Portfolio");
-    lines.push("- Mixed currencies detected. Totals are shown per currency to avoid invalid aggregation.");
+    if (dailyReport.combined) {
+      lines.push(`- Mixed currencies converted to ${dailyReport.combinedCurrency} using the FX rates below.`);
+      lines.push(...sectionSnapshot(dailyReport.combined, dailyReport.combinedCurrency));
+      lines.push(...sectionRiskFacts(dailyReport.combined, dailyReport.combinedCurrency));
+    } else {
+      lines.push("- Mixed currencies detected. Totals are shown per currency to avoid invalid aggregation.");
+    }
     lines.push("");
+    if (dailyReport.fx) {
+      lines.push(fxToMarkdown(dailyReport.fx).trimEnd());
+      lines.push("");
+    }
     lines.push("## Combined By Currency");
     dailyReport.combinedByCurrency.forEach((item) => {
       lines.push("");
       lines.push(`### ${item.currency}`);
       lines.push(...sectionSnapshot(item.analysis, item.currency));
-      lines.push(...sectionRiskFacts(item.analysis));
+      lines.push(...sectionRiskFacts(item.analysis, item.currency));
     });
     lines.push("");
   } else {
     lines.push("## Combined Portfolio");
     lines.push(...sectionSnapshot(dailyReport.combined, dailyReport.combinedCurrency || dailyReport.baseCurrency));
-    lines.push(...sectionRiskFacts(dailyReport.combined));
+    lines.push(...sectionRiskFacts(dailyReport.combined, dailyReport.combinedCurrency || dailyReport.baseCurrency));
     lines.push("");
   }
 
@@ -98,10 +173,31 @@ export function toMarkdown(dailyReport) {
     lines.push(`- Wallet ID: ${worksheet.walletId ?? "n/a"}`);
     lines.push(`- Wallet Type: ${worksheet.walletType ?? "other"}`);
     lines.push(`- Market: ${worksheet.market}`);
+    if (worksheet.classificationRule) lines.push(`- Classification Rule: ${worksheet.classificationRule}`);
     lines.push(...sectionSnapshot(worksheet.analysis, worksheet.currency));
-    lines.push(...sectionRiskFacts(worksheet.analysis));
+    lines.push(...sectionRiskFacts(worksheet.analysis, worksheet.currency));
   });
 
+  if (dailyReport.watchlist?.count) {
+    lines.push("");
+    lines.push(...sectionWatchlist(dailyReport.watchlist));
+  }
+
+  if (dailyReport.income?.available) {
+    lines.push("");
+    lines.push(incomeToMarkdown(dailyReport.income).trimEnd());
+  }
+
+  if (dailyReport.walletClassification?.length || dailyReport.skippedWorksheets?.length) {
+    lines.push("");
+    lines.push(...sectionWalletClassification(dailyReport.walletClassification ?? [], dailyReport.skippedWorksheets ?? []));
+  }
+
+  if (dailyReport.dataQuality?.available) {
+    lines.push("");
+    lines.push(dataQualityToMarkdown(dailyReport.dataQuality).trimEnd());
+  }
+
   if (dailyReport.failures.length) {
     lines.push("");
     lines.push("## Fetch/Parse Failures");
@@ -115,7 +211,7 @@ export function toMarkdown(dailyReport) {
       lines.push("");
       lines.push(`### ${item.market} (${item.currency})`);
       lines.push(...sectionSnapshot(item.analysis, item.currency));
-      lines.push(...sectionRiskFacts(item.analysis));
+      lines.push(...sectionRiskFacts(item.analysis, item.currency));
     });
   }
 
@@ -133,7 +229,7 @@ export async function writeReports(dailyReport, outputDir) {
 
 export function printConsoleSummary(dailyReport, markdownPath, jsonPath) {
   let line;
-  if (dailyReport.mixedCurrency) {
+  if (dailyReport.mixedCurrency && !dailyReport.combined) {
     const parts = dailyReport.combinedByCurrency.map((item) => {
       const c = item.analysis;
       return `${item.currency}: ${fmtCurrency(c.snapshot.totalMarketValue, item.currency)} (${c.positionCount} pos)`;
@@ -149,8 +245,17 @@ export function printConsoleSummary(dailyReport, markdownPath, jsonPath) {
         c.snapshot.totalPnlPct
       )})`,
       `Overweight: ${c.risk.overweightPositions.length}`,
-      `Big Losers: ${c.risk.bigLosers.length}`
-    ].join(" | ");
+      `Big Losers: ${c.risk.bigLosers.length}`,
+      `Big Winners: ${c.risk.bigWinners?.length ?? 0}`,
+      `Underweight: ${c.risk.underweightPositions?.length ?? 0}`
+    ];
+    if (dailyReport.mixedCurrency && dailyReport.fx?.applied) {
+      const rates = dailyReport.fx.rates
+        .filter((item) => item.source !== "base")
+        .map((item) => `${item.currency}@${item.rate}`);
+      line.push(`FX: ${rates.join(", ")}`);
+    }
+    line = line.join(" | ");
   }
   console.log(line);
   console.log(`Markdown: ${markdownPath}`);
@@ -0,0 +1,273 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { computeDailyReturns } from "./performance.js";
+import { canonicalReport } from "./symbols.js";
+
+/**
+ * Historical Risk Metrics
+ *
+ * Uses the stored daily JSON reports to measure realised risk for the
+ * combined portfolio, each wallet and each combined position:
+ *
+ *   - daily and annualized volatility
+ *   - peak-to-trough max drawdown (peak, trough and recovery dates) and the
+ *     max drawdown over a rolling window of observations
+ *   - Sharpe and Sortino ratios against `risk.riskFreeRate` (annual)
+ *   - historical 1-day 95% VaR and CVaR (expected shortfall)
+ *
+ * Daily returns are the contribution-aware returns from performance.js, so
+ * buying more of a position does not register as a gain. Losses (VaR, CVaR)
+ * are reported as positive fractions of value.
+ */
+
+const TRADING_DAYS = 252;
+const CONFIDENCE = 0.95;
+const DEFAULT_LOOKBACK = 252;
+const MIN_POSITION_POINTS = 3;
+
+function round4(v) {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  return Math.round(v * 10000) / 10000;
+}
+
+async function listReportDates(reportsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(reportsDir);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
+    .map((f) => f.replace(".json", ""))
+    .sort();
+}
+
+async function loadReport(reportsDir, date) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(reportsDir, `${date}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function pointFromSnapshot(date, snap, positions = null) {
+  if (!snap) return null;
+  const marketValue = snap.baseMarketValue ?? snap.totalMarketValue;
+  const spent = snap.baseSpent ?? snap.totalSpent;
+  if (!Number.isFinite(marketValue) || !Number.isFinite(spent)) return null;
+  return positions ? { date, marketValue, spent, positions } : { date, marketValue, spent };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Peak-to-trough drawdown of a wealth index (`[{ date, value }]`).
+ */
+export function computeDrawdown(index) {
+  if (!index.length) return { maxDrawdown: null, peakDate: null, troughDate: null, recoveryDate: null, currentDrawdown: null };
+  let peak = index[0];
+  let worst = { maxDrawdown: 0, peakDate: null, troughDate: null };
+  for (const point of index) {
+    if (point.value > peak.value) peak = point;
+    const drawdown = peak.value > 0 ? point.value / peak.value - 1 : 0;
+    if (drawdown < worst.maxDrawdown) {
+      worst = { maxDrawdown: drawdown, peakDate: peak.date, troughDate: point.date, peakValue: peak.value };
+    }
+  }
+  const recovery = worst.troughDate
+    ? index.find((point) => point.date > worst.troughDate && point.value >= worst.peakValue)
+    : null;
+  const last = index[index.length - 1];
+  const runningPeak = Math.max(...index.map((point) => point.value));
+  return {
+    maxDrawdown: round4(worst.maxDrawdown),
+    peakDate: worst.peakDate,
+    troughDate: worst.troughDate,
+    recoveryDate: recovery?.date ?? null,
+    currentDrawdown: round4(runningPeak > 0 ? last.value / runningPeak - 1 : 0)
+  };
+}
+
+/**
+ * Historical VaR / CVaR at `confidence` from a list of daily returns.
+ */
+export function historicalVar(returns, confidence = CONFIDENCE) {
+  if (!returns.length) return { var: null, cvar: null };
+  const sorted = [...returns].sort((a, b) => a - b);
+  const k = Math.max(0, Math.ceil(sorted.length * (1 - confidence) - 1e-9) - 1);
+  return {
+    var: Math.max(0, -sorted[k]),
+    cvar: Math.max(0, -mean(sorted.slice(0, k + 1)))
+  };
+}
+
+/**
+ * Risk metrics for one `[{ date, marketValue, spent, positions? }]` series.
+ */
+export function computeRiskMetrics(series, { riskFreeRate = 0, rollingWindow = 20, includeSeries = true } = {}) {
+  const daily = computeDailyReturns(series).filter((item) => Number.isFinite(item.return));
+  if (daily.length < 2) {
+    return { available: false, reason: "fewer than 2 daily returns", observations: daily.length };
+  }
+  const returns = daily.map((item) => item.return);
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS;
+  const excess = returns.map((r) => r - dailyRiskFree);
+  const volatility = stdev(returns);
+  const downside = Math.sqrt(mean(excess.map((r) => Math.min(0, r) ** 2)));
+  const annualize = Math.sqrt(TRADING_DAYS);
+
+  let value = 1;
+  const index = [{ date: series[0].date, value: 1 }];
+  for (const item of daily) {
+    value *= 1 + item.return;
+    index.push({ date: item.date, value });
+  }
+
+  const rolling = [];
+  for (let end = rollingWindow; end <= index.length; end += 1) {
+    const window = index.slice(end - rollingWindow, end);
+    rolling.push({ date: window[window.length - 1].date, value: computeDrawdown(window).maxDrawdown });
+  }
+
+  const { var: var95, cvar: cvar95 } = historicalVar(returns);
+  const latestValue = series[series.length - 1].marketValue;
+  const result = {
+    available: true,
+    observations: returns.length,
+    startDate: series[0].date,
+    endDate: series[series.length - 1].date,
+    meanDailyReturn: round4(mean(returns)),
+    volatilityDaily: round4(volatility),
+    volatilityAnnualized: round4(volatility * annualize),
+    sharpe: volatility > 0 ? round4((mean(excess) / volatility) * annualize) : null,
+    sortino: downside > 0 ? round4((mean(excess) / downside) * annualize) : null,
+    ...computeDrawdown(index),
+    rollingMaxDrawdown: {
+      window: rollingWindow,
+      latest: rolling.length ? rolling[rolling.length - 1].value : null,
+      worst: rolling.length ? Math.min(...rolling.map((item) => item.value)) : null
+    },
+    var95: round4(var95),
+    cvar95: round4(cvar95),
+    var95Amount: round4(var95 * latestValue),
+    cvar95Amount: round4(cvar95 * latestValue)
+  };
+  if (includeSeries) result.rollingMaxDrawdown.series = rolling;
+  return result;
+}
+
+/**
+ * `options`: `{ lookback, resolveSymbol }`; resolveSymbol re-keys older
+ * reports by canonical symbol so a renamed position keeps one series.
+ */
+export async function buildRiskHistory(reportsDir, currentDate, risk = {}, { lookback = DEFAULT_LOOKBACK, resolveSymbol = null } = {}) {
+  const dates = (await listReportDates(reportsDir)).filter((d) => d <= currentDate).slice(-lookback);
+  const combinedSeries = [];
+  const walletSeries = new Map();
+  const positionSeries = new Map();
+
+  for (const date of dates) {
+    const report = canonicalReport(await loadReport(reportsDir, date), resolveSymbol);
+    if (!report) continue;
+    const point = pointFromSnapshot(date, report.combined?.snapshot, report.combined?.positions);
+    if (point) {
+      const currency = report.combinedCurrency ?? report.baseCurrency;
+      combinedSeries.push({ ...point, currency });
+      for (const pos of report.combined.positions ?? []) {
+        const posPoint = pointFromSnapshot(date, { totalMarketValue: pos.marketValue, totalSpent: pos.spent }, [pos]);
+        if (!posPoint) continue;
+        const key = `${pos.symbol}::${currency}`;
+        if (!positionSeries.has(key)) positionSeries.set(key, { meta: { symbol: pos.symbol, currency }, series: [] });
+        positionSeries.get(key).series.push(posPoint);
+      }
+    }
+    for (const ws of report.worksheets ?? []) {
+      if (!ws.walletId) continue;
+      const wsPoint = pointFromSnapshot(date, ws.analysis?.snapshot, ws.analysis?.positions);
+      if (!wsPoint) continue;
+      if (!walletSeries.has(ws.walletId)) {
+        walletSeries.set(ws.walletId, { meta: { walletId: ws.walletId, walletName: ws.walletName, currency: ws.currency }, series: [] });
+      }
+      walletSeries.get(ws.walletId).series.push(wsPoint);
+    }
+  }
+
+  // Combined values and positions are only comparable across days in the same currency
+  const currency = combinedSeries[combinedSeries.length - 1]?.currency ?? null;
+  const comparable = combinedSeries.filter((item) => item.currency === currency);
+  if (comparable.length < 3 && ![...walletSeries.values()].some((item) => item.series.length >= 3)) {
+    return { available: false, reason: "fewer than 3 historical reports" };
+  }
+
+  const options = {
+    riskFreeRate: risk.riskFreeRate ?? 0,
+    rollingWindow: risk.rollingDrawdownWindow ?? 20
+  };
+  const positions = [...positionSeries.values()]
+    .filter((item) => item.meta.currency === currency && item.series.length >= MIN_POSITION_POINTS)
+    .map((item) => ({ ...item.meta, ...computeRiskMetrics(item.series, { ...options, includeSeries: false }) }))
+    .filter((item) => item.available)
+    .sort((a, b) => (b.var95 ?? 0) - (a.var95 ?? 0));
+
+  return {
+    available: true,
+    asOf: currentDate,
+    confidence: CONFIDENCE,
+    riskFreeRate: options.riskFreeRate,
+    rollingWindow: options.rollingWindow,
+    combined: { currency, ...computeRiskMetrics(comparable, options) },
+    wallets: [...walletSeries.values()].map((item) => ({ ...item.meta, ...computeRiskMetrics(item.series, options) })),
+    positions
+  };
+}
+
+export function riskHistoryToMarkdown(riskHistory) {
+  if (!riskHistory?.available) return "";
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmtNum = (v) => (Number.isFinite(v) ? v.toFixed(2) : "n/a");
+  const dd = (m) => (m.peakDate ? `${m.peakDate} -> ${m.troughDate}${m.recoveryDate ? ` (recovered ${m.recoveryDate})` : ""}` : "none");
+
+  const row = (label, m) =>
+    m.available
+      ? `| ${label} | ${m.observations} | ${fmtPct(m.volatilityAnnualized)} | ${fmtPct(m.maxDrawdown)} | ${dd(m)} | ${fmtPct(
+          m.rollingMaxDrawdown.latest
+        )} | ${fmtNum(m.sharpe)} | ${fmtNum(m.sortino)} | ${fmtPct(m.var95)} | ${fmtPct(m.cvar95)} |`
+      : `| ${label} | ${m.observations ?? 0} | n/a | n/a | ${m.reason ?? "n/a"} | n/a | n/a | n/a | n/a | n/a |`;
+
+  const header = [
+    "| Scope | Obs | Vol (ann.) | Max DD | Peak -> Trough | Rolling MDD | Sharpe | Sortino | VaR 95% | CVaR 95% |",
+    "|---|---|---|---|---|---|---|---|---|---|"
+  ];
+
+  const lines = [];
+  lines.push("## Historical Risk");
+  lines.push("");
+  lines.push(
+    `> Realised from stored reports. Risk-free rate ${fmtPct(riskHistory.riskFreeRate)}; rolling drawdown window ${riskHistory.rollingWindow} observations; 1-day historical VaR/CVaR at ${Math.round(
+      riskHistory.confidence * 100
+    )}%.`
+  );
+  lines.push("");
+  lines.push(...header);
+  lines.push(row(`Combined${riskHistory.combined.currency ? ` (${riskHistory.combined.currency})` : ""}`, riskHistory.combined));
+  for (const wallet of riskHistory.wallets) lines.push(row(`${wallet.walletName} (${wallet.currency})`, wallet));
+  lines.push("");
+
+  if (riskHistory.positions.length) {
+    lines.push("### Position Risk (highest VaR first)");
+    lines.push("");
+    lines.push(...header);
+    for (const pos of riskHistory.positions.slice(0, 10)) lines.push(row(pos.symbol, pos));
+    lines.push("");
+  }
+  return lines.join("\n") + "\n";
+}
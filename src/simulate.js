@@ -0,0 +1,473 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { aggregatePositions, analyzePortfolio } from "./analysis.js";
+import { parseCsv } from "./csv.js";
+import { convertPositions, rateFor } from "./fx.js";
+import { computeHealthScore } from "./healthScore.js";
+import { buildRebalanceReport } from "./rebalance.js";
+
+/**
+ * What-If Simulator
+ *
+ * Applies hypothetical trades to a stored daily report (the wallets' parsed
+ * positions), re-runs analyzePortfolio for every wallet and the combined view,
+ * then rebalance drift and the health score, and compares before and after:
+ *
+ *   - weights per symbol (combined and per touched wallet)
+ *   - concentration breaches added or cleared (overweight, top-3)
+ *   - rebalance drift per target row
+ *   - health score and its dimensions
+ *
+ * A trade is `{ symbol, wallet, side, quantity | notional, price }` in the
+ * wallet's currency. Buys are valued at the trade price; sells remove a
+ * proportional share of cost and market value. Trades add or withdraw capital:
+ * wallet cash balances are left as they are. "Before" is rebuilt the same way
+ * with no trades, so both sides differ only by the trades.
+ */
+
+const SIDES = { BUY: "buy", ADD: "buy", SELL: "sell", TRIM: "sell", REDUCE: "sell", EXIT: "exit", CLOSE: "exit" };
+const TRADE_HEADERS = {
+  symbol: ["symbol", "ticker"],
+  wallet: ["wallet", "account"],
+  side: ["side", "action", "type"],
+  quantity: ["quantity", "qty", "shares", "units"],
+  notional: ["notional", "amount", "value"],
+  price: ["price", "limit", "limit price"]
+};
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function readNumber(raw, label) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") return null;
+  const value = typeof raw === "number" ? raw : Number.parseFloat(String(raw).replace(/,/g, ""));
+  if (!Number.isFinite(value)) throw new Error(`${label} must be a number. Received: ${raw}`);
+  return value;
+}
+
+/**
+ * Validate raw trades into `{ symbol, wallet, side, quantity, notional, price }`.
+ * A negative quantity or notional without a side is a sell.
+ */
+export function normalizeHypotheticalTrades(raw) {
+  if (!Array.isArray(raw)) throw new Error("trades must be an array of { symbol, wallet, side, quantity | notional, price }.");
+  return raw.map((item, index) => {
+    const label = `trades[${index}]`;
+    if (!item || typeof item !== "object") throw new Error(`${label} must be an object.`);
+    const symbol = String(item.symbol ?? "").trim();
+    if (!symbol) throw new Error(`${label}.symbol is required.`);
+    let quantity = readNumber(item.quantity, `${label}.quantity`);
+    let notional = readNumber(item.notional, `${label}.notional`);
+    const price = readNumber(item.price, `${label}.price`);
+    if (price !== null && price <= 0) throw new Error(`${label}.price must be above 0.`);
+
+    const sideText = String(item.side ?? "").trim().toUpperCase();
+    let side = sideText ? SIDES[sideText] : (quantity ?? notional ?? 0) < 0 ? "sell" : "buy";
+    if (!side) throw new Error(`${label}.side must be one of ${Object.keys(SIDES).join(", ")}. Received: ${item.side}`);
+    quantity = quantity === null ? null : Math.abs(quantity);
+    notional = notional === null ? null : Math.abs(notional);
+    if (side === "sell" && quantity === null && notional === null) side = "exit";
+    if (side === "buy" && quantity === null && notional === null) throw new Error(`${label} needs a quantity or notional.`);
+    if (quantity !== null && notional !== null) throw new Error(`${label} takes a quantity or a notional, not both.`);
+    return { symbol, wallet: String(item.wallet ?? "").trim() || null, side, quantity, notional, price };
+  });
+}
+
+function tradesFromCsv(rows) {
+  const names = (row) => row.map((cell) => String(cell ?? "").trim().toLowerCase());
+  const headerIndex = rows.findIndex((row) => names(row).some((name) => TRADE_HEADERS.symbol.includes(name)));
+  if (headerIndex === -1) throw new Error("CSV needs a symbol column");
+  const header = names(rows[headerIndex]);
+  const columns = Object.entries(TRADE_HEADERS)
+    .map(([field, aliases]) => [field, aliases.map((name) => header.indexOf(name)).find((index) => index !== -1)])
+    .filter(([, index]) => index !== undefined);
+  return rows
+    .slice(headerIndex + 1)
+    .filter((row) => row.some((cell) => String(cell ?? "").trim()))
+    .map((row) => Object.fromEntries(columns.map(([field, index]) => [field, row[index]])));
+}
+
+/**
+ * Read hypothetical trades from a JSON file (`[...]` or `{ trades }`) or a CSV
+ * with Symbol, Wallet, Side, Quantity, Notional and Price columns.
+ */
+export async function loadHypotheticalTrades(filePath) {
+  const resolved = path.resolve(filePath);
+  let text;
+  try {
+    text = await fs.readFile(resolved, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read trades file ${resolved}: ${error.message}`);
+  }
+  let raw;
+  try {
+    raw = /\.json$/i.test(resolved) ? JSON.parse(text) : tradesFromCsv(parseCsv(text));
+  } catch (error) {
+    throw new Error(`Invalid trades file ${resolved}: ${error.message}`);
+  }
+  return normalizeHypotheticalTrades(Array.isArray(raw) ? raw : raw?.trades);
+}
+
+function findWallet(worksheets, trade, symbol, label, resolveSymbol) {
+  if (trade.wallet) {
+    const key = trade.wallet.toLowerCase();
+    const match = worksheets.find((ws) => ws.walletId.toLowerCase() === key || String(ws.walletName).toLowerCase() === key);
+    if (!match) throw new Error(`${label}.wallet "${trade.wallet}" matches no wallet (${worksheets.map((ws) => ws.walletId).join(", ")}).`);
+    return match;
+  }
+  const holders = worksheets.filter((ws) => ws.positions.some((pos) => canonical(pos.symbol, resolveSymbol) === symbol));
+  if (holders.length === 1) return holders[0];
+  if (!holders.length && worksheets.length === 1) return worksheets[0];
+  const where = holders.length ? `held in ${holders.map((ws) => ws.walletId).join(", ")}` : "not held in any wallet";
+  throw new Error(`${label}.wallet is required: ${symbol} is ${where}.`);
+}
+
+function canonical(symbol, resolveSymbol) {
+  return resolveSymbol ? resolveSymbol(symbol) : String(symbol ?? "").trim().toUpperCase();
+}
+
+function currentPrice(pos) {
+  if (Number.isFinite(pos?.price)) return pos.price;
+  if (pos?.quantity && Number.isFinite(pos.marketValue)) return pos.marketValue / pos.quantity;
+  return null;
+}
+
+function revalue(pos) {
+  pos.pnl = round(pos.marketValue - pos.spent);
+  pos.pnlPct = pos.spent > 0 ? round(pos.pnl / pos.spent) : null;
+  pos.avgCost = pos.quantity ? round(pos.spent / pos.quantity) : null;
+}
+
+/**
+ * Apply trades to copies of the wallets' positions. Returns the per-wallet
+ * position lists and the trades as applied (quantity, price, notional and,
+ * for sells, the cost removed and realised P&L).
+ */
+export function applyHypotheticalTrades(report, trades, { resolveSymbol = null } = {}) {
+  const worksheets = (report.worksheets ?? [])
+    .filter((ws) => ws.analysis)
+    .map((ws) => ({
+      walletId: ws.walletId,
+      walletName: ws.walletName,
+      currency: ws.currency,
+      positions: [...(ws.analysis.positions ?? []), ...(ws.analysis.inactivePositions ?? [])].map((pos) => ({ ...pos }))
+    }));
+
+  const applied = trades.map((trade, index) => {
+    const label = `trades[${index}]`;
+    const symbol = canonical(trade.symbol, resolveSymbol);
+    const wallet = findWallet(worksheets, trade, symbol, label, resolveSymbol);
+    let pos = wallet.positions.find((item) => canonical(item.symbol, resolveSymbol) === symbol) ?? null;
+    const held = nvl(pos?.quantity);
+    if (trade.side !== "buy" && !(held > 0)) {
+      throw new Error(`${label} ${trade.side === "exit" ? "exits" : "sells"} ${symbol} but ${wallet.walletId} holds 0.`);
+    }
+    const price = trade.price ?? currentPrice(pos);
+    if (!Number.isFinite(price)) throw new Error(`${label} needs a price: ${symbol} is not held in ${wallet.walletId}.`);
+
+    let quantity = trade.side === "exit" ? held : trade.quantity ?? trade.notional / price;
+    if (trade.side !== "buy" && quantity > held + 1e-9) {
+      throw new Error(`${label} sells ${round(quantity)} ${symbol} but ${wallet.walletId} holds ${round(held)}.`);
+    }
+    quantity = round(quantity, 8);
+    const result = {
+      symbol,
+      walletId: wallet.walletId,
+      walletName: wallet.walletName,
+      currency: wallet.currency,
+      side: trade.side,
+      quantity,
+      price: round(price),
+      notional: round(quantity * price, 2),
+      newPosition: !pos
+    };
+
+    if (trade.side === "buy") {
+      if (!pos) {
+        pos = { symbol, quantity: 0, spent: 0, marketValue: 0, price, sourceCount: 0, rawSymbols: [], hypothetical: true };
+        wallet.positions.push(pos);
+      }
+      pos.quantity = round(pos.quantity + quantity, 8);
+      pos.spent = round(nvl(pos.spent) + quantity * price, 2);
+      pos.marketValue = round(nvl(pos.marketValue) + quantity * price, 2);
+    } else if (held > 0) {
+      const share = quantity / held;
+      const cost = nvl(pos.spent) * share;
+      result.costRemoved = round(cost, 2);
+      result.realizedPnl = round(quantity * price - cost, 2);
+      pos.quantity = round(held - quantity, 8);
+      pos.spent = round(nvl(pos.spent) - cost, 2);
+      pos.marketValue = round(nvl(pos.marketValue) * (1 - share), 2);
+    }
+    revalue(pos);
+    return result;
+  });
+
+  return { worksheets, applied };
+}
+
+/**
+ * Rebuild the report's wallet and combined analyses from `walletPositions`
+ * (walletId -> positions), keeping each analysis' adjustments and cash rows.
+ */
+function rebuildReport(report, walletPositions, risk) {
+  const worksheets = (report.worksheets ?? []).map((ws) => {
+    if (!ws.analysis) return ws;
+    const analysis = analyzePortfolio({
+      label: ws.analysis.label ?? ws.walletName,
+      positions: walletPositions.get(ws.walletId) ?? [],
+      weirdValues: ws.analysis.risk?.weirdValues ?? [],
+      risk,
+      adjustments: ws.analysis.adjustments ?? [],
+      cash: ws.analysis.snapshot?.cash?.entries ?? [],
+      includeCash: ws.analysis.snapshot?.cash?.included ?? true
+    });
+    return { ...ws, analysis };
+  });
+
+  let combined = null;
+  const currency = report.combinedCurrency || report.baseCurrency;
+  if (report.combined) {
+    const positions = [];
+    for (const ws of worksheets.filter((item) => item.analysis)) {
+      const rate = ws.currency === currency ? 1 : rateFor(report.fx, ws.currency);
+      const list = [...ws.analysis.positions, ...ws.analysis.inactivePositions];
+      positions.push(...(rate === 1 ? list : convertPositions(list, rate)));
+    }
+    combined = analyzePortfolio({
+      label: report.combined.label,
+      positions: aggregatePositions(positions),
+      weirdValues: report.combined.risk?.weirdValues ?? [],
+      risk,
+      adjustments: report.combined.adjustments ?? [],
+      cash: report.combined.snapshot?.cash?.entries ?? [],
+      includeCash: report.combined.snapshot?.cash?.included ?? true
+    });
+  }
+  return { ...report, configUsed: { ...report.configUsed, risk }, worksheets, combined };
+}
+
+function weightMap(analysis) {
+  const total = nvl(analysis?.snapshot?.totalMarketValue);
+  return new Map((analysis?.positions ?? []).map((pos) => [pos.symbol, total > 0 ? nvl(pos.marketValue) / total : 0]));
+}
+
+function compareWeights(scope, before, after) {
+  const symbols = new Set([...weightMap(before).keys(), ...weightMap(after).keys()]);
+  const b = weightMap(before);
+  const a = weightMap(after);
+  return [...symbols]
+    .map((symbol) => ({
+      scope,
+      symbol,
+      before: round(b.get(symbol) ?? 0),
+      after: round(a.get(symbol) ?? 0),
+      delta: round((a.get(symbol) ?? 0) - (b.get(symbol) ?? 0))
+    }))
+    .filter((row) => Math.abs(row.delta) >= 0.0001)
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+}
+
+function breachKeys(scope, analysis) {
+  if (!analysis?.risk) return [];
+  const keys = analysis.risk.overweightPositions.map((item) => ({ scope, type: "overweight", symbol: item.symbol, weight: item.marketWeight }));
+  if (analysis.risk.top3ConcentrationBreached) {
+    keys.push({ scope, type: "top3_concentration", symbol: null, weight: analysis.risk.top3Concentration });
+  }
+  return keys;
+}
+
+function compareBreaches(pairs) {
+  const id = (item) => `${item.scope}:${item.type}:${item.symbol ?? ""}`;
+  const before = pairs.flatMap(([scope, b]) => breachKeys(scope, b));
+  const after = pairs.flatMap(([scope, , a]) => breachKeys(scope, a));
+  const beforeIds = new Set(before.map(id));
+  const afterIds = new Set(after.map(id));
+  return {
+    before: before.length,
+    after: after.length,
+    added: after.filter((item) => !beforeIds.has(id(item))),
+    cleared: before.filter((item) => !afterIds.has(id(item))),
+    remaining: after.filter((item) => beforeIds.has(id(item)))
+  };
+}
+
+function driftRows(rebalance) {
+  if (!rebalance?.available) return [];
+  const rows = [];
+  for (const dimension of ["wallets", "markets", "symbols"]) {
+    for (const row of rebalance.combined?.[dimension]?.rows ?? []) rows.push({ scope: "combined", dimension, ...row });
+  }
+  for (const wallet of rebalance.wallets) {
+    for (const row of wallet.symbols.rows) rows.push({ scope: wallet.walletId, dimension: "symbols", ...row });
+  }
+  return rows;
+}
+
+function compareDrift(before, after) {
+  const id = (row) => `${row.scope}:${row.dimension}:${row.key}`;
+  const afterRows = new Map(driftRows(after).map((row) => [id(row), row]));
+  return driftRows(before).map((row) => {
+    const next = afterRows.get(id(row));
+    return {
+      scope: row.scope,
+      dimension: row.dimension,
+      key: row.key,
+      targetWeight: row.targetWeight,
+      driftBefore: row.drift,
+      driftAfter: next?.drift ?? null,
+      withinBandBefore: row.withinBand,
+      withinBandAfter: next?.withinBand ?? null
+    };
+  });
+}
+
+function healthView(health) {
+  return { score: health.score, label: health.label, ...health.dimensions };
+}
+
+/**
+ * Run the trades against `report` (a stored daily report).
+ * `options`: `{ risk, targets, resolveSymbol }` from the normalized config.
+ */
+export function simulateTrades(report, trades, options = {}) {
+  const risk = options.risk ?? report.configUsed?.risk;
+  const { worksheets, applied } = applyHypotheticalTrades(report, trades, options);
+  const untouched = new Map(
+    (report.worksheets ?? [])
+      .filter((ws) => ws.analysis)
+      .map((ws) => [ws.walletId, [...(ws.analysis.positions ?? []), ...(ws.analysis.inactivePositions ?? [])]])
+  );
+  const before = rebuildReport(report, untouched, risk);
+  const after = rebuildReport(report, new Map(worksheets.map((ws) => [ws.walletId, ws.positions])), risk);
+  const rebalanceBefore = buildRebalanceReport(before, options.targets, { resolveSymbol: options.resolveSymbol });
+  const rebalanceAfter = buildRebalanceReport(after, options.targets, { resolveSymbol: options.resolveSymbol });
+  const healthBefore = computeHealthScore(before);
+  const healthAfter = computeHealthScore(after);
+
+  const touched = [...new Set(applied.map((trade) => trade.walletId))];
+  const walletPair = (walletId) => [
+    walletId,
+    before.worksheets.find((ws) => ws.walletId === walletId)?.analysis,
+    after.worksheets.find((ws) => ws.walletId === walletId)?.analysis
+  ];
+  const pairs = [...(before.combined ? [["combined", before.combined, after.combined]] : []), ...touched.map(walletPair)];
+  const totals = (analysis) =>
+    analysis
+      ? {
+          totalMarketValue: analysis.snapshot.totalMarketValue,
+          totalSpent: analysis.snapshot.totalSpent,
+          positionCount: analysis.positionCount,
+          top3Concentration: analysis.risk.top3Concentration
+        }
+      : null;
+
+  return {
+    date: report.date,
+    currency: report.combined ? report.combinedCurrency || report.baseCurrency : null,
+    trades: applied,
+    realizedPnl: applied
+      .filter((trade) => Number.isFinite(trade.realizedPnl))
+      .map((trade) => ({ walletId: trade.walletId, symbol: trade.symbol, currency: trade.currency, realizedPnl: trade.realizedPnl })),
+    totals: pairs.map(([scope, b, a]) => ({ scope, before: totals(b), after: totals(a) })),
+    weights: pairs.flatMap(([scope, b, a]) => compareWeights(scope, b, a)),
+    breaches: compareBreaches(pairs),
+    drift: compareDrift(rebalanceBefore, rebalanceAfter),
+    health: { before: healthView(healthBefore), after: healthView(healthAfter) }
+  };
+}
+
+export function simulationToMarkdown(sim) {
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmtDelta = (v) => (Number.isFinite(v) ? `${v > 0 ? "+" : ""}${(v * 100).toFixed(2)}%` : "n/a");
+  const fmt = (v, currency) => {
+    if (!Number.isFinite(v)) return "n/a";
+    return `${currency} ${v.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+  const breachText = (item) =>
+    item.type === "overweight"
+      ? `${item.scope} ${item.symbol} overweight ${fmtPct(item.weight)}`
+      : `${item.scope} top-3 concentration ${fmtPct(item.weight)}`;
+
+  const lines = [];
+  lines.push(`# What-If Simulation - ${sim.date}`);
+  lines.push("");
+  lines.push("Hypothetical trades applied to the day's positions; not executed.");
+  lines.push("");
+  lines.push("## Trades");
+  lines.push("");
+  lines.push("| Wallet | Side | Symbol | Quantity | Price | Notional | Realised P&L |");
+  lines.push("|---|---|---|---|---|---|---|");
+  for (const trade of sim.trades) {
+    lines.push(
+      `| ${trade.walletName} | ${trade.side}${trade.newPosition ? " (new)" : ""} | ${trade.symbol} | ${trade.quantity} | ${fmt(trade.price, trade.currency)} | ${fmt(trade.notional, trade.currency)} | ${Number.isFinite(trade.realizedPnl) ? fmt(trade.realizedPnl, trade.currency) : "-"} |`
+    );
+  }
+  lines.push("");
+
+  const { before, after } = sim.health;
+  lines.push("## Health Score");
+  lines.push("");
+  lines.push("| Dimension | Before | After |");
+  lines.push("|---|---|---|");
+  lines.push(`| Total | ${before.score} (${before.label}) | ${after.score} (${after.label}) |`);
+  for (const [key, label] of [["diversification", "Diversification"], ["riskExposure", "Risk Exposure"], ["performance", "Performance"], ["dataQuality", "Data Quality"]]) {
+    lines.push(`| ${label} | ${before[key]} | ${after[key]} |`);
+  }
+  lines.push("");
+
+  lines.push("## Concentration");
+  lines.push("");
+  for (const item of sim.totals) {
+    lines.push(`- ${item.scope}: top-3 ${fmtPct(item.before?.top3Concentration)} -> ${fmtPct(item.after?.top3Concentration)}`);
+  }
+  for (const item of sim.breaches.added) lines.push(`- New breach: ${breachText(item)}`);
+  for (const item of sim.breaches.cleared) lines.push(`- Cleared: ${breachText(item)}`);
+  if (!sim.breaches.added.length && !sim.breaches.cleared.length) lines.push(`- Breaches unchanged (${sim.breaches.after}).`);
+  lines.push("");
+
+  if (sim.weights.length) {
+    lines.push("## Weights");
+    lines.push("");
+    lines.push("| Scope | Symbol | Before | After | Change |");
+    lines.push("|---|---|---|---|---|");
+    for (const row of sim.weights) {
+      lines.push(`| ${row.scope} | ${row.symbol} | ${fmtPct(row.before)} | ${fmtPct(row.after)} | ${fmtDelta(row.delta)} |`);
+    }
+    lines.push("");
+  }
+
+  if (sim.drift.length) {
+    lines.push("## Rebalance Drift");
+    lines.push("");
+    lines.push("| Scope | Dimension | Key | Target | Drift Before | Drift After | In Band |");
+    lines.push("|---|---|---|---|---|---|---|");
+    for (const row of sim.drift) {
+      const band = `${row.withinBandBefore ? "yes" : "no"} -> ${row.withinBandAfter ? "yes" : "no"}`;
+      lines.push(
+        `| ${row.scope} | ${row.dimension} | ${row.key} | ${fmtPct(row.targetWeight)} | ${fmtDelta(row.driftBefore)} | ${fmtDelta(row.driftAfter)} | ${band} |`
+      );
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Write `<date>.simulation.json` and `.simulation.md` next to the daily report.
+ */
+export async function writeSimulation(sim, outputDir) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const jsonPath = path.join(outputDir, `${sim.date}.simulation.json`);
+  const markdownPath = path.join(outputDir, `${sim.date}.simulation.md`);
+  await fs.writeFile(jsonPath, JSON.stringify(sim, null, 2), "utf8");
+  await fs.writeFile(markdownPath, simulationToMarkdown(sim), "utf8");
+  return { jsonPath, markdownPath };
+}
@@ -0,0 +1,6 @@
+/**
+ * Local document source types accepted in `documents[].source.type`. Kept free
+ * of imports so config validation does not load the workbook parser.
+ */
+
+export const LOCAL_SOURCE_TYPES = ["csv", "xlsx", "ods"];
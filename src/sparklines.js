@@ -117,26 +117,73 @@ export function renderPortfolioSparkline(trends) {
 
 // Plain text versions (no ANSI codes) for markdown output
 export function sparklineToMarkdown(trends) {
-  if (!trends?.available || !trends.positions?.length) {
+  const watchlist = trends?.watchlist ?? [];
+  const wallets = trends?.wallets ?? [];
+  if (!trends?.available || (!trends.positions?.length && !watchlist.length && !wallets.length)) {
     return "";
   }
 
+  const fmtMom = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : "n/a");
   const lines = [];
-  lines.push("## Position Trends");
-  lines.push("");
-  lines.push(`> ${trends.datesUsed.length}-day lookback: ${trends.datesUsed[0]} to ${trends.datesUsed[trends.datesUsed.length - 1]}`);
-  lines.push("");
-  lines.push("| Symbol | Sparkline | Trend | Momentum |");
-  lines.push("|--------|-----------|-------|----------|");
 
-  for (const pos of trends.positions.slice(0, 20)) {
-    const spark = sparkline(pos.pnlHistory);
-    const arrow = trendArrow(pos.pnlHistory);
-    const mom = Number.isFinite(pos.momentum) ? `${(pos.momentum * 100).toFixed(1)}%` : "n/a";
-    lines.push(`| ${pos.symbol} | ${spark} ${arrow} | ${pos.trend} | ${mom} |`);
+  if (trends.positions?.length) {
+    lines.push("## Position Trends");
+    lines.push("");
+    lines.push(`> ${trends.datesUsed.length}-day lookback: ${trends.datesUsed[0]} to ${trends.datesUsed[trends.datesUsed.length - 1]}`);
+    lines.push("");
+    lines.push("| Symbol | Sparkline | Trend | Momentum |");
+    lines.push("|--------|-----------|-------|----------|");
+
+    for (const pos of trends.positions.slice(0, 20)) {
+      const spark = sparkline(pos.pnlHistory);
+      const arrow = trendArrow(pos.pnlHistory);
+      lines.push(`| ${pos.symbol} | ${spark} ${arrow} | ${pos.trend} | ${fmtMom(pos.momentum)} |`);
+    }
+    lines.push("");
+  }
+
+  if (wallets.length) {
+    lines.push("## Wallet Trends");
+    for (const wallet of wallets) {
+      const mv = wallet.portfolio?.marketValueHistory ?? [];
+      lines.push("");
+      lines.push(`### ${wallet.walletName} (${wallet.currency})`);
+      lines.push(
+        `- Market value: ${sparkline(mv)} ${trendArrow(mv)} (${wallet.portfolio?.trend ?? "n/a"}, momentum ${fmtMom(wallet.portfolio?.momentum)})`
+      );
+      const cashWeights = wallet.portfolio?.cashWeightHistory ?? [];
+      if (cashWeights.some((v) => v)) {
+        lines.push(`- Cash weight: ${sparkline(cashWeights)} ${trendArrow(cashWeights)} (latest ${fmtMom(cashWeights[cashWeights.length - 1])})`);
+      }
+      if (wallet.positions?.length) {
+        lines.push("");
+        lines.push("| Symbol | Sparkline | Trend | Momentum |");
+        lines.push("|--------|-----------|-------|----------|");
+        for (const pos of wallet.positions.slice(0, 10)) {
+          lines.push(`| ${pos.symbol} | ${sparkline(pos.pnlHistory)} ${trendArrow(pos.pnlHistory)} | ${pos.trend} | ${fmtMom(pos.momentum)} |`);
+        }
+      }
+    }
+    lines.push("");
+  }
+
+  if (watchlist.length) {
+    lines.push("## Watchlist Trends");
+    lines.push("");
+    lines.push("| Symbol | Price Sparkline | Trend | Momentum | Distance to Target | Held |");
+    lines.push("|--------|-----------------|-------|----------|--------------------|------|");
+    for (const item of watchlist) {
+      const spark = sparkline(item.priceHistory);
+      const arrow = trendArrow(item.priceHistory);
+      lines.push(
+        `| ${item.symbol} | ${spark} ${arrow} | ${item.trend} | ${fmtMom(item.momentum)} | ${fmtMom(item.latestDistance)} | ${
+          item.held ? "yes" : "no"
+        } |`
+      );
+    }
+    lines.push("");
   }
 
-  lines.push("");
   return lines.join("\n") + "\n";
 }
 
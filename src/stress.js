@@ -0,0 +1,282 @@
+import { aggregatePositions, analyzePortfolio } from "./analysis.js";
+import { EXPOSURE_DIMENSIONS, classifySecurity } from "./exposure.js";
+import { convertAdjustments, convertCash, convertPositions, rateFor } from "./fx.js";
+
+/**
+ * Stress Tests
+ *
+ * Applies named shock scenarios (`stress.scenarios`) to the day's holdings and
+ * re-runs analyzePortfolio per wallet and for the combined view:
+ *
+ *   - price shocks scale market value by (1 + change) for positions matching
+ *     a rule: symbol, wallet, market / walletType (wallets.js), currency, or
+ *     assetClass / sector / industry / country from the security master.
+ *     Every key of one rule must match; matching rules compound.
+ *   - FX shocks (`fx: { EGP: -0.2 }`) move the rate into the combined currency,
+ *     hitting that currency's positions and cash in the combined view only. A
+ *     shock to the combined currency itself reprices every other currency by
+ *     1 / (1 + change): with an EGP combined view, EGP -20% leaves EGP
+ *     holdings as they are and lifts foreign ones by 25%
+ *
+ * Cost stays at today's value (and today's FX rate), so the shocked P&L is the
+ * loss against today. Breaches are the analysis risk facts (overweight, top-3
+ * concentration, positions past `drawdownWarnPct`) plus a portfolio drawdown
+ * past `drawdownWarnPct`, each flagged `new` when the unshocked baseline does
+ * not have it.
+ */
+
+export const SHOCK_KEYS = ["symbol", "wallet", "market", "walletType", "currency", ...EXPOSURE_DIMENSIONS];
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function matchesRule(rule, context) {
+  return SHOCK_KEYS.every((key) => {
+    if (!rule[key]) return true;
+    const values = context[key] ?? [];
+    return rule[key].some((wanted) => values.includes(wanted));
+  });
+}
+
+function positionContext(pos, ws, master) {
+  const symbol = String(pos.symbol ?? "").toUpperCase();
+  const { values } = classifySecurity(symbol, master, ws.market);
+  return {
+    symbol: [symbol],
+    wallet: [ws.walletId, ws.walletName],
+    market: [ws.market],
+    walletType: [ws.walletType],
+    currency: [ws.currency],
+    ...Object.fromEntries(EXPOSURE_DIMENSIONS.map((dimension) => [dimension, [values[dimension]]]))
+  };
+}
+
+/** Price factor for one position: product of (1 + change) over matching rules, floored at 0. */
+export function shockFactor(scenario, pos, ws, master = null) {
+  const context = positionContext(pos, ws, master);
+  const factor = (scenario.shocks ?? [])
+    .filter((rule) => matchesRule(rule, context))
+    .reduce((product, rule) => product * (1 + rule.change), 1);
+  return Math.max(0, factor);
+}
+
+function walletParts(ws, scenario, master) {
+  const analysis = ws.analysis;
+  const positions = [...(analysis.positions ?? []), ...(analysis.inactivePositions ?? [])].map((pos) => {
+    if (!scenario) return pos;
+    const factor = shockFactor(scenario, pos, ws, master);
+    if (factor === 1) return pos;
+    const marketValue = nvl(pos.marketValue) * factor;
+    const pnl = marketValue - nvl(pos.spent);
+    return {
+      ...pos,
+      price: Number.isFinite(pos.price) ? pos.price * factor : pos.price,
+      marketValue: round(marketValue, 2),
+      pnl: round(pnl, 2),
+      pnlPct: pos.spent > 0 ? round(pnl / pos.spent) : pos.pnlPct
+    };
+  });
+  return {
+    positions,
+    adjustments: analysis.adjustments ?? [],
+    cash: analysis.snapshot?.cash?.entries ?? [],
+    includeCash: analysis.snapshot?.cash?.included ?? true,
+    weirdValues: analysis.risk?.weirdValues ?? []
+  };
+}
+
+/**
+ * Wallet and combined analyses with the scenario applied (null scenario: the
+ * unshocked baseline, rebuilt the same way).
+ */
+function runScenario(dailyReport, scenario, master, risk) {
+  const worksheets = (dailyReport.worksheets ?? []).filter((ws) => ws.analysis);
+  const wallets = worksheets.map((ws) => {
+    const parts = walletParts(ws, scenario, master);
+    return { ws, parts, analysis: analyzePortfolio({ label: ws.walletName, risk, ...parts }) };
+  });
+
+  let combined = null;
+  const currency = dailyReport.combinedCurrency || dailyReport.baseCurrency;
+  if (dailyReport.combined) {
+    const positions = [];
+    const adjustments = [];
+    const cash = [];
+    const baseFactor = 1 + nvl(scenario?.fx?.[currency]);
+    if (!(baseFactor > 0)) return { wallets, combined: null };
+    for (const { ws, parts } of wallets) {
+      const rate = ws.currency === currency ? 1 : rateFor(dailyReport.fx, ws.currency);
+      if (!Number.isFinite(rate)) return { wallets, combined: null };
+      const shocked = ws.currency === currency ? rate : (rate * (1 + nvl(scenario?.fx?.[ws.currency]))) / baseFactor;
+      positions.push(
+        ...convertPositions(parts.positions, rate).map((pos, index) => {
+          const marketValue = nvl(parts.positions[index].marketValue) * shocked;
+          return { ...pos, marketValue, pnl: marketValue - nvl(pos.spent) };
+        })
+      );
+      adjustments.push(...convertAdjustments(parts.adjustments, rate));
+      cash.push(...convertCash(parts.cash, shocked));
+    }
+    combined = analyzePortfolio({
+      label: dailyReport.combined.label,
+      positions: aggregatePositions(positions),
+      weirdValues: dailyReport.combined.risk?.weirdValues ?? [],
+      risk,
+      adjustments,
+      cash,
+      includeCash: dailyReport.combined.snapshot?.cash?.included ?? true
+    });
+  }
+  return { wallets, combined };
+}
+
+function breachList(analysis, risk) {
+  if (!analysis) return [];
+  const list = analysis.risk.overweightPositions.map((item) => ({ type: "overweight", symbol: item.symbol, value: item.marketWeight }));
+  if (analysis.risk.top3ConcentrationBreached) list.push({ type: "top3_concentration", symbol: null, value: analysis.risk.top3Concentration });
+  for (const item of analysis.risk.bigLosers) list.push({ type: "drawdown", symbol: item.symbol, value: item.pnlPct });
+  const totalPnlPct = analysis.snapshot.totalPnlPct;
+  if (Number.isFinite(totalPnlPct) && Number.isFinite(risk?.drawdownWarnPct) && totalPnlPct <= risk.drawdownWarnPct) {
+    list.push({ type: "portfolio_drawdown", symbol: null, value: totalPnlPct });
+  }
+  return list;
+}
+
+function compareScope(before, after, risk, topN) {
+  const snapBefore = before.snapshot;
+  const snapAfter = after.snapshot;
+  const change = nvl(snapAfter.totalMarketValue) - nvl(snapBefore.totalMarketValue);
+  const weightsBefore = new Map(before.positions.map((pos) => [pos.symbol, pos.marketValue / nvl(snapBefore.totalMarketValue)]));
+  const weightShifts = after.positions
+    .map((pos) => {
+      const weight = snapAfter.totalMarketValue > 0 ? nvl(pos.marketValue) / snapAfter.totalMarketValue : 0;
+      const prior = nvl(weightsBefore.get(pos.symbol));
+      return { symbol: pos.symbol, before: round(prior), after: round(weight), delta: round(weight - prior) };
+    })
+    .filter((row) => Math.abs(row.delta) >= 0.0001)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, topN);
+  const id = (item) => `${item.type}:${item.symbol ?? ""}`;
+  const baseline = new Set(breachList(before, risk).map(id));
+  return {
+    marketValueBefore: snapBefore.totalMarketValue,
+    marketValueAfter: snapAfter.totalMarketValue,
+    marketValueChange: round(change, 2),
+    marketValueChangePct: round(snapBefore.totalMarketValue > 0 ? change / snapBefore.totalMarketValue : null),
+    pnlBefore: snapBefore.totalPnl,
+    pnlAfter: snapAfter.totalPnl,
+    pnlPctAfter: snapAfter.totalPnlPct,
+    top3Concentration: after.risk.top3Concentration,
+    weightShifts,
+    breaches: breachList(after, risk).map((item) => ({ ...item, new: !baseline.has(id(item)) }))
+  };
+}
+
+/**
+ * @param dailyReport daily report (worksheets with market / walletType, combined, fx)
+ * @param scenarios   normalized `stress.scenarios`
+ * @param options     `{ master, risk, topN, resolveSymbol }`; master is the
+ *                    exposure security master, resolveSymbol maps rule symbols
+ *                    to canonical ones
+ */
+export function buildStressReport(dailyReport, scenarioList, options = {}) {
+  if (!scenarioList?.length) return { available: false, reason: "no stress scenarios configured" };
+  const { resolveSymbol = null } = options;
+  const scenarios = scenarioList.map((scenario) => ({
+    ...scenario,
+    shocks: (scenario.shocks ?? []).map((rule) => (rule.symbol && resolveSymbol ? { ...rule, symbol: rule.symbol.map(resolveSymbol) } : rule))
+  }));
+  const risk = options.risk ?? dailyReport.configUsed?.risk;
+  const master = options.master ?? null;
+  const topN = options.topN ?? 5;
+  const baseline = runScenario(dailyReport, null, master, risk);
+  const currency = dailyReport.combinedCurrency || dailyReport.baseCurrency;
+
+  const results = scenarios.map((scenario) => {
+    const shocked = runScenario(dailyReport, scenario, master, risk);
+    return {
+      name: scenario.name,
+      combined:
+        baseline.combined && shocked.combined
+          ? { currency, ...compareScope(baseline.combined, shocked.combined, risk, topN) }
+          : null,
+      wallets: shocked.wallets.map(({ ws, analysis }, index) => ({
+        walletId: ws.walletId,
+        walletName: ws.walletName,
+        market: ws.market,
+        currency: ws.currency,
+        ...compareScope(baseline.wallets[index].analysis, analysis, risk, topN)
+      }))
+    };
+  });
+
+  const worst = results
+    .filter((item) => item.combined)
+    .sort((a, b) => nvl(a.combined.marketValueChangePct) - nvl(b.combined.marketValueChangePct))[0];
+  return {
+    available: true,
+    currency: baseline.combined ? currency : null,
+    worstScenario: worst?.name ?? null,
+    scenarios: results
+  };
+}
+
+export function stressToMarkdown(stress) {
+  if (!stress?.available) return "";
+  const fmtPct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+  const fmt = (v, currency) => {
+    if (!Number.isFinite(v)) return "n/a";
+    return new Intl.NumberFormat("en-US", { style: "currency", currency, maximumFractionDigits: 2 }).format(v);
+  };
+  const breachText = (items) => {
+    const fresh = items.filter((item) => item.new);
+    if (!fresh.length) return items.length ? `none new (${items.length} already)` : "-";
+    return fresh
+      .map((item) => {
+        if (item.type === "overweight") return `${item.symbol} overweight ${fmtPct(item.value)}`;
+        if (item.type === "drawdown") return `${item.symbol} ${fmtPct(item.value)}`;
+        if (item.type === "top3_concentration") return `top-3 ${fmtPct(item.value)}`;
+        return `portfolio P&L ${fmtPct(item.value)}`;
+      })
+      .join(", ");
+  };
+
+  const lines = [];
+  lines.push("## Stress Tests");
+  lines.push("");
+  if (stress.worstScenario) lines.push(`- Worst scenario (combined): ${stress.worstScenario}`);
+  lines.push("- Cost basis held at today's value; breaches list only thresholds the scenario newly crosses.");
+  lines.push("");
+  if (stress.currency) {
+    lines.push(`| Scenario | Market Value (${stress.currency}) | Change | P&L After | Top 3 | New Breaches |`);
+    lines.push("|---|---|---|---|---|---|");
+    for (const item of stress.scenarios.filter((scenario) => scenario.combined)) {
+      const c = item.combined;
+      lines.push(
+        `| ${item.name} | ${fmt(c.marketValueAfter, c.currency)} | ${fmt(c.marketValueChange, c.currency)} (${fmtPct(c.marketValueChangePct)}) | ${fmt(c.pnlAfter, c.currency)} (${fmtPct(c.pnlPctAfter)}) | ${fmtPct(c.top3Concentration)} | ${breachText(c.breaches)} |`
+      );
+    }
+    lines.push("");
+  }
+
+  lines.push("### By Wallet");
+  lines.push("");
+  lines.push("| Scenario | Wallet | Change | P&L After | New Breaches |");
+  lines.push("|---|---|---|---|---|");
+  for (const item of stress.scenarios) {
+    for (const wallet of item.wallets.filter((entry) => entry.marketValueChange !== 0)) {
+      lines.push(
+        `| ${item.name} | ${wallet.walletName} | ${fmt(wallet.marketValueChange, wallet.currency)} (${fmtPct(wallet.marketValueChangePct)}) | ${fmt(wallet.pnlAfter, wallet.currency)} | ${breachText(wallet.breaches)} |`
+      );
+    }
+  }
+  lines.push("");
+  return lines.join("\n") + "\n";
+}
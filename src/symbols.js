@@ -0,0 +1,127 @@
+/**
+ * Symbol Normalization
+ *
+ * Maps the many spellings brokers use for one instrument onto a canonical
+ * symbol, so "BTC", "BTC-USD", "BTCUSDT" and "Bitcoin" (or an EGX name typed
+ * in Arabic and its Latin ticker) aggregate as one position:
+ *
+ *   1. the configured alias map (`symbols.aliases`: canonical -> [aliases])
+ *   2. built-in stripping rules: exchange prefixes (`NASDAQ:AAPL`), exchange
+ *      suffixes (`COMI.CA`, `AAPL.US`) and quote-currency pairs (`BTC-USD`,
+ *      `ETH/USDT`, `BTCUSDT`), plus the configured `stripSuffixes` /
+ *      `stripPrefixes`
+ *   3. the alias map again on the stripped symbol
+ *
+ * Parsed positions keep the sheet text as `rawSymbol`. Reports written before
+ * an alias was added are re-keyed with canonicalPositions when diff, history,
+ * lots and AI resolution read them.
+ */
+
+const BIDI_MARK_RE = /[‎‏؜‪-‮⁦-⁩]/g;
+
+export const DEFAULT_SYMBOL_RULES = [
+  { name: "exchange_prefix", pattern: /^(?:NASDAQ|NYSE|NYSEARCA|AMEX|EGX|BINANCE|COINBASE|KRAKEN|BYBIT|OKX):/ },
+  { name: "exchange_suffix", pattern: /\.(?:CA|US)$/ },
+  { name: "quote_pair", pattern: /(?<=^[A-Z0-9]{2,10})[-/](?:USDT|USDC|BUSD|FDUSD|USD|EUR|GBP|EGP|BTC|ETH)$/ },
+  { name: "stablecoin_pair", pattern: /(?<=^[A-Z0-9]{2,10}?)(?:USDT|USDC|BUSD|FDUSD)$/ }
+];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Comparable symbol text: Unicode-normalized, direction marks removed,
+ * whitespace collapsed, upper-cased (Arabic text is unaffected by case).
+ */
+export function normalizeSymbolText(raw) {
+  return String(raw ?? "")
+    .normalize("NFKC")
+    .replace(BIDI_MARK_RE, "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toUpperCase();
+}
+
+/**
+ * Build a `resolveSymbol(raw) -> canonical` function from the normalized
+ * `symbols` config (`{ useDefaults, aliases, stripSuffixes, stripPrefixes }`).
+ */
+export function createSymbolResolver({ useDefaults = true, aliases = {}, stripSuffixes = [], stripPrefixes = [] } = {}) {
+  const aliasMap = new Map();
+  for (const [canonical, list] of Object.entries(aliases ?? {})) {
+    const target = normalizeSymbolText(canonical);
+    aliasMap.set(target, target);
+    for (const alias of list ?? []) aliasMap.set(normalizeSymbolText(alias), target);
+  }
+  const rules = [
+    ...(useDefaults ? DEFAULT_SYMBOL_RULES.map((rule) => rule.pattern) : []),
+    ...stripSuffixes.map((suffix) => new RegExp(`(?<=.)${escapeRegex(normalizeSymbolText(suffix))}$`)),
+    ...stripPrefixes.map((prefix) => new RegExp(`^${escapeRegex(normalizeSymbolText(prefix))}(?=.)`))
+  ];
+  const cache = new Map();
+
+  return function resolveSymbol(raw) {
+    const text = normalizeSymbolText(raw);
+    if (!text) return "";
+    if (cache.has(text)) return cache.get(text);
+    let symbol = aliasMap.get(text);
+    if (!symbol) {
+      const stripped = rules.reduce((current, pattern) => current.replace(pattern, ""), text);
+      symbol = aliasMap.get(stripped) ?? stripped;
+    }
+    cache.set(text, symbol);
+    return symbol;
+  };
+}
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Re-key stored positions (`{ symbol, marketValue, pnl, spent, quantity, ... }`)
+ * by canonical symbol, summing positions that now share one. Without a
+ * resolver the positions are returned as they are.
+ */
+export function canonicalPositions(positions, resolveSymbol = null) {
+  const list = positions ?? [];
+  if (!resolveSymbol) return list;
+  const merged = new Map();
+  for (const pos of list) {
+    const symbol = resolveSymbol(pos.symbol) || pos.symbol;
+    const existing = merged.get(symbol);
+    if (!existing) {
+      merged.set(symbol, { ...pos, symbol });
+      continue;
+    }
+    for (const field of ["marketValue", "pnl", "spent", "quantity"]) {
+      existing[field] = nvl(existing[field]) + nvl(pos[field]);
+    }
+    existing.pnlPct = existing.spent > 0 ? existing.pnl / existing.spent : existing.pnlPct;
+  }
+  return [...merged.values()];
+}
+
+function canonicalAnalysis(analysis, resolveSymbol) {
+  if (!analysis?.positions) return analysis;
+  return { ...analysis, positions: canonicalPositions(analysis.positions, resolveSymbol) };
+}
+
+/**
+ * A stored daily report with the combined, wallet and market positions (and
+ * the wallets' lot rows) re-keyed by canonical symbol.
+ */
+export function canonicalReport(report, resolveSymbol = null) {
+  if (!report || !resolveSymbol) return report;
+  return {
+    ...report,
+    combined: canonicalAnalysis(report.combined, resolveSymbol),
+    worksheets: (report.worksheets ?? []).map((ws) => ({
+      ...ws,
+      analysis: canonicalAnalysis(ws.analysis, resolveSymbol),
+      ...(ws.lotRows ? { lotRows: ws.lotRows.map((row) => ({ ...row, symbol: resolveSymbol(row.symbol) || row.symbol })) } : {})
+    })),
+    markets: (report.markets ?? []).map((item) => ({ ...item, analysis: canonicalAnalysis(item.analysis, resolveSymbol) }))
+  };
+}
@@ -0,0 +1,149 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Inferred Trade Blotter
+ *
+ * Classifies day-over-day position changes from quantity and spent deltas:
+ *
+ *   - price_only:        quantity unchanged, only price moved
+ *   - buy:               quantity up and spent up
+ *   - bonus_or_transfer: quantity up without added cost (split, bonus shares, transfer in)
+ *   - sell:              quantity down, position still open (trim)
+ *   - new / exit:        symbol appeared / disappeared
+ *
+ * Executed prices are estimates: buys use spent delta / quantity delta,
+ * sells and exits use the closest observed market price. Wallet-level trades
+ * are appended to a cumulative `reports/trades.json` journal.
+ */
+
+const JOURNAL_FILENAME = "trades.json";
+
+function nvl(number) {
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+function sameQuantity(a, b) {
+  return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function marketPrice(position) {
+  if (!position) return null;
+  const qty = nvl(position.quantity);
+  return qty ? nvl(position.marketValue) / qty : null;
+}
+
+/**
+ * Classify the change of one symbol between two position snapshots
+ * (`{ quantity, spent, marketValue }`, either side may be missing).
+ */
+export function classifyPositionChange(curr, prev) {
+  if (curr && !prev) return "new";
+  if (!curr && prev) return "exit";
+  const qtyBefore = nvl(prev.quantity);
+  const qtyAfter = nvl(curr.quantity);
+  const spentDelta = nvl(curr.spent) - nvl(prev.spent);
+  const spentMoved = Math.abs(spentDelta) > 0.005;
+
+  // Sheets without a quantity column: fall back on spent changes
+  if (!qtyBefore && !qtyAfter) {
+    if (spentMoved) return spentDelta > 0 ? "buy" : "sell";
+    return "price_only";
+  }
+  if (sameQuantity(qtyBefore, qtyAfter)) return "price_only";
+  if (qtyAfter > qtyBefore) return spentDelta > 0 ? "buy" : "bonus_or_transfer";
+  return "sell";
+}
+
+export function inferTrade(symbol, curr, prev) {
+  const type = classifyPositionChange(curr, prev);
+  if (type === "price_only") return null;
+
+  const quantityBefore = nvl(prev?.quantity);
+  const quantityAfter = nvl(curr?.quantity);
+  const quantityDelta = quantityAfter - quantityBefore;
+  const spentDelta = nvl(curr?.spent) - nvl(prev?.spent);
+
+  let estimatedPrice = null;
+  let priceSource = null;
+  if ((type === "buy" || type === "new") && quantityDelta > 0 && spentDelta > 0) {
+    estimatedPrice = spentDelta / quantityDelta;
+    priceSource = "cost_delta";
+  } else if (type === "exit") {
+    estimatedPrice = marketPrice(prev);
+    priceSource = estimatedPrice === null ? null : "previous_market_price";
+  } else {
+    estimatedPrice = marketPrice(curr);
+    priceSource = estimatedPrice === null ? null : "market_price";
+  }
+
+  let notional = null;
+  if (estimatedPrice !== null && quantityDelta) notional = Math.abs(quantityDelta) * estimatedPrice;
+  else if (spentDelta) notional = Math.abs(spentDelta);
+
+  return {
+    symbol,
+    type,
+    quantityBefore: round(quantityBefore),
+    quantityAfter: round(quantityAfter),
+    quantityDelta: round(quantityDelta),
+    spentDelta: round(spentDelta, 2),
+    estimatedPrice: round(estimatedPrice),
+    priceSource,
+    notional: round(notional, 2)
+  };
+}
+
+async function loadJournal(journalPath) {
+  try {
+    const data = JSON.parse(await fs.readFile(journalPath, "utf8"));
+    return Array.isArray(data?.trades) ? data : { trades: [] };
+  } catch {
+    return { trades: [] };
+  }
+}
+
+/**
+ * Append the per-wallet blotter of a diff to the cumulative journal.
+ * Re-running a date replaces that date's entries, so the journal stays idempotent.
+ * Only a `consecutive` diff (against the report right before) is journaled;
+ * a `--diff` against an older date would fold several days into one.
+ */
+export async function updateTradeJournal(reportsDir, diff) {
+  const journalPath = path.join(reportsDir, JOURNAL_FILENAME);
+  const journal = await loadJournal(journalPath);
+  if (!diff?.available) return { journalPath, added: 0, total: journal.trades.length };
+  if (!diff.consecutive) {
+    return { journalPath, added: 0, total: journal.trades.length, skipped: `${diff.previousDate} is not the report before ${diff.currentDate}` };
+  }
+
+  const entries = (diff.wallets ?? []).flatMap((wallet) =>
+    (wallet.trades ?? []).map((trade) => ({
+      id: `${diff.currentDate}:${wallet.walletId}:${trade.symbol}`,
+      date: diff.currentDate,
+      previousDate: diff.previousDate,
+      walletId: wallet.walletId,
+      walletName: wallet.walletName,
+      currency: wallet.currency,
+      ...trade
+    }))
+  );
+
+  const kept = journal.trades.filter((item) => item.date !== diff.currentDate);
+  const trades = [...kept, ...entries].sort(
+    (a, b) => a.date.localeCompare(b.date) || String(a.walletId).localeCompare(String(b.walletId))
+  );
+  await fs.mkdir(reportsDir, { recursive: true });
+  await fs.writeFile(
+    journalPath,
+    JSON.stringify({ updatedAt: new Date().toISOString(), trades }, null, 2),
+    "utf8"
+  );
+  return { journalPath, added: entries.length, total: trades.length };
+}
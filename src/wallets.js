@@ -1,4 +1,22 @@
-function slugify(value) {
+/**
+ * Wallet Classification
+ *
+ * Every worksheet becomes a wallet with a market, walletType and display name.
+ * Classification runs through an ordered rule list: user rules from the
+ * `wallets` block in inputs.json first, then the default keyword rules below.
+ * The first matching rule wins; fields it leaves unset fall back to the
+ * defaults. Rules can also override the currency or exclude a worksheet.
+ */
+
+export const DEFAULT_WALLET_RULES = [
+  { id: "default:crypto", match: { text: /crypto|btc|eth|sol|coin/ }, market: "Crypto" },
+  { id: "default:egx", match: { text: /egx|egypt|cairo|egp/ }, market: "EGX Equities" },
+  { id: "default:us", match: { text: /\bus\b|nyse|nasdaq|sp500|s&p/ }, market: "US Equities" }
+];
+
+export const WALLET_MATCH_FIELDS = ["document", "worksheet", "spreadsheetId", "walletId"];
+
+export function slugify(value) {
   return String(value ?? "")
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, "-")
@@ -6,19 +24,39 @@ function slugify(value) {
     .slice(0, 80);
 }
 
+/**
+ * Compile a rule pattern: `/regex/flags`, a glob with `*`, or a
+ * case-insensitive exact string.
+ */
+export function compileWalletPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const text = String(pattern);
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const escaped = text.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+function ruleMatches(rule, subject) {
+  return Object.entries(rule.match).every(([field, pattern]) => {
+    const value = field === "text" ? subject.text : subject[field];
+    if (value === null || value === undefined) return false;
+    return compileWalletPattern(pattern).test(String(value));
+  });
+}
+
 export function classifyMarket(documentName, worksheetTitle) {
-  const joined = `${documentName} ${worksheetTitle}`.toLowerCase();
-  if (/crypto|btc|eth|sol|coin/.test(joined)) return "Crypto";
-  if (/egx|egypt|cairo|egp/.test(joined)) return "EGX Equities";
-  if (/\bus\b|nyse|nasdaq|sp500|s&p/.test(joined)) return "US Equities";
-  return "Other";
+  const text = `${documentName} ${worksheetTitle}`.toLowerCase();
+  const rule = DEFAULT_WALLET_RULES.find((item) => ruleMatches(item, { text }));
+  return rule ? rule.market : "Other";
 }
 
 export function walletTypeFromMarket(market) {
   if (market === "Crypto") return "us_crypto";
   if (market === "US Equities") return "us_equities";
   if (market === "EGX Equities") return "egx_equities";
-  return "other";
+  if (!market || market === "Other") return "other";
+  return slugify(market).replace(/-/g, "_");
 }
 
 export function buildWalletMetadata(documentName, worksheetTitle, market) {
@@ -28,3 +66,34 @@ export function buildWalletMetadata(documentName, worksheetTitle, market) {
     walletType: walletTypeFromMarket(market)
   };
 }
+
+/**
+ * Resolve one worksheet against the configured rules.
+ * `walletRules` is the normalized `wallets` config: `{ useDefaults, rules }`.
+ */
+export function resolveWallet(walletRules, { documentName, worksheetTitle, spreadsheetId = null }) {
+  const defaults = buildWalletMetadata(documentName, worksheetTitle, "Other");
+  const subject = {
+    document: documentName,
+    worksheet: worksheetTitle,
+    spreadsheetId,
+    walletId: defaults.walletId,
+    text: `${documentName} ${worksheetTitle}`.toLowerCase()
+  };
+
+  const userRule = (walletRules?.rules ?? []).find((rule) => ruleMatches(rule, subject));
+  const defaultRule =
+    walletRules?.useDefaults === false ? null : DEFAULT_WALLET_RULES.find((rule) => ruleMatches(rule, subject));
+  const market = userRule?.market ?? defaultRule?.market ?? "Other";
+
+  return {
+    walletId: defaults.walletId,
+    walletName: userRule?.walletName ?? defaults.walletName,
+    walletType: userRule?.walletType ?? walletTypeFromMarket(market),
+    market,
+    currency: userRule?.currency ?? null,
+    excluded: Boolean(userRule?.exclude),
+    rule: userRule?.id ?? defaultRule?.id ?? "fallback:other",
+    defaultRule: defaultRule?.id ?? null
+  };
+}
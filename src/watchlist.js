@@ -0,0 +1,123 @@
+import fs from "node:fs/promises";
+import { parseCsv } from "./csv.js";
+import { parsePriceTable } from "./parser.js";
+
+/**
+ * Watchlist Tracker
+ *
+ * Tracks configured watchlist names daily: current price (from a watchlist
+ * sheet tab, a local price file, or the held position itself), distance to the
+ * optional target entry price, and whether the name is already held in any
+ * wallet. The daily JSON keeps the result so history.js can trend non-held
+ * names alongside positions.
+ */
+
+function round(value, digits = 4) {
+  if (!Number.isFinite(value)) return null;
+  const p = 10 ** digits;
+  return Math.round(value * p) / p;
+}
+
+export function isWatchlistWorksheet(watchlistPrices, documentName, worksheetTitle) {
+  const wanted = watchlistPrices?.worksheet;
+  if (!wanted) return false;
+  if (watchlistPrices.document && watchlistPrices.document.toLowerCase() !== String(documentName).toLowerCase()) {
+    return false;
+  }
+  return wanted.toLowerCase() === String(worksheetTitle).trim().toLowerCase();
+}
+
+/**
+ * Load a local price file: JSON `{ "AAPL": 190.5 }` (optionally under `prices`)
+ * or a CSV with symbol and price columns.
+ */
+export async function loadPriceFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read watchlist price file ${filePath}: ${error.message}`);
+  }
+
+  if (/\.json$/i.test(filePath)) {
+    const data = JSON.parse(text);
+    const raw = data?.prices ?? data ?? {};
+    const prices = new Map();
+    for (const [symbol, value] of Object.entries(raw)) {
+      const price = typeof value === "string" ? Number.parseFloat(value) : value;
+      if (Number.isFinite(price)) prices.set(symbol.trim().toUpperCase(), price);
+    }
+    return prices;
+  }
+  return parsePriceTable(parseCsv(text));
+}
+
+function heldPrice(position) {
+  if (Number.isFinite(position.price)) return position.price;
+  if (position.quantity && Number.isFinite(position.marketValue)) return position.marketValue / position.quantity;
+  return null;
+}
+
+function matchesWallet(entry, worksheet) {
+  if (!entry.wallet) return true;
+  return entry.wallet === worksheet.walletId || entry.wallet === worksheet.walletName;
+}
+
+/**
+ * @param entries   normalized config.watchlist entries
+ * @param worksheets worksheet reports (with analysis.positions)
+ * @param quotes    Map of symbol -> { price, source }
+ * @param options   `{ resolveSymbol }` maps entry and quote symbols to the
+ *                  canonical ones positions are keyed by
+ */
+export function buildWatchlistReport(entries, worksheets, quotes = new Map(), baseCurrency = "USD", { resolveSymbol = null } = {}) {
+  const canonical = (symbol) => (resolveSymbol ? resolveSymbol(symbol) || symbol : symbol);
+  const quoteBySymbol = new Map([...quotes].map(([symbol, quote]) => [canonical(symbol), quote]));
+  const rows = (entries ?? []).map((entry) => {
+    const symbol = canonical(entry.symbol);
+    const holdings = (worksheets ?? [])
+      .filter((ws) => matchesWallet(entry, ws))
+      .flatMap((ws) =>
+        (ws.analysis?.positions ?? [])
+          .filter((pos) => pos.symbol === symbol)
+          .map((pos) => ({
+            walletId: ws.walletId,
+            walletName: ws.walletName,
+            currency: ws.currency,
+            quantity: pos.quantity,
+            marketValue: pos.marketValue,
+            price: round(heldPrice(pos))
+          }))
+      );
+
+    const quote = quoteBySymbol.get(symbol);
+    const price = quote?.price ?? holdings.find((item) => Number.isFinite(item.price))?.price ?? null;
+    const priceSource = quote ? quote.source : Number.isFinite(price) ? "position" : null;
+    const walletCurrency = (worksheets ?? []).find((ws) => entry.wallet && matchesWallet(entry, ws))?.currency;
+    const target = entry.targetEntryPrice;
+    const distanceToTarget = Number.isFinite(price) && target ? (price - target) / target : null;
+
+    return {
+      symbol,
+      wallet: entry.wallet,
+      notes: entry.notes,
+      currency: entry.currency ?? walletCurrency ?? holdings[0]?.currency ?? baseCurrency,
+      targetEntryPrice: target,
+      price: round(price),
+      priceSource,
+      distanceToTarget: round(distanceToTarget),
+      atOrBelowTarget: Number.isFinite(price) && target ? price <= target : null,
+      held: holdings.length > 0,
+      heldIn: holdings
+    };
+  });
+
+  return {
+    count: rows.length,
+    heldCount: rows.filter((item) => item.held).length,
+    pricedCount: rows.filter((item) => Number.isFinite(item.price)).length,
+    atOrBelowTargetCount: rows.filter((item) => item.atOrBelowTarget).length,
+    missingPrices: rows.filter((item) => !Number.isFinite(item.price)).map((item) => item.symbol),
+    entries: rows
+  };
+}
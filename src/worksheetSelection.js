@@ -0,0 +1,128 @@
+import { compileWalletPattern } from "./wallets.js";
+
+/**
+ * Worksheet Selection
+ *
+ * Applies the per-document `worksheets` block from inputs.json before any
+ * values are fetched:
+ *
+ *   - include / exclude by title (exact, glob with `*`, or `/regex/`) or by
+ *     sheet gid (`1234` or `"gid:1234"`)
+ *   - optional per-tab range: an A1 range (`A1:H40`) or a named range
+ *
+ * Google Sheets documents pass the ranges straight to `batchGet`; local
+ * CSV/XLSX sources slice A1 ranges out of the loaded values.
+ */
+
+const A1_RE = /^([A-Z]{1,3})?(\d+)?(?::([A-Z]{1,3})?(\d+)?)?$/;
+
+function isGidPattern(pattern) {
+  return typeof pattern === "number" || /^gid:\d+$/i.test(String(pattern));
+}
+
+function matchesPattern(pattern, tab) {
+  if (isGidPattern(pattern)) {
+    const gid = Number(String(pattern).replace(/^gid:/i, ""));
+    return tab.gid !== null && tab.gid !== undefined && Number(tab.gid) === gid;
+  }
+  return compileWalletPattern(pattern).test(tab.title);
+}
+
+export function isA1Range(range) {
+  const text = String(range ?? "").trim().toUpperCase();
+  // A bare word is a named range; A1 needs a row number or a colon (A1, B2:F40, A:D, 3:20)
+  return A1_RE.test(text) && /\d|:/.test(text) && /[A-Z\d]/.test(text);
+}
+
+/**
+ * Pick the tabs to fetch. `tabs` is `[{ title, gid }]`; returns the selected
+ * tabs (with their configured `range`, if any) and the skipped titles.
+ */
+export function selectWorksheets(tabs, selection) {
+  const include = selection?.include ?? [];
+  const exclude = selection?.exclude ?? [];
+  const ranges = selection?.ranges ?? {};
+  const selected = [];
+  const skipped = [];
+  for (const tab of tabs) {
+    const included = !include.length || include.some((pattern) => matchesPattern(pattern, tab));
+    const excluded = exclude.some((pattern) => matchesPattern(pattern, tab));
+    if (!included || excluded) {
+      skipped.push(tab.title);
+      continue;
+    }
+    selected.push({ ...tab, range: ranges[tab.title] ?? null });
+  }
+  return { selected, skipped };
+}
+
+function escapeSheetTitle(title) {
+  return `'${String(title).replace(/'/g, "''")}'`;
+}
+
+/**
+ * The `ranges[]` entry for one selected tab: the whole tab, `'Tab'!A1:H40`,
+ * a fully qualified range as given, or a named range as given.
+ */
+export function sheetsRange(tab) {
+  if (!tab.range) return escapeSheetTitle(tab.title);
+  if (String(tab.range).includes("!")) return tab.range;
+  if (isA1Range(tab.range)) return `${escapeSheetTitle(tab.title)}!${String(tab.range).toUpperCase()}`;
+  return tab.range;
+}
+
+function columnIndex(letters) {
+  return [...letters].reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Cut an A1 range (`B2:F40`, `A:D`, `3:20`) out of a values grid.
+ */
+export function sliceA1(values, range) {
+  const text = String(range).trim().toUpperCase();
+  const match = isA1Range(text) ? text.match(A1_RE) : null;
+  if (!match) throw new Error(`Unsupported A1 range: ${range}`);
+  const [, startCol, startRow, endCol, endRow] = match;
+  const single = !text.includes(":");
+  const rowFrom = startRow ? Number(startRow) - 1 : 0;
+  const rowTo = endRow ? Number(endRow) : startRow && single ? Number(startRow) : values.length;
+  const colFrom = startCol ? columnIndex(startCol) : 0;
+  const colTo = endCol ? columnIndex(endCol) + 1 : startCol && single ? colFrom + 1 : undefined;
+  return values.slice(rowFrom, rowTo).map((row) => row.slice(colFrom, colTo));
+}
+
+/**
+ * 0-based `{ row, column }` of the top-left cell of an A1 range (optionally
+ * `'Tab'!`-qualified), so parsed cells can be reported with sheet coordinates.
+ * Pass the range the values came from (the `batchGet` response range for
+ * Google Sheets); a bare named range has no known origin and returns null.
+ */
+export function rangeOrigin(range) {
+  if (!range) return { row: 0, column: 0 };
+  const text = String(range).split("!").pop().trim().toUpperCase();
+  const match = isA1Range(text) ? text.match(A1_RE) : null;
+  if (!match) return null;
+  const [, startCol, startRow] = match;
+  return { row: startRow ? Number(startRow) - 1 : 0, column: startCol ? columnIndex(startCol) : 0 };
+}
+
+/**
+ * Apply a selection to already-loaded worksheets (local files, raw replays).
+ * Named ranges need the Sheets API; `applyRanges: false` keeps values as-is.
+ */
+export function filterLoadedWorksheets(worksheets, selection, { applyRanges = true } = {}) {
+  const { selected, skipped } = selectWorksheets(
+    worksheets.map((item) => ({ title: item.title, gid: item.gid ?? null })),
+    selection
+  );
+  const byTitle = new Map(worksheets.map((item) => [item.title, item]));
+  const kept = selected.map((tab) => {
+    const worksheet = byTitle.get(tab.title);
+    if (!applyRanges || !tab.range) return worksheet;
+    if (String(tab.range).includes("!") || !isA1Range(tab.range)) {
+      throw new Error(`Range "${tab.range}" for ${tab.title} is a named or qualified range; local sources support A1 ranges only.`);
+    }
+    return { ...worksheet, range: tab.range, values: sliceA1(worksheet.values, tab.range) };
+  });
+  return { worksheets: kept, skipped };
+}
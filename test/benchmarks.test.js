@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import {
+  attachBenchmarksToTrends,
+  benchmarksToMarkdown,
+  buildBenchmarkComparison,
+  compareReturns,
+  loadBenchmarkSeries
+} from "../src/benchmarks.js";
+import { loadConfig } from "../src/config.js";
+
+test("loadBenchmarkSeries reads CSV close columns and JSON date maps", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "benchmark-series-"));
+  const csvPath = path.join(tempDir, "spx.csv");
+  await fs.writeFile(csvPath, "Date,Open,Close\n2026-01-02,100,\"4,800.50\"\n2026-01-01,99,4700\nbad,1,2\n");
+  const jsonPath = path.join(tempDir, "egx30.json");
+  await fs.writeFile(jsonPath, JSON.stringify({ series: { "2026-01-01": 30000, "2026-01-02": "30300" } }));
+
+  assert.deepEqual(await loadBenchmarkSeries(csvPath), [
+    { date: "2026-01-01", value: 4700 },
+    { date: "2026-01-02", value: 4800.5 }
+  ]);
+  assert.deepEqual((await loadBenchmarkSeries(jsonPath)).map((item) => item.value), [30000, 30300]);
+
+  // Non-ISO dates go through the shared lot-date reader; ambiguous day/month rows are dropped
+  await fs.writeFile(csvPath, "Date,Close\n5 Jan 2026,10\n15/01/2026,11\n03/04/2026,12\n");
+  assert.deepEqual(await loadBenchmarkSeries(csvPath), [
+    { date: "2026-01-05", value: 10 },
+    { date: "2026-01-15", value: 11 }
+  ]);
+
+  await fs.writeFile(csvPath, "Day,Close\n2026-01-01,1\n");
+  await assert.rejects(() => loadBenchmarkSeries(csvPath), /needs a date column/);
+});
+
+test("compareReturns reports excess return, beta and capture ratios", () => {
+  const pairs = [
+    { date: "2026-01-02", portfolio: 0.02, benchmark: 0.01 },
+    { date: "2026-01-03", portfolio: -0.02, benchmark: -0.01 },
+    { date: "2026-01-04", portfolio: 0.04, benchmark: 0.02 }
+  ];
+  const result = compareReturns(pairs, 3);
+  assert.equal(result.observations, 3);
+  assert.equal(result.statisticsAvailable, true);
+  assert.equal(result.beta, 2);
+  assert.equal(result.upCapture, 2);
+  assert.equal(result.downCapture, 2);
+  assert.ok(result.excessReturn > 0);
+  assert.ok(result.trackingError > 0);
+  assert.equal(compareReturns([]).available, false);
+
+  // Too few returns for beta / tracking error / capture: only returns are reported
+  const short = compareReturns(pairs);
+  assert.equal(short.statisticsAvailable, false);
+  assert.equal(short.excessReturn, result.excessReturn);
+  assert.deepEqual([short.trackingError, short.beta, short.upCapture, short.downCapture], [null, null, null, null]);
+});
+
+test("buildBenchmarkComparison compares market and wallet series against the configured index", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "benchmark-compare-"));
+  const benchmarkPath = path.join(tempDir, "spx.csv");
+  await fs.writeFile(benchmarkPath, "date,close\n2026-05-01,100\n2026-05-02,101\n2026-05-04,103.02\n");
+
+  const values = { "2026-05-01": 1000, "2026-05-02": 1020, "2026-05-04": 1020 };
+  for (const [date, mv] of Object.entries(values)) {
+    const analysis = { snapshot: { baseMarketValue: mv, baseSpent: 1000 } };
+    await fs.writeFile(
+      path.join(tempDir, `${date}.json`),
+      JSON.stringify({
+        date,
+        markets: [{ market: "US Equities", currency: "USD", analysis }],
+        worksheets: [{ walletId: "us", walletName: "US / Sheet1", market: "US Equities", currency: "USD", analysis }]
+      })
+    );
+  }
+
+  const comparison = await buildBenchmarkComparison(
+    tempDir,
+    "2026-05-04",
+    { "US Equities": { name: "S&P 500", file: benchmarkPath }, Crypto: { name: "BTC", file: path.join(tempDir, "missing.csv") } },
+    { minObservations: 2 }
+  );
+  assert.deepEqual(comparison.datesUsed, ["2026-05-01", "2026-05-02", "2026-05-04"]);
+  assert.equal(comparison.available, true);
+  assert.equal(comparison.markets[0].observations, 2);
+  assert.equal(comparison.markets[0].portfolioReturn, 0.02);
+  assert.equal(comparison.markets[0].benchmarkReturn, 0.0302);
+  assert.equal(comparison.markets[0].excessReturn, -0.0102);
+  assert.equal(comparison.wallets[0].benchmark.name, "S&P 500");
+  assert.equal(comparison.errors[0].market, "Crypto");
+
+  const trends = { available: true, markets: [{ market: "US Equities", currency: "USD" }], wallets: [{ walletId: "us" }] };
+  attachBenchmarksToTrends(trends, comparison);
+  assert.deepEqual(trends.markets[0].benchmark.benchmarkIndexHistory, [1, 1.01, 1.0302]);
+  assert.equal(trends.wallets[0].benchmark.name, "S&P 500");
+
+  const md = benchmarksToMarkdown(comparison);
+  assert.match(md, /## Benchmark Comparison/);
+  assert.match(md, /\| US Equities \(USD\) \| S&P 500 \| 2 \| 2\.00% \| 3\.02% \| -1\.02% \|/);
+  assert.match(md, /- Crypto: Could not read benchmark file/);
+
+  assert.equal((await buildBenchmarkComparison(tempDir, "2026-05-04", {})).available, false);
+
+  const recent = await buildBenchmarkComparison(tempDir, "2026-05-04", { "US Equities": { file: benchmarkPath } }, { lookbackDays: 2 });
+  assert.deepEqual(recent.datesUsed, ["2026-05-02", "2026-05-04"]);
+  assert.equal(recent.markets[0].beta, null);
+});
+
+test("loadConfig reads benchmark lookback and minimum sample settings", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "benchmark-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  const write = (benchmarks) =>
+    fs.writeFile(configPath, JSON.stringify({ documents: [{ name: "Local", source: "holdings.csv" }], benchmarks }));
+
+  await write({ "US Equities": "spx.csv", lookbackDays: 120 });
+  assert.deepEqual((await loadConfig(configPath)).benchmarks, {
+    lookbackDays: 120,
+    minObservations: 20,
+    markets: { "US Equities": { name: "US Equities", file: path.join(tempDir, "spx.csv") } }
+  });
+  await write({ minObservations: 1 });
+  await assert.rejects(loadConfig(configPath), /benchmarks\.minObservations must be a whole number of at least 2/);
+});
@@ -120,6 +120,13 @@ test("computeHealthScore gives higher score for well-diversified profitable port
   assert.ok(goodHealth.score > badHealth.score, `Good: ${goodHealth.score} should be > Bad: ${badHealth.score}`);
 });
 
+test("computeHealthScore deducts data quality points for cell diagnostics", () => {
+  const clean = computeHealthScore(makeDailyReport({ dataQuality: { available: true, counts: { error: 0, warning: 0, info: 3 } } }));
+  const noisy = computeHealthScore(makeDailyReport({ dataQuality: { available: true, counts: { error: 2, warning: 3, info: 0 } } }));
+  assert.equal(clean.dimensions.dataQuality, 25);
+  assert.equal(noisy.dimensions.dataQuality, 18);
+});
+
 test("computeHealthScore handles null combined", () => {
   const report = makeDailyReport({ combined: null });
   const health = computeHealthScore(report);
@@ -159,6 +166,8 @@ test("buildHistoricalTrends computes trends from multiple reports", async () =>
   const report3 = makeDailyReport({ date: "2026-02-15" });
   report3.combined.snapshot.totalMarketValue = 13000;
   report3.combined.snapshot.totalPnl = 3000;
+  report3.combined.snapshot.realizedPnl = -100;
+  report3.combined.snapshot.adjustments = { count: 1, byKind: [{ kind: "fee", amount: 100 }] };
 
   await fs.writeFile(path.join(tempDir, "2026-02-13.json"), JSON.stringify(report1));
   await fs.writeFile(path.join(tempDir, "2026-02-14.json"), JSON.stringify(report2));
@@ -170,6 +179,8 @@ test("buildHistoricalTrends computes trends from multiple reports", async () =>
   assert.ok(result.positions.length > 0);
   assert.ok(result.portfolio.dataPoints === 3);
   assert.ok(result.portfolio.trend === "uptrend");
+  assert.deepEqual(result.portfolio.realizedPnlHistory, [0, 0, -100]);
+  assert.deepEqual(result.portfolio.adjustmentHistory, { fee: [0, 0, 100] });
 });
 
 // --- Diff Report Tests ---
@@ -202,6 +213,12 @@ test("buildDiffReport detects new and closed positions", async () => {
   assert.equal(diff.newPositions[0].symbol, "FFF");
   assert.equal(diff.closedPositions.length, 1);
   assert.equal(diff.closedPositions[0].symbol, "EEE");
+  assert.equal(diff.consecutive, true);
+
+  await fs.writeFile(path.join(tempDir, "2026-02-16.json"), JSON.stringify(makeDailyReport({ date: "2026-02-16" })));
+  const skipped = await buildDiffReport(tempDir, "2026-02-16", "2026-02-14");
+  assert.equal(skipped.previousDate, "2026-02-14");
+  assert.equal(skipped.consecutive, false);
 });
 
 test("buildDiffReport computes portfolio delta", async () => {
@@ -237,6 +254,23 @@ test("diffToMarkdown renders formatted output", async () => {
   assert.match(md, /Portfolio Delta/);
 });
 
+test("buildDiffReport tracks cash balances and deployments", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "diff-cash-"));
+  const report1 = makeDailyReport({ date: "2026-02-14" });
+  const report2 = makeDailyReport({ date: "2026-02-15" });
+  report1.combined = makeAnalysis({ snapshot: { ...report1.combined.snapshot, baseSpent: 10000, cash: { count: 1, balance: 3000, weight: 0.2 } } });
+  report2.combined = makeAnalysis({ snapshot: { ...report2.combined.snapshot, baseSpent: 12000, cash: { count: 1, balance: 500, weight: 0.04 } } });
+
+  await fs.writeFile(path.join(tempDir, "2026-02-14.json"), JSON.stringify(report1));
+  await fs.writeFile(path.join(tempDir, "2026-02-15.json"), JSON.stringify(report2));
+
+  const diff = await buildDiffReport(tempDir, "2026-02-15");
+  assert.equal(diff.portfolioDelta.cashDelta, -2500);
+  assert.equal(diff.portfolioDelta.cashDeployed, 2000);
+  assert.equal(diff.portfolioDelta.cashRaised, 0);
+  assert.match(diffToMarkdown(diff), /- Cash: \$3,000\.00 -> \$500\.00 \(-\$2,500\.00\) \| weight 20\.00% -> 4\.00% \| deployed \$2,000\.00/);
+});
+
 test("diffToMarkdown handles unavailable diff", () => {
   const md = diffToMarkdown({ available: false, reason: "no data" });
   assert.match(md, /unavailable/);
@@ -260,6 +294,16 @@ test("toHtml generates valid HTML with required sections", () => {
   assert.match(html, /gauge-circle/);
 });
 
+test("toHtml renders the risk review lists", () => {
+  const report = makeDailyReport();
+  report.combined.risk.bigWinners = [{ symbol: "BBB", pnlPct: 0.25, pnl: 500, marketWeight: 0.2083, marketValue: 2500 }];
+  report.combined.risk.underweightPositions = [];
+  const html = toHtml(report);
+  assert.match(html, /Risk Review/);
+  assert.match(html, /Above Take-Profit Threshold <span class="risk-count">1<\/span>/);
+  assert.match(html, /Below Min Weight <span class="risk-count">0<\/span>/);
+});
+
 test("toHtml works without optional enrichments", () => {
   const report = makeDailyReport();
   const html = toHtml(report);
@@ -305,3 +349,75 @@ test("toHtml escapes HTML in symbol names", () => {
   assert.ok(!html.includes("<script>alert(1)</script>"));
   assert.ok(html.includes("&lt;script&gt;"));
 });
+
+// --- Per-Wallet Trend & Diff Tests ---
+
+function makeWalletReport(date, usMarketValue, egxPositions) {
+  const us = makeAnalysis();
+  us.snapshot = { ...us.snapshot, totalMarketValue: usMarketValue };
+  const egx = makeAnalysis({
+    positions: egxPositions,
+    positionCount: egxPositions.length,
+    snapshot: { totalMarketValue: egxPositions.reduce((sum, p) => sum + p.marketValue, 0), totalPnl: 0, totalPnlPct: 0 }
+  });
+  return makeDailyReport({
+    date,
+    combined: null,
+    mixedCurrency: true,
+    worksheets: [
+      { walletId: "thndr-us__sheet1", walletName: "Thndr US / Sheet1", market: "US Equities", currency: "USD", analysis: us },
+      { walletId: "thndr-egx__sheet1", walletName: "Thndr Egx / Sheet1", market: "EGX Equities", currency: "EGP", analysis: egx }
+    ],
+    markets: [
+      { market: "US Equities", currency: "USD", analysis: us },
+      { market: "EGX Equities", currency: "EGP", analysis: egx }
+    ]
+  });
+}
+
+test("buildHistoricalTrends computes per-wallet and per-market blocks without a combined view", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "history-wallets-"));
+  const comi = (mv) => [{ symbol: "COMI", quantity: 100, spent: 5000, marketValue: mv, pnl: mv - 5000, pnlPct: 0 }];
+  await fs.writeFile(path.join(tempDir, "2026-02-13.json"), JSON.stringify(makeWalletReport("2026-02-13", 12000, comi(6000))));
+  await fs.writeFile(path.join(tempDir, "2026-02-14.json"), JSON.stringify(makeWalletReport("2026-02-14", 12500, comi(6500))));
+  await fs.writeFile(path.join(tempDir, "2026-02-15.json"), JSON.stringify(makeWalletReport("2026-02-15", 13000, comi(7000))));
+
+  const trends = await buildHistoricalTrends(tempDir, "2026-02-15");
+  assert.equal(trends.available, true);
+  assert.equal(trends.positions.length, 0);
+  assert.equal(trends.wallets.length, 2);
+  const egx = trends.wallets.find((w) => w.walletId === "thndr-egx__sheet1");
+  assert.equal(egx.currency, "EGP");
+  assert.deepEqual(egx.portfolio.marketValueHistory, [6000, 6500, 7000]);
+  assert.equal(egx.portfolio.trend, "uptrend");
+  assert.equal(egx.positions[0].symbol, "COMI");
+  assert.equal(trends.markets.length, 2);
+});
+
+test("buildDiffReport diffs each wallet and renders a section per wallet", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "diff-wallets-"));
+  const before = makeWalletReport("2026-02-14", 12000, [
+    { symbol: "COMI", quantity: 100, spent: 5000, marketValue: 6000, pnl: 1000, pnlPct: 0.2 }
+  ]);
+  const after = makeWalletReport("2026-02-15", 12000, [
+    { symbol: "COMI", quantity: 100, spent: 5000, marketValue: 6000, pnl: 1000, pnlPct: 0.2 },
+    { symbol: "HRHO", quantity: 50, spent: 1000, marketValue: 1100, pnl: 100, pnlPct: 0.1 }
+  ]);
+  await fs.writeFile(path.join(tempDir, "2026-02-14.json"), JSON.stringify(before));
+  await fs.writeFile(path.join(tempDir, "2026-02-15.json"), JSON.stringify(after));
+
+  const diff = await buildDiffReport(tempDir, "2026-02-15");
+  const egx = diff.wallets.find((w) => w.walletId === "thndr-egx__sheet1");
+  assert.equal(egx.status, "both");
+  assert.equal(egx.newPositions[0].symbol, "HRHO");
+  assert.equal(egx.portfolioDelta.marketValueDelta, 1100);
+  assert.equal(diff.markets.find((m) => m.market === "EGX Equities").newPositions.length, 1);
+
+  const md = diffToMarkdown(diff, "USD");
+  assert.match(md, /### Per Wallet/);
+  assert.match(md, /#### Thndr Egx \/ Sheet1 \(EGP\)/);
+  assert.match(md, /- New: HRHO/);
+
+  const html = toHtml(after, null, diff);
+  assert.match(html, /Thndr Egx \/ Sheet1/);
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { loadConfig } from "../src/config.js";
+import { buildExposureReport, classifySecurity, exposureToMarkdown, loadSecurityMaster } from "../src/exposure.js";
+
+async function writeMaster() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "security-master-"));
+  const csvPath = path.join(tempDir, "securities.csv");
+  await fs.writeFile(
+    csvPath,
+    [
+      "Ticker,Name,Asset Class,Sector,Industry,Country,Exchange,ISIN",
+      "nvda,NVIDIA,Equity,Technology,Semiconductors,US,NASDAQ,US67066G1040",
+      "AMD,Advanced Micro Devices,Equity,Technology,Semiconductors,US,NASDAQ,US0079031078",
+      "COMI,Commercial International Bank,Equity,Financials,Banks,EG,EGX,EGS60121C018",
+      ",,,,,,,"
+    ].join("\n")
+  );
+  return { tempDir, csvPath };
+}
+
+test("loadSecurityMaster reads CSV and JSON masters keyed by symbol", async () => {
+  const { tempDir, csvPath } = await writeMaster();
+  const master = await loadSecurityMaster(csvPath);
+  assert.equal(master.size, 3);
+  assert.deepEqual(master.get("NVDA"), {
+    name: "NVIDIA",
+    assetClass: "Equity",
+    sector: "Technology",
+    industry: "Semiconductors",
+    country: "US",
+    exchange: "NASDAQ",
+    isin: "US67066G1040"
+  });
+
+  const jsonPath = path.join(tempDir, "securities.json");
+  await fs.writeFile(jsonPath, JSON.stringify({ securities: { BTC: { assetClass: "Crypto", sector: "Digital Assets" } } }));
+  assert.equal((await loadSecurityMaster(jsonPath)).get("BTC").sector, "Digital Assets");
+
+  assert.equal(classifySecurity("ETH", master, "Crypto").values.assetClass, "Crypto");
+  assert.equal(classifySecurity("ETH", master, "US Equities").values.sector, "Unclassified");
+  await assert.rejects(() => loadSecurityMaster(path.join(tempDir, "missing.csv")), /Could not read security master/);
+});
+
+test("buildExposureReport rolls up wallets and the FX-converted combined view and checks caps", async () => {
+  const { csvPath } = await writeMaster();
+  const master = await loadSecurityMaster(csvPath);
+  const wallet = (walletId, market, currency, positions, cash = 0) => ({
+    walletId,
+    walletName: walletId.toUpperCase(),
+    market,
+    currency,
+    analysis: { positions, snapshot: { cash: { included: cash > 0, balance: cash } } }
+  });
+  const dailyReport = {
+    baseCurrency: "USD",
+    combinedCurrency: "USD",
+    combined: {},
+    fx: { rates: [{ currency: "EGP", rate: 0.02 }] },
+    worksheets: [
+      wallet("us", "US Equities", "USD", [
+        { symbol: "NVDA", marketValue: 400 },
+        { symbol: "AMD", marketValue: 200 }
+      ], 100),
+      wallet("crypto", "Crypto", "USD", [{ symbol: "BTC", marketValue: 250 }]),
+      wallet("egx", "EGX Equities", "EGP", [{ symbol: "COMI", marketValue: 2500 }])
+    ]
+  };
+
+  const report = buildExposureReport(dailyReport, master, { caps: { sector: { "*": 0.5 }, assetClass: { Crypto: 0.2 } } });
+  assert.equal(report.available, true);
+  const [us] = report.wallets;
+  assert.deepEqual(
+    us.dimensions.industry.map((row) => [row.key, row.weight, row.symbols]),
+    [
+      ["Semiconductors", 0.8571, ["AMD", "NVDA"]],
+      ["Cash", 0.1429, []]
+    ]
+  );
+  assert.deepEqual(us.breaches.map((item) => [item.dimension, item.key]), [["sector", "Technology"]]);
+
+  assert.equal(report.combined.totalMarketValue, 1000);
+  assert.deepEqual(
+    report.combined.dimensions.assetClass.map((row) => [row.key, row.weight]),
+    [
+      ["Equity", 0.65],
+      ["Crypto", 0.25],
+      ["Cash", 0.1]
+    ]
+  );
+  assert.equal(report.combined.dimensions.sector.find((row) => row.key === "Financials").marketValue, 50);
+  assert.deepEqual(report.combined.breaches.map((item) => [item.dimension, item.key, item.excess]), [
+    ["sector", "Technology", 0.1],
+    ["assetClass", "Crypto", 0.05]
+  ]);
+  assert.deepEqual(report.unclassified, ["BTC"]);
+
+  const md = exposureToMarkdown(report);
+  assert.match(md, /## Exposure/);
+  assert.match(md, /- Cap breached: combined Sector Technology 60\.00% \(cap 50\.00%\)/);
+  assert.match(md, /\| Technology \| \$600\.00 \| 60\.00% \| 50\.00% \| AMD, NVDA \|/);
+  assert.match(md, /- US: asset class Equity 85\.71%, Cash 14\.29%; sector Technology 85\.71%, Cash 14\.29%/);
+
+  assert.equal(buildExposureReport(dailyReport, new Map()).available, false);
+  assert.equal(buildExposureReport({ ...dailyReport, fx: { rates: [] } }, master).combined, null);
+});
+
+test("loadConfig normalizes exposure caps and risk sector / asset-class limits", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "exposure-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  const base = { documents: [{ name: "Local", source: "holdings.csv" }] };
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      ...base,
+      risk: { maxSectorWeight: 35, maxAssetClassWeight: "60%" },
+      exposure: { file: "securities.csv", caps: { sector: { Technology: 0.4 }, country: { EG: 0.2 } } }
+    })
+  );
+  const config = await loadConfig(configPath);
+  assert.equal(config.exposure.file, path.join(tempDir, "securities.csv"));
+  assert.deepEqual(config.exposure.caps, {
+    sector: { "*": 0.35, Technology: 0.4 },
+    country: { EG: 0.2 },
+    assetClass: { "*": 0.6 }
+  });
+
+  await fs.writeFile(configPath, JSON.stringify({ ...base, exposure: { caps: { region: { EU: 0.3 } } } }));
+  await assert.rejects(() => loadConfig(configPath), /exposure\.caps\.region is not a known dimension/);
+});
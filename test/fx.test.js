@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import {
+  convertAdjustments,
+  convertPositions,
+  loadFxTable,
+  normalizeRateTable,
+  resolveFxRates
+} from "../src/fx.js";
+import { loadConfig } from "../src/config.js";
+
+test("resolveFxRates prefers latest history entry on or before the report date", () => {
+  const table = {
+    baseCurrency: "USD",
+    rates: { EGP: 0.02 },
+    history: {
+      "2026-02-10": { EGP: 0.021 },
+      "2026-02-14": { EGP: 0.0205 },
+      "2026-02-20": { EGP: 0.019 }
+    }
+  };
+
+  const fx = resolveFxRates(table, "2026-02-15", ["USD", "EGP"]);
+  assert.equal(fx.complete, true);
+  const egp = fx.rates.find((item) => item.currency === "EGP");
+  assert.equal(egp.rate, 0.0205);
+  assert.equal(egp.asOf, "2026-02-14");
+  assert.equal(egp.source, "history");
+  assert.equal(fx.rates.find((item) => item.currency === "USD").rate, 1);
+
+  const early = resolveFxRates(table, "2026-02-01", ["EGP"]);
+  assert.equal(early.rates[0].source, "static");
+  assert.equal(early.rates[0].rate, 0.02);
+});
+
+test("resolveFxRates reports missing currencies", () => {
+  const fx = resolveFxRates({ baseCurrency: "USD", rates: {}, history: {} }, "2026-02-15", ["USD", "EGP"]);
+  assert.equal(fx.complete, false);
+  assert.deepEqual(fx.missing, ["EGP"]);
+});
+
+test("convertPositions and convertAdjustments scale money fields only", () => {
+  const [pos] = convertPositions(
+    [{ symbol: "COMI", quantity: 100, avgCost: 50, spent: 5000, price: 60, marketValue: 6000, pnl: 1000, pnlPct: 0.2 }],
+    0.02
+  );
+  assert.equal(pos.quantity, 100);
+  assert.equal(pos.spent, 100);
+  assert.equal(pos.marketValue, 120);
+  assert.equal(pos.pnl, 20);
+  assert.equal(pos.pnlPct, 0.2);
+
+  const [adj] = convertAdjustments(
+    [{ kind: "loss_carry", amount: 1000, spentDelta: 1000, marketValueDelta: 0, pnlDelta: -1000 }],
+    0.02
+  );
+  assert.equal(adj.amount, 20);
+  assert.equal(adj.pnlDelta, -20);
+});
+
+test("loadFxTable merges rates file with inline overrides", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "fx-table-"));
+  const ratesFile = path.join(tempDir, "rates.json");
+  await fs.writeFile(
+    ratesFile,
+    JSON.stringify({ baseCurrency: "USD", rates: { EGP: 0.02, EUR: 1.1 }, history: { "2026-02-14": { EGP: 0.021 } } })
+  );
+
+  const table = await loadFxTable({ ratesFile, rates: { EGP: 0.0204 }, history: {} }, "USD");
+  assert.equal(table.rates.EGP, 0.0204);
+  assert.equal(table.rates.EUR, 1.1);
+  assert.equal(table.history["2026-02-14"].EGP, 0.021);
+
+  await assert.rejects(loadFxTable({ ratesFile, rates: {}, history: {} }, "EUR"), /quoted in USD/);
+});
+
+test("normalizeRateTable and loadConfig reject invalid fx entries", async () => {
+  assert.throws(() => normalizeRateTable({ rates: { EGP: -1 } }), /positive number/);
+  assert.throws(() => normalizeRateTable({ history: { "15/02/2026": { EGP: 0.02 } } }), /invalid date/);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "fx-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ name: "EGX", url: "https://docs.google.com/spreadsheets/d/abc/edit", currency: "EGP" }],
+      fx: { rates: { egp: "0.0204" } }
+    })
+  );
+  const config = await loadConfig(configPath);
+  assert.equal(config.fx.rates.EGP, 0.0204);
+  assert.equal(config.fx.ratesFile, null);
+
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ name: "EGX", url: "https://docs.google.com/spreadsheets/d/abc/edit", currency: "EGP" }],
+      fx: { ratesFile: "rates/fx.json" }
+    })
+  );
+  assert.equal((await loadConfig(configPath)).fx.ratesFile, path.join(tempDir, "rates", "fx.json"));
+});
+
+test("loadConfig resolves every file path against the config directory", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "config-paths-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ name: "Local", source: { paths: ["sheets/us.csv", "/data/egx.csv"] } }],
+      income: { file: "income.csv" },
+      watchlistPrices: { file: "../prices.json" }
+    })
+  );
+  const resolved = await loadConfig(configPath);
+  assert.deepEqual(resolved.documents[0].source.paths, [path.join(tempDir, "sheets", "us.csv"), "/data/egx.csv"]);
+  assert.equal(resolved.income.file, path.join(tempDir, "income.csv"));
+  assert.equal(resolved.watchlistPrices.file, path.join(path.dirname(tempDir), "prices.json"));
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { buildIncomeReport, incomeToMarkdown, loadIncomeFile, parseIncomeLedger } from "../src/income.js";
+
+function wallet(walletId, currency, positions) {
+  const baseSpent = positions.reduce((sum, item) => sum + item.spent, 0);
+  const baseMarketValue = positions.reduce((sum, item) => sum + item.marketValue, 0);
+  return {
+    walletId,
+    walletName: walletId.toUpperCase(),
+    currency,
+    analysis: { snapshot: { baseSpent, baseMarketValue }, positions }
+  };
+}
+
+test("parseIncomeLedger reads ledger columns and normalizes types and dates", () => {
+  const entries = parseIncomeLedger(
+    [
+      ["Income ledger"],
+      ["Ticker", "Type", "Ex-Date", "Pay Date", "Net Amount", "Currency"],
+      ["aapl", "Div", "2026-05-10", "2026-05-15", "1,250.50", "usd"],
+      ["ETH", "staking rewards", "", "2026-06-01", "12", ""],
+      ["", "", "", "", "5", ""],
+      ["KO", "dividend", "2026-11-01", "", "", ""]
+    ],
+    { source: "sheet:Broker/Income" }
+  );
+  assert.equal(entries.length, 3);
+  assert.deepEqual(entries[0], {
+    symbol: "AAPL",
+    wallet: null,
+    type: "dividend",
+    amount: 1250.5,
+    currency: "USD",
+    exDate: "2026-05-10",
+    payDate: "2026-05-15",
+    source: "sheet:Broker/Income"
+  });
+  assert.equal(entries[1].type, "staking");
+  assert.equal(entries[2].amount, null);
+
+  const [local] = parseIncomeLedger(
+    [
+      ["Symbol", "Pay Date", "Amount"],
+      ["COMI", "03/04/2026", "1.250,5"]
+    ],
+    { locale: "de-DE" }
+  );
+  assert.equal(local.payDate, "2026-04-03");
+  assert.equal(local.amount, 1250.5);
+});
+
+test("buildIncomeReport attributes income, computes TTM yields, total return and the calendar", async () => {
+  const worksheets = [
+    wallet("us", "USD", [
+      { symbol: "AAPL", spent: 1000, marketValue: 1500, pnl: 500 },
+      { symbol: "KO", spent: 500, marketValue: 500, pnl: 0 }
+    ]),
+    wallet("ira", "USD", [{ symbol: "KO", spent: 1500, marketValue: 1500, pnl: 0 }])
+  ];
+  const entries = [
+    { symbol: "AAPL", wallet: null, type: "dividend", amount: 30, currency: null, exDate: null, payDate: "2026-03-01" },
+    { symbol: "AAPL", wallet: null, type: "dividend", amount: 20, currency: null, exDate: null, payDate: "2025-01-01" },
+    { symbol: "KO", wallet: null, type: "dividend", amount: 40, currency: null, exDate: null, payDate: "2026-09-01" },
+    { symbol: "KO", wallet: "IRA", type: "dividend", amount: 10, currency: "USD", exDate: null, payDate: "2026-09-02" },
+    { symbol: "MSFT", wallet: null, type: "dividend", amount: 5, currency: null, exDate: null, payDate: "2026-09-03" },
+    { symbol: "AAPL", wallet: "us", type: "dividend", amount: 3, currency: "EUR", exDate: null, payDate: "2026-09-04" },
+    { symbol: "KO", wallet: null, type: "dividend", amount: null, currency: null, exDate: "2026-11-01", payDate: "2026-12-01" },
+    { symbol: "AAPL", wallet: null, type: "dividend", amount: 31, currency: null, exDate: "2026-10-15", payDate: "2026-10-25" }
+  ];
+  const report = buildIncomeReport(entries, worksheets, "2026-10-19", { horizonDays: 30 });
+
+  const aapl = report.positions.find((item) => item.symbol === "AAPL");
+  assert.equal(aapl.incomeTtm, 30);
+  assert.equal(aapl.incomeTotal, 50);
+  assert.equal(aapl.yieldOnCost, 0.03);
+  assert.equal(aapl.yieldOnMarketValue, 0.02);
+  assert.equal(aapl.totalReturn, 550);
+  assert.equal(aapl.totalReturnPct, 0.55);
+
+  // Unassigned KO income splits by market value (500 : 1500); the IRA row is assigned directly
+  assert.equal(report.positions.find((item) => item.walletId === "us" && item.symbol === "KO").incomeTtm, 10);
+  assert.equal(report.positions.find((item) => item.walletId === "ira" && item.symbol === "KO").incomeTtm, 40);
+  assert.equal(report.wallets.find((item) => item.walletId === "ira").yieldOnCost, 0.0267);
+  assert.deepEqual(report.byCurrency, [{ currency: "USD", incomeTtm: 80, incomeTotal: 100 }]);
+  assert.deepEqual(report.unattributed.map((item) => item.symbol), ["MSFT"]);
+  assert.equal(report.currencyMismatches.length, 1);
+
+  assert.deepEqual(
+    report.calendar.map((item) => [item.date, item.symbol, item.event, item.daysUntil]),
+    [
+      ["2026-10-25", "AAPL", "payment", 6],
+      ["2026-11-01", "KO", "ex_date", 13]
+    ]
+  );
+
+  const md = incomeToMarkdown(report);
+  assert.match(md, /## Income/);
+  assert.match(md, /\| US \| AAPL \| USD 30\.00 \| 3\.00% \| 2\.00% \| 50\.00% \| USD 550\.00 \(55\.00%\) \|/);
+  assert.match(md, /\| 2026-11-01 \| 13d \| KO \| ex-date \| dividend \| tbd \|/);
+  assert.equal(buildIncomeReport([], worksheets, "2026-10-19").available, false);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "income-ledger-"));
+  const jsonPath = path.join(tempDir, "income.json");
+  await fs.writeFile(jsonPath, JSON.stringify({ entries: [{ symbol: "ko", amount: "4.5", date: "2026-09-01", type: "coupon" }] }));
+  const loaded = await loadIncomeFile(jsonPath);
+  assert.equal(loaded[0].symbol, "KO");
+  assert.equal(loaded[0].amount, 4.5);
+  assert.equal(loaded[0].payDate, "2026-09-01");
+  assert.equal(loaded[0].type, "coupon");
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import XLSX from "xlsx";
+import { parseCsv } from "../src/csv.js";
+import { fetchLocalDocument } from "../src/localFiles.js";
+import { loadConfig } from "../src/config.js";
+import { parseWorksheet } from "../src/parser.js";
+
+test("parseCsv handles quotes, escaped quotes, CRLF and custom delimiters", () => {
+  const rows = parseCsv('Ticker,Market Value,Note\r\nAAA,"1,200","say ""hi"""\r\nBBB,300,\n');
+  assert.deepEqual(rows, [
+    ["Ticker", "Market Value", "Note"],
+    ["AAA", "1,200", 'say "hi"'],
+    ["BBB", "300", ""]
+  ]);
+  assert.deepEqual(parseCsv("a;b\n1,5;2", ";"), [["a", "b"], ["1,5", "2"]]);
+});
+
+test("fetchLocalDocument reads a CSV directory as one worksheet per file", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "local-csv-"));
+  await fs.writeFile(path.join(tempDir, "Sheet1.csv"), "Ticker,Qty,Market Value\nAAA,10,1000\n");
+  await fs.writeFile(path.join(tempDir, "Crypto.csv"), "Asset,Units,Current Value\nBTC,0.1,5000\n");
+  await fs.writeFile(path.join(tempDir, "notes.txt"), "ignored");
+
+  const doc = await fetchLocalDocument({
+    name: "Thndr US",
+    source: { type: "csv", paths: [tempDir], delimiter: "," }
+  });
+  assert.equal(doc.documentTitle, "Thndr US");
+  assert.deepEqual(doc.worksheets.map((item) => item.title), ["Crypto", "Sheet1"]);
+
+  const parsed = parseWorksheet(doc.worksheets[1].values, "Thndr US", doc.worksheets[1].title);
+  assert.equal(parsed.positions[0].symbol, "AAA");
+  assert.equal(parsed.positions[0].marketValue, 1000);
+});
+
+test("fetchLocalDocument reads every tab of an xlsx workbook", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "local-xlsx-"));
+  const filePath = path.join(tempDir, "egx.xlsx");
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["Stock", "Qty", "Price"], ["COMI", 100, 80]]),
+    "Sheet1"
+  );
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([["notes"]]), "Scratch");
+  await fs.writeFile(filePath, XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+
+  const doc = await fetchLocalDocument({ name: "Thndr Egx", source: { type: "xlsx", paths: [filePath] } });
+  assert.deepEqual(doc.worksheets.map((item) => item.title), ["Sheet1", "Scratch"]);
+  assert.deepEqual(doc.worksheets[0].values, [["Stock", "Qty", "Price"], ["COMI", "100", "80"]]);
+});
+
+test("loadConfig accepts local sources and infers type from the extension", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "local-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [
+        { name: "US", currency: "USD", source: "exports/us.csv" },
+        { name: "EGX", currency: "EGP", source: { path: "exports/egx.ods" } }
+      ]
+    })
+  );
+  const config = await loadConfig(configPath);
+  assert.equal(config.documents[0].source.type, "csv");
+  assert.equal(config.documents[0].url, null);
+  assert.equal(config.documents[1].source.type, "ods");
+
+  await fs.writeFile(configPath, JSON.stringify({ documents: [{ name: "X", source: "exports/x.pdf" }] }));
+  await assert.rejects(loadConfig(configPath), /source\.type must be one of/);
+});
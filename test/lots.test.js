@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { buildLotReport, consumeLots, lotRowsFor, lotsToMarkdown, replayLots } from "../src/lots.js";
+
+const lots = [
+  { id: "a", acquiredDate: "2025-01-01", quantity: 10, cost: 100 },
+  { id: "b", acquiredDate: "2026-01-01", quantity: 10, cost: 200 }
+];
+
+test("consumeLots takes oldest, newest or an average share of every lot", () => {
+  const fifo = consumeLots(lots, 15, "fifo");
+  assert.deepEqual(fifo.consumed.map((lot) => [lot.id, lot.quantity, lot.cost]), [["a", 10, 100], ["b", 5, 100]]);
+  assert.deepEqual(fifo.remaining.map((lot) => [lot.id, lot.quantity, lot.cost]), [["b", 5, 100]]);
+
+  const lifo = consumeLots(lots, 15, "lifo");
+  assert.deepEqual(lifo.consumed.map((lot) => [lot.id, lot.quantity, lot.cost]), [["b", 10, 200], ["a", 5, 50]]);
+  assert.deepEqual(lifo.remaining.map((lot) => [lot.id, lot.quantity, lot.cost]), [["a", 5, 50]]);
+
+  const average = consumeLots(lots, 5, "average");
+  assert.deepEqual(average.consumed.map((lot) => [lot.id, lot.quantity, lot.cost]), [["a", 2.5, 25], ["b", 2.5, 50]]);
+  assert.equal(average.remaining.reduce((sum, lot) => sum + lot.cost, 0), 225);
+
+  assert.equal(consumeLots(lots, 50, "fifo").remaining.length, 0);
+  assert.equal(consumeLots(lots, 0, "fifo").consumed.length, 0);
+});
+
+function report(date, positions, lotRows = [], diagnostics = []) {
+  return {
+    date,
+    worksheets: [
+      {
+        walletId: "us",
+        walletName: "US",
+        documentName: "Broker",
+        worksheetTitle: "US",
+        currency: "USD",
+        analysis: { positions },
+        lotRows
+      }
+    ],
+    dataQuality: { available: true, diagnostics }
+  };
+}
+
+test("replayLots seeds lots from sheet rows, adds inferred buys and realises sells", () => {
+  const history = [
+    {
+      date: "2026-01-05",
+      report: report("2026-01-05", [{ symbol: "AAPL", quantity: 15, spent: 1600, marketValue: 2250 }], [
+        { symbol: "AAPL", quantity: 10, spent: 1000, acquiredDate: "2024-06-01" },
+        { symbol: "AAPL", quantity: 5, spent: 600, acquiredDate: null }
+      ])
+    },
+    { date: "2026-01-06", report: report("2026-01-06", [{ symbol: "AAPL", quantity: 20, spent: 2400, marketValue: 3200 }]) },
+    { date: "2026-01-07", report: report("2026-01-07", [{ symbol: "AAPL", quantity: 8, spent: 960, marketValue: 1440 }]) },
+    { date: "2026-01-08", report: report("2026-01-08", [{ symbol: "MSFT", quantity: 1, spent: 400, marketValue: 400 }]) }
+  ];
+
+  const fifo = replayLots(history.slice(0, 3)).get("us");
+  const [sale] = fifo.realizations;
+  assert.equal(sale.date, "2026-01-07");
+  assert.equal(sale.quantity, 12);
+  assert.equal(sale.price, 180);
+  assert.equal(sale.cost, 1240);
+  assert.equal(sale.gain, 920);
+  assert.equal(sale.longTermGain, 800);
+  assert.equal(sale.shortTermGain, 120);
+  assert.deepEqual(
+    fifo.symbols.get("AAPL").lots.map((lot) => [lot.acquiredDate, lot.acquiredSource, lot.quantity, lot.cost]),
+    [
+      ["2026-01-05", "first_seen", 3, 360],
+      ["2026-01-06", "inferred_buy", 5, 800]
+    ]
+  );
+
+  const lifo = replayLots(history.slice(0, 3), { method: "lifo" }).get("us");
+  assert.equal(lifo.realizations[0].cost, 1600);
+  assert.deepEqual(lifo.symbols.get("AAPL").lots.map((lot) => lot.quantity), [8]);
+
+  const exited = replayLots(history, { walletMethods: { us: "average" } }).get("us");
+  assert.equal(exited.method, "average");
+  assert.equal(exited.realizations.length, 2);
+  assert.equal(exited.realizations[1].price, 180);
+  assert.equal(exited.symbols.get("AAPL").lots.length, 0);
+});
+
+test("replayLots holds lots through days whose sheet parsed no positions or lost rows", () => {
+  const aapl = (quantity) => [{ symbol: "AAPL", quantity, spent: quantity * 100, marketValue: quantity * 150 }];
+  const lostRow = { severity: "error", code: "unparseable_row", document: "Broker", worksheet: "US", field: "symbol" };
+  const history = [
+    { date: "2026-01-05", report: report("2026-01-05", aapl(10)) },
+    { date: "2026-01-06", report: report("2026-01-06", []) },
+    { date: "2026-01-07", report: report("2026-01-07", [], [], [lostRow]) },
+    { date: "2026-01-08", report: report("2026-01-08", aapl(10)) }
+  ];
+  const state = replayLots(history).get("us");
+  assert.equal(state.realizations.length, 0);
+  assert.deepEqual(state.skippedDates, ["2026-01-06", "2026-01-07"]);
+  assert.deepEqual(state.symbols.get("AAPL").lots.map((lot) => [lot.acquiredDate, lot.quantity]), [["2026-01-05", 10]]);
+
+  // A quantity warning elsewhere in the wallet also holds the day; a P&L one does not
+  const quantityWarning = { severity: "warning", code: "unparseable_number", document: "Broker", worksheet: "US", field: "quantity" };
+  const pnlWarning = { ...quantityWarning, field: "pnl" };
+  const held = replayLots([history[0], { date: "2026-01-06", report: report("2026-01-06", aapl(4), [], [quantityWarning]) }]).get("us");
+  assert.equal(held.realizations.length, 0);
+  const sold = replayLots([history[0], { date: "2026-01-06", report: report("2026-01-06", aapl(4), [], [pnlWarning]) }]).get("us");
+  assert.equal(sold.realizations[0].quantity, 6);
+});
+
+test("lotRowsFor keeps only rows that add lot detail", () => {
+  const rows = lotRowsFor([
+    { symbol: "AAPL", quantity: 10, spent: 1000, acquiredDate: null, marketValue: 1500 },
+    { symbol: "aapl", quantity: 5, spent: 600, acquiredDate: null },
+    { symbol: "MSFT", quantity: 2, spent: 500, acquiredDate: "2024-06-01" },
+    { symbol: "NVDA", quantity: 1, spent: 100 }
+  ]);
+  assert.deepEqual(rows, [
+    { symbol: "AAPL", quantity: 10, spent: 1000, acquiredDate: null },
+    { symbol: "aapl", quantity: 5, spent: 600, acquiredDate: null },
+    { symbol: "MSFT", quantity: 2, spent: 500, acquiredDate: "2024-06-01" }
+  ]);
+});
+
+test("buildLotReport replays stored reports and renders lot detail", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "lots-"));
+  const days = [
+    report("2026-03-01", [{ symbol: "MSFT", quantity: 4, spent: 1200, marketValue: 1200 }], [
+      { symbol: "MSFT", quantity: 4, spent: 1200, acquiredDate: "2026-02-01" }
+    ]),
+    report("2026-03-02", [{ symbol: "MSFT", quantity: 2, spent: 600, marketValue: 700 }])
+  ];
+  for (const day of days) await fs.writeFile(path.join(tempDir, `${day.date}.json`), JSON.stringify(day));
+
+  const result = await buildLotReport(tempDir, "2026-03-02", { method: "fifo", longTermDays: 365 });
+  assert.equal(result.available, true);
+  const [wallet] = result.wallets;
+  assert.equal(wallet.realized.ytd, 100);
+  assert.equal(wallet.realizedToday.length, 1);
+  assert.equal(wallet.realizations, undefined);
+  assert.equal(wallet.skippedDays, 0);
+  assert.equal(wallet.symbols[0].lots[0].holdingDays, 29);
+  assert.equal(wallet.symbols[0].lots[0].unrealizedPnl, 100);
+  assert.equal(wallet.symbols[0].costDrift, 0);
+  assert.deepEqual(result.realizedByCurrency, [{ currency: "USD", ytd: 100, total: 100 }]);
+
+  const md = lotsToMarkdown(result);
+  assert.match(md, /## Tax Lots/);
+  assert.match(md, /\| US \| fifo \| 1 \| USD 100\.00 \| USD 100\.00 \| USD 0\.00 \|/);
+  assert.match(md, /\| US \| MSFT \| 2 \| USD 700\.00 \| USD 600\.00 \| USD 100\.00 \| 29 \|/);
+  assert.equal((await buildLotReport(tempDir, "2026-03-05")).available, false);
+});
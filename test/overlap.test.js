@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { loadConfig } from "../src/config.js";
+import { buildOverlapReport, loadFundHoldings, overlapToMarkdown } from "../src/overlap.js";
+import { createSymbolResolver } from "../src/symbols.js";
+
+function wallet(walletId, currency, positions) {
+  const total = positions.reduce((sum, pos) => sum + pos.marketValue, 0);
+  return {
+    walletId,
+    walletName: walletId.toUpperCase(),
+    currency,
+    analysis: { positions, snapshot: { totalMarketValue: total } }
+  };
+}
+
+const dailyReport = {
+  baseCurrency: "USD",
+  combinedCurrency: "USD",
+  fx: { rates: [{ currency: "EGP", rate: 0.02 }] },
+  worksheets: [
+    wallet("us", "USD", [
+      { symbol: "AAPL", marketValue: 300 },
+      { symbol: "QQQ", marketValue: 500 }
+    ]),
+    wallet("ira", "USD", [{ symbol: "AAPL", marketValue: 100 }]),
+    wallet("egx", "EGP", [
+      { symbol: "COMI", marketValue: 5000 },
+      { symbol: "AAPL", marketValue: 0 }
+    ])
+  ]
+};
+
+test("loadFundHoldings reads CSV and JSON constituent weights", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "fund-holdings-"));
+  const csvPath = path.join(tempDir, "holdings.csv");
+  await fs.writeFile(csvPath, ["ETF,Holding,Weight", "qqq,AAPL,9%", "QQQ,NASDAQ:MSFT,8.5", "QQQ,NVDA,8", "QQQ,,1%"].join("\n"));
+  const funds = await loadFundHoldings(csvPath, { resolveSymbol: createSymbolResolver() });
+  assert.deepEqual(funds.get("QQQ"), [
+    { symbol: "AAPL", weight: 0.09 },
+    { symbol: "MSFT", weight: 0.085 },
+    { symbol: "NVDA", weight: 0.08 }
+  ]);
+
+  const jsonPath = path.join(tempDir, "holdings.json");
+  await fs.writeFile(jsonPath, JSON.stringify({ funds: { SPY: { AAPL: 0.07, MSFT: 0.065 } } }));
+  assert.equal((await loadFundHoldings(jsonPath)).get("SPY").length, 2);
+
+  await fs.writeFile(jsonPath, JSON.stringify({ SPY: { AAPL: 0.7, MSFT: 0.65 } }));
+  await assert.rejects(() => loadFundHoldings(jsonPath), /SPY weights sum to 135%/);
+  await assert.rejects(() => loadFundHoldings(path.join(tempDir, "missing.csv")), /Could not read fund holdings/);
+});
+
+test("loadFundHoldings reads every weight in a file on one scale", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "fund-scale-"));
+  const csvPath = path.join(tempDir, "holdings.csv");
+  const weights = async (lines, options) => {
+    await fs.writeFile(csvPath, lines.join("\n"));
+    return (await loadFundHoldings(csvPath, options)).get("SPY").map((item) => item.weight);
+  };
+  // 0.5 sits next to 7, so it is 0.5%, not 50%
+  assert.deepEqual(await weights(["Fund,Symbol,Weight", "SPY,AAPL,7", "SPY,KO,0.5"]), [0.07, 0.005]);
+  // Small percentages only: the header says percent
+  assert.deepEqual(await weights(["Fund,Symbol,Weight %", "SPY,KO,0.5", "SPY,PEP,0.4"]), [0.005, 0.004]);
+  assert.deepEqual(await weights(["Fund,Symbol,Weight", "SPY,KO,0.5", "SPY,PEP,0.4"]), [0.5, 0.4]);
+  assert.deepEqual(await weights(["Fund,Symbol,Weight", "SPY,KO,0.5", "SPY,PEP,0.4"], { weightScale: "percent" }), [0.005, 0.004]);
+  assert.deepEqual(await weights(["Fund,Symbol,Weight", "SPY,KO,0.5", "SPY,PEP,0.4%"]), [0.005, 0.004]);
+});
+
+test("buildOverlapReport lists cross-wallet symbols and looks through funds", () => {
+  const plain = buildOverlapReport(dailyReport, null, { maxUnderlyingWeight: 0.42 });
+  assert.equal(plain.lookThrough, false);
+  assert.equal(plain.currency, "USD");
+  assert.deepEqual(plain.overlaps.map((row) => [row.symbol, row.walletCount, row.combinedMarketValue, row.combinedWeight]), [
+    ["AAPL", 3, 400, 0.4]
+  ]);
+  assert.deepEqual(plain.overlaps[0].wallets.map((item) => [item.walletId, item.weight]), [
+    ["us", 0.375],
+    ["ira", 1],
+    ["egx", 0]
+  ]);
+  assert.deepEqual(plain.breaches, []);
+
+  const funds = new Map([["QQQ", [{ symbol: "AAPL", weight: 0.1 }, { symbol: "MSFT", weight: 0.1 }]]]);
+  const report = buildOverlapReport(dailyReport, funds, { maxUnderlyingWeight: 0.42 });
+  assert.deepEqual(report.funds, [{ fund: "QQQ", constituents: 2, coveredWeight: 0.2 }]);
+  assert.deepEqual(report.underlying.map((row) => [row.symbol, row.combinedMarketValue, row.combinedWeight]), [
+    ["AAPL", 450, 0.45],
+    ["QQQ", 400, 0.4],
+    ["COMI", 100, 0.1],
+    ["MSFT", 50, 0.05]
+  ]);
+  const aapl = report.overlaps.find((row) => row.symbol === "AAPL");
+  assert.deepEqual(aapl.wallets[0], {
+    walletId: "us",
+    walletName: "US",
+    currency: "USD",
+    marketValue: 350,
+    direct: 300,
+    viaFunds: [{ fund: "QQQ", marketValue: 50 }],
+    weight: 0.4375
+  });
+  assert.deepEqual(report.breaches, [{ symbol: "AAPL", weight: 0.45, cap: 0.42, excess: 0.03, viaFunds: ["QQQ"] }]);
+
+  const md = overlapToMarkdown(report);
+  assert.match(md, /## Overlap/);
+  assert.match(md, /- Look-through: QQQ 20\.00%/);
+  assert.match(md, /- Underlying cap breached: AAPL 45\.00% incl\. via QQQ \(cap 42\.00%\)/);
+  assert.match(md, /\| AAPL \| 3 \| \$450\.00 \| 45\.00% \| US \(via QQQ\), IRA, EGX \|/);
+
+  const noFx = buildOverlapReport({ ...dailyReport, fx: { rates: [] } }, null, { maxUnderlyingWeight: 0.2 });
+  assert.equal(noFx.currency, null);
+  assert.equal(noFx.overlaps[0].combinedWeight, null);
+  assert.equal(noFx.overlaps[0].wallets[0].weight, 0.375);
+});
+
+test("loadConfig defaults overlap.maxUnderlyingWeight to risk.maxPositionWeight", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "overlap-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  const base = { documents: [{ name: "Local", source: "holdings.csv" }] };
+  await fs.writeFile(configPath, JSON.stringify({ ...base, risk: { maxPositionWeight: 25 }, overlap: { file: "etf.csv" } }));
+  assert.deepEqual((await loadConfig(configPath)).overlap, { file: path.join(tempDir, "etf.csv"), maxUnderlyingWeight: 0.25, weightScale: "auto" });
+
+  await fs.writeFile(configPath, JSON.stringify({ ...base, overlap: { maxUnderlyingWeight: "15%" } }));
+  assert.deepEqual((await loadConfig(configPath)).overlap, { file: null, maxUnderlyingWeight: 0.15, weightScale: "auto" });
+
+  await fs.writeFile(configPath, JSON.stringify({ ...base, overlap: { weightScale: "bps" } }));
+  await assert.rejects(() => loadConfig(configPath), /overlap\.weightScale must be one of auto, percent, fraction/);
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import {
+  attachPerformanceToTrends,
+  buildPerformanceReport,
+  computeDailyReturns,
+  computeScopePerformance,
+  performanceToMarkdown,
+  xirr
+} from "../src/performance.js";
+
+test("computeDailyReturns strips contributions from market value moves", () => {
+  const returns = computeDailyReturns([
+    { date: "2026-01-01", marketValue: 1000, spent: 1000 },
+    { date: "2026-01-02", marketValue: 1600, spent: 1500 }
+  ]);
+  // +600 MV of which 500 is a new contribution: 100 / (1000 + 250)
+  assert.equal(returns[0].cashFlow, 500);
+  assert.equal(Math.round(returns[0].return * 10000) / 10000, 0.08);
+});
+
+test("computeDailyReturns takes sale proceeds out at market value", () => {
+  const aapl = (quantity, spent, marketValue) => ({ symbol: "AAPL", quantity, spent, marketValue });
+  const point = (date, positions) => ({
+    date,
+    marketValue: positions.reduce((sum, pos) => sum + pos.marketValue, 0),
+    spent: positions.reduce((sum, pos) => sum + pos.spent, 0),
+    positions
+  });
+  // Trim half at an unchanged price of 200 (cost 100): no gain or loss that day
+  const trim = computeDailyReturns([point("2026-01-01", [aapl(10, 1000, 2000)]), point("2026-01-02", [aapl(5, 500, 1000)])]);
+  assert.deepEqual(trim.map((item) => [item.cashFlow, item.return]), [[-1000, 0]]);
+
+  // Full exit, priced at the last observed market price
+  const exit = computeScopePerformance(
+    [point("2026-01-01", [aapl(1, 100, 200)]), point("2026-01-02", [aapl(1, 100, 200)]), point("2026-01-03", [])],
+    "2026-01-03"
+  );
+  assert.equal(exit.daily, 0);
+  assert.equal(exit.mtd, 0);
+  assert.equal(exit.sinceInception, 0);
+  assert.equal(exit.netContributions, -200);
+  assert.equal(exit.xirr, 0);
+
+  // Without positions, a fall in spent sells that share of the value
+  const totals = computeScopePerformance(
+    [
+      { date: "2026-01-01", marketValue: 200, spent: 100 },
+      { date: "2026-01-02", marketValue: 200, spent: 100 },
+      { date: "2026-01-03", marketValue: 0, spent: 0 }
+    ],
+    "2026-01-03"
+  );
+  assert.equal(totals.daily, 0);
+  assert.equal(totals.sinceInception, 0);
+});
+
+test("xirr solves simple one-year flows and rejects one-sided flows", () => {
+  const rate = xirr([
+    { date: "2025-01-01", amount: -1000 },
+    { date: "2026-01-01", amount: 1100 }
+  ]);
+  assert.equal(Math.round(rate * 10000) / 10000, 0.1);
+  assert.equal(xirr([{ date: "2025-01-01", amount: -1000 }, { date: "2026-01-01", amount: -10 }]), null);
+});
+
+test("computeScopePerformance anchors MTD and YTD on the last prior observation", () => {
+  const scope = computeScopePerformance(
+    [
+      { date: "2025-12-31", marketValue: 1000, spent: 1000 },
+      { date: "2026-01-31", marketValue: 1100, spent: 1000 },
+      { date: "2026-02-01", marketValue: 1210, spent: 1000 },
+      { date: "2026-02-02", marketValue: 1710, spent: 1500 }
+    ],
+    "2026-02-02"
+  );
+  assert.equal(scope.available, true);
+  assert.equal(scope.daily, 0);
+  assert.equal(scope.mtd, 0.1);
+  assert.equal(scope.ytd, 0.21);
+  assert.equal(scope.sinceInception, 0.21);
+  assert.equal(scope.netContributions, 500);
+  assert.ok(scope.xirr > 0);
+  assert.equal(scope.twrIndex.length, 4);
+  assert.equal(computeScopePerformance([{ date: "2026-01-01", marketValue: 1, spent: 1 }], "2026-01-01").available, false);
+});
+
+test("buildPerformanceReport reads stored reports per wallet and combined", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "performance-"));
+  const analysis = (marketValue, spent) => ({ snapshot: { baseMarketValue: marketValue, baseSpent: spent, totalMarketValue: marketValue + 50 } });
+  const report = (date, mv, spent) => ({
+    date,
+    baseCurrency: "USD",
+    combinedCurrency: "USD",
+    combined: analysis(mv, spent),
+    worksheets: [{ walletId: "us-main", walletName: "US Main", currency: "USD", analysis: analysis(mv, spent) }]
+  });
+  await fs.writeFile(path.join(tempDir, "2026-03-01.json"), JSON.stringify(report("2026-03-01", 1000, 1000)));
+  await fs.writeFile(path.join(tempDir, "2026-03-02.json"), JSON.stringify(report("2026-03-02", 1050, 1000)));
+  await fs.writeFile(path.join(tempDir, "2026-03-03.json"), JSON.stringify(report("2026-03-03", 1050, 1000)));
+
+  const performance = await buildPerformanceReport(tempDir, "2026-03-02");
+  assert.equal(performance.available, true);
+  assert.equal(performance.combined.currency, "USD");
+  assert.equal(performance.combined.dataPoints, 2);
+  assert.equal(performance.combined.daily, 0.05);
+  assert.equal(performance.wallets[0].walletId, "us-main");
+  assert.equal(performance.wallets[0].sinceInception, 0.05);
+
+  const trends = { available: true, portfolio: { dates: ["2026-03-01", "2026-03-02"] }, wallets: [{ walletId: "us-main", portfolio: { dates: ["2026-03-02"] } }] };
+  attachPerformanceToTrends(trends, performance);
+  assert.deepEqual(trends.portfolio.twrIndexHistory, [1, 1.05]);
+  assert.deepEqual(trends.wallets[0].portfolio.twrIndexHistory, [1.05]);
+
+  const md = performanceToMarkdown(performance);
+  assert.match(md, /## Performance \(Contribution-Aware\)/);
+  assert.match(md, /\| US Main \(USD\) \| 5\.00% \|/);
+
+  const empty = await buildPerformanceReport(tempDir, "2026-03-01");
+  assert.equal(empty.available, false);
+});
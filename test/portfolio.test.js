@@ -5,9 +5,10 @@ import path from "node:path";
 import test from "node:test";
 import { aggregatePositions, analyzePortfolio } from "../src/analysis.js";
 import { loadConfig } from "../src/config.js";
-import { parseWorksheet } from "../src/parser.js";
+import { buildDataQualityReport, dataQualityToMarkdown } from "../src/dataQuality.js";
+import { DEFAULT_ADJUSTMENT_KINDS, buildFieldAliases, normalizeColumnMap, parseDate, parseNumber, parseWorksheet } from "../src/parser.js";
 import { toMarkdown } from "../src/reporting.js";
-import { buildWalletMetadata, classifyMarket } from "../src/wallets.js";
+import { buildWalletMetadata, classifyMarket, resolveWallet } from "../src/wallets.js";
 
 test("parseWorksheet skips totals and keeps accounting adjustments", () => {
   const values = [
@@ -33,6 +34,321 @@ test("parseWorksheet skips totals and keeps accounting adjustments", () => {
   assert.equal(ccc.quantity, 1234);
 });
 
+test("parseWorksheet honours explicit column maps and extra aliases", () => {
+  const values = [
+    ["Value Date", "Ticker", "Units", "Avg Cost", "Worth", "Return"],
+    ["2026-01-02", "AAA", "10", "2", "30", "50%"]
+  ];
+  const inferred = parseWorksheet(values, "Broker", "Sheet1");
+  assert.equal(inferred.headerRows[0].mapping, "inferred");
+  assert.equal(inferred.headerRows[0].columns.marketValue.header, "Value Date");
+
+  const columns = normalizeColumnMap({ symbol: "Ticker", quantity: "C", pnlPct: "Return", marketValue: { header: "None" } });
+  assert.deepEqual(columns.fields.quantity, { header: "C", column: "C" });
+  assert.equal(parseWorksheet(values, "Broker", "Sheet1", { columns }).headerRows.length, 0);
+
+  columns.fields.marketValue = { column: "E" };
+  const explicit = parseWorksheet(values, "Broker", "Sheet1", { columns });
+  const header = explicit.headerRows[0];
+  assert.equal(header.rowIndex, 0);
+  assert.equal(header.mapping, "mixed");
+  assert.deepEqual(header.columns.quantity, { column: "C", header: "Units", source: "explicit" });
+  assert.equal(header.columns.avgCost.source, "inferred");
+  assert.equal(header.columns.marketValue.header, "Worth");
+  assert.equal(explicit.positions[0].marketValue, 30);
+  assert.equal(explicit.positions[0].quantity, 10);
+  assert.equal(explicit.positions[0].pnlPct, 0.5);
+
+  const arabic = [
+    ["الرمز", "الكمية", "القيمة السوقية"],
+    ["COMI", "100", "8000"]
+  ];
+  assert.equal(parseWorksheet(arabic, "EGX", "Sheet1").positions.length, 0);
+  const aliases = buildFieldAliases({ symbol: ["الرمز"], quantity: ["الكمية"], marketValue: ["القيمة السوقية"] });
+  const parsed = parseWorksheet(arabic, "EGX", "Sheet1", { aliases });
+  assert.equal(parsed.positions[0].symbol, "COMI");
+  assert.equal(parsed.positions[0].marketValue, 8000);
+
+  assert.throws(() => normalizeColumnMap({ ticker: "A" }), /columns\.ticker is not a known field/);
+
+  // Letter-shaped header text is matched as a header before it is read as a column letter
+  const short = [
+    ["Ticker", "QTY", "MV"],
+    ["AAA", "10", "300"]
+  ];
+  const byHeader = parseWorksheet(short, "Broker", "Sheet1", { columns: normalizeColumnMap({ quantity: "QTY", marketValue: "MV" }) });
+  assert.deepEqual(byHeader.positions.map((item) => [item.symbol, item.quantity, item.marketValue]), [["AAA", 10, 300]]);
+  assert.deepEqual(byHeader.diagnostics, []);
+
+  const beyond = parseWorksheet(short, "Broker", "Sheet1", { columns: normalizeColumnMap({ quantity: "B", marketValue: { column: "F" } }) });
+  assert.equal(beyond.positions.length, 0);
+  assert.deepEqual(
+    beyond.diagnostics.filter((item) => item.severity === "error").map((item) => [item.code, item.field, item.message]),
+    [["column_out_of_range", "marketValue", "columns.marketValue: column F is beyond the last column (C) of the worksheet."]]
+  );
+  assert.ok(beyond.weirdValues.includes("columns.marketValue: column F is beyond the last column (C) of the worksheet."));
+});
+
+test("parseWorksheet reports cell-level diagnostics with sheet coordinates", () => {
+  const values = [
+    ["Ticker", "Qty", "Price", "Market Value", "Spent", "P&L"],
+    ["AAA", "10", "3", "30", "20", "10"],
+    ["BBB", "ten", "5", "50", "40", "10"],
+    ["CCC", "2", "5", "99", "10", "1"],
+    ["DDD", "1", "n/a", "", "12 usd?", ""]
+  ];
+  const parsed = parseWorksheet(values, "Broker", "Sheet1", { origin: { row: 2, column: 1 } });
+  const byCode = Object.fromEntries(parsed.diagnostics.map((item) => [item.code, item]));
+
+  assert.equal(parsed.diagnostics.some((item) => item.symbol === "AAA"), false);
+  assert.deepEqual(
+    { cell: byCode.unparseable_number.cell, raw: byCode.unparseable_number.raw, value: byCode.unparseable_number.value },
+    { cell: "C5", raw: "ten", value: null }
+  );
+  assert.equal(byCode.market_value_mismatch.cell, "E6");
+  assert.equal(byCode.market_value_mismatch.expected, 10);
+  assert.equal(byCode.pnl_mismatch.symbol, "CCC");
+  assert.equal(byCode.partial_number.value, 12);
+  assert.equal(byCode.missing_market_value.severity, "error");
+  assert.equal(byCode.missing_market_value.cell, "E7");
+  assert.equal(parsed.weirdValues.length, 1);
+
+  const report = buildDataQualityReport([
+    ...parsed.diagnostics,
+    ...parseWorksheet([["notes"]], "Broker", "Scratch").diagnostics
+  ]);
+  assert.equal(report.diagnostics[0].code, "missing_market_value");
+  assert.deepEqual(report.counts, { error: 1, warning: 5, info: 0 });
+  assert.equal(report.byWorksheet.length, 2);
+  const md = dataQualityToMarkdown(report);
+  assert.match(md, /## Data Quality/);
+  assert.match(md, /\| error \| missing_market_value \| Broker \/ Sheet1!E7 \|/);
+  assert.match(md, /\| warning \| no_header \| Broker \/ Scratch \|/);
+
+  // A holding whose numbers are all unreadable is reported, not silently dropped
+  const unreadable = parseWorksheet(
+    [
+      ["Ticker", "Qty", "Market Value"],
+      ["AAA", "1", "10"],
+      ["BBB", "ten", "thirty"],
+      ["Equities", "", "-"]
+    ],
+    "Broker",
+    "Sheet1"
+  );
+  assert.deepEqual(unreadable.positions.map((item) => item.symbol), ["AAA"]);
+  assert.deepEqual(
+    unreadable.diagnostics.map((item) => [item.severity, item.code, item.cell]),
+    [
+      ["warning", "unparseable_number", "B3"],
+      ["warning", "unparseable_number", "C3"],
+      ["error", "unparseable_row", "A3"]
+    ]
+  );
+  assert.deepEqual(unreadable.weirdValues, ["Broker/Sheet1: No quantity or value could be read for 'BBB'."]);
+
+  // Named ranges have no known origin: no A1 reference rather than a wrong one
+  const named = parseWorksheet(values, "Broker", "Sheet1", { origin: null });
+  assert.ok(named.diagnostics.length > 0);
+  assert.ok(named.diagnostics.every((item) => item.cell === null));
+});
+
+test("parseNumber reads Arabic-Indic digits, Egyptian currency marks and locale separators", () => {
+  assert.equal(parseNumber("١٢٣"), 123);
+  assert.equal(parseNumber("۱۲۳"), 123);
+  assert.equal(parseNumber("١٢٣٫٤٥"), 123.45);
+  assert.equal(parseNumber("١٬٢٣٤٫٥٠ ج.م"), 1234.5);
+  assert.equal(parseNumber("\u200F١٬٢٣\u200F"), 123);
+  assert.equal(parseNumber("٪١٥"), 0.15);
+  assert.equal(parseNumber("١٢-"), -12);
+  assert.equal(parseNumber("E£ 1,250.75"), 1250.75);
+  assert.equal(parseNumber("L.E. 45.5"), 45.5);
+  assert.equal(parseNumber("45.5 جنيه"), 45.5);
+  assert.equal(parseNumber("EGP 1,000"), 1000);
+  assert.equal(parseNumber("₿0.0215"), 0.0215);
+  assert.equal(parseNumber("US$12"), 12);
+
+  assert.equal(parseNumber("1,234"), 1234);
+  assert.equal(parseNumber("1,23"), 1.23);
+  assert.equal(parseNumber("1,23", false, "en-US"), 123);
+  assert.equal(parseNumber("1.234", false, "de-DE"), 1234);
+  assert.equal(parseNumber("1.234,5 €", false, "de-DE"), 1234.5);
+  assert.equal(parseNumber("1,5", false, "de-DE"), 1.5);
+  assert.equal(parseNumber("1,234.56", false, "ar-EG"), 1234.56);
+});
+
+test("parseWorksheet reads an Arabic-digit EGX export and loadConfig validates locales", async () => {
+  const values = [
+    ["Stock", "Qty", "Avg Cost", "Market Value"],
+    ["COMI", "١٬٥٠٠", "٧٥٫٢٥ ج.م", "١٢٠٬٠٠٠٫٠٠ ج.م"]
+  ];
+  const parsed = parseWorksheet(values, "Thndr EGX", "Sheet1", { locale: "ar-EG" });
+  assert.equal(parsed.positions[0].quantity, 1500);
+  assert.equal(parsed.positions[0].avgCost, 75.25);
+  assert.equal(parsed.positions[0].marketValue, 120000);
+  assert.equal(parsed.diagnostics.length, 0);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "locale-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  const url = "https://docs.google.com/spreadsheets/d/abc123/edit";
+  await fs.writeFile(configPath, JSON.stringify({ documents: [{ url, locale: "ar-EG" }] }), "utf8");
+  assert.equal((await loadConfig(configPath)).documents[0].locale, "ar-EG");
+  await fs.writeFile(configPath, JSON.stringify({ documents: [{ url, locale: "not a locale" }] }), "utf8");
+  await assert.rejects(loadConfig(configPath), /documents\[0\]\.locale must be a supported locale/);
+});
+
+test("parseWorksheet parses cash rows into a cash block and analyzePortfolio weights them", () => {
+  const values = [
+    ["Ticker", "Qty", "Price", "Market Value"],
+    ["AAA", "10", "30", "300"],
+    ["CASH", "5", "20", "100"],
+    ["Cash Balance", "", "", "500"],
+    ["Buying Power", "", "", "500"],
+    ["Pending settlement", "", "", "100"],
+    [],
+    [],
+    ["Wallet float", "٢٠٠"]
+  ];
+  const parsed = parseWorksheet(values, "Broker", "Sheet1", { cashLabels: [{ pattern: /^wallet float$/i, kind: "cash" }] });
+  assert.deepEqual(parsed.positions.map((item) => item.symbol), ["AAA", "CASH"]);
+  assert.deepEqual(
+    parsed.cash.map((item) => [item.kind, item.amount, item.counted, item.cell]),
+    [
+      ["cash", 500, true, "D4"],
+      ["buying_power", 500, false, "D5"],
+      ["pending_settlement", 100, true, "D6"],
+      ["cash", 200, true, "B9"]
+    ]
+  );
+  assert.equal(parsed.diagnostics.length, 0);
+
+  const risk = { maxPositionWeight: 0.5, top3ConcentrationWarn: 0.9, drawdownWarnPct: -0.2, takeProfitWarnPct: 1, minPositionWeight: 0 };
+  const positions = aggregatePositions(parsed.positions);
+  const included = analyzePortfolio({ label: "Broker", positions, weirdValues: [], risk, cash: parsed.cash });
+  assert.equal(included.snapshot.cash.balance, 800);
+  assert.equal(included.snapshot.cash.weight, 0.6667);
+  assert.equal(included.snapshot.totalMarketValue, 1200);
+  assert.equal(included.snapshot.investedMarketValue, 400);
+  assert.equal(included.snapshot.baseMarketValue, 400);
+  assert.equal(included.snapshot.topPositions[0].marketWeight, 0.25);
+  assert.equal(included.risk.top3Concentration, 0.3333);
+
+  const excluded = analyzePortfolio({ label: "Broker", positions, weirdValues: [], risk, cash: parsed.cash, includeCash: false });
+  assert.equal(excluded.snapshot.totalMarketValue, 400);
+  assert.equal(excluded.snapshot.cash.included, false);
+  assert.equal(excluded.risk.overweightPositions[0].symbol, "AAA");
+
+  const md = toMarkdown({
+    date: "2026-02-15",
+    baseCurrency: "USD",
+    failures: [],
+    worksheets: [],
+    combined: included,
+    combinedCurrency: "USD",
+    combinedByCurrency: [{ currency: "USD", analysis: included }],
+    mixedCurrency: false
+  });
+  assert.match(md, /- Cash: \$800\.00 \(66\.67% of value\) \| cash \$700\.00, buying_power \$500\.00, pending_settlement \$100\.00/);
+});
+
+test("adjustment labels outside the symbol column do not turn holdings into adjustments", () => {
+  const parsed = parseWorksheet(
+    [
+      ["Ticker", "Qty", "Spent", "Market Value", "Notes"],
+      ["AAA", "10", "1000", "1200", "Dividend"],
+      ["Dividend", "", "", "50", ""],
+      ["", "", "Fees", "-5", ""]
+    ],
+    "Broker",
+    "Sheet1"
+  );
+  assert.deepEqual(parsed.positions.map((item) => [item.symbol, item.marketValue]), [["AAA", 1200]]);
+  assert.deepEqual(parsed.adjustments.map((item) => [item.kind, item.amount, item.rowIndex]), [
+    ["dividend", 50, 2],
+    ["fee", 5, 3]
+  ]);
+
+  // Without a table the label has to open the row
+  const loose = parseWorksheet([["Paid", "Dividend", "30"], ["Dividend", "20"]], "Broker", "Ledger");
+  assert.deepEqual(loose.adjustments.map((item) => [item.kind, item.amount]), [["dividend", 20]]);
+});
+
+test("adjustment kinds apply their sign conventions and split realised from unrealised P&L", async () => {
+  const values = [
+    ["Ticker", "Qty", "Spent", "Market Value"],
+    ["AAA", "10", "1000", "1200"],
+    ["OLD LOSS", "", "", "300"],
+    ["Dividends", "", "", "50"],
+    ["Commission", "", "", "-10"],
+    ["Realized P&L", "", "", "-40"],
+    ["Deposits", "", "", "5000"],
+    ["Stamp duty", "", "", "5"]
+  ];
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "adjustment-kinds-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ url: "https://docs.google.com/spreadsheets/d/abc123/edit" }],
+      adjustments: { kinds: [{ kind: "tax", labels: ["Stamp duty"] }] }
+    }),
+    "utf8"
+  );
+  const config = await loadConfig(configPath);
+  assert.deepEqual(config.adjustments.kinds[0], {
+    kind: "tax",
+    labels: ["Stamp duty"],
+    spent: 1,
+    marketValue: 0,
+    pnl: -1,
+    absolute: true,
+    realized: true
+  });
+  const registry = [
+    ...config.adjustments.kinds.map(({ labels, ...item }) => ({ ...item, patterns: labels.map((label) => new RegExp(`^${label}$`, "i")) })),
+    ...DEFAULT_ADJUSTMENT_KINDS
+  ];
+
+  const parsed = parseWorksheet(values, "Broker", "Sheet1", { adjustmentKinds: registry });
+  assert.deepEqual(parsed.positions.map((item) => item.symbol), ["AAA"]);
+  assert.deepEqual(
+    parsed.adjustments.map((item) => [item.kind, item.spentDelta, item.pnlDelta]),
+    [
+      ["loss_carry", 300, -300],
+      ["dividend", -50, 50],
+      ["fee", 10, -10],
+      ["realized_gain", 40, -40],
+      ["deposit", 0, 0],
+      ["tax", 5, -5]
+    ]
+  );
+
+  const risk = { maxPositionWeight: 1, top3ConcentrationWarn: 1, drawdownWarnPct: -0.5, takeProfitWarnPct: 1, minPositionWeight: 0 };
+  const analysis = analyzePortfolio({
+    label: "Broker",
+    positions: aggregatePositions(parsed.positions),
+    weirdValues: [],
+    risk,
+    adjustments: parsed.adjustments
+  });
+  assert.equal(analysis.snapshot.unrealizedPnl, 200);
+  assert.equal(analysis.snapshot.realizedPnl, -305);
+  assert.equal(analysis.snapshot.totalPnl, -105);
+  assert.equal(analysis.snapshot.totalSpent, 1305);
+  const deposit = analysis.snapshot.adjustments.byKind.find((item) => item.kind === "deposit");
+  assert.deepEqual(deposit, { kind: "deposit", count: 1, amount: 5000, spentDelta: 0, marketValueDelta: 0, pnlDelta: 0, realized: false });
+
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ url: "https://docs.google.com/spreadsheets/d/abc123/edit" }],
+      adjustments: { kinds: [{ kind: "rebate", labels: ["Rebate"], pnl: 2 }] }
+    }),
+    "utf8"
+  );
+  await assert.rejects(loadConfig(configPath), /adjustments\.kinds\[0\]\.pnl must be -1, 0 or 1/);
+});
+
 test("aggregatePositions consolidates repeated symbols", () => {
   const aggregated = aggregatePositions([
     { symbol: "AAA", quantity: 1, spent: 10, marketValue: 12, pnl: 2, pnlPct: 0.2 },
@@ -69,6 +385,51 @@ test("analyzePortfolio remains factual-only", () => {
   assert.equal(report.positionCount, 1);
 });
 
+test("analyzePortfolio flags big winners and underweight positions from risk config", () => {
+  const report = analyzePortfolio({
+    label: "Wallet A",
+    positions: [
+      { symbol: "AAA", quantity: 1, spent: 500, marketValue: 700, pnl: 200, pnlPct: 0.4 },
+      { symbol: "BBB", quantity: 1, spent: 300, marketValue: 285, pnl: -15, pnlPct: -0.05 },
+      { symbol: "CCC", quantity: 1, spent: 10, marketValue: 15, pnl: 5, pnlPct: 0.5 }
+    ],
+    weirdValues: [],
+    risk: {
+      maxPositionWeight: 0.8,
+      top3ConcentrationWarn: 1,
+      drawdownWarnPct: -0.15,
+      takeProfitWarnPct: 0.25,
+      minPositionWeight: 0.02
+    }
+  });
+
+  assert.deepEqual(
+    report.risk.bigWinners.map((item) => item.symbol),
+    ["CCC", "AAA"]
+  );
+  assert.equal(report.risk.bigWinners[1].marketWeight, 0.7);
+  assert.equal(report.risk.bigWinners[1].pnl, 200);
+  assert.equal(report.risk.underweightPositions.length, 1);
+  assert.equal(report.risk.underweightPositions[0].symbol, "CCC");
+  assert.equal(report.risk.underweightPositions[0].marketWeight, 0.015);
+  assert.equal(report.risk.underweightPositions[0].pnlPct, 0.5);
+
+  const markdown = toMarkdown({
+    date: "2026-02-14",
+    baseCurrency: "USD",
+    failures: [],
+    mixedCurrency: false,
+    combined: report,
+    combinedCurrency: "USD",
+    combinedByCurrency: [{ currency: "USD", analysis: report }],
+    markets: [],
+    worksheets: []
+  });
+  assert.match(markdown, /Big winners above take-profit threshold: 2/);
+  assert.match(markdown, /- AAA: 40\.00% \(\$200\.00\) \| weight 70\.00%/);
+  assert.match(markdown, /Positions below min weight: 1/);
+});
+
 test("toMarkdown renders wallet metadata and factual sections", () => {
   const analysis = analyzePortfolio({
     label: "Thndr US / Sheet1",
@@ -171,3 +532,172 @@ test("wallet helpers keep US equities and US crypto as separate wallet types", (
   assert.equal(cryptoWallet.walletType, "us_crypto");
   assert.notEqual(equitiesWallet.walletId, cryptoWallet.walletId);
 });
+
+test("resolveWallet applies the first matching rule and falls back to the default keyword rules", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "wallet-rules-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ name: "Thndr US", url: "https://docs.google.com/spreadsheets/d/abc123/edit" }],
+      wallets: [
+        { name: "solar-tab", match: { document: "thndr us", worksheet: "Solar" }, market: "US Equities", walletName: "US Solar" },
+        { match: { worksheet: "Gold*" }, market: "Gold", currency: "egp" },
+        { match: { spreadsheetId: "/^abc/" }, walletType: "us_equities_main" },
+        { match: { walletId: "thndr-us__scratch" }, exclude: true }
+      ]
+    }),
+    "utf8"
+  );
+  const config = await loadConfig(configPath);
+
+  assert.equal(classifyMarket("Thndr US", "Solar"), "Crypto");
+  const solar = resolveWallet(config.wallets, { documentName: "Thndr US", worksheetTitle: "Solar" });
+  assert.equal(solar.market, "US Equities");
+  assert.equal(solar.walletName, "US Solar");
+  assert.equal(solar.walletType, "us_equities");
+  assert.equal(solar.rule, "solar-tab");
+
+  const gold = resolveWallet(config.wallets, { documentName: "Broker", worksheetTitle: "Gold Bars" });
+  assert.equal(gold.market, "Gold");
+  assert.equal(gold.walletType, "gold");
+  assert.equal(gold.currency, "EGP");
+
+  const main = resolveWallet(config.wallets, { documentName: "Thndr US", worksheetTitle: "Sheet1", spreadsheetId: "abc123" });
+  assert.equal(main.market, "US Equities");
+  assert.equal(main.walletType, "us_equities_main");
+  assert.equal(main.rule, "wallets.rules[2]");
+  assert.equal(main.defaultRule, "default:us");
+
+  assert.equal(resolveWallet(config.wallets, { documentName: "Thndr US", worksheetTitle: "Scratch" }).excluded, true);
+  assert.equal(resolveWallet(config.wallets, { documentName: "Other", worksheetTitle: "Tab" }).rule, "fallback:other");
+  assert.equal(
+    resolveWallet({ useDefaults: false, rules: [] }, { documentName: "Thndr US", worksheetTitle: "Crypto" }).market,
+    "Other"
+  );
+
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ name: "Thndr US", url: "https://docs.google.com/spreadsheets/d/abc123/edit" }],
+      wallets: { rules: [{ market: "Crypto" }] }
+    }),
+    "utf8"
+  );
+  await assert.rejects(loadConfig(configPath), /wallets\.rules\[0\]\.match needs at least one of/);
+});
+
+test("toMarkdown renders converted combined view and FX rates for mixed currencies", () => {
+  const risk = {
+    maxPositionWeight: 0.2,
+    top3ConcentrationWarn: 0.55,
+    drawdownWarnPct: -0.15,
+    takeProfitWarnPct: 0.25,
+    minPositionWeight: 0.02
+  };
+  const usd = analyzePortfolio({
+    label: "Combined (USD)",
+    positions: [{ symbol: "AAA", quantity: 1, spent: 100, marketValue: 120, pnl: 20, pnlPct: 0.2 }],
+    weirdValues: [],
+    risk
+  });
+  const egp = analyzePortfolio({
+    label: "Combined (EGP)",
+    positions: [{ symbol: "COMI", quantity: 10, spent: 1000, marketValue: 1500, pnl: 500, pnlPct: 0.5 }],
+    weirdValues: [],
+    risk
+  });
+  const combined = analyzePortfolio({
+    label: "Combined (USD)",
+    positions: [
+      { symbol: "AAA", quantity: 1, spent: 100, marketValue: 120, pnl: 20, pnlPct: 0.2 },
+      { symbol: "COMI", quantity: 10, spent: 20, marketValue: 30, pnl: 10, pnlPct: 0.5 }
+    ],
+    weirdValues: [],
+    risk
+  });
+
+  const markdown = toMarkdown({
+    date: "2026-02-15",
+    baseCurrency: "USD",
+    failures: [],
+    mixedCurrency: true,
+    combined,
+    combinedCurrency: "USD",
+    combinedByCurrency: [
+      { currency: "USD", analysis: usd },
+      { currency: "EGP", analysis: egp }
+    ],
+    markets: [],
+    worksheets: [],
+    fx: {
+      baseCurrency: "USD",
+      date: "2026-02-15",
+      rates: [
+        { currency: "EGP", rate: 0.02, asOf: "2026-02-14", source: "history" },
+        { currency: "USD", rate: 1, asOf: "2026-02-15", source: "base" }
+      ],
+      missing: [],
+      complete: true,
+      applied: true
+    }
+  });
+
+  assert.match(markdown, /converted to USD/);
+  assert.match(markdown, /Total market value: \$150\.00/);
+  assert.match(markdown, /1 EGP = 0\.02 USD \(history as of 2026-02-14\)/);
+  assert.match(markdown, /## Combined By Currency/);
+});
+
+test("parseWorksheet keeps each row's acquisition date for lot tracking", () => {
+  const parsed = parseWorksheet(
+    [
+      ["Ticker", "Qty", "Spent", "Market Value", "Purchase Date"],
+      ["AAPL", "10", "1000", "1500", "2024-06-01"],
+      ["AAPL", "5", "600", "750", "soon"],
+      ["MSFT", "2", "500", "600", ""]
+    ],
+    "Broker",
+    "Lots"
+  );
+  assert.deepEqual(parsed.positions.map((item) => item.acquiredDate), ["2024-06-01", null, null]);
+  const [diagnostic] = parsed.diagnostics.filter((item) => item.code === "unparseable_date");
+  assert.equal(diagnostic.cell, "E3");
+  assert.equal(diagnostic.raw, "soon");
+});
+
+test("parseDate reads day/month order from the document locale", () => {
+  assert.equal(parseDate("03/04/2026", "ar-EG"), "2026-04-03");
+  assert.equal(parseDate("03/04/2026", "en-US"), "2026-03-04");
+  assert.equal(parseDate("٠٣/٠٤/٢٠٢٦", "ar-EG"), "2026-04-03");
+  assert.equal(parseDate("03.04.26", "de-DE"), "2026-04-03");
+  assert.equal(parseDate("2026/04/03", "en-US"), "2026-04-03");
+  assert.equal(parseDate("14 Feb 2026", "ar-EG"), "2026-02-14");
+  // Without a locale only unambiguous dates are read
+  assert.equal(parseDate("03/04/2026"), null);
+  assert.equal(parseDate("25/04/2026"), "2026-04-25");
+  assert.equal(parseDate("04/25/2026"), "2026-04-25");
+  assert.equal(parseDate("2026-02-30"), null);
+  assert.equal(parseDate("31/04/2026", "ar-EG"), null);
+
+  const parsed = parseWorksheet(
+    [
+      ["Ticker", "Qty", "Spent", "Market Value", "Purchase Date"],
+      ["COMI", "10", "1000", "1500", "03/04/2026"]
+    ],
+    "Broker",
+    "Lots",
+    { locale: "ar-EG" }
+  );
+  assert.equal(parsed.positions[0].acquiredDate, "2026-04-03");
+  const unlocalized = parseWorksheet(
+    [
+      ["Ticker", "Qty", "Spent", "Market Value", "Purchase Date"],
+      ["COMI", "10", "1000", "1500", "03/04/2026"]
+    ],
+    "Broker",
+    "Lots"
+  );
+  assert.equal(unlocalized.positions[0].acquiredDate, null);
+  assert.match(unlocalized.diagnostics.find((item) => item.code === "unparseable_date").message, /set the document locale/);
+});
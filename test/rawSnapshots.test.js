@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { loadConfig } from "../src/config.js";
+import {
+  listRawSnapshotDates,
+  loadRawSnapshot,
+  rawSnapshotDir,
+  writeRawSnapshot
+} from "../src/rawSnapshots.js";
+
+test("raw snapshots round-trip worksheet values per document and date", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "raw-snapshots-"));
+  const doc = { name: "Thndr US", url: "https://docs.google.com/spreadsheets/d/abc/edit", source: null };
+  const documentData = {
+    spreadsheetId: "abc",
+    documentTitle: "My Thndr US",
+    worksheets: [{ title: "Sheet1", values: [["Ticker", "Market Value"], ["AAA", "1,000"]] }]
+  };
+
+  const filePath = await writeRawSnapshot(tempDir, "2026-02-14", doc, documentData);
+  assert.match(path.basename(filePath), /^thndr-us-[0-9a-f]{8}\.json$/);
+  assert.equal(path.dirname(filePath), rawSnapshotDir(tempDir, "2026-02-14"));
+
+  const loaded = await loadRawSnapshot(tempDir, "2026-02-14", doc);
+  assert.equal(loaded.documentTitle, "My Thndr US");
+  assert.equal(loaded.spreadsheetId, "abc");
+  assert.deepEqual(loaded.worksheets, documentData.worksheets);
+  assert.deepEqual(await listRawSnapshotDates(tempDir), ["2026-02-14"]);
+});
+
+test("loadRawSnapshot rejects when the date was never cached", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "raw-missing-"));
+  await assert.rejects(loadRawSnapshot(tempDir, "2026-02-14", { name: "Thndr US" }), /No raw snapshot/);
+  assert.deepEqual(await listRawSnapshotDates(tempDir), []);
+});
+
+test("raw snapshots keep documents whose names slug alike apart", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "raw-collide-"));
+  const values = (symbol) => ({ documentTitle: symbol, worksheets: [{ title: "Sheet1", values: [["Ticker"], [symbol]] }] });
+  const first = await writeRawSnapshot(tempDir, "2026-02-14", { name: "Thndr US" }, values("AAA"));
+  const second = await writeRawSnapshot(tempDir, "2026-02-14", { name: "Thndr-US" }, values("BBB"));
+  assert.notEqual(first, second);
+  assert.equal((await loadRawSnapshot(tempDir, "2026-02-14", { name: "Thndr US" })).documentTitle, "AAA");
+  assert.equal((await loadRawSnapshot(tempDir, "2026-02-14", { name: "Thndr-US" })).documentTitle, "BBB");
+
+  const configPath = path.join(tempDir, "inputs.json");
+  const doc = { name: "Thndr US", source: "us.csv" };
+  await fs.writeFile(configPath, JSON.stringify({ documents: [doc, { ...doc, source: "us2.csv" }] }));
+  await assert.rejects(loadConfig(configPath), /documents\[1\]\.name "Thndr US" is already used by documents\[0\]/);
+});
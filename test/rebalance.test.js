@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { buildRebalanceReport, computeDrift, rebalanceToMarkdown } from "../src/rebalance.js";
+import { createSymbolResolver } from "../src/symbols.js";
+
+function makeAnalysis(positions) {
+  const totalMarketValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+  return { positions, positionCount: positions.length, snapshot: { totalMarketValue } };
+}
+
+test("computeDrift reports band breaches with notional to band and to target", () => {
+  const holdings = new Map([
+    ["AAA", 700],
+    ["BBB", 250],
+    ["CCC", 50]
+  ]);
+  const drift = computeDrift(holdings, { AAA: 0.5, BBB: 0.25 }, 1000, 0.05);
+
+  const aaa = drift.rows.find((row) => row.key === "AAA");
+  assert.equal(aaa.drift, 0.2);
+  assert.equal(aaa.withinBand, false);
+  assert.equal(aaa.direction, "sell");
+  assert.equal(aaa.notionalToBand, -150);
+  assert.equal(aaa.notionalToTarget, -200);
+
+  const bbb = drift.rows.find((row) => row.key === "BBB");
+  assert.equal(bbb.withinBand, true);
+  assert.equal(bbb.notionalToBand, 0);
+
+  assert.deepEqual(drift.untargeted.map((item) => item.key), ["CCC"]);
+  assert.equal(drift.rebalanceNeeded, true);
+});
+
+test("buildRebalanceReport converts wallets to the combined currency for wallet and market drift", () => {
+  const usWallet = makeAnalysis([{ symbol: "AAPL", marketValue: 600 }]);
+  const egxWallet = makeAnalysis([{ symbol: "COMI", marketValue: 20000 }]);
+  const combined = makeAnalysis([
+    { symbol: "AAPL", marketValue: 600 },
+    { symbol: "COMI", marketValue: 400 }
+  ]);
+  const dailyReport = {
+    baseCurrency: "USD",
+    combined,
+    combinedCurrency: "USD",
+    fx: { rates: [{ currency: "EGP", rate: 0.02 }, { currency: "USD", rate: 1 }] },
+    worksheets: [
+      { walletId: "thndr-us__sheet1", walletName: "Thndr US / Sheet1", market: "US Equities", currency: "USD", analysis: usWallet },
+      { walletId: "thndr-egx__sheet1", walletName: "Thndr Egx / Sheet1", market: "EGX Equities", currency: "EGP", analysis: egxWallet }
+    ]
+  };
+
+  const report = buildRebalanceReport(dailyReport, {
+    tolerance: 0.05,
+    wallets: { "Thndr US / Sheet1": 0.5, "thndr-egx__sheet1": 0.5 },
+    markets: { "US Equities": 0.6, "EGX Equities": 0.4 },
+    symbols: {},
+    walletSymbols: { "thndr-egx__sheet1": { COMI: 1 } }
+  });
+
+  assert.equal(report.available, true);
+  const usRow = report.combined.wallets.rows.find((row) => row.key === "thndr-us__sheet1");
+  assert.equal(usRow.currentWeight, 0.6);
+  assert.equal(usRow.notionalToBand, -50);
+  assert.equal(report.combined.markets.rebalanceNeeded, false);
+  assert.equal(report.combined.symbols, null);
+  assert.equal(report.wallets.length, 1);
+  assert.equal(report.wallets[0].rebalanceNeeded, false);
+  assert.equal(report.rebalanceNeeded, true);
+
+  const md = rebalanceToMarkdown(report);
+  assert.match(md, /## Rebalance Drift/);
+  assert.match(md, /Rebalance needed: yes/);
+  assert.match(md, /Combined Markets \(USD\)/);
+});
+
+test("buildRebalanceReport is unavailable without targets", () => {
+  const report = buildRebalanceReport({ worksheets: [] }, { tolerance: 0.05, wallets: {}, markets: {}, symbols: {}, walletSymbols: {} });
+  assert.equal(report.available, false);
+  assert.equal(rebalanceToMarkdown(report), "");
+});
+
+test("buildRebalanceReport matches symbol targets through aliases", () => {
+  const analysis = makeAnalysis([
+    { symbol: "BTC", marketValue: 300 },
+    { symbol: "COMI", marketValue: 700 }
+  ]);
+  const dailyReport = {
+    baseCurrency: "USD",
+    combined: analysis,
+    combinedCurrency: "USD",
+    worksheets: [{ walletId: "crypto__sheet1", walletName: "Crypto / Sheet1", market: "Crypto", currency: "USD", analysis }]
+  };
+  const targets = {
+    tolerance: 0.05,
+    wallets: {},
+    markets: {},
+    symbols: { "BTC-USD": 0.2, XBT: 0.1, "COMI.CA": 0.7 },
+    walletSymbols: { crypto__sheet1: { "BINANCE:BTCUSDT": 0.3 } }
+  };
+  const resolveSymbol = createSymbolResolver({ aliases: { BTC: ["XBT"] } });
+
+  const raw = buildRebalanceReport(dailyReport, targets);
+  assert.equal(raw.combined.symbols.rows.find((row) => row.key === "BTC-USD").marketValue, 0);
+
+  const report = buildRebalanceReport(dailyReport, targets, { resolveSymbol });
+  assert.deepEqual(
+    report.combined.symbols.rows.map((row) => [row.key, row.targetWeight, row.withinBand]),
+    [
+      ["BTC", 0.3, true],
+      ["COMI", 0.7, true]
+    ]
+  );
+  assert.deepEqual(report.combined.symbols.untargeted, []);
+  assert.equal(report.wallets[0].symbols.rows[0].key, "BTC");
+  assert.equal(report.wallets[0].symbols.rows[0].currentWeight, 0.3);
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { computeHealthScore } from "../src/healthScore.js";
+import { buildRiskHistory, computeDrawdown, computeRiskMetrics, historicalVar, riskHistoryToMarkdown } from "../src/riskHistory.js";
+import { createSymbolResolver } from "../src/symbols.js";
+
+test("computeDrawdown finds peak, trough and recovery dates", () => {
+  const drawdown = computeDrawdown([
+    { date: "2026-01-01", value: 100 },
+    { date: "2026-01-02", value: 120 },
+    { date: "2026-01-03", value: 90 },
+    { date: "2026-01-04", value: 96 },
+    { date: "2026-01-05", value: 125 }
+  ]);
+  assert.equal(drawdown.maxDrawdown, -0.25);
+  assert.equal(drawdown.peakDate, "2026-01-02");
+  assert.equal(drawdown.troughDate, "2026-01-03");
+  assert.equal(drawdown.recoveryDate, "2026-01-05");
+  assert.equal(drawdown.currentDrawdown, 0);
+});
+
+test("historicalVar takes the empirical 5% tail as a positive loss", () => {
+  const returns = [-0.05, -0.03, ...Array.from({ length: 38 }, () => 0.01)];
+  const { var: var95, cvar } = historicalVar(returns);
+  assert.equal(var95, 0.03);
+  assert.equal(Math.round(cvar * 10000) / 10000, 0.04);
+});
+
+test("computeRiskMetrics ignores contributions and reports ratios", () => {
+  const series = [
+    { date: "2026-01-01", marketValue: 1000, spent: 1000 },
+    { date: "2026-01-02", marketValue: 1100, spent: 1000 },
+    { date: "2026-01-03", marketValue: 1545, spent: 1500 },
+    { date: "2026-01-04", marketValue: 1400, spent: 1500 },
+    { date: "2026-01-05", marketValue: 1500, spent: 1500 }
+  ];
+  const metrics = computeRiskMetrics(series, { riskFreeRate: 0.05, rollingWindow: 3 });
+  assert.equal(metrics.available, true);
+  assert.equal(metrics.observations, 4);
+  assert.ok(metrics.volatilityAnnualized > 0);
+  assert.ok(Number.isFinite(metrics.sharpe));
+  assert.ok(Number.isFinite(metrics.sortino));
+  assert.equal(metrics.troughDate, "2026-01-04");
+  assert.equal(metrics.rollingMaxDrawdown.series.length, 3);
+  assert.ok(metrics.var95 > 0);
+  assert.equal(computeRiskMetrics(series.slice(0, 2)).available, false);
+});
+
+test("computeRiskMetrics does not count a sale at a gain as a loss day", () => {
+  const point = (date, quantity, price) => ({
+    date,
+    marketValue: quantity * price,
+    spent: quantity * 50,
+    positions: [{ symbol: "AAA", quantity, spent: quantity * 50, marketValue: quantity * price }]
+  });
+  const metrics = computeRiskMetrics([
+    point("2026-01-01", 10, 100),
+    point("2026-01-02", 10, 101),
+    point("2026-01-03", 2, 101),
+    point("2026-01-04", 2, 102.01)
+  ]);
+  assert.equal(metrics.observations, 3);
+  assert.equal(metrics.maxDrawdown, 0);
+  assert.equal(metrics.var95, 0);
+});
+
+test("buildRiskHistory covers combined, wallet and position levels and feeds the health score", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "risk-history-"));
+  const values = [1000, 900, 800, 700, 650, 600, 620];
+  for (const [i, mv] of values.entries()) {
+    const date = `2026-04-0${i + 1}`;
+    const analysis = {
+      snapshot: { baseMarketValue: mv, baseSpent: 1000 },
+      positions: [{ symbol: "AAA", marketValue: mv, spent: 1000 }]
+    };
+    await fs.writeFile(
+      path.join(tempDir, `${date}.json`),
+      JSON.stringify({
+        date,
+        combinedCurrency: "USD",
+        combined: analysis,
+        worksheets: [{ walletId: "w1", walletName: "Wallet 1", currency: "USD", analysis }]
+      })
+    );
+  }
+
+  const riskHistory = await buildRiskHistory(tempDir, "2026-04-07", { riskFreeRate: 0, rollingDrawdownWindow: 5 });
+  assert.equal(riskHistory.available, true);
+  assert.equal(riskHistory.combined.observations, 6);
+  assert.equal(riskHistory.combined.maxDrawdown, -0.4);
+  assert.equal(riskHistory.combined.troughDate, "2026-04-06");
+  assert.equal(riskHistory.wallets[0].walletId, "w1");
+  assert.equal(riskHistory.positions[0].symbol, "AAA");
+  assert.equal(riskHistory.positions[0].rollingMaxDrawdown.series, undefined);
+  assert.match(riskHistoryToMarkdown(riskHistory), /## Historical Risk/);
+
+  const dailyReport = {
+    combined: {
+      positionCount: 1,
+      snapshot: { totalMarketValue: 620, totalPnlPct: -0.38 },
+      positions: [{ symbol: "AAA", marketValue: 620 }],
+      risk: {}
+    }
+  };
+  const without = computeHealthScore(dailyReport);
+  const withHistory = computeHealthScore({ ...dailyReport, riskHistory });
+  assert.ok(withHistory.dimensions.riskExposure < without.dimensions.riskExposure);
+
+  const short = await buildRiskHistory(tempDir, "2026-04-02");
+  assert.equal(short.available, false);
+});
+
+test("buildRiskHistory keeps one position series across an alias rename", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "risk-aliases-"));
+  const days = [
+    ["2026-04-01", "BTC-USD", 1000],
+    ["2026-04-02", "BTC-USD", 1100],
+    ["2026-04-03", "BTC", 1050],
+    ["2026-04-04", "BTC", 1150]
+  ];
+  for (const [date, symbol, mv] of days) {
+    const analysis = {
+      snapshot: { baseMarketValue: mv, baseSpent: 1000 },
+      positions: [{ symbol, quantity: 1, marketValue: mv, spent: 1000 }]
+    };
+    await fs.writeFile(path.join(tempDir, `${date}.json`), JSON.stringify({ date, combinedCurrency: "USD", combined: analysis, worksheets: [] }));
+  }
+
+  const raw = await buildRiskHistory(tempDir, "2026-04-04");
+  assert.equal(raw.positions.length, 0);
+
+  const resolveSymbol = createSymbolResolver({ aliases: { BTC: ["Bitcoin"] } });
+  const riskHistory = await buildRiskHistory(tempDir, "2026-04-04", {}, { resolveSymbol });
+  assert.equal(riskHistory.positions.length, 1);
+  assert.equal(riskHistory.positions[0].symbol, "BTC");
+  assert.equal(riskHistory.positions[0].observations, 3);
+});
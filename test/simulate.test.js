@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { aggregatePositions, analyzePortfolio } from "../src/analysis.js";
+import {
+  loadHypotheticalTrades,
+  normalizeHypotheticalTrades,
+  simulateTrades,
+  simulationToMarkdown,
+  writeSimulation
+} from "../src/simulate.js";
+
+const risk = {
+  maxPositionWeight: 0.4,
+  top3ConcentrationWarn: 0.9,
+  drawdownWarnPct: -0.15,
+  takeProfitWarnPct: 0.25,
+  minPositionWeight: 0.02
+};
+
+function position(symbol, quantity, spent, marketValue) {
+  return { symbol, quantity, spent, marketValue, pnl: marketValue - spent, pnlPct: (marketValue - spent) / spent };
+}
+
+function buildReport() {
+  const wallets = [
+    { walletId: "us", walletName: "US", market: "US Equities", currency: "USD", positions: [position("AAPL", 10, 1500, 2000), position("MSFT", 5, 1500, 2000)] },
+    { walletId: "crypto", walletName: "Crypto", market: "Crypto", currency: "USD", positions: [position("BTC", 0.1, 5000, 6000)] }
+  ];
+  const worksheets = wallets.map(({ positions, ...ws }) => ({
+    ...ws,
+    analysis: analyzePortfolio({ label: ws.walletName, positions, weirdValues: [], risk })
+  }));
+  const combined = analyzePortfolio({
+    label: "Combined (USD)",
+    positions: aggregatePositions(wallets.flatMap((ws) => ws.positions)),
+    weirdValues: [],
+    risk
+  });
+  return { date: "2026-06-01", baseCurrency: "USD", combinedCurrency: "USD", configUsed: { risk }, worksheets, combined, fx: { rates: [] } };
+}
+
+test("normalizeHypotheticalTrades reads sides, signed quantities and notional", async () => {
+  assert.deepEqual(
+    normalizeHypotheticalTrades([
+      { symbol: "AAPL", side: "BUY", quantity: 5, price: 210 },
+      { symbol: "MSFT", quantity: -2 },
+      { symbol: "BTC", side: "TRIM", notional: "1,000" },
+      { symbol: "ETH", side: "sell", wallet: "crypto" }
+    ]).map((trade) => [trade.symbol, trade.side, trade.quantity, trade.notional, trade.price, trade.wallet]),
+    [
+      ["AAPL", "buy", 5, null, 210, null],
+      ["MSFT", "sell", 2, null, null, null],
+      ["BTC", "sell", null, 1000, null, null],
+      ["ETH", "exit", null, null, null, "crypto"]
+    ]
+  );
+  assert.throws(() => normalizeHypotheticalTrades([{ symbol: "AAPL", side: "HOLD", quantity: 1 }]), /trades\[0\]\.side must be one of/);
+  assert.throws(() => normalizeHypotheticalTrades([{ symbol: "AAPL", side: "BUY" }]), /trades\[0\] needs a quantity or notional/);
+  assert.throws(() => normalizeHypotheticalTrades([{ symbol: "AAPL", quantity: 1, notional: 100 }]), /not both/);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "simulate-"));
+  const csvPath = path.join(tempDir, "trades.csv");
+  await fs.writeFile(csvPath, "Symbol,Wallet,Action,Qty,Price\nNVDA,us,BUY,4,125\n,,,,\n");
+  assert.deepEqual(await loadHypotheticalTrades(csvPath), [
+    { symbol: "NVDA", wallet: "us", side: "buy", quantity: 4, notional: null, price: 125 }
+  ]);
+});
+
+test("simulateTrades compares weights, breaches, drift and health before and after", async () => {
+  const report = buildReport();
+  const trades = normalizeHypotheticalTrades([
+    { symbol: "BTC", side: "TRIM", quantity: 0.05, price: 62000 },
+    { symbol: "NVDA", wallet: "us", side: "BUY", notional: 1000, price: 125 },
+    { symbol: "msft", side: "EXIT" }
+  ]);
+  const sim = simulateTrades(report, trades, {
+    risk,
+    targets: { tolerance: 0.05, markets: { "US Equities": 0.5, Crypto: 0.5 } }
+  });
+
+  assert.deepEqual(
+    sim.trades.map((trade) => [trade.walletId, trade.side, trade.symbol, trade.quantity, trade.notional, trade.newPosition]),
+    [
+      ["crypto", "sell", "BTC", 0.05, 3100, false],
+      ["us", "buy", "NVDA", 8, 1000, true],
+      ["us", "exit", "MSFT", 5, 2000, false]
+    ]
+  );
+  assert.deepEqual(sim.realizedPnl, [
+    { walletId: "crypto", symbol: "BTC", currency: "USD", realizedPnl: 600 },
+    { walletId: "us", symbol: "MSFT", currency: "USD", realizedPnl: 500 }
+  ]);
+
+  const combined = sim.totals.find((item) => item.scope === "combined");
+  assert.equal(combined.before.totalMarketValue, 10000);
+  assert.equal(combined.after.totalMarketValue, 6000);
+  assert.deepEqual(
+    sim.weights.filter((row) => row.scope === "combined").map((row) => [row.symbol, row.before, row.after]),
+    [
+      ["MSFT", 0.2, 0],
+      ["NVDA", 0, 0.1667],
+      ["AAPL", 0.2, 0.3333],
+      ["BTC", 0.6, 0.5]
+    ]
+  );
+  assert.deepEqual(sim.breaches.added, []);
+  assert.deepEqual(
+    sim.breaches.cleared.map((item) => [item.scope, item.symbol]),
+    [["us", "MSFT"]]
+  );
+  assert.deepEqual(
+    sim.breaches.remaining.filter((item) => item.type === "overweight").map((item) => [item.scope, item.symbol, item.weight]),
+    [
+      ["combined", "BTC", 0.5],
+      ["crypto", "BTC", 1],
+      ["us", "AAPL", 0.6667]
+    ]
+  );
+  assert.deepEqual(
+    sim.drift.map((row) => [row.key, row.driftBefore, row.driftAfter, row.withinBandAfter]),
+    [
+      ["US Equities", -0.1, 0, true],
+      ["Crypto", 0.1, 0, true]
+    ]
+  );
+  assert.ok(Number.isInteger(sim.health.before.score));
+  assert.deepEqual(Object.keys(sim.health.after), ["score", "label", "diversification", "riskExposure", "performance", "dataQuality"]);
+
+  const md = simulationToMarkdown(sim);
+  assert.match(md, /# What-If Simulation - 2026-06-01/);
+  assert.match(md, /\| US \| buy \(new\) \| NVDA \| 8 \| USD 125\.00 \| USD 1,000\.00 \| - \|/);
+  assert.match(md, /- Cleared: us MSFT overweight 50\.00%/);
+  assert.match(md, /\| combined \| markets \| Crypto \| 50\.00% \| \+10\.00% \| 0\.00% \| no -> yes \|/);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "simulate-out-"));
+  const { jsonPath } = await writeSimulation(sim, tempDir);
+  assert.equal(path.basename(jsonPath), "2026-06-01.simulation.json");
+
+  assert.throws(() => simulateTrades(report, normalizeHypotheticalTrades([{ symbol: "TSLA", quantity: 1, price: 200 }])), /trades\[0\]\.wallet is required: TSLA is not held in any wallet/);
+  assert.throws(() => simulateTrades(report, normalizeHypotheticalTrades([{ symbol: "AAPL", side: "SELL", quantity: 11 }])), /sells 11 AAPL but us holds 10/);
+  assert.throws(() => simulateTrades(report, normalizeHypotheticalTrades([{ symbol: "TSLA", wallet: "us", side: "EXIT", price: 200 }])), /trades\[0\] exits TSLA but us holds 0/);
+  assert.throws(() => simulateTrades(report, normalizeHypotheticalTrades([{ symbol: "TSLA", wallet: "us", side: "SELL", quantity: 1 }])), /trades\[0\] sells TSLA but us holds 0/);
+  assert.throws(() => simulateTrades(report, normalizeHypotheticalTrades([{ symbol: "TSLA", wallet: "us", quantity: 1 }])), /needs a price: TSLA is not held in us/);
+});
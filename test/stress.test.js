@@ -0,0 +1,173 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { aggregatePositions, analyzePortfolio } from "../src/analysis.js";
+import { loadConfig } from "../src/config.js";
+import { buildStressReport, shockFactor, stressToMarkdown } from "../src/stress.js";
+
+const risk = {
+  maxPositionWeight: 0.5,
+  top3ConcentrationWarn: 1,
+  drawdownWarnPct: -0.15,
+  takeProfitWarnPct: 0.25,
+  minPositionWeight: 0
+};
+
+function position(symbol, spent, marketValue) {
+  return { symbol, quantity: 1, spent, marketValue, pnl: marketValue - spent, pnlPct: (marketValue - spent) / spent };
+}
+
+function buildReport() {
+  const wallets = [
+    { walletId: "us", walletName: "US", market: "US Equities", walletType: "stocks", currency: "USD", positions: [position("AAPL", 1000, 1000), position("BTC", 1000, 1000)] },
+    { walletId: "egx", walletName: "EGX", market: "EGX", walletType: "stocks", currency: "EGP", positions: [position("COMI", 100000, 100000)] }
+  ];
+  const worksheets = wallets.map(({ positions, ...ws }) => ({
+    ...ws,
+    analysis: analyzePortfolio({ label: ws.walletName, positions, weirdValues: [], risk })
+  }));
+  const combined = analyzePortfolio({
+    label: "Combined (USD)",
+    positions: aggregatePositions([...wallets[0].positions, { ...position("COMI", 2000, 2000) }]),
+    weirdValues: [],
+    risk
+  });
+  return {
+    date: "2026-06-01",
+    baseCurrency: "USD",
+    combinedCurrency: "USD",
+    worksheets,
+    combined,
+    fx: { rates: [{ currency: "EGP", rate: 0.02 }] }
+  };
+}
+
+test("shockFactor compounds every rule whose keys all match", () => {
+  const ws = { walletId: "us", walletName: "US", market: "US Equities", walletType: "stocks", currency: "USD" };
+  const scenario = {
+    shocks: [
+      { market: ["US Equities"], change: -0.1 },
+      { market: ["US Equities"], symbol: ["AAPL", "MSFT"], change: -0.5 },
+      { market: ["Crypto"], change: -0.4 }
+    ]
+  };
+  assert.equal(shockFactor(scenario, { symbol: "aapl" }, ws), 0.45);
+  assert.equal(shockFactor(scenario, { symbol: "NVDA" }, ws), 0.9);
+  assert.equal(shockFactor({ shocks: [{ wallet: ["US"], change: -1 }, { symbol: ["AAPL"], change: -0.5 }] }, { symbol: "AAPL" }, ws), 0);
+
+  const master = new Map([["AAPL", { sector: "Technology" }]]);
+  assert.equal(shockFactor({ shocks: [{ sector: ["Technology"], change: 0.2 }] }, { symbol: "AAPL" }, ws, master), 1.2);
+});
+
+test("buildStressReport shocks prices and FX and flags newly crossed thresholds", () => {
+  const report = buildReport();
+  const stress = buildStressReport(
+    report,
+    [
+      { name: "EGP -50%", shocks: [], fx: { EGP: -0.5 } },
+      { name: "Crypto -40%", shocks: [{ symbol: ["XBT"], change: -0.4 }], fx: {} }
+    ],
+    { risk, resolveSymbol: (symbol) => (symbol === "XBT" ? "BTC" : symbol) }
+  );
+  assert.equal(stress.available, true);
+  assert.equal(stress.currency, "USD");
+
+  const [egp, crypto] = stress.scenarios;
+  assert.equal(egp.combined.marketValueBefore, 4000);
+  assert.equal(egp.combined.marketValueAfter, 3000);
+  assert.equal(egp.combined.marketValueChangePct, -0.25);
+  assert.equal(egp.combined.pnlAfter, -1000);
+  assert.deepEqual(egp.combined.weightShifts.map((row) => [row.symbol, row.before, row.after]), [
+    ["COMI", 0.5, 0.3333],
+    ["AAPL", 0.25, 0.3333],
+    ["BTC", 0.25, 0.3333]
+  ]);
+  assert.deepEqual(
+    egp.combined.breaches.filter((item) => item.new).map((item) => [item.type, item.symbol, item.value]),
+    [
+      ["drawdown", "COMI", -0.5],
+      ["portfolio_drawdown", null, -0.25]
+    ]
+  );
+  // FX moves only the combined view: wallets stay in their own currency
+  assert.ok(egp.wallets.every((wallet) => wallet.marketValueChange === 0));
+
+  const us = crypto.wallets.find((wallet) => wallet.walletId === "us");
+  assert.equal(us.marketValueAfter, 1600);
+  assert.deepEqual(
+    us.breaches.map((item) => [item.type, item.symbol, item.new]),
+    [
+      ["overweight", "AAPL", true],
+      ["drawdown", "BTC", true],
+      ["portfolio_drawdown", null, true]
+    ]
+  );
+  assert.equal(stress.worstScenario, "EGP -50%");
+
+  const md = stressToMarkdown(stress);
+  assert.match(md, /## Stress Tests/);
+  assert.match(md, /- Worst scenario \(combined\): EGP -50%/);
+  assert.match(md, /\| EGP -50% \| \$3,000\.00 \| -\$1,000\.00 \(-25\.00%\) \| -\$1,000\.00 \(-25\.00%\) \| 100\.00% \| COMI -50\.00%, portfolio P&L -25\.00% \|/);
+  assert.match(md, /\| Crypto -40% \| US \| -\$400\.00 \(-20\.00%\) \| -\$400\.00 \| AAPL overweight 62\.50%, BTC -40\.00%, portfolio P&L -20\.00% \|/);
+  assert.doesNotMatch(md, /\| EGP -50% \| EGX \|/);
+
+  assert.deepEqual(buildStressReport(report, []), { available: false, reason: "no stress scenarios configured" });
+});
+
+test("buildStressReport reprices other currencies when the combined currency is shocked", () => {
+  const wallets = [
+    { walletId: "egx", walletName: "EGX", market: "EGX", walletType: "stocks", currency: "EGP", positions: [position("COMI", 80000, 80000)] },
+    { walletId: "us", walletName: "US", market: "US Equities", walletType: "stocks", currency: "USD", positions: [position("AAPL", 400, 400)] }
+  ];
+  const worksheets = wallets.map(({ positions, ...ws }) => ({ ...ws, analysis: analyzePortfolio({ label: ws.walletName, positions, weirdValues: [], risk }) }));
+  const combined = analyzePortfolio({
+    label: "Combined (EGP)",
+    positions: aggregatePositions([...wallets[0].positions, position("AAPL", 20000, 20000)]),
+    weirdValues: [],
+    risk
+  });
+  const report = { date: "2026-06-01", baseCurrency: "EGP", combinedCurrency: "EGP", worksheets, combined, fx: { rates: [{ currency: "USD", rate: 50 }] } };
+
+  const [egp] = buildStressReport(report, [{ name: "EGP devalues 20%", shocks: [], fx: { EGP: -0.2 } }], { risk }).scenarios;
+  assert.equal(egp.combined.marketValueBefore, 100000);
+  assert.equal(egp.combined.marketValueAfter, 105000);
+  const after = (symbol) => egp.combined.weightShifts.find((row) => row.symbol === symbol).after;
+  assert.equal(after("COMI"), 0.7619);
+  assert.equal(after("AAPL"), 0.2381);
+});
+
+test("loadConfig expands stress shorthands and validates scenarios", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "stress-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  const base = { documents: [{ name: "Local", source: "holdings.csv" }] };
+  const write = (stress) => fs.writeFile(configPath, JSON.stringify({ ...base, stress }));
+
+  await write({
+    scenarios: [
+      { name: "Crypto crash", markets: { Crypto: "-40%" }, symbols: { "btc-usd": -50 } },
+      { name: "US tech", shocks: [{ market: "US Equities", sector: ["Technology"], change: -0.15 }], fx: { egp: -0.2 } }
+    ]
+  });
+  assert.deepEqual((await loadConfig(configPath)).stress.scenarios, [
+    { name: "Crypto crash", shocks: [{ symbol: ["BTC-USD"], change: -0.5 }, { market: ["Crypto"], change: -0.4 }], fx: {} },
+    { name: "US tech", shocks: [{ change: -0.15, market: ["US Equities"], sector: ["Technology"] }], fx: { EGP: -0.2 } }
+  ]);
+
+  await write(undefined);
+  assert.deepEqual((await loadConfig(configPath)).stress, { scenarios: [] });
+
+  await write({ scenarios: [{ markets: { Crypto: -0.4 } }] });
+  await assert.rejects(() => loadConfig(configPath), /stress\.scenarios\[0\]\.name is required/);
+  await write({ scenarios: [{ name: "A", fx: { EGP: -0.2 } }, { name: "A", fx: { EGP: -0.3 } }] });
+  await assert.rejects(() => loadConfig(configPath), /stress\.scenarios\[1\]\.name "A" is used twice/);
+  await write({ scenarios: [{ name: "A", shocks: [{ ticker: "AAPL", change: -0.1 }] }] });
+  await assert.rejects(() => loadConfig(configPath), /stress\.scenarios\[0\]\.shocks\[0\]\.ticker is not a shock key/);
+  await write({ scenarios: [{ name: "A", shocks: [{ change: -0.1 }] }] });
+  await assert.rejects(() => loadConfig(configPath), /needs at least one of/);
+  await write({ scenarios: [{ name: "A", fx: { USD: -1 } }] });
+  await assert.rejects(() => loadConfig(configPath), /stress\.scenarios\[0\]\.fx\.USD must be above -100% for the base currency USD/);
+  await write({ scenarios: [{ name: "A" }] });
+  await assert.rejects(() => loadConfig(configPath), /\("A"\) has no shocks/);
+});
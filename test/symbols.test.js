@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { aggregatePositions } from "../src/analysis.js";
+import { loadConfig } from "../src/config.js";
+import { buildDiffReport } from "../src/diff.js";
+import { parseWorksheet } from "../src/parser.js";
+import { canonicalPositions, createSymbolResolver } from "../src/symbols.js";
+
+const resolveSymbol = createSymbolResolver({
+  aliases: { BTC: ["Bitcoin", "XBT"], COMI: ["التجاري الدولي", "CIB"], "BRK-B": ["BRK.B"] },
+  stripSuffixes: [".L"]
+});
+
+test("createSymbolResolver applies aliases, exchange and quote-pair rules", () => {
+  const cases = {
+    btc: "BTC",
+    "BTC-USD": "BTC",
+    "btc/usdt": "BTC",
+    BTCUSDT: "BTC",
+    " bitcoin ": "BTC",
+    XBTUSDT: "BTC",
+    "COMI.CA": "COMI",
+    "CIB.CA": "COMI",
+    "‏التجاري  الدولي": "COMI",
+    "NASDAQ:AAPL": "AAPL",
+    "AAPL.US": "AAPL",
+    "VOD.L": "VOD",
+    "BRK.B": "BRK-B",
+    "BRK-B": "BRK-B",
+    USDT: "USDT",
+    T: "T"
+  };
+  for (const [raw, expected] of Object.entries(cases)) assert.equal(resolveSymbol(raw), expected, raw);
+  assert.equal(resolveSymbol(""), "");
+
+  const plain = createSymbolResolver({ useDefaults: false });
+  assert.equal(plain("btc-usd"), "BTC-USD");
+  assert.equal(plain("COMI.CA"), "COMI.CA");
+});
+
+test("parseWorksheet keeps raw symbols and aggregatePositions merges aliases", () => {
+  const values = [
+    ["Symbol", "Quantity", "Spent", "Market Value"],
+    ["BTC-USD", "0.5", "20000", "30000"],
+    ["Bitcoin", "0.25", "15000", "15000"],
+    ["COMI.CA", "100", "8000", "9000"]
+  ];
+  const parsed = parseWorksheet(values, "Broker", "Crypto", { resolveSymbol });
+  assert.deepEqual(
+    parsed.positions.map((pos) => [pos.symbol, pos.rawSymbol]),
+    [
+      ["BTC", "BTC-USD"],
+      ["BTC", "Bitcoin"],
+      ["COMI", "COMI.CA"]
+    ]
+  );
+
+  const [btc, comi] = aggregatePositions(parsed.positions, resolveSymbol);
+  assert.equal(btc.symbol, "BTC");
+  assert.equal(btc.quantity, 0.75);
+  assert.equal(btc.marketValue, 45000);
+  assert.equal(btc.pnlPct, 0.2857);
+  assert.equal(btc.sourceCount, 2);
+  assert.deepEqual(btc.rawSymbols, ["BTC-USD", "Bitcoin"]);
+  assert.deepEqual(comi.rawSymbols, ["COMI.CA"]);
+
+  assert.equal(parseWorksheet(values, "Broker", "Crypto").positions[0].symbol, "BTC-USD");
+  assert.deepEqual(
+    canonicalPositions([{ symbol: "BTCUSDT", marketValue: 10, spent: 8, pnl: 2 }, { symbol: "BTC", marketValue: 5, spent: 5, pnl: 0 }], resolveSymbol),
+    [{ symbol: "BTC", marketValue: 15, spent: 13, pnl: 2, quantity: 0, pnlPct: 2 / 13 }]
+  );
+});
+
+test("buildDiffReport matches positions across an alias change and loadConfig validates aliases", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "symbols-"));
+  const analysis = (symbol, marketValue) => ({
+    positions: [{ symbol, quantity: 1, spent: 100, marketValue, pnl: marketValue - 100, pnlPct: (marketValue - 100) / 100 }],
+    snapshot: { totalMarketValue: marketValue }
+  });
+  await fs.writeFile(path.join(tempDir, "2026-05-01.json"), JSON.stringify({ combined: analysis("COMI.CA", 100), worksheets: [] }));
+  await fs.writeFile(path.join(tempDir, "2026-05-02.json"), JSON.stringify({ combined: analysis("COMI", 110), worksheets: [] }));
+
+  const raw = await buildDiffReport(tempDir, "2026-05-02");
+  assert.equal(raw.newPositions.length, 1);
+  assert.equal(raw.closedPositions.length, 1);
+  const canonical = await buildDiffReport(tempDir, "2026-05-02", null, { resolveSymbol });
+  assert.equal(canonical.newPositions.length, 0);
+  assert.equal(canonical.closedPositions.length, 0);
+
+  const configPath = path.join(tempDir, "inputs.json");
+  const base = { documents: [{ name: "Local", source: "holdings.csv" }] };
+  await fs.writeFile(configPath, JSON.stringify({ ...base, symbols: { aliases: { btc: "Bitcoin", ETH: ["Ether"] }, stripSuffixes: [".L"] } }));
+  const config = await loadConfig(configPath);
+  assert.deepEqual(config.symbols, {
+    useDefaults: true,
+    aliases: { BTC: ["Bitcoin"], ETH: ["Ether"] },
+    stripSuffixes: [".L"],
+    stripPrefixes: []
+  });
+
+  await fs.writeFile(configPath, JSON.stringify({ ...base, symbols: { aliases: { BTC: ["XBT"], WBTC: ["xbt"] } } }));
+  await assert.rejects(() => loadConfig(configPath), /symbols\.aliases: "xbt" is listed for both BTC and WBTC/);
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { classifyPositionChange, inferTrade, updateTradeJournal } from "../src/trades.js";
+
+test("classifyPositionChange separates price moves from buys, sells, new and exits", () => {
+  const prev = { quantity: 10, spent: 1000, marketValue: 1200 };
+  assert.equal(classifyPositionChange({ quantity: 10, spent: 1000, marketValue: 1300 }, prev), "price_only");
+  assert.equal(classifyPositionChange({ quantity: 15, spent: 1650, marketValue: 1950 }, prev), "buy");
+  assert.equal(classifyPositionChange({ quantity: 20, spent: 1000, marketValue: 2400 }, prev), "bonus_or_transfer");
+  assert.equal(classifyPositionChange({ quantity: 4, spent: 400, marketValue: 500 }, prev), "sell");
+  assert.equal(classifyPositionChange({ quantity: 1, spent: 10, marketValue: 10 }, undefined), "new");
+  assert.equal(classifyPositionChange(undefined, prev), "exit");
+  assert.equal(classifyPositionChange({ quantity: 0, spent: 1500 }, { quantity: 0, spent: 1000 }), "buy");
+});
+
+test("inferTrade estimates executed price and notional", () => {
+  const buy = inferTrade("AAA", { quantity: 15, spent: 1650, marketValue: 1950 }, { quantity: 10, spent: 1000, marketValue: 1200 });
+  assert.equal(buy.type, "buy");
+  assert.equal(buy.quantityDelta, 5);
+  assert.equal(buy.estimatedPrice, 130);
+  assert.equal(buy.priceSource, "cost_delta");
+  assert.equal(buy.notional, 650);
+
+  const sell = inferTrade("AAA", { quantity: 4, spent: 400, marketValue: 500 }, { quantity: 10, spent: 1000, marketValue: 1200 });
+  assert.equal(sell.type, "sell");
+  assert.equal(sell.estimatedPrice, 125);
+  assert.equal(sell.notional, 750);
+
+  const exit = inferTrade("AAA", undefined, { quantity: 10, spent: 1000, marketValue: 1200 });
+  assert.equal(exit.estimatedPrice, 120);
+  assert.equal(exit.quantityDelta, -10);
+
+  assert.equal(inferTrade("AAA", { quantity: 10, spent: 1000 }, { quantity: 10, spent: 1000 }), null);
+});
+
+test("updateTradeJournal appends wallet trades and replaces re-run dates", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "trades-journal-"));
+  const diff = (date, trades) => ({
+    available: true,
+    currentDate: date,
+    previousDate: "2026-02-13",
+    consecutive: true,
+    wallets: [{ walletId: "thndr-us__sheet1", walletName: "Thndr US / Sheet1", currency: "USD", trades }]
+  });
+  const trade = { symbol: "AAA", type: "buy", quantityDelta: 5, estimatedPrice: 130, notional: 650 };
+
+  await updateTradeJournal(tempDir, diff("2026-02-14", [trade]));
+  await updateTradeJournal(tempDir, diff("2026-02-15", [trade, { ...trade, symbol: "BBB" }]));
+  const rerun = await updateTradeJournal(tempDir, diff("2026-02-15", [trade]));
+  assert.equal(rerun.added, 1);
+  assert.equal(rerun.total, 2);
+
+  const journal = JSON.parse(await fs.readFile(path.join(tempDir, "trades.json"), "utf8"));
+  assert.deepEqual(journal.trades.map((t) => t.id), [
+    "2026-02-14:thndr-us__sheet1:AAA",
+    "2026-02-15:thndr-us__sheet1:AAA"
+  ]);
+  assert.equal(journal.trades[0].walletName, "Thndr US / Sheet1");
+
+  // A diff against an older date leaves the day's entries alone
+  const older = await updateTradeJournal(tempDir, { ...diff("2026-02-15", [{ ...trade, symbol: "CCC" }]), previousDate: "2026-02-10", consecutive: false });
+  assert.equal(older.added, 0);
+  assert.match(older.skipped, /2026-02-10 is not the report before 2026-02-15/);
+  const unchanged = JSON.parse(await fs.readFile(path.join(tempDir, "trades.json"), "utf8"));
+  assert.deepEqual(unchanged.trades.map((t) => t.id), journal.trades.map((t) => t.id));
+});
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { buildWatchlistReport, isWatchlistWorksheet, loadPriceFile } from "../src/watchlist.js";
+import { parsePriceTable } from "../src/parser.js";
+import { buildHistoricalTrends } from "../src/history.js";
+import { sparklineToMarkdown } from "../src/sparklines.js";
+import { loadConfig } from "../src/config.js";
+import { createSymbolResolver } from "../src/symbols.js";
+
+const worksheets = [
+  {
+    walletId: "thndr-us__sheet1",
+    walletName: "Thndr US / Sheet1",
+    currency: "USD",
+    analysis: { positions: [{ symbol: "AAPL", quantity: 10, marketValue: 2000 }] }
+  }
+];
+
+test("buildWatchlistReport flags held names and measures distance to target entry", () => {
+  const entries = [
+    { symbol: "AAPL", targetEntryPrice: 180, notes: "add on dip", wallet: null, currency: null },
+    { symbol: "MSFT", targetEntryPrice: 400, notes: null, wallet: null, currency: null },
+    { symbol: "TSLA", targetEntryPrice: null, notes: null, wallet: null, currency: null }
+  ];
+  const quotes = new Map([["MSFT", { price: 380, source: "file" }]]);
+  const report = buildWatchlistReport(entries, worksheets, quotes, "USD");
+
+  const aapl = report.entries.find((item) => item.symbol === "AAPL");
+  assert.equal(aapl.held, true);
+  assert.equal(aapl.price, 200);
+  assert.equal(aapl.priceSource, "position");
+  assert.equal(aapl.distanceToTarget, 0.1111);
+  assert.equal(aapl.atOrBelowTarget, false);
+
+  const msft = report.entries.find((item) => item.symbol === "MSFT");
+  assert.equal(msft.held, false);
+  assert.equal(msft.distanceToTarget, -0.05);
+  assert.equal(msft.atOrBelowTarget, true);
+
+  assert.equal(report.heldCount, 1);
+  assert.deepEqual(report.missingPrices, ["TSLA"]);
+});
+
+test("buildWatchlistReport matches entries and quotes through symbol aliases", () => {
+  const entries = [
+    { symbol: "NASDAQ:AAPL", targetEntryPrice: null, notes: null, wallet: null, currency: null },
+    { symbol: "MICROSOFT", targetEntryPrice: 400, notes: null, wallet: null, currency: null }
+  ];
+  const quotes = new Map([["MSFT.US", { price: 380, source: "file" }]]);
+  const resolveSymbol = createSymbolResolver({ aliases: { MSFT: ["Microsoft"] } });
+  const report = buildWatchlistReport(entries, worksheets, quotes, "USD", { resolveSymbol });
+
+  assert.deepEqual(report.entries.map((item) => item.symbol), ["AAPL", "MSFT"]);
+  assert.equal(report.entries[0].held, true);
+  assert.equal(report.entries[1].price, 380);
+  assert.equal(report.entries[1].priceSource, "file");
+  assert.deepEqual(report.missingPrices, []);
+});
+
+test("watchlist prices come from a sheet tab or a local file", async () => {
+  const prices = parsePriceTable([
+    ["My watchlist"],
+    ["Ticker", "Last Price", "Notes"],
+    ["msft", "$380.50", "cloud"],
+    ["", "", ""],
+    ["NVDA", "1,020", ""]
+  ]);
+  assert.equal(prices.get("MSFT"), 380.5);
+  assert.equal(prices.get("NVDA"), 1020);
+  assert.equal(isWatchlistWorksheet({ worksheet: "Watchlist", document: null }, "Thndr US", " watchlist"), true);
+  assert.equal(isWatchlistWorksheet({ worksheet: "Watchlist", document: "Other" }, "Thndr US", "Watchlist"), false);
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "watchlist-prices-"));
+  const jsonPath = path.join(tempDir, "prices.json");
+  const csvPath = path.join(tempDir, "prices.csv");
+  await fs.writeFile(jsonPath, JSON.stringify({ prices: { tsla: 250 } }));
+  await fs.writeFile(csvPath, "Symbol,Price\nTSLA,251\n");
+  assert.equal((await loadPriceFile(jsonPath)).get("TSLA"), 250);
+  assert.equal((await loadPriceFile(csvPath)).get("TSLA"), 251);
+});
+
+test("loadConfig accepts legacy string and object watchlist entries", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "watchlist-config-"));
+  const configPath = path.join(tempDir, "inputs.json");
+  await fs.writeFile(
+    configPath,
+    JSON.stringify({
+      documents: [{ name: "US", url: "https://docs.google.com/spreadsheets/d/abc/edit", currency: "USD" }],
+      watchlist: ["aapl", { symbol: "msft", targetEntryPrice: "400", notes: "cloud", wallet: "thndr-us__sheet1" }],
+      watchlistPrices: { worksheet: "Watchlist" }
+    })
+  );
+  const config = await loadConfig(configPath);
+  assert.equal(config.watchlist[0].symbol, "AAPL");
+  assert.equal(config.watchlist[1].targetEntryPrice, 400);
+  assert.equal(config.watchlist[1].wallet, "thndr-us__sheet1");
+  assert.equal(config.watchlistPrices.worksheet, "Watchlist");
+});
+
+test("buildHistoricalTrends sparklines watchlist names that are not held", async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "watchlist-history-"));
+  const prices = { "2026-02-13": 400, "2026-02-14": 390, "2026-02-15": 380 };
+  for (const [date, price] of Object.entries(prices)) {
+    const report = {
+      date,
+      combined: { positions: [], positionCount: 0, snapshot: { totalMarketValue: 0, totalPnl: 0 } },
+      watchlist: { entries: [{ symbol: "MSFT", price, distanceToTarget: (price - 400) / 400, held: false }] }
+    };
+    await fs.writeFile(path.join(tempDir, `${date}.json`), JSON.stringify(report));
+  }
+
+  const trends = await buildHistoricalTrends(tempDir, "2026-02-15");
+  assert.equal(trends.watchlist.length, 1);
+  assert.deepEqual(trends.watchlist[0].priceHistory, [400, 390, 380]);
+  assert.equal(trends.watchlist[0].trend, "downtrend");
+  assert.match(sparklineToMarkdown(trends), /## Watchlist Trends/);
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+import { fetchSpreadsheetDocument } from "../src/googleSheets.js";
+import { filterLoadedWorksheets, isA1Range, rangeOrigin, selectWorksheets, sheetsRange, sliceA1 } from "../src/worksheetSelection.js";
+
+const tabs = [
+  { title: "Sheet1", gid: 0 },
+  { title: "Crypto", gid: 1234 },
+  { title: "Archive 2024", gid: 55 },
+  { title: "Chart Data", gid: 77 }
+];
+
+test("selectWorksheets filters by title glob, regex and gid", () => {
+  const { selected, skipped } = selectWorksheets(tabs, {
+    include: ["Sheet*", "gid:1234", "/^archive/i"],
+    exclude: [55],
+    ranges: { Sheet1: "A1:F40" }
+  });
+  assert.deepEqual(selected.map((tab) => tab.title), ["Sheet1", "Crypto"]);
+  assert.equal(selected[0].range, "A1:F40");
+  assert.equal(selected[1].range, null);
+  assert.deepEqual(skipped, ["Archive 2024", "Chart Data"]);
+  assert.equal(selectWorksheets(tabs, null).selected.length, 4);
+});
+
+test("sheetsRange qualifies A1 ranges and passes named ranges through", () => {
+  assert.equal(sheetsRange({ title: "Bob's Tab", range: null }), "'Bob''s Tab'");
+  assert.equal(sheetsRange({ title: "Sheet1", range: "a1:f40" }), "'Sheet1'!A1:F40");
+  assert.equal(sheetsRange({ title: "Sheet1", range: "Holdings" }), "Holdings");
+  assert.equal(sheetsRange({ title: "Sheet1", range: "'Other'!B2:C3" }), "'Other'!B2:C3");
+  assert.equal(isA1Range("A:D"), true);
+  assert.equal(isA1Range("3:20"), true);
+  assert.equal(isA1Range("Holdings"), false);
+  assert.deepEqual(rangeOrigin("'Sheet1'!C5:F40"), { row: 4, column: 2 });
+  assert.deepEqual(rangeOrigin(null), { row: 0, column: 0 });
+  assert.equal(rangeOrigin("Holdings"), null);
+});
+
+test("sliceA1 and filterLoadedWorksheets cut ranges out of local values", () => {
+  const values = [
+    ["notes", "", ""],
+    ["Ticker", "Qty", "Value"],
+    ["AAA", "1", "10"],
+    ["", "", ""],
+    ["scratch", "x", "y"]
+  ];
+  assert.deepEqual(sliceA1(values, "A2:C3"), [["Ticker", "Qty", "Value"], ["AAA", "1", "10"]]);
+  assert.deepEqual(sliceA1(values, "B:C")[1], ["Qty", "Value"]);
+  assert.deepEqual(sliceA1(values, "2:2"), [["Ticker", "Qty", "Value"]]);
+
+  const loaded = [
+    { title: "Holdings", values },
+    { title: "Scratch", values: [["x"]] }
+  ];
+  const { worksheets, skipped } = filterLoadedWorksheets(loaded, { include: [], exclude: ["Scratch"], ranges: { Holdings: "A2:C3" } });
+  assert.equal(worksheets.length, 1);
+  assert.equal(worksheets[0].values.length, 2);
+  assert.deepEqual(skipped, ["Scratch"]);
+
+  assert.throws(
+    () => filterLoadedWorksheets(loaded, { include: ["Holdings"], exclude: [], ranges: { Holdings: "HoldingsTable" } }),
+    /local sources support A1 ranges only/
+  );
+  const untouched = filterLoadedWorksheets(loaded, { include: ["Holdings"], exclude: [], ranges: { Holdings: "A2:C3" } }, { applyRanges: false });
+  assert.equal(untouched.worksheets[0].values.length, 5);
+});
+
+test("fetchSpreadsheetDocument only batch-gets the selected tabs and ranges", async () => {
+  let requestedRanges = null;
+  const sheetsApi = {
+    spreadsheets: {
+      get: async () => ({
+        data: { properties: { title: "Broker" }, sheets: tabs.map((tab) => ({ properties: { title: tab.title, sheetId: tab.gid } })) }
+      }),
+      values: {
+        batchGet: async ({ ranges }) => {
+          requestedRanges = ranges;
+          return {
+            data: {
+              valueRanges: [
+                { range: "'Sheet1'!A1:C2", values: [["Ticker", "Value"], ["AAA", 10]] },
+                { range: "Crypto!B3:D20", values: [["Coin"]] }
+              ]
+            }
+          };
+        }
+      }
+    }
+  };
+
+  const doc = await fetchSpreadsheetDocument(sheetsApi, {
+    name: "Broker",
+    url: "https://docs.google.com/spreadsheets/d/abc123/edit",
+    worksheets: { include: [], exclude: ["Archive*", 77], ranges: { Sheet1: "A1:C2", Crypto: "CryptoTable" } }
+  });
+  assert.deepEqual(requestedRanges, ["'Sheet1'!A1:C2", "CryptoTable"]);
+  assert.deepEqual(doc.worksheets.map((item) => item.title), ["Sheet1", "Crypto"]);
+  assert.deepEqual(doc.worksheets[0].values[1], ["AAA", "10"]);
+  assert.equal(doc.worksheets[1].gid, 1234);
+  // A named range takes the A1 block the API resolved it to, so cells keep their sheet position
+  assert.equal(doc.worksheets[1].range, "Crypto!B3:D20");
+  assert.deepEqual(rangeOrigin(doc.worksheets[1].range), { row: 2, column: 1 });
+  assert.deepEqual(doc.skippedWorksheets, ["Archive 2024", "Chart Data"]);
+});